@@ -0,0 +1,47 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Student documents are private: they are stored outside the public uploads folder
+// and only served through authenticated endpoints.
+const DOCUMENT_STORAGE_DIR = process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../storage/documents');
+
+const ALLOWED_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+const storage = multer.diskStorage({
+  // The student is resolved (and scope-checked) before the upload, never taken from the URL
+  destination: (req, file, cb) => {
+    if (!req.student) {
+      return cb(new Error('Student must be resolved before uploading a document'));
+    }
+    const uploadDir = path.join(DOCUMENT_STORAGE_DIR, String(req.student._id));
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'doc-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only PDF, JPG, PNG and WEBP files are allowed.'), false);
+  }
+};
+
+const documentUpload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 1024 * 1024 * 20, // 20MB
+    files: 1
+  }
+});
+
+module.exports = documentUpload;
+module.exports.DOCUMENT_STORAGE_DIR = DOCUMENT_STORAGE_DIR;
@@ -0,0 +1,25 @@
+const multer = require('multer');
+const path = require('path');
+
+// Import files are parsed straight from memory and never written to disk
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx'];
+
+const fileFilter = (req, file, cb) => {
+  // Browsers report CSV files with many different MIME types, so the extension decides
+  if (ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+  }
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: 1024 * 1024 * 5, // 5MB
+    files: 1
+  }
+});
+
+module.exports = importUpload;
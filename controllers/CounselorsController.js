@@ -1,4 +1,5 @@
 const Counselor = require('../models/CounselorsModel');
+const User = require('../models/userModels');
 const { logger } = require('../utils/logger.util');
 const { promisify } = require('util');
 const fs = require('fs');
@@ -23,6 +24,10 @@ exports.getAllCounselors = async (req, res) => {
         { role: new RegExp(req.query.search, 'i') }
       ];
     }
+    // ?office= was resolved to office ids by resolveOfficeQuery
+    if (req.query.office) {
+      filter.office = { $in: req.query.office.split(',') };
+    }
 
     // Get total count for pagination
     const total = await Counselor.countDocuments(filter);
@@ -31,7 +36,8 @@ exports.getAllCounselors = async (req, res) => {
     const counselors = await Counselor.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
-      .limit(limit);
+      .limit(limit)
+      .populate('office', 'name slug');
 
     logger.info(`Fetched ${counselors.length} counselors`);
     
@@ -109,7 +115,7 @@ exports.getCounselor = async (req, res) => {
 // Create a new counselor
 exports.createCounselor = async (req, res) => {
   try {
-    const { name, role, expertise, bio, certifications } = req.body;
+    const { name, role, expertise, bio, certifications, office } = req.body;
     
     // Validate required fields
     if (!name || !role || !expertise || !bio || !certifications) {
@@ -151,7 +157,8 @@ exports.createCounselor = async (req, res) => {
       expertise: expertise.trim(),
       bio: bio.trim(),
       certifications: certificationsArray,
-      image: imagePath
+      image: imagePath,
+      ...(office && { office })
     });
 
     logger.info(`Created new counselor: ${newCounselor.name}`);
@@ -181,8 +188,11 @@ exports.createCounselor = async (req, res) => {
 // Update a counselor
 exports.updateCounselor = async (req, res) => {
   try {
-    const { name, role, expertise, bio, certifications } = req.body;
-    const updateData = { name, role, expertise, bio };
+    const { name, role, expertise, bio, certifications, office, acceptingStudents } = req.body;
+    const updateData = { name, role, expertise, bio, office };
+    if (acceptingStudents !== undefined) {
+      updateData.acceptingStudents = acceptingStudents === true || acceptingStudents === 'true';
+    }
     
     // Process certifications if provided
     if (certifications) {
@@ -302,3 +312,70 @@ exports.deleteCounselor = async (req, res) => {
   }
 };
 
+
+// Link a counselor profile to a user account (or unlink with a null userId)
+exports.linkCounselorUser = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const counselor = await Counselor.findById(req.params.id);
+
+    if (!counselor) {
+      logger.warn(`Counselor not found with id: ${req.params.id}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+
+    if (!userId) {
+      counselor.user = null;
+      await counselor.save();
+
+      logger.info(`Unlinked counselor ${counselor.name} from user account`);
+      return res.status(200).json({
+        success: true,
+        message: 'Counselor unlinked from user account',
+        data: counselor
+      });
+    }
+
+    const user = await User.findOne({ _id: userId, active: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found or inactive'
+      });
+    }
+
+    const alreadyLinked = await Counselor.findOne({ user: user._id, _id: { $ne: counselor._id } });
+    if (alreadyLinked) {
+      return res.status(409).json({
+        success: false,
+        message: `User is already linked to counselor ${alreadyLinked.name}`
+      });
+    }
+
+    // Plain users become counselors; staff with higher roles keep them
+    if (user.role === 'user') {
+      user.role = 'counselor';
+      await user.save();
+    }
+
+    counselor.user = user._id;
+    await counselor.save();
+
+    logger.info(`Linked counselor ${counselor.name} to user ${user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Counselor linked to user account',
+      data: counselor
+    });
+  } catch (err) {
+    logger.error('Error linking counselor to user:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link counselor to user'
+    });
+  }
+};
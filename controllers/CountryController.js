@@ -1,4 +1,7 @@
 const Country = require('../models/CountryModel');
+const University = require('../models/UniversityModel');
+const Scholarship = require('../models/ScholarshipModel');
+const { getCountryCatalog } = require('../utils/catalog');
 const { logger } = require('../utils/logger.util');
 const fs = require('fs');
 const { promisify } = require('util');
@@ -98,9 +101,12 @@ const getCountryBySlug = async (req, res) => {
       });
     }
 
+    // Partner universities and their programs for the study-abroad page
+    const universities = await getCountryCatalog(country._id);
+
     res.json({
       success: true,
-      data: country
+      data: { ...country.toObject(), universities }
     });
 
   } catch (error) {
@@ -237,6 +243,22 @@ const deleteCountry = async (req, res) => {
       });
     }
 
+    const universities = await University.countDocuments({ country: country._id });
+    if (universities > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Country still has ${universities} universit${universities === 1 ? 'y' : 'ies'} in the catalog; remove them or deactivate the country instead`
+      });
+    }
+
+    const scholarships = await Scholarship.countDocuments({ countries: country._id });
+    if (scholarships > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Country is still linked to ${scholarships} scholarship(s); update them or deactivate the country instead`
+      });
+    }
+
     if (country.photo) {
       const photoPath = path.join(__dirname, '..', country.photo);
       await unlinkAsync(photoPath).catch(err => 
@@ -261,7 +283,108 @@ const deleteCountry = async (req, res) => {
       error: error.message
     });
   }
-};const getCountryById = async (req, res) => {
+};
+
+// Documents students heading to the country must provide, used for their document checklist
+const updateRequiredDocuments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { requiredDocuments } = req.body;
+
+    if (!Array.isArray(requiredDocuments)) {
+      return res.status(400).json({
+        success: false,
+        message: 'requiredDocuments must be an array'
+      });
+    }
+
+    const country = await Country.findById(id);
+
+    if (!country) {
+      return res.status(404).json({
+        success: false,
+        message: 'Country not found'
+      });
+    }
+
+    country.requiredDocuments = requiredDocuments;
+    await country.save();
+
+    logger.info(`Country document checklist updated by ${req.user.role}: ${country.name}`);
+
+    res.json({
+      success: true,
+      message: 'Required documents updated successfully',
+      data: country
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Update required documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update required documents',
+      error: error.message
+    });
+  }
+};
+
+// Admission rules per program level and the yearly living cost, used by the eligibility check
+const updateEligibilityRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { eligibilityRules, livingCost } = req.body;
+
+    if (eligibilityRules !== undefined && !Array.isArray(eligibilityRules)) {
+      return res.status(400).json({
+        success: false,
+        message: 'eligibilityRules must be an array'
+      });
+    }
+
+    const country = await Country.findById(id);
+
+    if (!country) {
+      return res.status(404).json({
+        success: false,
+        message: 'Country not found'
+      });
+    }
+
+    if (eligibilityRules !== undefined) country.eligibilityRules = eligibilityRules;
+    if (livingCost !== undefined) country.livingCost = livingCost;
+    await country.save();
+
+    logger.info(`Country eligibility rules updated by ${req.user.role}: ${country.name}`);
+
+    res.json({
+      success: true,
+      message: 'Eligibility rules updated successfully',
+      data: country
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Update eligibility rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update eligibility rules',
+      error: error.message
+    });
+  }
+};
+
+const getCountryById = async (req, res) => {
   try {
     const { param } = req.params;
 
@@ -307,5 +430,7 @@ module.exports = {
   getCountryById,
   updateCountry,
   toggleCountryStatus,
+  updateRequiredDocuments,
+  updateEligibilityRules,
   deleteCountry
 };
\ No newline at end of file
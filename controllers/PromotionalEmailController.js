@@ -304,7 +304,7 @@ exports.getPromotionalEmails = async (req, res) => {
       .skip(skip)
       .limit(limit)
       .populate('configUsed', 'email fromName')
-      .select('-errors -performanceLog'); // Exclude large fields
+      .select('-sendErrors -performanceLog'); // Exclude large fields
 
     const total = await PromotionalEmail.countDocuments();
 
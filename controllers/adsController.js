@@ -1,9 +1,12 @@
 const Advertisement = require('../models/adsModel');
+const AdClick = require('../models/AdClickModel');
+const crypto = require('crypto');
 const path = require('path');
 const { promisify } = require('util');
 const fs = require('fs');
 const unlinkAsync = promisify(fs.unlink);
 const { logger } = require('../utils/logger.util');
+const { adLandingUrl } = require('../utils/leadSource');
 
 // Create a new advertisement with image upload
 exports.createAdvertisement = async (req, res) => {
@@ -162,9 +165,10 @@ exports.serveAdvertisement = async (req, res) => {
 
 // Track advertisement click
 exports.trackClick = async (req, res) => {
+  let advertisement;
   try {
     const { id } = req.params;
-    const advertisement = await Advertisement.findById(id);
+    advertisement = await Advertisement.findById(id);
 
     if (!advertisement) {
       return res.redirect('/'); // Fallback URL
@@ -173,9 +177,20 @@ exports.trackClick = async (req, res) => {
     // Record click
     await advertisement.recordClick();
 
+    if (!advertisement.websiteLink) {
+      return res.redirect('/');
+    }
+
+    // The token comes back with the consultation form so the lead is credited to this ad
+    const click = await AdClick.create({
+      ad: advertisement._id,
+      token: crypto.randomBytes(16).toString('hex')
+    });
+
     // Redirect to advertiser's website
-    res.redirect(advertisement.websiteLink || '/');
+    res.redirect(adLandingUrl(advertisement, click.token));
   } catch (error) {
+    logger.error('Failed to track advertisement click:', error);
     // Still redirect even if tracking fails
     res.redirect(advertisement?.websiteLink || '/');
   }
@@ -0,0 +1,428 @@
+const mongoose = require('mongoose');
+const Application = require('../models/ApplicationModel');
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const Program = require('../models/ProgramModel');
+const { recordSystemEvent } = require('../utils/studentActivity');
+const { findCountry } = require('../utils/countries');
+const { findUniversity } = require('../utils/catalog');
+const { isObjectId, escapeRegex, toList, getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = [
+  'university', 'program', 'intake', 'applicationFee', 'reference',
+  'submittedAt', 'decidedAt', 'offerDeadline', 'depositDeadline', 'casIssuedAt', 'notes'
+];
+
+const APPLICATION_POPULATE = [
+  { path: 'student', select: 'firstName lastName email stage assignedCounselor' },
+  { path: 'office', select: 'name' },
+  { path: 'country', select: 'name slug' },
+  { path: 'universityRef', select: 'name slug' },
+  { path: 'programRef', select: 'name level' },
+  { path: 'offerLetters', select: 'kind label currentVersion status' },
+  { path: 'createdBy', select: 'username email' },
+  { path: 'statusHistory.changedBy', select: 'username email' }
+];
+
+const pickApplicationFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Offer letters must be documents in the student's own vault; returns null if any is not
+const findOfferLetters = async (studentId, ids) => {
+  const unique = [...new Set([].concat(ids || []).map(String))];
+  if (unique.some(id => !isObjectId(id))) return null;
+
+  const documents = await StudentDocument.find({ _id: { $in: unique }, student: studentId }).select('_id');
+  return documents.length === unique.length ? documents.map(document => document._id) : null;
+};
+
+// Link the application to catalog entries (universityRef by id or slug, programRef by id) and
+// take their names unless others are given; returns an error message for a bad entry
+const applyCatalogRefs = async (application, body) => {
+  if (body.universityRef !== undefined) {
+    if (!body.universityRef) {
+      application.universityRef = null;
+      application.programRef = null;
+    } else {
+      const university = await findUniversity(body.universityRef);
+      if (!university) return `Unknown university "${body.universityRef}"`;
+      if (!university.country.equals(application.country)) {
+        return "The university is not in the application's country";
+      }
+      if (!university._id.equals(application.universityRef)) application.programRef = null;
+      application.universityRef = university._id;
+      if (body.university === undefined) application.university = university.name;
+    }
+  }
+
+  if (body.programRef !== undefined) {
+    if (!body.programRef) {
+      application.programRef = null;
+    } else {
+      const program = isObjectId(body.programRef) && application.universityRef &&
+        await Program.findOne({ _id: body.programRef, university: application.universityRef });
+      if (!program) return 'Program not found at this university';
+      application.programRef = program._id;
+      if (body.program === undefined) application.program = program.name;
+    }
+  }
+
+  return null;
+};
+
+// Load an application by id, honouring the counselor scope
+const findScopedApplication = async (req) => {
+  if (!isObjectId(req.params.applicationId)) return null;
+
+  const application = await Application.findById(req.params.applicationId);
+  if (!application) return null;
+
+  if (req.studentScope && Object.keys(req.studentScope).length > 0) {
+    const inScope = await Student.exists({ _id: application.student, ...req.studentScope });
+    if (!inScope) return null;
+  }
+  return application;
+};
+
+// Filters shared by the agency-wide list; returns an error message for bad values
+const buildApplicationFilter = async (query, studentScope) => {
+  const filter = {};
+
+  if (query.status) {
+    const statuses = toList(query.status);
+    const invalid = statuses.filter(status => !Application.APPLICATION_STATUSES.includes(status));
+    if (invalid.length > 0) {
+      return { error: `Invalid status: ${invalid.join(', ')}. Allowed statuses: ${Application.APPLICATION_STATUSES.join(', ')}` };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  // ?office= was resolved to office ids by resolveOfficeQuery
+  if (query.office) {
+    filter.office = { $in: query.office.split(',').map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  if (query.country) {
+    const country = await findCountry(query.country);
+    if (!country) return { error: `Unknown country "${query.country}"` };
+    filter.country = country._id;
+  }
+
+  if (query.university) {
+    filter.university = new RegExp(escapeRegex(String(query.university).trim()), 'i');
+  }
+
+  if (query.intakeYear) filter['intake.year'] = Number(query.intakeYear);
+  if (query.intakeMonth) filter['intake.month'] = Number(query.intakeMonth);
+
+  if (studentScope && Object.keys(studentScope).length > 0) {
+    const students = await Student.find(studentScope).distinct('_id');
+    filter.student = { $in: students };
+  }
+
+  return { filter };
+};
+
+// Applications of one student, newest first (nested under /api/student/:id/applications)
+exports.getStudentApplications = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope }).select('_id');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const applications = await Application.find({ student: student._id })
+      .sort({ createdAt: -1 })
+      .populate(APPLICATION_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      data: applications
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch applications');
+  }
+};
+
+// Start an application for a student; it begins as a draft unless a status is given
+exports.createStudentApplication = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope }).select('_id office');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const country = await findCountry(req.body.country);
+    if (!country) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.country ? `Unknown country "${req.body.country}"` : 'Country is required'
+      });
+    }
+
+    const application = new Application({
+      ...pickApplicationFields(req.body),
+      student: student._id,
+      office: student.office,
+      country: country._id,
+      createdBy: req.user.id
+    });
+
+    const catalogError = await applyCatalogRefs(application, req.body);
+    if (catalogError) {
+      return res.status(400).json({
+        success: false,
+        message: catalogError
+      });
+    }
+
+    if (req.body.offerLetters !== undefined) {
+      const offerLetters = await findOfferLetters(student._id, req.body.offerLetters);
+      if (!offerLetters) {
+        return res.status(400).json({
+          success: false,
+          message: "Offer letters must be documents in the student's document vault"
+        });
+      }
+      application.offerLetters = offerLetters;
+    }
+
+    application.changeStatus(req.body.status || 'draft', { changedBy: req.user.id, note: req.body.statusNote });
+    await application.save();
+
+    await recordSystemEvent(student._id, 'application_created', {
+      subject: `Application to ${application.university} (${application.program}) created`,
+      author: req.user.id,
+      metadata: { application: application._id, status: application.status }
+    });
+
+    await application.populate(APPLICATION_POPULATE);
+    res.status(201).json({
+      success: true,
+      message: 'Application created successfully',
+      data: application
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create application');
+  }
+};
+
+// Applications across the agency (?status=&country=&office=&university=&intakeYear=&intakeMonth=&page=&limit=)
+exports.getApplications = async (req, res) => {
+  try {
+    const { filter, error } = await buildApplicationFilter(req.query, req.studentScope);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const pagination = getPagination(req.query);
+
+    const [total, applications, statusCounts] = await Promise.all([
+      Application.countDocuments(filter),
+      Application.find(filter)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate(APPLICATION_POPULATE),
+      Application.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byStatus = Application.APPLICATION_STATUSES.reduce((counts, status) => {
+      counts[status] = statusCounts.find(entry => entry._id === status)?.count || 0;
+      return counts;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      count: applications.length,
+      total,
+      byStatus,
+      pagination: paginationMeta(pagination, total),
+      data: applications
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch applications');
+  }
+};
+
+exports.getApplication = async (req, res) => {
+  try {
+    const application = await findScopedApplication(req);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    await application.populate(APPLICATION_POPULATE);
+    res.status(200).json({
+      success: true,
+      data: application
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch application');
+  }
+};
+
+// Update details, change the status (with an optional statusNote) or replace the attached offer letters
+exports.updateApplication = async (req, res) => {
+  try {
+    const application = await findScopedApplication(req);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (req.body.country !== undefined) {
+      const country = await findCountry(req.body.country);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown country "${req.body.country}"`
+        });
+      }
+      application.country = country._id;
+    }
+
+    const catalogError = await applyCatalogRefs(application, req.body);
+    if (catalogError) {
+      return res.status(400).json({
+        success: false,
+        message: catalogError
+      });
+    }
+
+    if (req.body.offerLetters !== undefined) {
+      const offerLetters = await findOfferLetters(application.student, req.body.offerLetters);
+      if (!offerLetters) {
+        return res.status(400).json({
+          success: false,
+          message: "Offer letters must be documents in the student's document vault"
+        });
+      }
+      application.offerLetters = offerLetters;
+    }
+
+    application.set(pickApplicationFields(req.body), undefined, { merge: true });
+
+    const previousStatus = application.status;
+    const statusChanged = req.body.status !== undefined && req.body.status !== previousStatus;
+    if (statusChanged) {
+      application.changeStatus(req.body.status, { changedBy: req.user.id, note: req.body.statusNote });
+    }
+
+    await application.save();
+
+    if (statusChanged) {
+      await recordSystemEvent(application.student, 'application_status_changed', {
+        subject: `${application.university} application moved from '${previousStatus}' to '${application.status}'`,
+        body: req.body.statusNote,
+        author: req.user.id,
+        metadata: { application: application._id, from: previousStatus, to: application.status }
+      });
+    }
+
+    await application.populate(APPLICATION_POPULATE);
+    res.status(200).json({
+      success: true,
+      message: 'Application updated successfully',
+      data: application
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update application');
+  }
+};
+
+// Upload an offer letter or CAS/COE into the student's vault and attach it
+// (nested under /api/student/:id/applications/:applicationId/offer-letters)
+exports.uploadOfferLetter = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const application = await findScopedApplication(req);
+    if (!application || !application.student.equals(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    // One vault document per application, so later uploads become new versions
+    const label = (req.body.label || `${application.university} - ${application.program}`).trim().slice(0, 100);
+    let document = await StudentDocument.findOne({ student: application.student, kind: 'offer_letter', label });
+    const isNewDocument = !document;
+    if (!document) {
+      document = new StudentDocument({ student: application.student, kind: 'offer_letter', label });
+    }
+
+    document.addVersion(req.file, req.user.id);
+    await document.save();
+
+    if (!application.offerLetters.some(id => id.equals(document._id))) {
+      application.offerLetters.push(document._id);
+      await application.save();
+    }
+
+    logger.info(`Offer letter v${document.currentVersion} uploaded for application ${application._id} by ${req.user.email}`);
+    await application.populate(APPLICATION_POPULATE);
+    res.status(isNewDocument ? 201 : 200).json({
+      success: true,
+      message: isNewDocument ? 'Offer letter uploaded successfully' : `Offer letter version ${document.currentVersion} uploaded successfully`,
+      data: application
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to upload offer letter');
+  }
+};
+
+// Delete an application; its offer letters stay in the document vault
+exports.deleteApplication = async (req, res) => {
+  try {
+    const application = await findScopedApplication(req);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    await application.deleteOne();
+
+    logger.info(`Application ${application._id} (${application.university}) deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Application deleted successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete application');
+  }
+};
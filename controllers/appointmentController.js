@@ -0,0 +1,624 @@
+const Appointment = require('../models/appointmentModel');
+const CounselorAvailability = require('../models/CounselorAvailabilityModel');
+const Counselor = require('../models/CounselorsModel');
+const Student = require('../models/studentModel');
+const EmailService = require('../utils/email.util');
+const { buildEvent } = require('../utils/icalendar');
+const { generateSlots, findSlot, removeTakenSlots, MAX_RANGE_DAYS } = require('../utils/appointmentSlots');
+const { loadOfficeLookup } = require('../utils/offices');
+const { parseDate } = require('../utils/studentQuery');
+const { isObjectId, getPagination, paginationMeta } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const DEFAULT_RANGE_DAYS = 14;
+
+// Parse the from/to query into a bounded date range
+const parseRange = (query) => {
+  const now = new Date();
+  const from = query.from ? new Date(query.from) : now;
+  const to = query.to ? new Date(query.to) : new Date(from.getTime() + DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+    return null;
+  }
+
+  return { from: from < now ? now : from, to };
+};
+
+const formatLocalTime = (date) => new Date(date).toLocaleString('en-US', {
+  timeZone: 'Asia/Kathmandu',
+  dateStyle: 'full',
+  timeStyle: 'short'
+});
+
+// Email the student and counselor an .ics invite (or cancellation) for the appointment
+const sendAppointmentEmails = async (appointment, { method = 'REQUEST', headline, manageToken } = {}) => {
+  try {
+    const populated = await Appointment.findById(appointment._id)
+      .populate('student', 'firstName lastName email')
+      .populate('office', 'name address')
+      .populate({ path: 'counselor', select: 'name user', populate: { path: 'user', select: 'email username' } });
+
+    const { student, counselor, office } = populated;
+    const studentName = `${student.firstName} ${student.lastName}`;
+    const counselorEmail = counselor.user?.email;
+    const where = office
+      ? [`${office.name} Office`, office.address?.street, office.address?.city].filter(Boolean).join(', ')
+      : 'Office';
+
+    const ics = buildEvent({
+      uid: `appointment-${appointment._id}@shirijanga`,
+      sequence: appointment.sequence,
+      method,
+      startsAt: appointment.startsAt,
+      endsAt: appointment.endsAt,
+      summary: `Counselling session: ${studentName} with ${counselor.name}`,
+      description: appointment.notes || 'Study abroad counselling session',
+      location: where,
+      organizer: counselorEmail ? { name: counselor.name, email: counselorEmail } : null,
+      attendees: [
+        { name: studentName, email: student.email },
+        ...(counselorEmail ? [{ name: counselor.name, email: counselorEmail }] : [])
+      ]
+    });
+
+    const when = formatLocalTime(appointment.startsAt);
+    const manageLink = manageToken && process.env.FRONTEND_URL
+      ? `<p>Need to change it? <a href="${process.env.FRONTEND_URL}/appointments/manage?token=${manageToken}">Cancel or reschedule your appointment</a>.</p>`
+      : '';
+
+    const attachment = {
+      attachments: [{
+        filename: method === 'CANCEL' ? 'cancellation.ics' : 'appointment.ics',
+        content: ics,
+        contentType: `text/calendar; charset=utf-8; method=${method}`
+      }]
+    };
+
+    const recipients = [
+      { email: student.email, html: `<p>Dear ${studentName},</p><p>${headline}</p><p><strong>When:</strong> ${when}<br><strong>Where:</strong> ${where}<br><strong>Counselor:</strong> ${counselor.name}</p>${manageLink}` },
+      ...(counselorEmail ? [{ email: counselorEmail, html: `<p>${headline}</p><p><strong>Student:</strong> ${studentName}<br><strong>When:</strong> ${when}<br><strong>Where:</strong> ${where}</p>` }] : [])
+    ];
+
+    for (const recipient of recipients) {
+      await EmailService.sendEmail(recipient.email, `Appointment: ${headline}`, recipient.html, 'system', attachment);
+    }
+  } catch (error) {
+    // Email problems must not undo a booking
+    logger.error('Failed to send appointment emails:', error);
+  }
+};
+
+// Move a booked appointment to another free slot of the same counselor
+const rescheduleTo = async (appointment, startsAt) => {
+  const availability = await CounselorAvailability.findOne({ counselor: appointment.counselor });
+  const slot = availability && findSlot(availability, startsAt);
+
+  if (!slot || slot.startsAt <= new Date()) {
+    return { status: 400, message: 'The requested time is not an available slot' };
+  }
+
+  appointment.rescheduleHistory.push({ startsAt: appointment.startsAt, endsAt: appointment.endsAt });
+  appointment.startsAt = slot.startsAt;
+  appointment.endsAt = slot.endsAt;
+  appointment.office = slot.office;
+  appointment.sequence += 1;
+
+  try {
+    await appointment.save();
+  } catch (error) {
+    if (Appointment.isDuplicateSlotError(error)) {
+      return { status: 409, message: 'That slot has just been booked. Please choose another time.' };
+    }
+    throw error;
+  }
+
+  await sendAppointmentEmails(appointment, { headline: 'Your appointment has been rescheduled' });
+  return null;
+};
+
+const cancel = async (appointment, reason) => {
+  appointment.status = 'cancelled';
+  appointment.cancelledAt = new Date();
+  appointment.cancellationReason = reason;
+  appointment.sequence += 1;
+  await appointment.save();
+
+  await sendAppointmentEmails(appointment, { method: 'CANCEL', headline: 'Your appointment has been cancelled' });
+};
+
+const findByManageToken = (token) => Appointment.findOne({
+  manageTokenHash: Appointment.hashManageToken(token),
+  status: 'booked'
+});
+
+// Get free appointment slots (Public)
+exports.getAvailableSlots = async (req, res) => {
+  try {
+    const { counselorId, office } = req.query;
+    const range = parseRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid date range (maximum ${MAX_RANGE_DAYS} days)`
+      });
+    }
+
+    if (!counselorId && !office) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either counselorId or office is required'
+      });
+    }
+
+    if (counselorId && !isObjectId(counselorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid counselorId'
+      });
+    }
+
+    const counselorFilter = { user: { $ne: null }, acceptingStudents: true };
+    if (counselorId) counselorFilter._id = counselorId;
+    const counselors = await Counselor.find(counselorFilter).select('name role image');
+
+    const availabilities = await CounselorAvailability.find({
+      counselor: { $in: counselors.map(counselor => counselor._id) }
+    });
+
+    const booked = await Appointment.find({
+      counselor: { $in: availabilities.map(availability => availability.counselor) },
+      status: 'booked',
+      startsAt: { $gte: range.from, $lte: range.to }
+    }).select('counselor startsAt');
+
+    const data = availabilities.map(availability => {
+      const counselor = counselors.find(c => c._id.equals(availability.counselor));
+      const bookedStarts = booked
+        .filter(appointment => appointment.counselor.equals(availability.counselor))
+        .map(appointment => appointment.startsAt);
+
+      return {
+        counselor,
+        slotMinutes: availability.slotMinutes,
+        slots: removeTakenSlots(generateSlots(availability, { ...range, office }), bookedStarts)
+      };
+    }).filter(entry => entry.slots.length > 0);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error fetching appointment slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch available slots',
+      error: error.message
+    });
+  }
+};
+
+// Book a slot for a student (Public)
+exports.bookAppointment = async (req, res) => {
+  try {
+    const { studentId, email, counselorId, startsAt, notes } = req.body;
+
+    if (!studentId || !email || !counselorId || !startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'studentId, email, counselorId and startsAt are required'
+      });
+    }
+
+    if (!isObjectId(studentId) || !isObjectId(counselorId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid studentId or counselorId'
+      });
+    }
+
+    const student = await Student.findOne({ _id: studentId, email: String(email).toLowerCase().trim() });
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'No consultation found for these details'
+      });
+    }
+
+    const upcoming = await Appointment.exists({
+      student: student._id,
+      status: 'booked',
+      startsAt: { $gt: new Date() }
+    });
+    if (upcoming) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an upcoming appointment. Please reschedule it instead.'
+      });
+    }
+
+    const counselor = await Counselor.findOne({ _id: counselorId, user: { $ne: null }, acceptingStudents: true });
+    const availability = counselor && await CounselorAvailability.findOne({ counselor: counselor._id });
+    const slot = availability && findSlot(availability, startsAt);
+
+    if (!slot || slot.startsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The requested time is not an available slot'
+      });
+    }
+
+    const appointment = new Appointment({
+      student: student._id,
+      counselor: counselor._id,
+      office: slot.office,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      notes
+    });
+    const manageToken = appointment.createManageToken();
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      if (Appointment.isDuplicateSlotError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'That slot has just been booked. Please choose another time.'
+        });
+      }
+      throw error;
+    }
+
+    await sendAppointmentEmails(appointment, { headline: 'Your appointment is confirmed', manageToken });
+
+    logger.info(`Appointment booked for student ${student._id} with counselor ${counselor.name}`);
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      data: {
+        _id: appointment._id,
+        office: appointment.office,
+        startsAt: appointment.startsAt,
+        endsAt: appointment.endsAt,
+        counselor: { _id: counselor._id, name: counselor.name },
+        manageToken
+      }
+    });
+  } catch (error) {
+    logger.error('Error booking appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book appointment',
+      error: error.message
+    });
+  }
+};
+
+// Cancel an appointment with the emailed manage token (Public)
+exports.cancelByToken = async (req, res) => {
+  try {
+    const appointment = await findByManageToken(req.params.token);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found or already cancelled'
+      });
+    }
+
+    await cancel(appointment, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled successfully'
+    });
+  } catch (error) {
+    logger.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointment',
+      error: error.message
+    });
+  }
+};
+
+// Reschedule an appointment with the emailed manage token (Public)
+exports.rescheduleByToken = async (req, res) => {
+  try {
+    const appointment = await findByManageToken(req.params.token);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found or already cancelled'
+      });
+    }
+
+    const failure = await rescheduleTo(appointment, req.body.startsAt);
+    if (failure) {
+      return res.status(failure.status).json({ success: false, message: failure.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: {
+        _id: appointment._id,
+        office: appointment.office,
+        startsAt: appointment.startsAt,
+        endsAt: appointment.endsAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error rescheduling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule appointment',
+      error: error.message
+    });
+  }
+};
+
+// List appointments (Staff; counselors only see their own)
+exports.getAppointments = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+
+    const invalidId = ['counselorId', 'studentId'].find(field => req.query[field] && !isObjectId(req.query[field]));
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId}`
+      });
+    }
+
+    const filter = {};
+    if (req.counselor) filter.counselor = req.counselor._id;
+    else if (req.query.counselorId) filter.counselor = req.query.counselorId;
+    if (req.query.office) filter.office = { $in: req.query.office.split(',') };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.studentId) filter.student = req.query.studentId;
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? parseDate(req.query.from, false) : undefined;
+      const to = req.query.to ? parseDate(req.query.to, true) : undefined;
+      if (from === null || to === null) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${from === null ? 'from' : 'to'} date`
+        });
+      }
+
+      filter.startsAt = {};
+      if (from) filter.startsAt.$gte = from;
+      if (to) filter.startsAt.$lte = to;
+    }
+
+    const total = await Appointment.countDocuments(filter);
+    const appointments = await Appointment.find(filter)
+      .populate('student', 'firstName lastName email mobile office')
+      .populate('counselor', 'name office')
+      .populate('office', 'name')
+      .sort({ startsAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: appointments
+    });
+  } catch (error) {
+    logger.error('Error fetching appointments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch appointments',
+      error: error.message
+    });
+  }
+};
+
+// Get a counselor's published availability
+exports.getAvailability = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.counselorId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+
+    const availability = await CounselorAvailability.findOne({ counselor: req.params.counselorId });
+
+    res.status(200).json({
+      success: true,
+      data: availability || { counselor: req.params.counselorId, slotMinutes: 30, weekly: [], exceptions: [] }
+    });
+  } catch (error) {
+    logger.error('Error fetching availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability',
+      error: error.message
+    });
+  }
+};
+
+// Publish weekly availability and exceptions (Admin/Moderator, or the counselor themself)
+exports.updateAvailability = async (req, res) => {
+  try {
+    const { counselorId } = req.params;
+
+    if (req.counselor && !req.counselor._id.equals(counselorId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Counselors can only update their own availability'
+      });
+    }
+
+    const counselor = isObjectId(counselorId) && await Counselor.findById(counselorId);
+    if (!counselor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counselor not found'
+      });
+    }
+
+    const { slotMinutes, weekly, exceptions } = req.body;
+
+    // Offices may be given by id, name or slug
+    const findOffice = await loadOfficeLookup();
+    const unknownOffice = [...(Array.isArray(weekly) ? weekly : []), ...(Array.isArray(exceptions) ? exceptions : [])]
+      .find(entry => {
+        if (!entry || !entry.office) return false;
+        const office = findOffice(entry.office);
+        if (office) entry.office = office._id;
+        return !office;
+      });
+    if (unknownOffice) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown office "${unknownOffice.office}"`
+      });
+    }
+
+    let availability = await CounselorAvailability.findOne({ counselor: counselorId });
+    if (!availability) {
+      availability = new CounselorAvailability({ counselor: counselorId });
+    }
+
+    if (slotMinutes !== undefined) availability.slotMinutes = slotMinutes;
+    if (weekly !== undefined) availability.weekly = weekly;
+    if (exceptions !== undefined) availability.exceptions = exceptions;
+    availability.updatedBy = req.user.id;
+
+    await availability.save();
+
+    logger.info(`Availability updated for counselor ${counselor.name} by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: availability
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error updating availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability',
+      error: error.message
+    });
+  }
+};
+
+// Cancel an appointment (Staff)
+exports.cancelAppointment = async (req, res) => {
+  try {
+    const filter = { _id: req.params.id, status: 'booked' };
+    if (req.counselor) filter.counselor = req.counselor._id;
+
+    const appointment = isObjectId(req.params.id) && await Appointment.findOne(filter);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found or not active'
+      });
+    }
+
+    await cancel(appointment, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled successfully',
+      data: appointment
+    });
+  } catch (error) {
+    logger.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointment',
+      error: error.message
+    });
+  }
+};
+
+// Reschedule an appointment (Staff)
+exports.rescheduleAppointment = async (req, res) => {
+  try {
+    const filter = { _id: req.params.id, status: 'booked' };
+    if (req.counselor) filter.counselor = req.counselor._id;
+
+    const appointment = isObjectId(req.params.id) && await Appointment.findOne(filter);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found or not active'
+      });
+    }
+
+    const failure = await rescheduleTo(appointment, req.body.startsAt);
+    if (failure) {
+      return res.status(failure.status).json({ success: false, message: failure.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: appointment
+    });
+  } catch (error) {
+    logger.error('Error rescheduling appointment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule appointment',
+      error: error.message
+    });
+  }
+};
+
+// Mark an appointment as completed or no-show (Staff)
+exports.updateAppointmentStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!['completed', 'no_show'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be either completed or no_show'
+      });
+    }
+
+    const filter = { _id: req.params.id, status: 'booked' };
+    if (req.counselor) filter.counselor = req.counselor._id;
+
+    const appointment = isObjectId(req.params.id) && await Appointment.findOneAndUpdate(filter, { status }, { new: true });
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found or not active'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Appointment marked as ${status}`,
+      data: appointment
+    });
+  } catch (error) {
+    logger.error('Error updating appointment status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update appointment status',
+      error: error.message
+    });
+  }
+};
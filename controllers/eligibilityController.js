@@ -0,0 +1,252 @@
+const Country = require('../models/CountryModel');
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const Student = require('../models/studentModel');
+const ExchangeRate = require('../models/ExchangeRateModel');
+const { findCountry } = require('../utils/countries');
+const { containsPattern } = require('../utils/catalog');
+const { validateAcademicFields } = require('../utils/studentValidation');
+const {
+  countryRulesFor,
+  evaluateCountryRules,
+  evaluateProgram,
+  summarize,
+  compareResults
+} = require('../utils/eligibility');
+const { isObjectId, toList, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const PROGRAMS_PER_COUNTRY = 5;
+const MAX_PROGRAMS = 100;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * Turn the request body into a profile to evaluate. Academic results and test scores
+ * take the same shape as on a student; with `student` they default to the stored record.
+ * Returns { profile, levels, countryIds } or { error, status }.
+ */
+const buildProfile = async (body, scope, rates) => {
+  const input = { ...body };
+
+  if (input.student) {
+    if (!isObjectId(input.student)) return { error: 'Invalid student id' };
+    const student = await Student.findOne({ _id: input.student, ...scope }).select('academics englishTests');
+    if (!student) return { error: 'Student not found', status: 404 };
+    if (input.academics === undefined) input.academics = student.toObject().academics;
+    if (input.englishTests === undefined) input.englishTests = student.toObject().englishTests;
+  }
+
+  const errors = validateAcademicFields(input);
+  if (errors.length > 0) return { error: errors[0], errors };
+
+  const profile = {
+    academics: (input.academics || []).map(record => ({
+      ...record,
+      gpa: toNumber(record.gpa),
+      percentage: toNumber(record.percentage),
+      passingYear: toNumber(record.passingYear)
+    })),
+    englishTests: (input.englishTests || []).map(test => ({
+      ...test,
+      ...Object.fromEntries(['overall', 'listening', 'reading', 'writing', 'speaking'].map(score => [score, toNumber(test[score])]))
+    }))
+  };
+
+  // A plain number is a yearly budget in the base currency
+  if (input.budget !== undefined && input.budget !== null && input.budget !== '') {
+    const budget = typeof input.budget === 'object'
+      ? { amount: Number(input.budget.amount), currency: String(input.budget.currency || ExchangeRate.BASE_CURRENCY).toUpperCase() }
+      : { amount: Number(input.budget), currency: ExchangeRate.BASE_CURRENCY };
+    if (!(budget.amount > 0)) return { error: 'Budget amount must be a positive number' };
+    if (!rates[budget.currency]) return { error: `No exchange rate for ${budget.currency}; give the budget in ${ExchangeRate.BASE_CURRENCY} or a currency with a rate` };
+    profile.budget = budget;
+  }
+
+  if (input.field) {
+    if (String(input.field).length > 100) return { error: 'Field cannot exceed 100 characters' };
+    profile.field = String(input.field).trim();
+    profile.fieldPattern = containsPattern(profile.field);
+  }
+
+  let levels = null;
+  if (input.level) {
+    levels = toList(input.level);
+    const invalid = levels.filter(level => !Program.PROGRAM_LEVELS.includes(level));
+    if (invalid.length > 0) {
+      return { error: `Invalid level: ${invalid.join(', ')}. Allowed levels: ${Program.PROGRAM_LEVELS.join(', ')}` };
+    }
+  }
+
+  let countryIds = null;
+  if (input.countries) {
+    countryIds = [];
+    for (const value of toList(input.countries)) {
+      const country = await findCountry(value);
+      if (!country) return { error: `Unknown country "${value}"` };
+      countryIds.push(country._id);
+    }
+  }
+
+  return { profile, levels, countryIds };
+};
+
+// Ranked destinations and programs for a student profile, with the reasons each matched or failed
+exports.checkEligibility = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.getRateTable();
+    const { profile, levels, countryIds, error, errors, status } = await buildProfile(req.body, req.studentScope, rates);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error,
+        ...(errors && { errors })
+      });
+    }
+
+    const countries = await Country.find({ isActive: true, ...(countryIds && { _id: { $in: countryIds } }) })
+      .select('name slug eligibilityRules livingCost')
+      .lean();
+    const inactiveUniversities = await University.find({ isActive: false }).distinct('_id');
+
+    const programs = await Program.find({
+      isActive: true,
+      country: { $in: countries.map(country => country._id) },
+      university: { $nin: inactiveUniversities },
+      ...(levels && { level: { $in: levels } })
+    })
+      .select('name level field durationMonths tuition intakeMonths entryRequirements university country')
+      .populate('university', 'name slug city')
+      .lean();
+
+    const options = { rates, baseCurrency: ExchangeRate.BASE_CURRENCY };
+    const countryById = new Map(countries.map(country => [String(country._id), country]));
+
+    const programResults = programs
+      .map(program => ({
+        program: {
+          _id: program._id,
+          name: program.name,
+          level: program.level,
+          field: program.field,
+          durationMonths: program.durationMonths,
+          tuition: program.tuition,
+          intakeMonths: program.intakeMonths,
+          university: program.university,
+          country: program.country
+        },
+        ...evaluateProgram(program, countryById.get(String(program.country)), profile, options)
+      }))
+      .sort(compareResults);
+
+    const countryResults = countries
+      .map(country => {
+        const results = programResults.filter(result => String(result.program.country) === String(country._id));
+        // Rules that apply whatever the program: the ones without a level, or for the requested levels
+        const rules = levels
+          ? [...new Set(levels.flatMap(level => countryRulesFor(country, level)))]
+          : countryRulesFor(country, null);
+        const checks = evaluateCountryRules(rules, profile);
+        const summary = summarize(checks);
+        const eligiblePrograms = results.filter(result => result.eligible);
+        const costs = eligiblePrograms.map(result => result.yearlyCost?.amount).filter(amount => amount !== undefined);
+
+        return {
+          country: { _id: country._id, name: country.name, slug: country.slug },
+          ...summary,
+          // A country is only recommended through its programs once it has some in the catalog
+          eligible: summary.eligible && (results.length === 0 || eligiblePrograms.length > 0),
+          programCount: results.length,
+          eligiblePrograms: eligiblePrograms.length,
+          fieldMatches: eligiblePrograms.filter(result => result.fieldMatch === true).length,
+          lowestYearlyCost: costs.length > 0 ? { amount: Math.min(...costs), currency: options.baseCurrency } : null,
+          checks,
+          programs: results.slice(0, PROGRAMS_PER_COUNTRY)
+        };
+      })
+      .sort((a, b) =>
+        (b.eligible - a.eligible)
+        || (b.fieldMatches - a.fieldMatches)
+        || (b.eligiblePrograms - a.eligiblePrograms)
+        || (a.failed - b.failed)
+        || ((a.lowestYearlyCost?.amount ?? Infinity) - (b.lowestYearlyCost?.amount ?? Infinity))
+        || a.country.name.localeCompare(b.country.name)
+      );
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PROGRAMS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        profile: {
+          academics: profile.academics,
+          englishTests: profile.englishTests,
+          budget: profile.budget || null,
+          field: profile.field || null,
+          levels
+        },
+        countries: countryResults,
+        programs: programResults.slice(0, limit),
+        totalPrograms: programResults.length,
+        eligiblePrograms: programResults.filter(result => result.eligible).length
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to check eligibility');
+  }
+};
+
+// Exchange rates used to compare tuition and living costs with a budget
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 }).populate('updatedBy', 'username');
+
+    res.status(200).json({
+      success: true,
+      baseCurrency: ExchangeRate.BASE_CURRENCY,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch exchange rates');
+  }
+};
+
+// Create or update the rate of one currency
+exports.setExchangeRate = async (req, res) => {
+  try {
+    const currency = String(req.params.currency).toUpperCase();
+    const rate = await ExchangeRate.findOne({ currency }) || new ExchangeRate({ currency });
+    rate.rate = req.body.rate;
+    rate.updatedBy = req.user.id;
+    await rate.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Exchange rate for ${currency} saved`,
+      data: rate
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save exchange rate');
+  }
+};
+
+exports.deleteExchangeRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ currency: String(req.params.currency).toUpperCase() });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Exchange rate for ${rate.currency} deleted`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete exchange rate');
+  }
+};
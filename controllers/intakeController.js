@@ -0,0 +1,276 @@
+const Intake = require('../models/IntakeModel');
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const { findCountry } = require('../utils/countries');
+const { findUniversity } = require('../utils/catalog');
+const { isObjectId, getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { findAffectedApplications } = require('../utils/intakes');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = ['startsAt', 'applicationDeadline', 'notes', 'isActive'];
+const DEFAULT_UPCOMING_MONTHS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTAKE_POPULATE = [
+  { path: 'university', select: 'name slug city isActive' },
+  { path: 'program', select: 'name level field isActive' },
+  { path: 'country', select: 'name slug' }
+];
+
+const pickIntakeFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendIntakeError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, 'This intake is already in the calendar');
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Resolve the university and optional program of an intake from the body.
+ * The university can be left out when a program is given.
+ * Returns { university, program } or { error }.
+ */
+const resolveCourse = async ({ university: universityValue, program: programValue }) => {
+  let program = null;
+  if (programValue) {
+    program = isObjectId(programValue) && await Program.findById(programValue).select('university name');
+    if (!program) return { error: `Unknown program "${programValue}"` };
+  }
+
+  const university = universityValue
+    ? await findUniversity(universityValue)
+    : program && await University.findById(program.university);
+  if (!university) {
+    return { error: universityValue ? `Unknown university "${universityValue}"` : 'University is required' };
+  }
+  if (program && !program.university.equals(university._id)) {
+    return { error: `Program "${program.name}" is not offered by ${university.name}` };
+  }
+
+  return { university, program };
+};
+
+// Filters shared by the calendar and the public list; returns { filter } or { error }
+const buildIntakeFilter = async (query) => {
+  const filter = {};
+
+  if (query.country) {
+    const country = await findCountry(query.country);
+    if (!country) return { error: `Unknown country "${query.country}"` };
+    filter.country = country._id;
+  }
+  if (query.university) {
+    const university = await findUniversity(query.university);
+    if (!university) return { error: `Unknown university "${query.university}"` };
+    filter.university = university._id;
+  }
+  // Intakes of the program plus the university-wide intakes that cover it
+  if (query.program) {
+    const program = isObjectId(query.program) && await Program.findById(query.program).select('university');
+    if (!program) return { error: `Unknown program "${query.program}"` };
+    filter.university = program.university;
+    filter.program = { $in: [program._id, null] };
+  }
+
+  return { filter };
+};
+
+// Upcoming intakes for the website (?country=&university=&program=&months=12)
+exports.getUpcomingIntakes = async (req, res) => {
+  try {
+    const { filter, error } = await buildIntakeFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const months = Math.min(Math.max(parseInt(req.query.months) || DEFAULT_UPCOMING_MONTHS, 1), 36);
+    const now = new Date();
+    const until = new Date(now);
+    until.setUTCMonth(until.getUTCMonth() + months);
+
+    const [inactiveUniversities, inactivePrograms] = await Promise.all([
+      University.find({ isActive: false }).distinct('_id'),
+      Program.find({ isActive: false }).distinct('_id')
+    ]);
+
+    const intakes = await Intake.find({
+      ...filter,
+      isActive: true,
+      startsAt: { $gte: now, $lte: until },
+      $and: [
+        { university: { $nin: inactiveUniversities } },
+        { program: { $nin: inactivePrograms } }
+      ]
+    })
+      .sort({ startsAt: 1, applicationDeadline: 1 })
+      .populate(INTAKE_POPULATE)
+      .select('-notes');
+
+    res.status(200).json({
+      success: true,
+      count: intakes.length,
+      data: intakes.map(intake => ({
+        ...intake.toJSON(),
+        applicationsOpen: intake.applicationDeadline >= now,
+        daysToDeadline: Math.max(Math.ceil((intake.applicationDeadline - now) / DAY_MS), 0)
+      }))
+    });
+  } catch (error) {
+    sendIntakeError(res, error, 'Failed to fetch upcoming intakes');
+  }
+};
+
+// Deadline calendar for staff with the number of draft applications each deadline affects
+// (?from=&to= on the deadline, defaults to the next 90 days; ?country=&university=&program=&page=&limit=)
+exports.getIntakeCalendar = async (req, res) => {
+  try {
+    const { filter, error } = await buildIntakeFilter(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const from = req.query.from ? parseDate(req.query.from) : new Date();
+    const to = req.query.to ? parseDate(req.query.to) : new Date(Date.now() + 90 * DAY_MS);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+    filter.applicationDeadline = { $gte: from, $lte: to };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, intakes] = await Promise.all([
+      Intake.countDocuments(filter),
+      Intake.find(filter)
+        .sort({ applicationDeadline: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(INTAKE_POPULATE)
+    ]);
+
+    const data = await Promise.all(intakes.map(async intake => ({
+      ...intake.toJSON(),
+      draftApplications: (await findAffectedApplications(intake)).length
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data
+    });
+  } catch (error) {
+    sendIntakeError(res, error, 'Failed to fetch intake calendar');
+  }
+};
+
+// Add an intake for a university, or for one of its programs
+exports.createIntake = async (req, res) => {
+  try {
+    const { university, program, error } = await resolveCourse(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const intake = await Intake.create({
+      ...pickIntakeFields(req.body),
+      university: university._id,
+      program: program ? program._id : null,
+      country: university.country
+    });
+    await intake.populate(INTAKE_POPULATE);
+
+    logger.info(`Intake ${intake.term} for ${university.name} created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      message: 'Intake created successfully',
+      data: intake
+    });
+  } catch (error) {
+    sendIntakeError(res, error, 'Failed to create intake');
+  }
+};
+
+// Partial update; a new deadline re-arms the 30/14/3 day alerts
+exports.updateIntake = async (req, res) => {
+  try {
+    const intake = isObjectId(req.params.id) && await Intake.findById(req.params.id).select('+alertsSent');
+
+    if (!intake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found'
+      });
+    }
+
+    if (req.body.university !== undefined || req.body.program !== undefined) {
+      const { university, program, error } = await resolveCourse({
+        university: req.body.university !== undefined ? req.body.university : (req.body.program ? undefined : intake.university),
+        program: req.body.program !== undefined ? req.body.program : intake.program
+      });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      intake.university = university._id;
+      intake.program = program ? program._id : null;
+      intake.country = university.country;
+    }
+
+    intake.set(pickIntakeFields(req.body));
+    await intake.save();
+    await intake.populate(INTAKE_POPULATE);
+
+    logger.info(`Intake ${intake._id} updated by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Intake updated successfully',
+      data: intake
+    });
+  } catch (error) {
+    sendIntakeError(res, error, 'Failed to update intake');
+  }
+};
+
+exports.deleteIntake = async (req, res) => {
+  try {
+    const intake = isObjectId(req.params.id) && await Intake.findById(req.params.id);
+
+    if (!intake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Intake not found'
+      });
+    }
+
+    await intake.deleteOne();
+
+    logger.info(`Intake ${intake._id} deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Intake deleted successfully'
+    });
+  } catch (error) {
+    sendIntakeError(res, error, 'Failed to delete intake');
+  }
+};
@@ -1,18 +1,28 @@
 const Notification = require('../models/notificationModel');
 
+// Notifications addressed to the user; admins and moderators also see the general ones
+const visibleTo = (user) => ['admin', 'moderator'].includes(user.role)
+  ? { $or: [{ recipient: null }, { recipient: user.id }] }
+  : { recipient: user.id };
+
 // Get all notifications
 exports.getNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find()
+    const notifications = await Notification.find(visibleTo(req.user))
       .populate('studentId', 'firstName lastName email office')
+      .populate('task', 'title dueAt priority status')
+      .populate({ path: 'intake', select: 'startsAt applicationDeadline university', populate: { path: 'university', select: 'name slug' } })
       .sort({ createdAt: -1 });
 
     // Add time ago to each notification
     const notificationsWithTime = notifications.map(notification => ({
       _id: notification._id,
       message: notification.message,
+      type: notification.type,
       isRead: notification.isRead,
       student: notification.studentId,
+      task: notification.task,
+      intake: notification.intake,
       createdAt: notification.createdAt,
       timeAgo: getTimeAgo(notification.createdAt)
     }));
@@ -33,8 +43,8 @@ exports.getNotifications = async (req, res) => {
 // Mark notification as read
 exports.markAsRead = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, ...visibleTo(req.user) },
       { isRead: true },
       { new: true }
     );
@@ -63,7 +73,7 @@ exports.markAsRead = async (req, res) => {
 exports.markAllAsRead = async (req, res) => {
   try {
     await Notification.updateMany(
-      { isRead: false },
+      { isRead: false, ...visibleTo(req.user) },
       { isRead: true }
     );
 
@@ -83,7 +93,7 @@ exports.markAllAsRead = async (req, res) => {
 // Get unread count
 exports.getUnreadCount = async (req, res) => {
   try {
-    const count = await Notification.countDocuments({ isRead: false });
+    const count = await Notification.countDocuments({ isRead: false, ...visibleTo(req.user) });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,190 @@
+const Office = require('../models/OfficeModel');
+const Student = require('../models/studentModel');
+const Counselor = require('../models/CounselorsModel');
+const User = require('../models/userModels');
+const Appointment = require('../models/appointmentModel');
+const Task = require('../models/TaskModel');
+const CounselorAvailability = require('../models/CounselorAvailabilityModel');
+const ReportTemplate = require('../models/ReportTemplateModel');
+const Application = require('../models/ApplicationModel');
+const VisaCase = require('../models/VisaCaseModel');
+const { isObjectId, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = ['name', 'address', 'phone', 'email', 'openingHours', 'location', 'isActive', 'sortOrder'];
+
+const pickOfficeFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// An office by id or slug
+const findOffice = (param) => (isObjectId(param)
+  ? Office.findById(param)
+  : Office.findOne({ slug: String(param).toLowerCase() }));
+
+const sendOfficeError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, 'An office with this name already exists');
+
+// Number of records of each kind that point at the given offices, keyed by office id
+const countReferences = async (officeIds) => {
+  const countBy = async (Model, field = 'office') => {
+    const groups = await Model.aggregate([
+      { $match: { [field]: { $in: officeIds } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+    return new Map(groups.map(group => [String(group._id), group.count]));
+  };
+
+  const [students, counselors, staff] = await Promise.all([
+    countBy(Student),
+    countBy(Counselor),
+    countBy(User)
+  ]);
+
+  return (officeId) => ({
+    students: students.get(String(officeId)) || 0,
+    counselors: counselors.get(String(officeId)) || 0,
+    staff: staff.get(String(officeId)) || 0
+  });
+};
+
+// Active offices for the website (Public)
+exports.getOffices = async (req, res) => {
+  try {
+    const offices = await Office.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .select('-__v -createdAt -updatedAt');
+
+    res.status(200).json({
+      success: true,
+      count: offices.length,
+      data: offices
+    });
+  } catch (error) {
+    sendOfficeError(res, error, 'Failed to fetch offices');
+  }
+};
+
+// Every office, inactive ones included, with how many students, counselors and staff it has (Admin/Moderator)
+exports.getAllOffices = async (req, res) => {
+  try {
+    const offices = await Office.find().sort({ isActive: -1, sortOrder: 1, name: 1 });
+    const countsFor = await countReferences(offices.map(office => office._id));
+
+    res.status(200).json({
+      success: true,
+      count: offices.length,
+      data: offices.map(office => ({ ...office.toObject(), counts: countsFor(office._id) }))
+    });
+  } catch (error) {
+    sendOfficeError(res, error, 'Failed to fetch offices');
+  }
+};
+
+// One active office by id or slug (Public)
+exports.getOffice = async (req, res) => {
+  try {
+    const office = await findOffice(req.params.id);
+
+    if (!office || !office.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Office not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: office
+    });
+  } catch (error) {
+    sendOfficeError(res, error, 'Failed to fetch office');
+  }
+};
+
+exports.createOffice = async (req, res) => {
+  try {
+    const office = await Office.create(pickOfficeFields(req.body));
+
+    logger.info(`Office "${office.name}" created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      message: 'Office created successfully',
+      data: office
+    });
+  } catch (error) {
+    sendOfficeError(res, error, 'Failed to create office');
+  }
+};
+
+// Partial update; address is merged, openingHours and location are replaced
+exports.updateOffice = async (req, res) => {
+  try {
+    const office = await findOffice(req.params.id);
+
+    if (!office) {
+      return res.status(404).json({
+        success: false,
+        message: 'Office not found'
+      });
+    }
+
+    office.set(pickOfficeFields(req.body), undefined, { merge: true });
+    await office.save();
+
+    logger.info(`Office "${office.name}" updated by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Office updated successfully',
+      data: office
+    });
+  } catch (error) {
+    sendOfficeError(res, error, 'Failed to update office');
+  }
+};
+
+// Only offices nothing refers to can be deleted; deactivate the others instead
+exports.deleteOffice = async (req, res) => {
+  try {
+    const office = await findOffice(req.params.id);
+
+    if (!office) {
+      return res.status(404).json({
+        success: false,
+        message: 'Office not found'
+      });
+    }
+
+    const [students, counselors, staff, appointments, tasks, applications, visaCases, availability, templates] = await Promise.all([
+      Student.countDocuments({ office: office._id }),
+      Counselor.countDocuments({ office: office._id }),
+      User.countDocuments({ office: office._id }),
+      Appointment.countDocuments({ office: office._id }),
+      Task.countDocuments({ office: office._id }),
+      Application.countDocuments({ office: office._id }),
+      VisaCase.countDocuments({ office: office._id }),
+      CounselorAvailability.countDocuments({ $or: [{ 'weekly.office': office._id }, { 'exceptions.office': office._id }] }),
+      ReportTemplate.countDocuments({ office: office._id })
+    ]);
+    const references = { students, counselors, staff, appointments, tasks, applications, visaCases, availability, templates };
+
+    if (Object.values(references).some(count => count > 0)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Office is still in use; deactivate it instead',
+        references
+      });
+    }
+
+    await office.deleteOne();
+
+    logger.info(`Office "${office.name}" deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Office deleted successfully'
+    });
+  } catch (error) {
+    sendOfficeError(res, error, 'Failed to delete office');
+  }
+};
@@ -0,0 +1,210 @@
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const Appointment = require('../models/appointmentModel');
+const Notification = require('../models/notificationModel');
+const { buildChecklist } = require('../utils/documentChecklist');
+const {
+  sendPortalLink,
+  signPortalSession,
+  serializeStudent,
+  serializeAppointment,
+  serializeDocument,
+  serializeChecklist
+} = require('../utils/studentPortal');
+const { logger } = require('../utils/logger.util');
+
+// Email a sign-in link. The response is the same whether or not the email is known.
+exports.requestLink = async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    // The newest record wins if the same email was submitted more than once
+    const student = await Student.findOne({ email }).sort({ createdAt: -1 });
+    if (student) {
+      await sendPortalLink(student);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If this email is registered with us, a sign-in link has been sent'
+    });
+  } catch (error) {
+    logger.error('Error sending portal link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in link',
+      error: error.message
+    });
+  }
+};
+
+// Exchange a one-time link token for a portal session token
+exports.createSession = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+
+    // Clearing the hash in the same update makes the link single-use
+    const student = await Student.findOneAndUpdate(
+      {
+        portalTokenHash: Student.hashPortalToken(token),
+        portalTokenExpiresAt: { $gt: new Date() }
+      },
+      { $unset: { portalTokenHash: '', portalTokenExpiresAt: '' } },
+      { new: true }
+    );
+
+    if (!student) {
+      return res.status(401).json({
+        success: false,
+        message: 'This link is invalid or has expired, please request a new one'
+      });
+    }
+
+    logger.info(`Student ${student._id} signed in to the portal`);
+    res.status(200).json({
+      success: true,
+      data: {
+        token: signPortalSession(student),
+        student: { firstName: student.firstName, lastName: student.lastName }
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating portal session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in',
+      error: error.message
+    });
+  }
+};
+
+// The signed-in student's own record and pipeline status
+exports.getMyProfile = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: serializeStudent(req.student)
+  });
+};
+
+// Upcoming appointments of the signed-in student
+exports.getMyAppointments = async (req, res) => {
+  try {
+    const appointments = await Appointment.find({
+      student: req.student._id,
+      status: 'booked',
+      startsAt: { $gte: new Date() }
+    })
+      .populate('counselor', 'name')
+      .populate('office', 'name address phone email openingHours')
+      .sort({ startsAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments.map(serializeAppointment)
+    });
+  } catch (error) {
+    logger.error('Error fetching portal appointments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch appointments',
+      error: error.message
+    });
+  }
+};
+
+// Uploaded documents and the checklist of what is still outstanding
+exports.getMyDocuments = async (req, res) => {
+  try {
+    const documents = await StudentDocument.find({ student: req.student._id }).sort({ kind: 1, label: 1 });
+    const checklist = await buildChecklist(req.student, documents);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        documents: documents.map(serializeDocument),
+        checklist: serializeChecklist(checklist)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching portal documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch documents',
+      error: error.message
+    });
+  }
+};
+
+// Upload a missing or rejected document
+exports.uploadMyDocument = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const kind = req.body.kind;
+    const label = (req.body.label || '').trim();
+
+    if (!StudentDocument.DOCUMENT_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid document kind. Allowed kinds: ${StudentDocument.DOCUMENT_KINDS.join(', ')}`
+      });
+    }
+
+    let document = await StudentDocument.findOne({ student: req.student._id, kind, label });
+
+    // A verified document can only be replaced by staff
+    if (document && document.status === 'verified') {
+      return res.status(409).json({
+        success: false,
+        message: 'This document has already been verified. Please contact your counselor to replace it.'
+      });
+    }
+
+    const isNewDocument = !document;
+    if (!document) {
+      document = new StudentDocument({ student: req.student._id, kind, label });
+    }
+
+    document.addVersion(req.file, null, 'student');
+    await document.save();
+
+    await Notification.create({
+      message: `${req.student.firstName} ${req.student.lastName} uploaded a document (${kind}) through the student portal`,
+      studentId: req.student._id
+    });
+
+    logger.info(`Document ${kind} v${document.currentVersion} uploaded by student ${req.student._id} through the portal`);
+    res.status(isNewDocument ? 201 : 200).json({
+      success: true,
+      message: 'Document uploaded successfully and is awaiting review',
+      data: serializeDocument(document)
+    });
+  } catch (error) {
+    logger.error('Error uploading portal document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document',
+      error: error.message
+    });
+  }
+};
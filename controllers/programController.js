@@ -0,0 +1,255 @@
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const Intake = require('../models/IntakeModel');
+const { findCountry } = require('../utils/countries');
+const { findUniversity, containsPattern } = require('../utils/catalog');
+const { isObjectId, toList, getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = ['name', 'level', 'field', 'durationMonths', 'tuition', 'intakeMonths', 'entryRequirements', 'isActive'];
+
+const PROGRAM_POPULATE = [
+  { path: 'university', select: 'name slug city ranking isPartner' },
+  { path: 'country', select: 'name slug' }
+];
+
+const pickProgramFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendProgramError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, 'This university already has a program with this name and level');
+
+/**
+ * Translate search parameters into a program filter.
+ * Supported: country, university (id or slug), level (comma separated), field,
+ * search (name or field), intakeMonth, maxTuition with currency.
+ * Returns { filter } or { error } with a message for a 400 response.
+ */
+const buildProgramFilter = async (query, includeInactive) => {
+  const filter = includeInactive ? {} : { isActive: true };
+
+  if (query.country) {
+    const country = await findCountry(query.country);
+    if (!country) return { error: `Unknown country "${query.country}"` };
+    filter.country = country._id;
+  }
+
+  if (query.university) {
+    const university = await findUniversity(query.university);
+    if (!university) return { error: `Unknown university "${query.university}"` };
+    filter.university = university._id;
+  }
+
+  // Programs of inactive universities are hidden from the public along with the university
+  if (!includeInactive) {
+    const inactive = await University.find({ isActive: false }).distinct('_id');
+    if (inactive.length > 0) {
+      filter.university = { ...(filter.university && { $eq: filter.university }), $nin: inactive };
+    }
+  }
+
+  if (query.level) {
+    const levels = toList(query.level);
+    const invalid = levels.filter(level => !Program.PROGRAM_LEVELS.includes(level));
+    if (invalid.length > 0) {
+      return { error: `Invalid level: ${invalid.join(', ')}. Allowed levels: ${Program.PROGRAM_LEVELS.join(', ')}` };
+    }
+    filter.level = { $in: levels };
+  }
+
+  if (query.field) filter.field = containsPattern(query.field);
+
+  if (query.search) {
+    const pattern = containsPattern(query.search);
+    filter.$or = [{ name: pattern }, { field: pattern }];
+  }
+
+  if (query.intakeMonth) {
+    const month = Number(query.intakeMonth);
+    if (!Number.isInteger(month) || month < 1 || month > 12) return { error: 'intakeMonth must be between 1 and 12' };
+    filter.intakeMonths = month;
+  }
+
+  // Tuition amounts are only comparable in the same currency
+  if (query.maxTuition) {
+    const maxTuition = Number(query.maxTuition);
+    if (Number.isNaN(maxTuition)) return { error: 'maxTuition must be a number' };
+    if (!query.currency) return { error: 'currency is required with maxTuition' };
+    filter['tuition.amount'] = { $lte: maxTuition };
+    filter['tuition.currency'] = String(query.currency).toUpperCase();
+  }
+
+  return { filter };
+};
+
+const listPrograms = (includeInactive) => async (req, res) => {
+  try {
+    const { filter, error } = await buildProgramFilter(req.query, includeInactive);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, programs] = await Promise.all([
+      Program.countDocuments(filter),
+      Program.find(filter)
+        .sort({ name: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(PROGRAM_POPULATE)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: programs.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: programs
+    });
+  } catch (error) {
+    sendProgramError(res, error, 'Failed to fetch programs');
+  }
+};
+
+// Search active programs (Public)
+exports.searchPrograms = listPrograms(false);
+
+// Search every program, inactive ones included (Admin/Moderator)
+exports.getAllPrograms = listPrograms(true);
+
+// One active program (Public)
+exports.getProgram = async (req, res) => {
+  try {
+    const program = isObjectId(req.params.id) && await Program.findById(req.params.id).populate(PROGRAM_POPULATE);
+
+    if (!program || !program.isActive || !program.university) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    const university = await University.findById(program.university._id).select('isActive');
+    if (!university?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: program
+    });
+  } catch (error) {
+    sendProgramError(res, error, 'Failed to fetch program');
+  }
+};
+
+// Add a program to a university (university by id or slug)
+exports.createProgram = async (req, res) => {
+  try {
+    const university = await findUniversity(req.body.university);
+    if (!university) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.university ? `Unknown university "${req.body.university}"` : 'University is required'
+      });
+    }
+
+    const program = await Program.create({
+      ...pickProgramFields(req.body),
+      university: university._id,
+      country: university.country
+    });
+    await program.populate(PROGRAM_POPULATE);
+
+    logger.info(`Program "${program.name}" added to ${university.name} by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      message: 'Program created successfully',
+      data: program
+    });
+  } catch (error) {
+    sendProgramError(res, error, 'Failed to create program');
+  }
+};
+
+// Partial update; tuition and entryRequirements are merged, intakeMonths and englishTests are replaced
+exports.updateProgram = async (req, res) => {
+  try {
+    const program = isObjectId(req.params.id) && await Program.findById(req.params.id);
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    if (req.body.university !== undefined) {
+      const university = await findUniversity(req.body.university);
+      if (!university) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown university "${req.body.university}"`
+        });
+      }
+      if (!university._id.equals(program.university)) {
+        const intakes = await Intake.countDocuments({ program: program._id });
+        if (intakes > 0) {
+          return res.status(409).json({
+            success: false,
+            message: `Program has ${intakes} intake(s) at its current university; delete them before moving it`
+          });
+        }
+      }
+      program.university = university._id;
+      program.country = university.country;
+    }
+
+    program.set(pickProgramFields(req.body), undefined, { merge: true });
+    await program.save();
+    await program.populate(PROGRAM_POPULATE);
+
+    logger.info(`Program "${program.name}" updated by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Program updated successfully',
+      data: program
+    });
+  } catch (error) {
+    sendProgramError(res, error, 'Failed to update program');
+  }
+};
+
+// Deleting a program removes its intakes from the calendar
+exports.deleteProgram = async (req, res) => {
+  try {
+    const program = isObjectId(req.params.id) && await Program.findById(req.params.id);
+
+    if (!program) {
+      return res.status(404).json({
+        success: false,
+        message: 'Program not found'
+      });
+    }
+
+    await Intake.deleteMany({ program: program._id });
+    await program.deleteOne();
+
+    logger.info(`Program "${program.name}" deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Program deleted successfully'
+    });
+  } catch (error) {
+    sendProgramError(res, error, 'Failed to delete program');
+  }
+};
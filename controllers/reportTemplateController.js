@@ -0,0 +1,277 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const ReportTemplate = require('../models/ReportTemplateModel');
+const Student = require('../models/studentModel');
+const Office = require('../models/OfficeModel');
+const {
+  createReportDocument,
+  drawStudentReport,
+  sampleStudent
+} = require('../utils/studentReport');
+const { sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+// Fields staff may set; logo is managed through its own upload endpoint
+const EDITABLE_FIELDS = ['name', 'office', 'isActive', 'header', 'colors', 'footer', 'sections'];
+
+const pickTemplateFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const removeLogoFile = (logo) => {
+  if (!logo) return;
+  fs.unlink(path.join(__dirname, '..', logo), (err) => {
+    if (err) logger.error('Failed to delete report logo:', err);
+  });
+};
+
+const sendTemplateError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, 'An active template already exists for this office');
+
+const findTemplate = (id) => mongoose.isValidObjectId(id) ? ReportTemplate.findById(id) : null;
+
+// Office shown on sample reports: the template's own, else the first active office
+const previewOffice = (office) => (office
+  ? Office.findById(office)
+  : Office.findOne({ isActive: true }).sort({ sortOrder: 1, name: 1 }));
+
+// Stream a report for the given student and template inline
+const sendPreview = (res, student, template) => {
+  const doc = createReportDocument();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'inline; filename=Report_Template_Preview.pdf');
+  doc.on('error', (err) => {
+    logger.error('Template preview PDF error:', err);
+    res.destroy(err);
+  });
+  doc.pipe(res);
+  drawStudentReport(doc, student, template);
+  doc.end();
+};
+
+const getReportTemplates = async (req, res) => {
+  try {
+    const templates = await ReportTemplate.find()
+      .sort({ office: 1, isActive: -1, name: 1 })
+      .populate('office', 'name')
+      .populate('updatedBy', 'username email');
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+      sections: ReportTemplate.REPORT_SECTIONS
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to fetch report templates');
+  }
+};
+
+const getReportTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to fetch report template');
+  }
+};
+
+const createReportTemplate = async (req, res) => {
+  try {
+    const template = await ReportTemplate.create({
+      ...pickTemplateFields(req.body),
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    logger.info(`Report template "${template.name}" created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      message: 'Report template created successfully',
+      data: template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to create report template');
+  }
+};
+
+const updateReportTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    // Nested settings are merged, so e.g. { colors: { primary } } keeps the other colours
+    template.set(pickTemplateFields(req.body), undefined, { merge: true });
+    template.updatedBy = req.user.id;
+    await template.save();
+
+    logger.info(`Report template "${template.name}" updated by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Report template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to update report template');
+  }
+};
+
+const deleteReportTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    await template.deleteOne();
+    removeLogoFile(template.logo);
+
+    logger.info(`Report template "${template.name}" deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Report template deleted successfully'
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to delete report template');
+  }
+};
+
+const uploadTemplateLogo = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Logo image is required'
+      });
+    }
+
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    const previousLogo = template.logo;
+    template.logo = `/uploads/report-logos/${req.file.filename}`;
+    template.updatedBy = req.user.id;
+    await template.save();
+    removeLogoFile(previousLogo);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to upload logo');
+  }
+};
+
+const removeTemplateLogo = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    const previousLogo = template.logo;
+    template.logo = null;
+    template.updatedBy = req.user.id;
+    await template.save();
+    removeLogoFile(previousLogo);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logo removed, the default logo will be used',
+      data: template
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to remove logo');
+  }
+};
+
+// Render a saved template with a sample student, or with a real one via ?studentId=
+const previewReportTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report template not found'
+      });
+    }
+
+    let student;
+    if (req.query.studentId) {
+      student = mongoose.isValidObjectId(req.query.studentId)
+        && await Student.findById(req.query.studentId).populate('office', 'name');
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
+    } else {
+      student = sampleStudent(await previewOffice(template.office));
+    }
+
+    sendPreview(res, student, template);
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to preview report template');
+  }
+};
+
+// Render unsaved template settings so they can be tried before saving
+const previewDraftTemplate = async (req, res) => {
+  try {
+    const template = new ReportTemplate({ name: 'Preview', ...pickTemplateFields(req.body) });
+    await template.validate();
+
+    sendPreview(res, sampleStudent(await previewOffice(template.office)), template);
+  } catch (error) {
+    sendTemplateError(res, error, 'Failed to preview report template');
+  }
+};
+
+module.exports = {
+  getReportTemplates,
+  getReportTemplate,
+  createReportTemplate,
+  updateReportTemplate,
+  deleteReportTemplate,
+  uploadTemplateLogo,
+  removeTemplateLogo,
+  previewReportTemplate,
+  previewDraftTemplate
+};
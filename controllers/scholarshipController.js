@@ -0,0 +1,351 @@
+const Scholarship = require('../models/ScholarshipModel');
+const Country = require('../models/CountryModel');
+const Program = require('../models/ProgramModel');
+const Student = require('../models/studentModel');
+const { findCountry } = require('../utils/countries');
+const { findUniversity, containsPattern } = require('../utils/catalog');
+const { isObjectId, toList, getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { findDestinationCountries } = require('../utils/documentChecklist');
+const { evaluateScholarship } = require('../utils/eligibility');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = ['name', 'provider', 'description', 'levels', 'fields', 'award', 'eligibility', 'deadlines', 'links', 'isActive'];
+
+const SCHOLARSHIP_POPULATE = [
+  { path: 'countries', select: 'name slug' },
+  { path: 'universities', select: 'name slug city' }
+];
+
+const pickScholarshipFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendScholarshipError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, 'A scholarship with this name already exists');
+
+// A scholarship by id or slug, or null
+const findScholarship = (value) => (isObjectId(value)
+  ? Scholarship.findById(value)
+  : Scholarship.findOne({ slug: String(value).trim().toLowerCase() }));
+
+// Still accepting applications: no deadlines at all, or one still ahead
+const openFilter = () => ({
+  $or: [{ deadlines: { $size: 0 } }, { 'deadlines.date': { $gte: new Date() } }]
+});
+
+/**
+ * Resolve the countries (id, name or slug) and universities (id or slug) of a create
+ * or update body against the catalog. Without countries they are taken from the
+ * universities; every university must be in one of the countries.
+ * Returns { countries, universities } with the ids to store, or { error }.
+ */
+const resolveCatalogLinks = async (body, current = {}) => {
+  let countries = current.countries || [];
+  let universities = current.universities || [];
+
+  if (body.universities !== undefined) {
+    const found = [];
+    for (const value of toList(body.universities || [])) {
+      const university = await findUniversity(value);
+      if (!university) return { error: `Unknown university "${value}"` };
+      found.push(university);
+    }
+    universities = found;
+  } else if (universities.length > 0) {
+    universities = await Promise.all(universities.map(id => findUniversity(id))).then(list => list.filter(Boolean));
+  }
+
+  if (body.countries !== undefined) {
+    const found = [];
+    for (const value of toList(body.countries || [])) {
+      const country = await findCountry(value);
+      if (!country) return { error: `Unknown country "${value}"` };
+      found.push(country._id);
+    }
+    countries = found;
+  } else if (countries.length === 0) {
+    countries = universities.map(university => university.country);
+  }
+
+  countries = [...new Map(countries.map(id => [String(id), id])).values()];
+  const outside = universities.find(university => !countries.some(id => String(id) === String(university.country)));
+  if (outside) {
+    return { error: `${outside.name} is not in any of the scholarship's countries` };
+  }
+
+  return { countries, universities: universities.map(university => university._id) };
+};
+
+/**
+ * ?country=&university=&level=&field=&award=&open=true&search=&page=&limit=
+ * The public list only shows active scholarships.
+ */
+const listScholarships = (includeInactive) => async (req, res) => {
+  try {
+    const filter = includeInactive ? {} : { isActive: true };
+    const conditions = [];
+
+    if (req.query.country) {
+      const country = await findCountry(req.query.country);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown country "${req.query.country}"`
+        });
+      }
+      filter.countries = country._id;
+    }
+    // Scholarships of the university itself and those open to any university of its country
+    if (req.query.university) {
+      const university = await findUniversity(req.query.university);
+      if (!university) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown university "${req.query.university}"`
+        });
+      }
+      conditions.push({
+        $or: [
+          { universities: university._id },
+          { universities: { $size: 0 }, countries: university.country }
+        ]
+      });
+    }
+    if (req.query.level) {
+      if (!Program.PROGRAM_LEVELS.includes(req.query.level)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid level. Allowed levels: ${Program.PROGRAM_LEVELS.join(', ')}`
+        });
+      }
+      conditions.push({ $or: [{ levels: { $size: 0 } }, { levels: req.query.level }] });
+    }
+    if (req.query.field) {
+      conditions.push({ $or: [{ fields: { $size: 0 } }, { fields: containsPattern(req.query.field) }] });
+    }
+    if (req.query.award) {
+      filter['award.kind'] = { $in: toList(req.query.award) };
+    }
+    if (req.query.open === 'true') {
+      conditions.push(openFilter());
+    }
+    if (req.query.search) {
+      const pattern = containsPattern(req.query.search);
+      conditions.push({ $or: [{ name: pattern }, { provider: pattern }, { description: pattern }] });
+    }
+    if (conditions.length > 0) filter.$and = conditions;
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, scholarships] = await Promise.all([
+      Scholarship.countDocuments(filter),
+      Scholarship.find(filter)
+        .sort({ name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(SCHOLARSHIP_POPULATE)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: scholarships.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: scholarships
+    });
+  } catch (error) {
+    sendScholarshipError(res, error, 'Failed to fetch scholarships');
+  }
+};
+
+// Active scholarships (Public)
+exports.getScholarships = listScholarships(false);
+
+// Every scholarship, inactive ones included (Admin/Moderator)
+exports.getAllScholarships = listScholarships(true);
+
+// One active scholarship by id or slug (Public)
+exports.getScholarship = async (req, res) => {
+  try {
+    const scholarship = await findScholarship(req.params.id);
+
+    if (!scholarship || !scholarship.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship not found'
+      });
+    }
+
+    await scholarship.populate(SCHOLARSHIP_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      data: scholarship
+    });
+  } catch (error) {
+    sendScholarshipError(res, error, 'Failed to fetch scholarship');
+  }
+};
+
+exports.createScholarship = async (req, res) => {
+  try {
+    const links = await resolveCatalogLinks(req.body);
+    if (links.error) {
+      return res.status(400).json({
+        success: false,
+        message: links.error
+      });
+    }
+
+    const scholarship = await Scholarship.create({ ...pickScholarshipFields(req.body), ...links });
+
+    logger.info(`Scholarship "${scholarship.name}" created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      message: 'Scholarship created successfully',
+      data: await scholarship.populate(SCHOLARSHIP_POPULATE)
+    });
+  } catch (error) {
+    sendScholarshipError(res, error, 'Failed to create scholarship');
+  }
+};
+
+// Partial update; countries and universities are checked against each other as a whole
+exports.updateScholarship = async (req, res) => {
+  try {
+    const scholarship = await findScholarship(req.params.id);
+
+    if (!scholarship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship not found'
+      });
+    }
+
+    if (req.body.countries !== undefined || req.body.universities !== undefined) {
+      const links = await resolveCatalogLinks(req.body, {
+        countries: scholarship.countries,
+        universities: scholarship.universities
+      });
+      if (links.error) {
+        return res.status(400).json({
+          success: false,
+          message: links.error
+        });
+      }
+      scholarship.set(links);
+    }
+
+    scholarship.set(pickScholarshipFields(req.body));
+    await scholarship.save();
+
+    logger.info(`Scholarship "${scholarship.name}" updated by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Scholarship updated successfully',
+      data: await scholarship.populate(SCHOLARSHIP_POPULATE)
+    });
+  } catch (error) {
+    sendScholarshipError(res, error, 'Failed to update scholarship');
+  }
+};
+
+exports.deleteScholarship = async (req, res) => {
+  try {
+    const scholarship = await findScholarship(req.params.id);
+
+    if (!scholarship) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scholarship not found'
+      });
+    }
+
+    await scholarship.deleteOne();
+
+    logger.info(`Scholarship "${scholarship.name}" deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Scholarship deleted successfully'
+    });
+  } catch (error) {
+    sendScholarshipError(res, error, 'Failed to delete scholarship');
+  }
+};
+
+/**
+ * Open scholarships the student appears eligible for on their stored academic results
+ * and English tests, those in the student's destinations first, then by deadline.
+ * ?country=&level=&includeIneligible=true
+ */
+exports.getStudentScholarships = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope })
+      .select('academics englishTests destinations otherDestination');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const activeCountries = await Country.find({ isActive: true }).distinct('_id');
+    const filter = { isActive: true, countries: { $in: activeCountries }, ...openFilter() };
+
+    if (req.query.country) {
+      const country = await findCountry(req.query.country);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown country "${req.query.country}"`
+        });
+      }
+      filter.countries = { $in: activeCountries.filter(id => id.equals(country._id)) };
+    }
+    if (req.query.level) {
+      if (!Program.PROGRAM_LEVELS.includes(req.query.level)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid level. Allowed levels: ${Program.PROGRAM_LEVELS.join(', ')}`
+        });
+      }
+      filter.$and = [{ $or: [{ levels: { $size: 0 } }, { levels: req.query.level }] }];
+    }
+
+    const { academics, englishTests } = student.toObject();
+    const profile = { academics: academics || [], englishTests: englishTests || [] };
+
+    const [scholarships, destinations] = await Promise.all([
+      Scholarship.find(filter).populate(SCHOLARSHIP_POPULATE),
+      findDestinationCountries(student)
+    ]);
+    const destinationIds = new Set(destinations.map(country => String(country._id)));
+
+    const results = scholarships
+      .map(scholarship => ({
+        scholarship,
+        inDestination: scholarship.countries.some(country => destinationIds.has(String(country._id))),
+        ...evaluateScholarship(scholarship, profile)
+      }))
+      .filter(result => result.eligible || req.query.includeIneligible === 'true')
+      .sort((a, b) =>
+        (b.eligible - a.eligible)
+        || (b.inDestination - a.inDestination)
+        || (a.unknown - b.unknown)
+        || ((a.scholarship.nextDeadline?.getTime() ?? Infinity) - (b.scholarship.nextDeadline?.getTime() ?? Infinity))
+        || a.scholarship.name.localeCompare(b.scholarship.name)
+      );
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      evaluated: scholarships.length,
+      eligible: results.filter(result => result.eligible).length,
+      data: results
+    });
+  } catch (error) {
+    sendScholarshipError(res, error, 'Failed to match scholarships');
+  }
+};
@@ -0,0 +1,116 @@
+const Student = require('../models/studentModel');
+const StudentActivity = require('../models/StudentActivityModel');
+const { isObjectId, toList, getPagination, paginationMeta } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+// Load the student from the route, honouring the counselor scope; null for a malformed id
+const findScopedStudent = async (req) => (isObjectId(req.params.id)
+  ? Student.findOne({ _id: req.params.id, ...req.studentScope }).select('_id')
+  : null);
+
+// Page through a student's timeline, newest first (?type=call,note,system to filter)
+exports.getStudentActivities = async (req, res) => {
+  try {
+    const student = await findScopedStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const filter = { student: student._id };
+
+    if (req.query.type) {
+      const allowedTypes = [...StudentActivity.ACTIVITY_TYPES, 'system'];
+      const types = toList(req.query.type);
+      const invalid = types.filter(type => !allowedTypes.includes(type));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid activity type: ${invalid.join(', ')}. Allowed types: ${allowedTypes.join(', ')}`
+        });
+      }
+      filter.type = { $in: types };
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, activities] = await Promise.all([
+      StudentActivity.countDocuments(filter),
+      StudentActivity.find(filter)
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'username email role')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: activities.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: activities
+    });
+  } catch (error) {
+    logger.error('Error fetching student activities:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch activities',
+      error: error.message
+    });
+  }
+};
+
+// Log a call, meeting, note, email or WhatsApp conversation
+exports.addStudentActivity = async (req, res) => {
+  try {
+    const { type, direction, subject, body, durationMinutes, occurredAt } = req.body;
+
+    if (!StudentActivity.ACTIVITY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid activity type. Allowed types: ${StudentActivity.ACTIVITY_TYPES.join(', ')}`
+      });
+    }
+
+    const student = await findScopedStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const activity = await StudentActivity.create({
+      student: student._id,
+      type,
+      direction: type === 'note' ? undefined : direction,
+      subject,
+      body,
+      durationMinutes: ['call', 'meeting'].includes(type) ? durationMinutes : undefined,
+      occurredAt: occurredAt || undefined,
+      author: req.user.id
+    });
+    await activity.populate('author', 'username email role');
+
+    res.status(201).json({
+      success: true,
+      message: 'Activity added successfully',
+      data: activity
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error adding student activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add activity',
+      error: error.message
+    });
+  }
+};
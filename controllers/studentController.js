@@ -1,27 +1,38 @@
+const mongoose = require('mongoose');
 const Student = require('../models/studentModel');
-const Notification = require('../models/notificationModel');
-const PDFDocument = require('pdfkit');
+const Counselor = require('../models/CounselorsModel');
+const { buildChecklist } = require('../utils/documentChecklist');
+const { findDuplicatePairs, mergeStudents } = require('../utils/studentDuplicates');
+const { buildStudentFilter, buildStudentSort, parseDate } = require('../utils/studentQuery');
+const { getPagination, paginationMeta } = require('../utils/requestHelpers');
+const {
+  EDITABLE_FIELDS,
+  LEGACY_ACADEMIC_FIELDS,
+  normalizeMobileFields,
+  pickStudentFields,
+  validateAcademicFields
+} = require('../utils/studentValidation');
+const { formatAcademicRecord, formatEnglishTest } = require('../utils/academics');
+const { officeName } = require('../utils/offices');
+const { recordSystemEvent } = require('../utils/studentActivity');
+const { registerStudent } = require('../utils/studentRegistration');
+const { issueFormToken } = require('../utils/formProtection');
+const { eraseStudent } = require('../utils/studentPrivacy');
+const { createReportDocument, drawStudentReport, loadReportTemplate } = require('../utils/studentReport');
+const AuditLog = require('../models/auditLogModel');
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
 
 // Create a new student
 exports.createStudent = async (req, res) => {
   try {
-    const studentData = {
-      ...req.body,
-      mobile: req.body.mobile.startsWith('+977') ? req.body.mobile : `+977${req.body.mobile}`
-    };
-
-    const newStudent = await Student.create(studentData);
-
-    // Create simple notification
-    await Notification.create({
-      message: `${newStudent.firstName} ${newStudent.lastName} has registered as a new student`,
-      studentId: newStudent._id
-    });
+    const newStudent = await registerStudent(req.body, { duplicates: req.duplicateCandidates || [] });
 
     res.status(201).json({
       success: true,
       message: 'Student consultation created successfully',
-      data: newStudent
+      // Public endpoint: do not reveal which existing records look like duplicates
+      data: { ...newStudent.toJSON(), possibleDuplicates: undefined }
     });
   } catch (error) {
     res.status(500).json({
@@ -32,14 +43,43 @@ exports.createStudent = async (req, res) => {
   }
 };
 
-// Get all students
+// Token the website posts back with the consultation form (fill time and proof of work)
+exports.getFormToken = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    data: issueFormToken()
+  });
+};
+
+// Get students with filters, sorting and pagination
 exports.getAllStudents = async (req, res) => {
   try {
-    const students = await Student.find().sort({ createdAt: -1 });
-    
+    const { filter, error } = buildStudentFilter(req.query, req.studentScope);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, students] = await Promise.all([
+      Student.countDocuments(filter),
+      Student.find(filter)
+        .sort(buildStudentSort(req.query.sort))
+        .skip(skip)
+        .limit(limit)
+        .populate('assignedCounselor', 'name office')
+        .populate('office', 'name')
+    ]);
+
     res.status(200).json({
       success: true,
       count: students.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
       data: students
     });
   } catch (error) {
@@ -51,10 +91,103 @@ exports.getAllStudents = async (req, res) => {
   }
 };
 
+const EXPORT_COLUMNS = [
+  { header: 'First Name', key: 'firstName', width: 16 },
+  { header: 'Last Name', key: 'lastName', width: 16 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Mobile', key: 'mobile', width: 18 },
+  { header: 'Office', key: 'office', width: 12 },
+  { header: 'Stage', key: 'stage', width: 18 },
+  { header: 'Counselor', key: 'counselor', width: 20 },
+  { header: 'Topics', key: 'topics', width: 24 },
+  { header: 'Destinations', key: 'destinations', width: 24 },
+  { header: 'Other Destination', key: 'otherDestination', width: 20 },
+  { header: 'Academics', key: 'academics', width: 40 },
+  { header: 'English Tests', key: 'englishTests', width: 30 },
+  { header: 'Lead Channel', key: 'leadChannel', width: 16 },
+  { header: 'UTM Source', key: 'utmSource', width: 16 },
+  { header: 'UTM Campaign', key: 'utmCampaign', width: 24 },
+  { header: 'Created At', key: 'createdAt', width: 22 }
+];
+
+// Export the filtered student list as CSV or XLSX
+exports.exportStudents = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const { filter, error } = buildStudentFilter(req.query, req.studentScope);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const students = await Student.find(filter)
+      .sort(buildStudentSort(req.query.sort))
+      .populate('assignedCounselor', 'name')
+      .populate('office', 'name')
+      .lean();
+
+    const rows = students.map(student => ({
+      ...Object.fromEntries(EXPORT_COLUMNS.map(column => [column.key, student[column.key] ?? ''])),
+      office: officeName(student.office),
+      stage: student.stage || 'new_inquiry',
+      counselor: student.assignedCounselor?.name || '',
+      academics: (student.academics || []).map(formatAcademicRecord).join('; '),
+      englishTests: (student.englishTests || []).map(formatEnglishTest).join('; '),
+      leadChannel: student.leadSource?.channel || '',
+      utmSource: student.leadSource?.utm?.source || '',
+      utmCampaign: student.leadSource?.utm?.campaign || '',
+      createdAt: student.createdAt ? new Date(student.createdAt).toISOString() : ''
+    }));
+
+    const fileName = `students-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'csv') {
+      const csv = Papa.unparse({
+        fields: EXPORT_COLUMNS.map(column => column.header),
+        data: rows.map(row => EXPORT_COLUMNS.map(column => row[column.key]))
+      }, {
+        // Neutralise spreadsheet formulas, but leave E.164 phone numbers alone
+        escapeFormulae: /^[=@\t\r]|^[+-](?!\d)/
+      });
+
+      res.header('Content-Type', 'text/csv');
+      res.attachment(fileName);
+      return res.send(csv);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Students');
+    sheet.columns = EXPORT_COLUMNS;
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(rows);
+
+    res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.attachment(fileName);
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export students',
+      error: error.message
+    });
+  }
+};
+
 // Get a single student by ID
 exports.getStudentById = async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope })
+      .populate('office', 'name slug');
     
     if (!student) {
       return res.status(404).json({
@@ -63,9 +196,19 @@ exports.getStudentById = async (req, res) => {
       });
     }
 
+    // Include what is still missing for the student's destinations
+    const checklist = await buildChecklist(student);
+
     res.status(200).json({
       success: true,
-      data: student
+      data: {
+        ...student.toObject(),
+        documentChecklist: {
+          countries: checklist.countries,
+          missing: checklist.missing,
+          complete: checklist.complete
+        }
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -79,11 +222,27 @@ exports.getStudentById = async (req, res) => {
 // Update a student
 exports.updateStudent = async (req, res) => {
   try {
-    const updatedStudent = await Student.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Stage, assignment, attribution, duplicate and portal fields all have their own
+    // endpoints (or are captured once, when the inquiry arrives)
+    const updates = pickStudentFields(req.body, [...EDITABLE_FIELDS, ...LEGACY_ACADEMIC_FIELDS]);
+
+    // The country only describes the mobile number, so it changes together with it
+    if (!updates.mobile) delete updates.mobileCountry;
+
+    const validationErrors = [
+      ...(updates.mobile ? normalizeMobileFields(updates) : []),
+      ...validateAcademicFields(updates)
+    ];
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: validationErrors[0],
+        errors: validationErrors
+      });
+    }
+
+    // Loaded and saved rather than updated in place so validators run on plaintext before encryption
+    const updatedStudent = await Student.findOne({ _id: req.params.id, ...req.studentScope });
 
     if (!updatedStudent) {
       return res.status(404).json({
@@ -92,12 +251,21 @@ exports.updateStudent = async (req, res) => {
       });
     }
 
+    updatedStudent.set(updates);
+    await updatedStudent.save();
+
     res.status(200).json({
       success: true,
       message: 'Student updated successfully',
       data: updatedStudent
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update student',
@@ -106,10 +274,416 @@ exports.updateStudent = async (req, res) => {
   }
 };
 
+// Move a student to another pipeline stage
+exports.moveStudentStage = async (req, res) => {
+  try {
+    const { stage, note, override } = req.body;
+
+    if (!Student.PIPELINE_STAGES.includes(stage)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid stage. Allowed stages: ${Student.PIPELINE_STAGES.join(', ')}`
+      });
+    }
+
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (student.stage === stage) {
+      return res.status(400).json({
+        success: false,
+        message: `Student is already in stage '${stage}'`
+      });
+    }
+
+    const needsOverride = !student.canTransitionTo(stage);
+
+    if (needsOverride) {
+      if (override !== true && override !== 'true') {
+        return res.status(422).json({
+          success: false,
+          message: `Cannot move student from '${student.stage}' to '${stage}' without an override`,
+          allowedStages: Student.STAGE_TRANSITIONS[student.stage]
+        });
+      }
+
+      if (!['admin', 'moderator'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only admins and moderators can override stage transitions'
+        });
+      }
+
+      if (!note || !note.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A note explaining the override is required'
+        });
+      }
+    }
+
+    const previousStage = student.stage;
+    await student.moveToStage(stage, {
+      changedBy: req.user.id,
+      note,
+      override: needsOverride
+    });
+
+    await recordSystemEvent(student._id, 'stage_changed', {
+      subject: `Stage changed from '${previousStage}' to '${stage}'${needsOverride ? ' (override)' : ''}`,
+      body: note,
+      author: req.user.id,
+      metadata: { from: previousStage, to: stage, override: needsOverride }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Student moved to '${stage}'`,
+      data: student
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update student stage',
+      error: error.message
+    });
+  }
+};
+
+// Get students grouped by pipeline stage (kanban board)
+exports.getStudentPipeline = async (req, res) => {
+  try {
+    const perStage = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { ...req.studentScope };
+    // Aggregations do not cast, so the office ids are converted here
+    if (req.query.office) filter.office = { $in: req.query.office.split(',').map(id => new mongoose.Types.ObjectId(id)) };
+
+    const groups = await Student.aggregate([
+      { $match: filter },
+      // Leads created before the pipeline existed have no stage stored yet
+      { $addFields: { stage: { $ifNull: ['$stage', 'new_inquiry'] } } },
+      { $sort: { stageUpdatedAt: -1, createdAt: -1 } },
+      {
+        $group: {
+          _id: '$stage',
+          count: { $sum: 1 },
+          students: {
+            $push: {
+              _id: '$_id',
+              firstName: '$firstName',
+              lastName: '$lastName',
+              email: '$email',
+              mobile: '$mobile',
+              office: '$office',
+              destinations: '$destinations',
+              stageUpdatedAt: '$stageUpdatedAt'
+            }
+          }
+        }
+      },
+      { $project: { count: 1, students: { $slice: ['$students', perStage] } } }
+    ]);
+
+    groups.forEach(group => Student.decryptFields(group.students));
+    const byStage = new Map(groups.map(group => [group._id, group]));
+    const board = Student.PIPELINE_STAGES.map(stage => ({
+      stage,
+      count: byStage.get(stage)?.count || 0,
+      students: byStage.get(stage)?.students || []
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: board
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch student pipeline',
+      error: error.message
+    });
+  }
+};
+
+// What the lead source report can be grouped by
+const LEAD_SOURCE_GROUPS = {
+  channel: { $ifNull: ['$leadSource.channel', 'unknown'] },
+  utmSource: { $ifNull: ['$leadSource.utm.source', '(none)'] },
+  campaign: { $ifNull: ['$leadSource.utm.campaign', { $ifNull: ['$leadSource.campaignId', '(none)'] }] }
+};
+
+// Pipeline stages a lead moves forward through, without 'lost'
+const FUNNEL_STAGES = Student.PIPELINE_STAGES.filter(stage => stage !== 'lost');
+
+// Leads per source and month of arrival, with how far through the pipeline they got since
+exports.getLeadSourceReport = async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'channel';
+    if (!LEAD_SOURCE_GROUPS[groupBy]) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${Object.keys(LEAD_SOURCE_GROUPS).join(', ')}`
+      });
+    }
+
+    const match = {};
+    if (req.query.from || req.query.to) {
+      const from = req.query.from && parseDate(req.query.from, false);
+      const to = req.query.to && parseDate(req.query.to, true);
+      if ((req.query.from && !from) || (req.query.to && !to)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+      match.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+    // Aggregations do not cast, so the office ids are converted here
+    if (req.query.office) match.office = { $in: req.query.office.split(',').map(id => new mongoose.Types.ObjectId(id)) };
+
+    // A lead has reached a stage when it is there now or passed through it, even if it was lost later
+    const funnelCounts = Object.fromEntries(FUNNEL_STAGES.map((stage, index) => [
+      stage,
+      { $sum: { $cond: [{ $gte: ['$furthestStage', index] }, 1, 0] } }
+    ]));
+
+    const funnelGroup = (_id) => ({
+      $group: {
+        _id,
+        leads: { $sum: 1 },
+        ...funnelCounts,
+        lost: { $sum: { $cond: [{ $eq: ['$stage', 'lost'] }, 1, 0] } }
+      }
+    });
+
+    const [result] = await Student.aggregate([
+      { $match: match },
+      {
+        $project: {
+          source: LEAD_SOURCE_GROUPS[groupBy],
+          month: { $dateToString: { format: '%Y-%m', date: '$createdAt', timezone: 'Asia/Kathmandu' } },
+          stage: { $ifNull: ['$stage', 'new_inquiry'] },
+          furthestStage: {
+            $max: {
+              $map: {
+                input: { $setUnion: [{ $ifNull: ['$stageHistory.to', []] }, [{ $ifNull: ['$stage', 'new_inquiry'] }]] },
+                in: { $indexOfArray: [FUNNEL_STAGES, '$$this'] }
+              }
+            }
+          }
+        }
+      },
+      {
+        $facet: {
+          bySource: [funnelGroup('$source'), { $sort: { leads: -1 } }],
+          byMonth: [funnelGroup({ source: '$source', month: '$month' }), { $sort: { '_id.month': 1, leads: -1 } }]
+        }
+      }
+    ]);
+
+    const formatRow = ({ _id, leads, lost, ...reached }) => ({
+      ...(typeof _id === 'object' ? _id : { source: _id }),
+      leads,
+      reached,
+      lost,
+      enrolmentRate: leads > 0 ? Math.round((reached.enrolled / leads) * 1000) / 10 : 0
+    });
+
+    res.status(200).json({
+      success: true,
+      groupBy,
+      stages: FUNNEL_STAGES,
+      data: {
+        bySource: result.bySource.map(formatRow),
+        byMonth: result.byMonth.map(formatRow)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build lead source report',
+      error: error.message
+    });
+  }
+};
+
+// Manually assign (or unassign) a counselor
+exports.assignCounselor = async (req, res) => {
+  try {
+    const { counselorId } = req.body;
+    let counselor = null;
+
+    if (counselorId) {
+      counselor = await Counselor.findById(counselorId);
+
+      if (!counselor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Counselor not found'
+        });
+      }
+
+      if (!counselor.user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Counselor is not linked to a user account'
+        });
+      }
+    }
+
+    const student = await Student.findByIdAndUpdate(
+      req.params.id,
+      {
+        assignedCounselor: counselor ? counselor._id : null,
+        assignedAt: counselor ? new Date() : null
+      },
+      { new: true }
+    ).populate('assignedCounselor', 'name office');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: counselor ? `Student assigned to ${counselor.name}` : 'Student unassigned',
+      data: student
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign counselor',
+      error: error.message
+    });
+  }
+};
+
+// List likely duplicate student pairs
+exports.getDuplicateStudents = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const pairs = await findDuplicatePairs({ limit });
+
+    res.status(200).json({
+      success: true,
+      count: pairs.length,
+      data: pairs
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duplicate students',
+      error: error.message
+    });
+  }
+};
+
+// Merge a duplicate record into this student; the duplicate is deleted
+exports.mergeStudent = async (req, res) => {
+  try {
+    const { duplicateId } = req.body;
+
+    if (!duplicateId || duplicateId === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A duplicateId different from the student being kept is required'
+      });
+    }
+
+    const [primary, duplicate] = await Promise.all([
+      Student.findById(req.params.id),
+      Student.findById(duplicateId)
+    ]);
+
+    if (!primary || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const snapshot = duplicate.toAuditSnapshot();
+    const merged = await mergeStudents(primary, duplicate, { mergedBy: req.user.id });
+
+    await AuditLog.create({
+      action: 'STUDENT_MERGED',
+      targetId: merged._id,
+      targetModel: 'Student',
+      performedBy: req.user.id,
+      metadata: {
+        mergedStudentId: snapshot._id,
+        mergedStudent: snapshot
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${snapshot.firstName} ${snapshot.lastName} merged into ${merged.firstName} ${merged.lastName}`,
+      data: merged
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge students',
+      error: error.message
+    });
+  }
+};
+
+// Dismiss a suspected duplicate so the pair is no longer reported
+exports.markNotDuplicate = async (req, res) => {
+  try {
+    const { otherId } = req.body;
+
+    const [student, other] = await Promise.all([
+      Student.findById(req.params.id),
+      otherId ? Student.findById(otherId) : null
+    ]);
+
+    if (!student || !other) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    await Student.updateOne(
+      { _id: student._id },
+      { $addToSet: { notDuplicateOf: other._id }, $pull: { possibleDuplicates: other._id } }
+    );
+    await Student.updateOne(
+      { _id: other._id },
+      { $addToSet: { notDuplicateOf: student._id }, $pull: { possibleDuplicates: student._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Students marked as not duplicates'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update duplicate status',
+      error: error.message
+    });
+  }
+};
+
 // Delete a student
 exports.deleteStudent = async (req, res) => {
   try {
-    const deletedStudent = await Student.findByIdAndDelete(req.params.id);
+    const deletedStudent = await Student.findById(req.params.id);
 
     if (!deletedStudent) {
       return res.status(404).json({
@@ -118,6 +692,9 @@ exports.deleteStudent = async (req, res) => {
       });
     }
 
+    // Also removes the student's documents, notifications, timeline, tasks and campaign errors
+    await eraseStudent(deletedStudent, { mode: 'delete' });
+
     res.status(200).json({
       success: true,
       message: 'Student deleted successfully',
@@ -135,7 +712,7 @@ exports.deleteStudent = async (req, res) => {
 // Generate student report
 exports.generateStudentReport = async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await Student.findById(req.params.id).populate('office', 'name');
     
     if (!student) {
       return res.status(404).json({
@@ -144,7 +721,8 @@ exports.generateStudentReport = async (req, res) => {
       });
     }
 
-    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const template = await loadReportTemplate(student.office);
+    const doc = createReportDocument();
     const filename = `Student_Report_${student.firstName}_${student.lastName}.pdf`;
     
     // Set response headers
@@ -165,149 +743,17 @@ exports.generateStudentReport = async (req, res) => {
     // Pipe the PDF to response
     doc.pipe(res);
 
-    // ========== HEADER WITH LOGO ==========
-    
-    // Logo dimensions and positioning
-    const logoWidth = 80;
-    const logoHeight = 40;
-    const logoX = 50; // Left margin
-    const logoY = 40; // Top margin
-    
-    // Option 1: Add logo image (if you have a logo file)
-    try {
-      // Replace with your actual logo path
-      doc.image('public/images/logo.png', logoX, logoY, { 
-        width: logoWidth, 
-        height: logoHeight 
-      });
-      
-      // Company name positioned next to logo
-      doc.fillColor('#1252a1')
-         .fontSize(18)
-         .font('Helvetica-Bold')
-         .text('SHIRIJANGA EDUCATION CONSULTANCY', logoX + logoWidth + 15, logoY + 10);
-    } catch (imageError) {
-      console.warn('Logo image not found, using text-only header');
-      // Fallback: Text-only header if logo is not found
-      doc.fillColor('#1252a1')
-         .fontSize(18)
-         .font('Helvetica-Bold')
-         .text('SHIRIJANGA EDUCATION CONSULTANCY', logoX, logoY + 10);
-    }
-
-    // Report title and date
-    doc.fillColor('#555555')
-       .fontSize(10)
-       .text('Student Consultation Report', 50, logoY + logoHeight + 10);
-
-    // Generation date
-    doc.fillColor('#777777')
-       .fontSize(9)
-       .text(`Generated: ${new Date().toLocaleString()}`, 50, logoY + logoHeight + 20, { align: 'right' });
-
-    // Header divider
-    const headerBottomY = logoY + logoHeight + 35;
-    doc.moveTo(50, headerBottomY)
-       .lineTo(550, headerBottomY)
-       .lineWidth(1)
-       .strokeColor('#eaeaea')
-       .stroke();
-
-    // Adjust all content positions based on new header height
-    const contentStartY = headerBottomY + 25;
-
-    // Student Information Section
-    doc.fillColor('#333333')
-       .fontSize(16)
-       .text('1. Student Information', 50, contentStartY)
-       .moveDown(0.5);
-
-    doc.fontSize(10)
-       .text(`Name:`, 50, contentStartY + 30, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.firstName} ${student.lastName}`)
-       .font('Helvetica')
-       .text(`Email:`, 50, contentStartY + 45, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.email}`)
-       .font('Helvetica')
-       .text(`Phone:`, 50, contentStartY + 60, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.mobile}`)
-       .font('Helvetica')
-       .text(`Nearest Office:`, 50, contentStartY + 75, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.office}`)
-       .moveDown();
-
-    // Consultation Details Section
-    doc.fillColor('#333333')
-       .fontSize(16)
-       .text('2. Consultation Details', 50, contentStartY + 105)
-       .moveDown(0.5);
-
-    doc.fontSize(10)
-       .text(`Topics of Interest:`, 50, contentStartY + 130, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.topics}`)
-       .font('Helvetica')
-       .text(`Preferred Destination:`, 50, contentStartY + 145, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.destinations}`);
-
-    if (student.otherDestination) {
-      doc.font('Helvetica')
-         .text(`Other Destination:`, 50, contentStartY + 160, { continued: true })
-         .font('Helvetica-Bold')
-         .text(` ${student.otherDestination}`);
-    }
-
-    // Academic Information Section
-    doc.fillColor('#333333')
-       .fontSize(16)
-       .text('3. Academic Information', 50, contentStartY + 190)
-       .moveDown(0.5);
-
-    doc.fontSize(10)
-       .text(`SLC Percentage/CGPA:`, 50, contentStartY + 215, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.slc}`)
-       .font('Helvetica')
-       .text(`+2 Percentage/CGPA:`, 50, contentStartY + 230, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.plusTwo}`)
-       .font('Helvetica')
-       .text(`Bachelor's Percentage/CGPA:`, 50, contentStartY + 245, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.bachelor}`)
-       .moveDown();
-
-    // Additional Information Section
-    doc.fillColor('#333333')
-       .fontSize(16)
-       .text('4. Additional Information', 50, contentStartY + 275)
-       .moveDown(0.5);
-
-    doc.fontSize(10)
-       .text(`Health Issues:`, 50, contentStartY + 300, { continued: true })
-       .font('Helvetica-Bold')
-       .text(` ${student.healthIssues}`)
-       .font('Helvetica')
-       .text(`Additional Notes:`, 50, contentStartY + 330)
-       .moveDown(0.5)
-       .font('Helvetica')
-       .text(`${student.additionalInfo}`, { width: 500, align: 'justify' });
-
-    // Footer
-    const footerY = 750;
-    doc.fontSize(8)
-       .fillColor('#777777')
-       .text(`Confidential - For internal use only`, 50, footerY, { align: 'center' })
-       .text(`Page ${doc.pageNumber}`, 50, footerY, { align: 'right' });
+    drawStudentReport(doc, student, template);
 
     // Finalize the PDF
     doc.end();
 
+    await recordSystemEvent(student._id, 'report_generated', {
+      subject: 'Student report generated',
+      author: req.user.id,
+      metadata: { template: template.isNew ? null : template._id }
+    });
+
   } catch (error) {
     console.error('Report generation error:', error);
     if (!res.headersSent) {
@@ -0,0 +1,197 @@
+const path = require('path');
+const fs = require('fs');
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const { buildChecklist } = require('../utils/documentChecklist');
+const { isObjectId } = require('../utils/requestHelpers');
+const { DOCUMENT_STORAGE_DIR } = require('../config/document.multer.config');
+const { logger } = require('../utils/logger.util');
+
+// Load the student from the route, honouring the counselor scope; null for a malformed id
+const findScopedStudent = async (req) => (isObjectId(req.params.id)
+  ? Student.findOne({ _id: req.params.id, ...req.studentScope })
+  : null);
+
+// Upload a document, or a new version of an existing one
+// (the student was loaded by resolveUploadStudent before the file was stored)
+exports.uploadDocument = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const { student } = req;
+
+    const kind = req.body.kind;
+    const label = (req.body.label || '').trim();
+
+    if (!StudentDocument.DOCUMENT_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid document kind. Allowed kinds: ${StudentDocument.DOCUMENT_KINDS.join(', ')}`
+      });
+    }
+
+    let document = await StudentDocument.findOne({ student: student._id, kind, label });
+    const isNewDocument = !document;
+    if (!document) {
+      document = new StudentDocument({ student: student._id, kind, label });
+    }
+
+    document.addVersion(req.file, req.user.id);
+    await document.save();
+
+    logger.info(`Document ${kind} v${document.currentVersion} uploaded for student ${student._id} by ${req.user.email}`);
+    res.status(isNewDocument ? 201 : 200).json({
+      success: true,
+      message: isNewDocument ? 'Document uploaded successfully' : `Version ${document.currentVersion} uploaded successfully`,
+      data: document
+    });
+  } catch (error) {
+    logger.error('Error uploading student document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document',
+      error: error.message
+    });
+  }
+};
+
+// List a student's documents together with the destination checklist
+exports.getStudentDocuments = async (req, res) => {
+  try {
+    const student = await findScopedStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const documents = await StudentDocument.find({ student: student._id })
+      .populate('versions.uploadedBy', 'username email')
+      .populate('versions.reviewedBy', 'username email')
+      .sort({ kind: 1, label: 1 });
+
+    const checklist = await buildChecklist(student, documents);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        documents,
+        checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching student documents:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch documents',
+      error: error.message
+    });
+  }
+};
+
+// Download one version of a document
+exports.downloadDocument = async (req, res) => {
+  try {
+    const student = await findScopedStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const document = isObjectId(req.params.documentId) && await StudentDocument
+      .findOne({ _id: req.params.documentId, student: student._id })
+      .select('+versions.storagePath');
+    const version = document && document.getVersion(req.params.version || document.currentVersion);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const filePath = path.resolve(version.storagePath);
+    if (!filePath.startsWith(path.resolve(DOCUMENT_STORAGE_DIR) + path.sep) || !fs.existsSync(filePath)) {
+      logger.error(`Document file missing or outside storage: ${filePath}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Document file not found'
+      });
+    }
+
+    logger.info(`Document ${document._id} v${version.version} downloaded by ${req.user.email}`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.download(filePath, version.originalName);
+  } catch (error) {
+    logger.error('Error downloading student document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download document',
+      error: error.message
+    });
+  }
+};
+
+// Verify or reject a document version
+exports.reviewDocument = async (req, res) => {
+  try {
+    const { status, reason, version } = req.body;
+
+    if (!['verified', 'rejected', 'pending'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: pending, verified, rejected'
+      });
+    }
+
+    if (status === 'rejected' && (!reason || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting a document'
+      });
+    }
+
+    const student = await findScopedStudent(req);
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const document = isObjectId(req.params.documentId)
+      && await StudentDocument.findOne({ _id: req.params.documentId, student: student._id });
+    const reviewed = document && document.review({ status, reason, reviewedBy: req.user.id, version });
+
+    if (!reviewed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await document.save();
+
+    logger.info(`Document ${document._id} v${reviewed.version} marked ${status} by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: `Document marked as ${status}`,
+      data: document
+    });
+  } catch (error) {
+    logger.error('Error reviewing student document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review document',
+      error: error.message
+    });
+  }
+};
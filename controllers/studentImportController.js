@@ -0,0 +1,189 @@
+const Student = require('../models/studentModel');
+const StudentImport = require('../models/StudentImportModel');
+const Counselor = require('../models/CounselorsModel');
+const Notification = require('../models/notificationModel');
+const { recordSystemEvent } = require('../utils/studentActivity');
+const {
+  MAX_IMPORT_ROWS,
+  readSpreadsheet,
+  analyzeRows,
+  summarize,
+  buildErrorReport
+} = require('../utils/studentImport');
+const { logger } = require('../utils/logger.util');
+
+// Parse and check the uploaded file; responds itself and returns null when it is unusable
+const loadImportFile = async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      message: 'No file uploaded'
+    });
+    return null;
+  }
+
+  let sheet;
+  try {
+    sheet = await readSpreadsheet(req.file);
+  } catch (parseError) {
+    logger.error('Student import parse error:', parseError);
+    res.status(400).json({
+      success: false,
+      message: 'Could not read the file. Please upload a valid CSV or XLSX file.'
+    });
+    return null;
+  }
+
+  if (sheet.rows.length === 0) {
+    res.status(400).json({
+      success: false,
+      message: 'The file has no student rows'
+    });
+    return null;
+  }
+
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    res.status(400).json({
+      success: false,
+      message: `The file has ${sheet.rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`
+    });
+    return null;
+  }
+
+  return sheet;
+};
+
+// Dry run: validate every row and report errors and duplicate warnings without saving
+exports.previewImport = async (req, res) => {
+  try {
+    const sheet = await loadImportFile(req, res);
+    if (!sheet) return;
+
+    const results = await analyzeRows(sheet.rows);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dry run completed, nothing was imported',
+      data: summarize(results)
+    });
+  } catch (error) {
+    logger.error('Error previewing student import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview import',
+      error: error.message
+    });
+  }
+};
+
+// Import the valid rows; invalid rows are kept for the downloadable error report
+exports.commitImport = async (req, res) => {
+  try {
+    const sheet = await loadImportFile(req, res);
+    if (!sheet) return;
+
+    const results = await analyzeRows(sheet.rows);
+    const insertedStudents = [];
+    const failedRows = [];
+
+    for (const result of results) {
+      if (!result.valid) {
+        failedRows.push({ row: result.row, cells: result.cells, messages: result.errors });
+        continue;
+      }
+
+      try {
+        const student = await Student.create({ ...result.data, possibleDuplicates: result.duplicates });
+        insertedStudents.push(student._id);
+
+        // Round-robin assignment, as for students created through the form
+        try {
+          const counselor = await Counselor.claimNextForOffice(student.office);
+          if (counselor) {
+            student.assignedCounselor = counselor._id;
+            student.assignedAt = new Date();
+            await student.save();
+          }
+        } catch (assignError) {
+          logger.error('Counselor assignment failed during import:', assignError);
+        }
+      } catch (insertError) {
+        failedRows.push({ row: result.row, cells: result.cells, messages: [insertError.message] });
+      }
+    }
+
+    const studentImport = await StudentImport.create({
+      fileName: req.file.originalname,
+      importedBy: req.user.id,
+      columns: sheet.columns,
+      totalRows: results.length,
+      insertedCount: insertedStudents.length,
+      failedCount: failedRows.length,
+      duplicateWarningCount: results.filter(result => result.valid && result.warnings.length > 0).length,
+      insertedStudents,
+      failedRowData: JSON.stringify(failedRows)
+    });
+
+    await recordSystemEvent(insertedStudents, 'student_created', {
+      subject: `Imported from ${req.file.originalname}`,
+      author: req.user.id,
+      metadata: { source: 'import', importId: studentImport._id }
+    });
+
+    if (insertedStudents.length > 0) {
+      await Notification.create({
+        message: `${insertedStudents.length} students imported from ${req.file.originalname}`,
+        studentId: insertedStudents[0]
+      });
+    }
+
+    logger.info(`Student import ${studentImport._id} by ${req.user.email}: ${insertedStudents.length} inserted, ${failedRows.length} failed`);
+
+    const summary = summarize(results);
+    res.status(201).json({
+      success: true,
+      message: `${insertedStudents.length} of ${results.length} students imported`,
+      data: {
+        importId: studentImport._id,
+        insertedCount: insertedStudents.length,
+        failedCount: failedRows.length,
+        errorReportUrl: failedRows.length > 0 ? `/api/student/import/${studentImport._id}/errors` : null,
+        ...summary
+      }
+    });
+  } catch (error) {
+    logger.error('Error importing students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import students',
+      error: error.message
+    });
+  }
+};
+
+// Download the rows of an import that were not inserted, as CSV
+exports.downloadErrorReport = async (req, res) => {
+  try {
+    const studentImport = await StudentImport.findById(req.params.importId).select('+failedRowData +failedRows');
+
+    if (!studentImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    const csv = buildErrorReport(studentImport.columns, studentImport.getFailedRows());
+
+    res.header('Content-Type', 'text/csv');
+    res.attachment(`import-errors-${studentImport._id}.csv`);
+    res.send(csv);
+  } catch (error) {
+    logger.error('Error downloading import error report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download error report',
+      error: error.message
+    });
+  }
+};
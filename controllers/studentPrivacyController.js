@@ -0,0 +1,131 @@
+const archiver = require('archiver');
+const Student = require('../models/studentModel');
+const AuditLog = require('../models/auditLogModel');
+const { ERASURE_MODES, appendStudentDataExport, eraseStudent } = require('../utils/studentPrivacy');
+const { logger } = require('../utils/logger.util');
+
+// Everything held about a student as one ZIP (data.json, uploaded files, report)
+exports.exportStudentData = async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).populate('office', 'name');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', (err) => {
+      logger.error('Data export archive error:', err);
+      res.destroy(err);
+    });
+
+    const fileName = `student-data-${`${student.firstName}_${student.lastName}`.replace(/[^\w.-]+/g, '_')}-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.attachment(fileName);
+    archive.pipe(res);
+
+    const missingFiles = await appendStudentDataExport(archive, student);
+    await archive.finalize();
+
+    await AuditLog.create({
+      action: 'STUDENT_DATA_EXPORTED',
+      targetId: student._id,
+      targetModel: 'Student',
+      performedBy: req.user.id,
+      metadata: { missingFiles: missingFiles.length },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    logger.info(`Personal data of student ${student._id} exported by ${req.user.email}`);
+  } catch (error) {
+    logger.error('Error exporting student data:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export student data',
+        error: error.message
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+};
+
+// Erase a student's personal data everywhere; body { mode: 'delete' | 'anonymize', reason, confirm: true }
+exports.eraseStudentData = async (req, res) => {
+  try {
+    const { mode = 'delete', reason, confirm } = req.body;
+
+    if (!ERASURE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid mode. Allowed modes: ${ERASURE_MODES.join(', ')}`
+      });
+    }
+
+    if (confirm !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Erasure cannot be undone; send confirm: true to proceed'
+      });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for the erasure is required'
+      });
+    }
+
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (student.erasedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student data has already been erased'
+      });
+    }
+
+    const removed = await eraseStudent(student, { mode });
+
+    // Written after the erasure so the entry itself is not redacted; holds no personal data
+    await AuditLog.create({
+      action: 'STUDENT_ERASED',
+      targetId: student._id,
+      targetModel: 'Student',
+      performedBy: req.user.id,
+      metadata: { mode, reason: String(reason).trim(), removed },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    logger.info(`Student ${student._id} erased (${mode}) by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: mode === 'delete'
+        ? 'Student and all related personal data deleted'
+        : 'Student personal data erased; an anonymous record was kept',
+      data: { studentId: student._id, mode, removed }
+    });
+  } catch (error) {
+    logger.error('Error erasing student data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to erase student data',
+      error: error.message
+    });
+  }
+};
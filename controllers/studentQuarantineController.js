@@ -0,0 +1,165 @@
+const QuarantinedSubmission = require('../models/QuarantinedSubmissionModel');
+const { findDuplicateCandidates } = require('../utils/studentDuplicates');
+const { registerStudent } = require('../utils/studentRegistration');
+const { containsPattern } = require('../utils/catalog');
+const { getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const SUBMISSION_POPULATE = [
+  { path: 'office', select: 'name' },
+  { path: 'releasedStudent', select: 'firstName lastName email stage' },
+  { path: 'releasedBy', select: 'username email' }
+];
+
+// Quarantined consultation form submissions, pending ones by default
+exports.getQuarantinedSubmissions = async (req, res) => {
+  try {
+    const filter = { status: req.query.status || 'pending' };
+    if (!QuarantinedSubmission.QUARANTINE_STATUSES.includes(filter.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${QuarantinedSubmission.QUARANTINE_STATUSES.join(', ')}`
+      });
+    }
+
+    if (req.query.reason) {
+      if (!QuarantinedSubmission.SPAM_REASONS.includes(req.query.reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `Reason must be one of: ${QuarantinedSubmission.SPAM_REASONS.join(', ')}`
+        });
+      }
+      filter.reasons = req.query.reason;
+    }
+    // ?office= was resolved to office ids by resolveOfficeQuery
+    if (req.query.office) filter.office = { $in: req.query.office.split(',') };
+    if (req.query.search) {
+      const pattern = containsPattern(req.query.search);
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, submissions] = await Promise.all([
+      QuarantinedSubmission.countDocuments(filter),
+      QuarantinedSubmission.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(SUBMISSION_POPULATE)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: submissions
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch quarantined submissions');
+  }
+};
+
+// One submission with everything that was posted, for review
+exports.getQuarantinedSubmission = async (req, res) => {
+  try {
+    const submission = await QuarantinedSubmission.findById(req.params.submissionId)
+      .select('+payload')
+      .populate(SUBMISSION_POPULATE);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined submission not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...submission.toJSON(), payload: submission.getPayload() }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch quarantined submission');
+  }
+};
+
+// A false positive: register the student as if the form had been accepted
+exports.releaseSubmission = async (req, res) => {
+  try {
+    // Claimed first so two reviewers cannot release the same submission twice
+    const submission = await QuarantinedSubmission.findOneAndUpdate(
+      { _id: req.params.submissionId, status: 'pending' },
+      { status: 'released', releasedBy: req.user.id, releasedAt: new Date() },
+      { new: true }
+    ).select('+payload');
+
+    if (!submission) {
+      const exists = await QuarantinedSubmission.exists({ _id: req.params.submissionId });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Submission was already released' : 'Quarantined submission not found'
+      });
+    }
+
+    let student;
+    try {
+      const payload = submission.getPayload();
+      student = await registerStudent(payload, {
+        duplicates: await findDuplicateCandidates(payload),
+        author: req.user.id,
+        event: {
+          subject: 'Registered through the consultation form, released from spam quarantine',
+          metadata: { quarantineReasons: submission.reasons }
+        },
+        // Linked as soon as the record exists, so a later failing step cannot lead to a second release.
+        // The student record now holds the data, so the copy is dropped
+        onCreated: async (created) => {
+          student = created;
+          await QuarantinedSubmission.updateOne(
+            { _id: submission._id },
+            { releasedStudent: created._id, $unset: { payload: 1 } }
+          );
+        }
+      });
+    } catch (registerError) {
+      // Back to the queue only when no student was created
+      if (!student) {
+        await QuarantinedSubmission.updateOne(
+          { _id: submission._id },
+          { status: 'pending', releasedBy: null, releasedAt: null }
+        );
+      }
+      throw registerError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Submission released and student registered',
+      data: student
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to release quarantined submission');
+  }
+};
+
+// Confirmed spam is deleted; anything left unreviewed expires on its own
+exports.deleteQuarantinedSubmission = async (req, res) => {
+  try {
+    const submission = await QuarantinedSubmission.findByIdAndDelete(req.params.submissionId);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined submission not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Quarantined submission deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete quarantined submission');
+  }
+};
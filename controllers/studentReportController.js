@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const Student = require('../models/studentModel');
+const ReportJob = require('../models/ReportJobModel');
+const { buildStudentFilter } = require('../utils/studentQuery');
+const { resolveOfficeIds } = require('../utils/offices');
+const {
+  REPORT_STORAGE_DIR,
+  SYNC_REPORT_LIMIT,
+  MAX_REPORTS_PER_EXPORT,
+  appendStudentReports,
+  zipFileName,
+  processQueuedJobs
+} = require('../utils/reportJobs');
+const { logger } = require('../utils/logger.util');
+
+// Students selected by an explicit ID list or by the student list filters
+const resolveStudentIds = async (body, scope) => {
+  if (Array.isArray(body.studentIds)) {
+    const ids = [...new Set(body.studentIds.map(String))];
+    const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length > 0) {
+      return { error: `Invalid student IDs: ${invalid.slice(0, 5).join(', ')}` };
+    }
+    const students = await Student.find({ _id: { $in: ids }, ...scope }).select('_id').sort({ createdAt: -1 });
+    return { ids: students.map(student => student._id) };
+  }
+
+  if (body.filter && typeof body.filter === 'object') {
+    const query = { ...body.filter };
+    if (query.office) {
+      const { ids, unknown } = await resolveOfficeIds(query.office);
+      if (unknown.length > 0) return { error: `Unknown office "${unknown[0]}"` };
+      query.office = ids.map(String);
+    }
+
+    const { filter, error } = buildStudentFilter(query, scope);
+    if (error) return { error };
+    const students = await Student.find(filter).select('_id').sort({ createdAt: -1 }).limit(MAX_REPORTS_PER_EXPORT + 1);
+    return { ids: students.map(student => student._id) };
+  }
+
+  return { error: 'Either studentIds or filter is required' };
+};
+
+// Zip the reports of many students; small batches stream back directly, large ones run as a job
+exports.exportStudentReports = async (req, res) => {
+  try {
+    const { ids, error } = await resolveStudentIds(req.body, req.studentScope);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (ids.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No students match the selection'
+      });
+    }
+
+    if (ids.length > MAX_REPORTS_PER_EXPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_REPORTS_PER_EXPORT} reports can be exported at once`
+      });
+    }
+
+    if (ids.length > SYNC_REPORT_LIMIT) {
+      const job = await ReportJob.create({
+        requestedBy: req.user.id,
+        students: ids,
+        total: ids.length
+      });
+
+      processQueuedJobs();
+
+      logger.info(`Report job ${job._id} queued by ${req.user.email} for ${ids.length} students`);
+      return res.status(202).json({
+        success: true,
+        message: `${ids.length} reports are being generated`,
+        data: {
+          jobId: job._id,
+          status: job.status,
+          total: job.total,
+          statusUrl: `/api/student/reports/jobs/${job._id}`
+        }
+      });
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', (err) => {
+      logger.error('Report archive error:', err);
+      res.destroy(err);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.attachment(zipFileName());
+    archive.pipe(res);
+
+    await appendStudentReports(archive, ids, { requestedBy: req.user.id });
+    await archive.finalize();
+  } catch (error) {
+    logger.error('Error exporting student reports:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export reports',
+        error: error.message
+      });
+    } else {
+      res.destroy(error);
+    }
+  }
+};
+
+// Jobs are visible to the user who started them and to admins
+const findOwnJob = (req) => ReportJob.findOne({
+  _id: req.params.jobId,
+  ...(req.user.role === 'admin' ? {} : { requestedBy: req.user.id })
+});
+
+// Progress of a background report export
+exports.getReportJob = async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.jobId) && await findOwnJob(req).select('-students');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...job.toJSON(),
+        downloadUrl: job.status === 'completed' ? `/api/student/reports/jobs/${job._id}/download` : null
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching report job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report job',
+      error: error.message
+    });
+  }
+};
+
+// Download the ZIP of a completed report export
+exports.downloadReportJob = async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.jobId) && await findOwnJob(req).select('+filePath');
+
+    if (!job || job.status !== 'completed') {
+      return res.status(404).json({
+        success: false,
+        message: 'Report archive not found or not ready yet'
+      });
+    }
+
+    const filePath = path.resolve(job.filePath);
+    if (!filePath.startsWith(path.resolve(REPORT_STORAGE_DIR) + path.sep) || !fs.existsSync(filePath)) {
+      logger.error(`Report archive missing or outside storage: ${filePath}`);
+      return res.status(404).json({
+        success: false,
+        message: 'Report archive has expired'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.download(filePath, job.fileName);
+  } catch (error) {
+    logger.error('Error downloading report archive:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download report archive',
+      error: error.message
+    });
+  }
+};
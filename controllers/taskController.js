@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Task = require('../models/TaskModel');
+const Student = require('../models/studentModel');
+const User = require('../models/userModels');
+const { toList, getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const STAFF_ROLES = ['admin', 'moderator', 'counselor'];
+const EDITABLE_FIELDS = ['title', 'description', 'dueAt', 'priority', 'status', 'assignee'];
+
+const TASK_POPULATE = [
+  { path: 'student', select: 'firstName lastName email mobile office stage' },
+  { path: 'office', select: 'name' },
+  { path: 'assignee', select: 'username email role' },
+  { path: 'createdBy', select: 'username email' }
+];
+
+const paginated = (res, { page, limit }, total, tasks) => res.status(200).json({
+  success: true,
+  count: tasks.length,
+  total,
+  pagination: paginationMeta({ page, limit }, total),
+  data: tasks
+});
+
+// "open,in_progress" -> { $in: [...] }; returns an error message for unknown statuses
+const parseStatuses = (value, fallback) => {
+  if (!value) return { statuses: fallback };
+  const statuses = toList(value);
+  const invalid = statuses.filter(status => !Task.TASK_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    return { error: `Invalid status: ${invalid.join(', ')}. Allowed statuses: ${Task.TASK_STATUSES.join(', ')}` };
+  }
+  return { statuses };
+};
+
+// Assignees must be active staff accounts
+const findStaffUser = (id) => mongoose.isValidObjectId(id)
+  ? User.findOne({ _id: id, active: true, role: { $in: STAFF_ROLES } }).select('_id')
+  : null;
+
+// Create a follow-up task on a student (nested under /api/student/:id/tasks)
+exports.createStudentTask = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope })
+      .populate('assignedCounselor', 'user');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // Defaults to the student's counselor, else whoever creates the task
+    let assignee = student.assignedCounselor?.user || req.user.id;
+    if (req.body.assignee) {
+      const user = await findStaffUser(req.body.assignee);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active admin, moderator or counselor'
+        });
+      }
+      assignee = user._id;
+    }
+
+    const task = await Task.create({
+      student: student._id,
+      office: student.office,
+      title: req.body.title,
+      description: req.body.description,
+      dueAt: req.body.dueAt,
+      priority: req.body.priority,
+      assignee,
+      createdBy: req.user.id
+    });
+    await task.populate(TASK_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create task');
+  }
+};
+
+// Tasks of one student, soonest due first
+exports.getStudentTasks = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope }).select('_id');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const { statuses, error } = parseStatuses(req.query.status, Task.TASK_STATUSES);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const tasks = await Task.find({ student: student._id, status: { $in: statuses } })
+      .sort({ dueAt: 1 })
+      .populate(TASK_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch tasks');
+  }
+};
+
+// Tasks assigned to the signed-in user (?status=, ?overdue=true), soonest due first
+exports.getMyTasks = async (req, res) => {
+  try {
+    const { statuses, error } = parseStatuses(req.query.status, Task.OPEN_STATUSES);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const filter = { assignee: req.user.id, status: { $in: statuses } };
+    if (req.query.office) filter.office = { $in: req.query.office.split(',') };
+    if (req.query.overdue === 'true') {
+      filter.dueAt = { $lt: new Date() };
+    }
+
+    const pagination = getPagination(req.query);
+
+    const [total, tasks] = await Promise.all([
+      Task.countDocuments(filter),
+      Task.find(filter)
+        .sort({ dueAt: 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate(TASK_POPULATE)
+    ]);
+
+    paginated(res, pagination, total, tasks);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch tasks');
+  }
+};
+
+// Overdue open tasks of offices (?office=, defaults to the user's office), most overdue first
+exports.getOverdueTasks = async (req, res) => {
+  try {
+    // ?office= was resolved to office ids by resolveOfficeQuery
+    const offices = req.query.office ? req.query.office.split(',') : [req.user.office].filter(Boolean);
+
+    const filter = {
+      status: { $in: Task.OPEN_STATUSES },
+      dueAt: { $lt: new Date() },
+      ...(offices.length > 0 && { office: { $in: offices } })
+    };
+
+    const pagination = getPagination(req.query);
+
+    const [total, tasks] = await Promise.all([
+      Task.countDocuments(filter),
+      Task.find(filter)
+        .sort({ dueAt: 1, _id: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate(TASK_POPULATE)
+    ]);
+
+    paginated(res, pagination, total, tasks);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch overdue tasks');
+  }
+};
+
+// Update or complete a task; open to its assignee, its creator, admins and moderators
+exports.updateTask = async (req, res) => {
+  try {
+    const task = mongoose.isValidObjectId(req.params.taskId) && await Task.findById(req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const isManager = ['admin', 'moderator'].includes(req.user.role);
+    const isInvolved = [task.assignee, task.createdBy].some(id => id && id.equals(req.user.id));
+    if (!isManager && !isInvolved) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only update tasks assigned to or created by you'
+      });
+    }
+
+    if (req.body.assignee !== undefined) {
+      const user = await findStaffUser(req.body.assignee);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an active admin, moderator or counselor'
+        });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) task[field] = req.body[field];
+    });
+    await task.save();
+    await task.populate(TASK_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Task updated successfully',
+      data: task
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update task');
+  }
+};
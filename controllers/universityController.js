@@ -0,0 +1,218 @@
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const Intake = require('../models/IntakeModel');
+const Scholarship = require('../models/ScholarshipModel');
+const { findCountry } = require('../utils/countries');
+const { findUniversity, containsPattern } = require('../utils/catalog');
+const { getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = ['name', 'city', 'website', 'description', 'ranking', 'isPartner', 'isActive'];
+
+const pickUniversityFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+// Slug clashes only happen when two universities with the same name are saved at once
+const sendUniversityError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, error.keyPattern?.slug
+    ? 'Another university with this name was saved at the same time, please try again'
+    : 'A university with this name already exists in this country');
+
+// Number of programs per university, active ones only unless includeInactive
+const countPrograms = async (universityIds, includeInactive) => {
+  const groups = await Program.aggregate([
+    { $match: { university: { $in: universityIds }, ...(!includeInactive && { isActive: true }) } },
+    { $group: { _id: '$university', count: { $sum: 1 } } }
+  ]);
+  const counts = new Map(groups.map(group => [String(group._id), group.count]));
+  return (universityId) => counts.get(String(universityId)) || 0;
+};
+
+// ?country=&search=&partner=&page=&limit=; the public list only shows active universities
+const listUniversities = (includeInactive) => async (req, res) => {
+  try {
+    const filter = includeInactive ? {} : { isActive: true };
+
+    if (req.query.country) {
+      const country = await findCountry(req.query.country);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown country "${req.query.country}"`
+        });
+      }
+      filter.country = country._id;
+    }
+    if (req.query.search) {
+      const pattern = containsPattern(req.query.search);
+      filter.$or = [{ name: pattern }, { city: pattern }];
+    }
+    if (req.query.partner !== undefined) {
+      filter.isPartner = req.query.partner === 'true';
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, universities] = await Promise.all([
+      University.countDocuments(filter),
+      University.find(filter)
+        .sort({ ranking: 1, name: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('country', 'name slug')
+    ]);
+    const programCount = await countPrograms(universities.map(university => university._id), includeInactive);
+
+    res.status(200).json({
+      success: true,
+      count: universities.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: universities.map(university => ({ ...university.toObject(), programCount: programCount(university._id) }))
+    });
+  } catch (error) {
+    sendUniversityError(res, error, 'Failed to fetch universities');
+  }
+};
+
+// Active universities (Public)
+exports.getUniversities = listUniversities(false);
+
+// Every university, inactive ones included (Admin/Moderator)
+exports.getAllUniversities = listUniversities(true);
+
+// One active university by id or slug with its active programs (Public)
+exports.getUniversity = async (req, res) => {
+  try {
+    const university = await findUniversity(req.params.id);
+
+    if (!university || !university.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'University not found'
+      });
+    }
+
+    await university.populate('country', 'name slug');
+    const programs = await Program.find({ university: university._id, isActive: true })
+      .sort({ level: 1, name: 1 })
+      .select('-university -country -__v');
+
+    res.status(200).json({
+      success: true,
+      data: { ...university.toObject(), programs }
+    });
+  } catch (error) {
+    sendUniversityError(res, error, 'Failed to fetch university');
+  }
+};
+
+exports.createUniversity = async (req, res) => {
+  try {
+    const country = await findCountry(req.body.country);
+    if (!country) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.country ? `Unknown country "${req.body.country}"` : 'Country is required'
+      });
+    }
+
+    const university = await University.create({ ...pickUniversityFields(req.body), country: country._id });
+
+    logger.info(`University "${university.name}" created by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      message: 'University created successfully',
+      data: university
+    });
+  } catch (error) {
+    sendUniversityError(res, error, 'Failed to create university');
+  }
+};
+
+// Partial update; moving a university to another country moves its programs and intakes too
+exports.updateUniversity = async (req, res) => {
+  try {
+    const university = await findUniversity(req.params.id);
+
+    if (!university) {
+      return res.status(404).json({
+        success: false,
+        message: 'University not found'
+      });
+    }
+
+    if (req.body.country !== undefined) {
+      const country = await findCountry(req.body.country);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown country "${req.body.country}"`
+        });
+      }
+      university.country = country._id;
+    }
+
+    university.set(pickUniversityFields(req.body));
+    const countryChanged = university.isModified('country');
+    await university.save();
+
+    if (countryChanged) {
+      await Program.updateMany({ university: university._id }, { country: university.country });
+      await Intake.updateMany({ university: university._id }, { country: university.country });
+    }
+
+    logger.info(`University "${university.name}" updated by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'University updated successfully',
+      data: university
+    });
+  } catch (error) {
+    sendUniversityError(res, error, 'Failed to update university');
+  }
+};
+
+// Only universities without programs or intakes can be deleted; deactivate the others instead
+exports.deleteUniversity = async (req, res) => {
+  try {
+    const university = await findUniversity(req.params.id);
+
+    if (!university) {
+      return res.status(404).json({
+        success: false,
+        message: 'University not found'
+      });
+    }
+
+    const [programs, intakes, scholarships] = await Promise.all([
+      Program.countDocuments({ university: university._id }),
+      Intake.countDocuments({ university: university._id }),
+      Scholarship.countDocuments({ universities: university._id })
+    ]);
+    if (programs > 0 || intakes > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `University still has ${programs} program(s) and ${intakes} intake(s); delete them or deactivate the university instead`
+      });
+    }
+    if (scholarships > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `University is still linked to ${scholarships} scholarship(s); update them or deactivate the university instead`
+      });
+    }
+
+    await university.deleteOne();
+
+    logger.info(`University "${university.name}" deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'University deleted successfully'
+    });
+  } catch (error) {
+    sendUniversityError(res, error, 'Failed to delete university');
+  }
+};
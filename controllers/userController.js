@@ -805,11 +805,15 @@ exports.getAllUsers = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const total = await User.countDocuments();
+    // ?office= was resolved to office ids by resolveOfficeQuery
+    const filter = req.query.office ? { office: { $in: req.query.office.split(',') } } : {};
+
+    const total = await User.countDocuments(filter);
     
-    const users = await User.find()
+    const users = await User.find(filter)
       .skip(skip)
       .limit(limit)
+      .populate('office', 'name')
       .select('-__v -password -refreshToken');
 
     res.status(200).json({
@@ -886,6 +890,41 @@ exports.changeUserRole = async (req, res) => {
   }
 };
 
+// Office a staff member works at (null for staff not tied to one office)
+exports.changeUserOffice = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { office: req.body.office || null },
+      {
+        new: true,
+        runValidators: true
+      }
+    ).select('-password -refreshToken').populate('office', 'name');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User office updated successfully',
+      data: {
+        user
+      }
+    });
+  } catch (err) {
+    console.error('Change user office error:', err);
+    res.status(400).json({
+      status: 'fail',
+      message: err.message
+    });
+  }
+};
+
 exports.deleteUser = async (req, res) => {
   try {
     await User.findByIdAndUpdate(req.params.id, { active: false });
@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const VisaCase = require('../models/VisaCaseModel');
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const Application = require('../models/ApplicationModel');
+const Country = require('../models/CountryModel');
+const Counselor = require('../models/CounselorsModel');
+const { findCountry } = require('../utils/countries');
+const { checklistFor } = require('../utils/documentChecklist');
+const { recordSystemEvent } = require('../utils/studentActivity');
+const { isObjectId, toList, getPagination, paginationMeta, sendError } = require('../utils/requestHelpers');
+const { logger } = require('../utils/logger.util');
+
+const EDITABLE_FIELDS = [
+  'visaType', 'visaSubclass', 'passportNumber', 'referenceNumber', 'status',
+  'lodgedAt', 'biometricsAt', 'interviewAt', 'decidedAt', 'outcome', 'validUntil', 'refusalReasons', 'notes'
+];
+
+const VISA_CASE_POPULATE = [
+  { path: 'student', select: 'firstName lastName email stage' },
+  { path: 'office', select: 'name' },
+  { path: 'counselor', select: 'name' },
+  { path: 'country', select: 'name slug' },
+  { path: 'application', select: 'university program intake status' },
+  { path: 'createdBy', select: 'username email' }
+];
+
+const pickVisaCaseFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendVisaCaseError = (res, error, fallbackMessage) =>
+  sendError(res, error, fallbackMessage, 'The student already has an open visa case for this country');
+
+const parseDate = (value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+// The case as JSON with the destination's document checklist checked against the student's vault
+const withChecklist = async (visaCase) => {
+  const [country, documents] = await Promise.all([
+    Country.findById(visaCase.country._id || visaCase.country).select('name slug requiredDocuments'),
+    StudentDocument.find({ student: visaCase.student._id || visaCase.student }).select('kind label status')
+  ]);
+  return { ...visaCase.toJSON(), checklist: checklistFor(country ? [country] : [], documents) };
+};
+
+// The linked application must belong to the student
+const findStudentApplication = (studentId, applicationId) => (isObjectId(applicationId)
+  ? Application.findOne({ _id: applicationId, student: studentId }).select('_id country')
+  : null);
+
+// Load a case by id, honouring the counselor scope
+const findScopedVisaCase = async (req) => {
+  if (!isObjectId(req.params.caseId)) return null;
+
+  const visaCase = await VisaCase.findById(req.params.caseId);
+  if (!visaCase) return null;
+
+  if (req.studentScope && Object.keys(req.studentScope).length > 0) {
+    const inScope = await Student.exists({ _id: visaCase.student, ...req.studentScope });
+    if (!inScope) return null;
+  }
+  return visaCase;
+};
+
+// Put lodgements and decisions on the student's timeline
+const recordCaseEvents = async (visaCase, previous, userId) => {
+  const country = visaCase.populated('country') ? visaCase.country.name : 'destination';
+
+  if (visaCase.status === 'lodged' && previous.status !== 'lodged') {
+    await recordSystemEvent(visaCase.student._id || visaCase.student, 'visa_lodged', {
+      subject: `${country} ${visaCase.visaType} visa lodged`,
+      author: userId,
+      metadata: { visaCase: visaCase._id, lodgedAt: visaCase.lodgedAt }
+    });
+  }
+  if (visaCase.status === 'decided' && (previous.status !== 'decided' || previous.outcome !== visaCase.outcome)) {
+    await recordSystemEvent(visaCase.student._id || visaCase.student, 'visa_decided', {
+      subject: `${country} ${visaCase.visaType} visa ${visaCase.outcome}`,
+      body: visaCase.refusalReasons.join('\n') || undefined,
+      author: userId,
+      metadata: { visaCase: visaCase._id, outcome: visaCase.outcome, decidedAt: visaCase.decidedAt }
+    });
+  }
+};
+
+// Visa cases of one student with their checklists (nested under /api/student/:id/visa-cases)
+exports.getStudentVisaCases = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope }).select('_id');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const visaCases = await VisaCase.find({ student: student._id })
+      .sort({ createdAt: -1 })
+      .populate(VISA_CASE_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      count: visaCases.length,
+      data: await Promise.all(visaCases.map(withChecklist))
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to fetch visa cases');
+  }
+};
+
+// Open a visa case for a student and destination; only one open case per destination
+exports.createStudentVisaCase = async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, ...req.studentScope })
+      .select('_id office assignedCounselor passport');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    let application = null;
+    if (req.body.application) {
+      application = await findStudentApplication(student._id, req.body.application);
+      if (!application) {
+        return res.status(400).json({
+          success: false,
+          message: 'Application not found for this student'
+        });
+      }
+    }
+
+    // The destination defaults to the country of the linked application
+    const country = req.body.country ? await findCountry(req.body.country) : application && { _id: application.country };
+    if (!country) {
+      return res.status(400).json({
+        success: false,
+        message: req.body.country ? `Unknown country "${req.body.country}"` : 'Country is required'
+      });
+    }
+
+    const openCase = await VisaCase.exists({ student: student._id, country: country._id, status: { $in: VisaCase.OPEN_STATUSES } });
+    if (openCase) {
+      return res.status(409).json({
+        success: false,
+        message: 'The student already has an open visa case for this country',
+        visaCase: openCase._id
+      });
+    }
+
+    const visaCase = new VisaCase({
+      passportNumber: student.passport?.number,
+      ...pickVisaCaseFields(req.body),
+      student: student._id,
+      office: student.office,
+      counselor: student.assignedCounselor || null,
+      country: country._id,
+      application: application ? application._id : null,
+      createdBy: req.user.id
+    });
+    await visaCase.save();
+    await visaCase.populate(VISA_CASE_POPULATE);
+    await recordCaseEvents(visaCase, {}, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visa case created successfully',
+      data: await withChecklist(visaCase)
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to create visa case');
+  }
+};
+
+// Visa cases across the agency (?status=&outcome=&country=&office=&counselor=&page=&limit=)
+exports.getVisaCases = async (req, res) => {
+  try {
+    const filter = {};
+
+    for (const [param, allowed] of [['status', VisaCase.CASE_STATUSES], ['outcome', VisaCase.OUTCOMES]]) {
+      if (!req.query[param]) continue;
+      const values = toList(req.query[param]);
+      const invalid = values.filter(value => !allowed.includes(value));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${param}: ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}`
+        });
+      }
+      filter[param] = { $in: values };
+    }
+
+    if (req.query.country) {
+      const country = await findCountry(req.query.country);
+      if (!country) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown country "${req.query.country}"`
+        });
+      }
+      filter.country = country._id;
+    }
+    // ?office= was resolved to office ids by resolveOfficeQuery
+    if (req.query.office) filter.office = { $in: req.query.office.split(',') };
+    if (req.query.counselor && isObjectId(req.query.counselor)) filter.counselor = req.query.counselor;
+
+    if (req.studentScope && Object.keys(req.studentScope).length > 0) {
+      filter.student = { $in: await Student.find(req.studentScope).distinct('_id') };
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [total, visaCases] = await Promise.all([
+      VisaCase.countDocuments(filter),
+      VisaCase.find(filter)
+        .sort({ updatedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate(VISA_CASE_POPULATE)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: visaCases.length,
+      total,
+      pagination: paginationMeta({ page, limit }, total),
+      data: visaCases
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to fetch visa cases');
+  }
+};
+
+exports.getVisaCase = async (req, res) => {
+  try {
+    const visaCase = await findScopedVisaCase(req);
+
+    if (!visaCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visa case not found'
+      });
+    }
+
+    await visaCase.populate(VISA_CASE_POPULATE);
+    res.status(200).json({
+      success: true,
+      data: await withChecklist(visaCase)
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to fetch visa case');
+  }
+};
+
+// Record lodgement, biometrics and interview dates, the decision and refusal reasons
+exports.updateVisaCase = async (req, res) => {
+  try {
+    const visaCase = await findScopedVisaCase(req);
+
+    if (!visaCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visa case not found'
+      });
+    }
+
+    if (req.body.application !== undefined) {
+      const application = req.body.application && await findStudentApplication(visaCase.student, req.body.application);
+      if (req.body.application && !application) {
+        return res.status(400).json({
+          success: false,
+          message: 'Application not found for this student'
+        });
+      }
+      visaCase.application = application ? application._id : null;
+    }
+
+    const previous = { status: visaCase.status, outcome: visaCase.outcome };
+    visaCase.set(pickVisaCaseFields(req.body));
+    // Reopening a decided case clears the decision
+    if (req.body.status !== undefined && visaCase.status !== 'decided' && previous.status === 'decided') {
+      visaCase.outcome = null;
+      visaCase.decidedAt = null;
+      visaCase.refusalReasons = [];
+    }
+    await visaCase.save();
+    await visaCase.populate(VISA_CASE_POPULATE);
+    await recordCaseEvents(visaCase, previous, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visa case updated successfully',
+      data: await withChecklist(visaCase)
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to update visa case');
+  }
+};
+
+exports.deleteVisaCase = async (req, res) => {
+  try {
+    const visaCase = await findScopedVisaCase(req);
+
+    if (!visaCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visa case not found'
+      });
+    }
+
+    await visaCase.deleteOne();
+
+    logger.info(`Visa case ${visaCase._id} deleted by ${req.user.email}`);
+    res.status(200).json({
+      success: true,
+      message: 'Visa case deleted successfully'
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to delete visa case');
+  }
+};
+
+/**
+ * Approval rates of decided cases by country and by counselor
+ * (?from=&to= on the decision date, ?office=, ?visaType=).
+ * The rate is approved / (approved + refused); withdrawn cases are left out.
+ */
+exports.getVisaOutcomeReport = async (req, res) => {
+  try {
+    const match = { status: 'decided', outcome: { $in: VisaCase.OUTCOMES } };
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from && parseDate(req.query.from);
+      const to = req.query.to && parseDate(req.query.to, true);
+      if ((req.query.from && !from) || (req.query.to && !to)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+      match.decidedAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+    // Aggregations do not cast, so office ids are converted here
+    if (req.query.office) {
+      match.office = { $in: req.query.office.split(',').map(id => new mongoose.Types.ObjectId(id)) };
+    }
+    if (req.query.visaType) match.visaType = req.query.visaType;
+
+    const rateStages = (from, as, fields) => [
+      {
+        $group: {
+          _id: `$${as}`,
+          decided: { $sum: 1 },
+          approved: { $sum: { $cond: [{ $eq: ['$outcome', 'approved'] }, 1, 0] } },
+          refused: { $sum: { $cond: [{ $eq: ['$outcome', 'refused'] }, 1, 0] } }
+        }
+      },
+      { $lookup: { from, localField: '_id', foreignField: '_id', as: 'ref' } },
+      {
+        $project: {
+          _id: 0,
+          [as]: { $cond: [{ $gt: [{ $size: '$ref' }, 0] }, { _id: '$_id', ...fields }, null] },
+          decided: 1,
+          approved: 1,
+          refused: 1,
+          approvalRate: { $round: [{ $multiply: [{ $divide: ['$approved', '$decided'] }, 100] }, 1] }
+        }
+      },
+      { $sort: { decided: -1 } }
+    ];
+
+    const [result] = await VisaCase.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              decided: { $sum: 1 },
+              approved: { $sum: { $cond: [{ $eq: ['$outcome', 'approved'] }, 1, 0] } }
+            }
+          }],
+          byCountry: rateStages(Country.collection.name, 'country', { name: { $arrayElemAt: ['$ref.name', 0] }, slug: { $arrayElemAt: ['$ref.slug', 0] } }),
+          byCounselor: rateStages(Counselor.collection.name, 'counselor', { name: { $arrayElemAt: ['$ref.name', 0] } }),
+          topRefusalReasons: [
+            { $unwind: '$refusalReasons' },
+            { $group: { _id: { $toLower: '$refusalReasons' }, reason: { $first: '$refusalReasons' }, count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: 10 },
+            { $project: { _id: 0, reason: 1, count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { decided: 0, approved: 0 };
+    res.status(200).json({
+      success: true,
+      data: {
+        decided: totals.decided,
+        approved: totals.approved,
+        refused: totals.decided - totals.approved,
+        approvalRate: totals.decided > 0 ? Math.round((totals.approved / totals.decided) * 1000) / 10 : null,
+        byCountry: result.byCountry,
+        byCounselor: result.byCounselor,
+        topRefusalReasons: result.topRefusalReasons
+      }
+    });
+  } catch (error) {
+    sendVisaCaseError(res, error, 'Failed to build visa outcome report');
+  }
+};
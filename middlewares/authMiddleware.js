@@ -261,6 +261,7 @@ const authMiddleware = async (req, res, next) => {
       email: user.email,
       role: user.role,
       username: user.username,
+      office: user.office,
       sessionVersion: user.sessionVersion,
       lastLogin: user.lastLogin
     };
@@ -345,8 +346,9 @@ const handleAuthError = (error, req, res) => {
 // ========================
 const authorizeRoles = (...allowedRoles) => {
   const roleHierarchy = {
-    admin: ['admin', 'moderator', 'user'],
+    admin: ['admin', 'moderator', 'counselor', 'user'],
     moderator: ['moderator', 'user'],
+    counselor: ['counselor', 'user'],
     user: ['user']
   };
 
@@ -0,0 +1,65 @@
+const { loadOfficeLookup, resolveOfficeIds } = require('../utils/offices');
+
+/**
+ * Replace the office in req.body (id, name or slug) with the office id.
+ * `activeOnly` rejects inactive offices (new students); `allowNull` accepts
+ * null or '' to clear the office (staff not tied to one office).
+ */
+exports.resolveOfficeBody = ({ field = 'office', activeOnly = false, allowNull = false } = {}) => async (req, res, next) => {
+  try {
+    const value = req.body[field];
+    if (value === undefined) return next();
+
+    if (value === null || value === '') {
+      if (allowNull) {
+        req.body[field] = null;
+        return next();
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Office is required'
+      });
+    }
+
+    const office = (await loadOfficeLookup({ activeOnly }))(value);
+    if (!office) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown${activeOnly ? ' or inactive' : ''} office "${value}"`
+      });
+    }
+
+    req.body[field] = office._id;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving office',
+      error: error.message
+    });
+  }
+};
+
+// Replace ?office= (comma separated ids, names or slugs) with office ids so every list can be filtered by office
+exports.resolveOfficeQuery = async (req, res, next) => {
+  try {
+    if (!req.query.office) return next();
+
+    const { ids, unknown } = await resolveOfficeIds(req.query.office);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown office "${unknown[0]}"`
+      });
+    }
+
+    req.query.office = ids.map(String).join(',');
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resolving office',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,50 @@
+const Student = require('../models/studentModel');
+const { verifyPortalSession } = require('../utils/studentPortal');
+
+// Middleware to authenticate a student portal session (Bearer token from POST /api/portal/session).
+// Sets req.student; staff tokens are rejected.
+exports.portalAuth = async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Portal session required'
+      });
+    }
+
+    let studentId;
+    try {
+      studentId = verifyPortalSession(token);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: tokenError.name === 'TokenExpiredError'
+          ? 'Portal session expired, please request a new link'
+          : 'Invalid portal session'
+      });
+    }
+
+    const student = await Student.findById(studentId)
+      .populate('assignedCounselor', 'name')
+      .populate('office', 'name address phone email openingHours');
+    // Sessions are stateless, so one issued before the student's data was erased is refused here
+    if (!student || student.erasedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid portal session'
+      });
+    }
+
+    req.student = student;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying portal session',
+      error: error.message
+    });
+  }
+};
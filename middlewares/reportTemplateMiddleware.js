@@ -0,0 +1,78 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { promisify } = require('util');
+const { logger } = require('../utils/logger.util');
+const unlinkAsync = promisify(fs.unlink);
+
+// Configure storage for report logos
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = path.join(__dirname, '../uploads/report-logos');
+    fs.mkdirSync(uploadPath, { recursive: true });
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `logo-${uniqueSuffix}${ext}`);
+  }
+});
+
+// PDFKit can only embed PNG and JPEG images
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only JPEG and PNG logos are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  }
+}).single('logo');
+
+// Middleware to handle report logo upload
+const uploadReportLogo = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      logger.error('Report logo upload error:', err);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: 'File size exceeds 2MB limit'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'Failed to upload logo'
+      });
+    }
+    next();
+  });
+};
+
+// Middleware to clean up uploaded file if request fails
+const cleanupReportLogo = (req, res, next) => {
+  res.on('finish', async () => {
+    if (res.statusCode >= 400 && req.file) {
+      try {
+        await unlinkAsync(req.file.path);
+        logger.info(`Cleaned up report logo: ${req.file.path}`);
+      } catch (cleanupErr) {
+        logger.error('Report logo cleanup error:', cleanupErr);
+      }
+    }
+  });
+  next();
+};
+
+module.exports = {
+  uploadReportLogo,
+  cleanupReportLogo
+};
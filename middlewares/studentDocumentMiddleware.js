@@ -0,0 +1,76 @@
+const { logger } = require('../utils/logger.util');
+const { promisify } = require('util');
+const fs = require('fs');
+const unlinkAsync = promisify(fs.unlink);
+const documentUpload = require('../config/document.multer.config');
+const Student = require('../models/studentModel');
+const { isObjectId } = require('../utils/requestHelpers');
+
+const upload = documentUpload.single('file');
+
+// Middleware to load the student of a staff upload (honouring the counselor scope) into
+// req.student before the file is written, so nothing is stored for unknown or foreign students
+const resolveUploadStudent = async (req, res, next) => {
+  try {
+    const student = isObjectId(req.params.id)
+      && await Student.findOne({ _id: req.params.id, ...req.studentScope }).select('_id');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    req.student = student;
+    next();
+  } catch (error) {
+    logger.error('Error resolving student for document upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload document',
+      error: error.message
+    });
+  }
+};
+
+// Middleware to handle a single student document upload
+const uploadStudentDocument = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      logger.error('Student document upload error:', err);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: 'File size exceeds 20MB limit'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'Failed to upload document'
+      });
+    }
+    next();
+  });
+};
+
+// Middleware to remove the uploaded file if the request fails
+const cleanupStudentDocument = (req, res, next) => {
+  res.on('finish', async () => {
+    if (res.statusCode >= 400 && req.file) {
+      try {
+        await unlinkAsync(req.file.path);
+        logger.info(`Cleaned up student document: ${req.file.path}`);
+      } catch (cleanupErr) {
+        logger.error('Student document cleanup error:', cleanupErr);
+      }
+    }
+  });
+  next();
+};
+
+module.exports = {
+  resolveUploadStudent,
+  uploadStudentDocument,
+  cleanupStudentDocument
+};
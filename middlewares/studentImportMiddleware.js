@@ -0,0 +1,28 @@
+const { logger } = require('../utils/logger.util');
+const importUpload = require('../config/import.multer.config');
+
+const upload = importUpload.single('file');
+
+// Middleware to handle a single CSV/XLSX import file
+const uploadImportFile = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (err) {
+      logger.error('Student import upload error:', err);
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          success: false,
+          message: 'File size exceeds 5MB limit'
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'Failed to upload import file'
+      });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  uploadImportFile
+};
@@ -1,62 +1,98 @@
-const Student = require('../models/studentModel');
+const Counselor = require('../models/CounselorsModel');
+const QuarantinedSubmission = require('../models/QuarantinedSubmissionModel');
+const { validateStudentPayload } = require('../utils/studentValidation');
+const { findDuplicateCandidates } = require('../utils/studentDuplicates');
+const { screenSubmission, stripProtectionFields } = require('../utils/formProtection');
+const { logger } = require('../utils/logger.util');
 
 // Middleware to validate student data
 exports.validateStudentData = (req, res, next) => {
-  const requiredFields = [
-    'firstName', 'lastName', 'email', 'mobile', 
-    'office', 'topics', 'destinations', 'slc', 'plusTwo'
-  ];
-  
-  const missingFields = requiredFields.filter(field => !req.body[field]);
-  
-  if (missingFields.length > 0) {
+  const { data, errors } = validateStudentPayload(req.body);
+
+  if (errors.length > 0) {
     return res.status(400).json({
       success: false,
-      message: `Missing required fields: ${missingFields.join(', ')}`
+      message: errors[0]
     });
   }
 
-  const emailRegex = /\S+@\S+\.\S+/;
-  if (!emailRegex.test(req.body.email)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Please provide a valid email address'
+  Object.assign(req.body, data);
+  next();
+};
+
+// Middleware to hold back likely spam from the public form for staff review.
+// Suspected submissions get the same response as genuine ones, so bots learn nothing from it.
+exports.screenForSpam = async (req, res, next) => {
+  try {
+    const reasons = await screenSubmission(req.body, { ip: req.ip });
+    stripProtectionFields(req.body);
+
+    if (reasons.length === 0) {
+      return next();
+    }
+
+    await QuarantinedSubmission.quarantine(req.body, {
+      reasons,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
-  }
+    logger.warn(`Consultation form submission from ${req.ip} quarantined: ${reasons.join(', ')}`);
 
-  if (!/^\+977\d{10}$/.test(req.body.mobile)) {
-    return res.status(400).json({
+    res.status(201).json({
+      success: true,
+      message: 'Student consultation created successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
       success: false,
-      message: 'Mobile number must be in format +977XXXXXXXXXX'
+      message: 'Server error while checking the submission',
+      error: error.message
     });
   }
-
-  next();
 };
 
-// Middleware to check if student already exists
+// Middleware to flag likely duplicates of the submitted student.
+// Submissions are never rejected; matches are left in req.duplicateCandidates for review.
 exports.checkDuplicateStudent = async (req, res, next) => {
   try {
-    const existingStudent = await Student.findOne({
-      $or: [
-        { email: req.body.email },
-        { mobile: req.body.mobile }
-      ]
+    req.duplicateCandidates = await findDuplicateCandidates(req.body);
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking for duplicate student',
+      error: error.message
     });
+  }
+};
+
+// Middleware to limit counselors to the students assigned to them.
+// Sets req.studentScope, a filter every student query should be combined with.
+exports.scopeStudentsToCounselor = async (req, res, next) => {
+  try {
+    req.studentScope = {};
+
+    if (req.user?.role !== 'counselor') {
+      return next();
+    }
+
+    const counselor = await Counselor.findByUser(req.user.id).select('_id');
 
-    if (existingStudent) {
-      return res.status(409).json({
+    if (!counselor) {
+      return res.status(403).json({
         success: false,
-        message: 'Student with this email or mobile number already exists'
+        message: 'Your account is not linked to a counselor profile'
       });
     }
 
+    req.counselor = counselor;
+    req.studentScope = { assignedCounselor: counselor._id };
     next();
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Server error while checking for duplicate student',
+      message: 'Server error while resolving counselor access',
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -146,10 +146,20 @@ exports.validateChangeUserRole = [
     .withMessage("Invalid user ID"),
 
   body("role")
-    .isIn(["user", "moderator", "admin"])
+    .isIn(["user", "counselor", "moderator", "admin"])
     .withMessage("Invalid role specified")
 ];
 
+exports.validateChangeUserOffice = [
+  param("id")
+    .isMongoId()
+    .withMessage("Invalid user ID"),
+
+  body("office")
+    .exists()
+    .withMessage("Office is required (an office id, name or slug, or null)")
+];
+
 exports.validateUserIdParam = [
   param("id")
     .isMongoId()
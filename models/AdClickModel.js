@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Clicks older than this can no longer be credited with a lead
+const ATTRIBUTION_WINDOW_DAYS = 30;
+
+// One click on an advertisement; its token travels to the landing page and back with the inquiry
+const adClickSchema = new mongoose.Schema({
+  ad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Advertisement',
+    required: [true, 'Advertisement is required']
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The inquiry this click turned into, at most one
+  convertedStudent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  clickedAt: {
+    type: Date,
+    default: Date.now,
+    expires: ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60
+  }
+});
+
+adClickSchema.index({ ad: 1, convertedStudent: 1 });
+
+adClickSchema.statics.ATTRIBUTION_WINDOW_DAYS = ATTRIBUTION_WINDOW_DAYS;
+
+module.exports = mongoose.model('AdClick', adClickSchema);
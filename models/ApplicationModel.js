@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+
+// Statuses in the order an application normally moves through them
+const APPLICATION_STATUSES = [
+  'draft',
+  'submitted',
+  'conditional_offer',
+  'unconditional_offer',
+  'rejected',
+  'cas_coe_issued'
+];
+
+// Statuses that mean the university has decided
+const DECISION_STATUSES = ['conditional_offer', 'unconditional_offer', 'rejected'];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: APPLICATION_STATUSES
+  },
+  to: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status note cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+const applicationSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Copied from the student so an office's applications can be listed without a join
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office is required']
+  },
+  country: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Country',
+    required: [true, 'Country is required']
+  },
+  university: {
+    type: String,
+    required: [true, 'University is required'],
+    trim: true,
+    maxlength: [150, 'University cannot exceed 150 characters']
+  },
+  program: {
+    type: String,
+    required: [true, 'Program is required'],
+    trim: true,
+    maxlength: [150, 'Program cannot exceed 150 characters']
+  },
+  // Catalog entries the application is for, when they are listed; university and program keep the names
+  universityRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University',
+    default: null
+  },
+  programRef: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    default: null
+  },
+  intake: {
+    month: {
+      type: Number,
+      required: [true, 'Intake month is required'],
+      min: [1, 'Intake month must be between 1 and 12'],
+      max: [12, 'Intake month must be between 1 and 12']
+    },
+    year: {
+      type: Number,
+      required: [true, 'Intake year is required'],
+      min: [2000, 'Intake year is not valid'],
+      max: [2100, 'Intake year is not valid']
+    }
+  },
+  applicationFee: {
+    amount: {
+      type: Number,
+      min: [0, 'Application fee cannot be negative'],
+      default: 0
+    },
+    // ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. AUD'],
+      default: 'NPR'
+    },
+    waived: {
+      type: Boolean,
+      default: false
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: APPLICATION_STATUSES,
+      message: `Status must be one of: ${APPLICATION_STATUSES.join(', ')}`
+    },
+    default: 'draft'
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  // Student or application id given by the university
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  // Key dates; submittedAt, decidedAt and casIssuedAt are filled in when the status changes
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  // Last day to accept the offer
+  offerDeadline: {
+    type: Date,
+    default: null
+  },
+  // Deadline for the tuition deposit required before the CAS/COE
+  depositDeadline: {
+    type: Date,
+    default: null
+  },
+  casIssuedAt: {
+    type: Date,
+    default: null
+  },
+  // Offer letters and CAS/COE documents in the student's document vault
+  offerLetters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudentDocument'
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+applicationSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    const now = new Date();
+    if (this.status === 'submitted' && !this.submittedAt) this.submittedAt = now;
+    if (DECISION_STATUSES.includes(this.status) && !this.decidedAt) this.decidedAt = now;
+    if (this.status === 'cas_coe_issued' && !this.casIssuedAt) this.casIssuedAt = now;
+  }
+  next();
+});
+
+applicationSchema.index({ student: 1, createdAt: -1 });
+applicationSchema.index({ office: 1, status: 1 });
+applicationSchema.index({ country: 1, status: 1 });
+applicationSchema.index({ 'intake.year': 1, 'intake.month': 1 });
+applicationSchema.index({ universityRef: 1, status: 1 });
+
+applicationSchema.statics.APPLICATION_STATUSES = APPLICATION_STATUSES;
+applicationSchema.statics.DECISION_STATUSES = DECISION_STATUSES;
+
+// Change the status and record who did it
+applicationSchema.methods.changeStatus = function(status, { changedBy, note } = {}) {
+  this.statusHistory.push({ from: this.status, to: status, changedBy, note });
+  this.status = status;
+  return this;
+};
+
+module.exports = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const validateTimeRange = function() {
+  return !this.startTime || !this.endTime || this.startTime < this.endTime;
+};
+
+// A recurring block of working hours on one weekday at one office
+const weeklySlotSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office is required']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+    validate: {
+      validator: validateTimeRange,
+      message: 'End time must be after start time'
+    }
+  }
+}, { _id: false });
+
+// A one-off change for a specific date: a day off, or replacement hours
+const exceptionSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: [true, 'Exception date is required'],
+    match: [DATE_PATTERN, 'Exception date must be in YYYY-MM-DD format']
+  },
+  // Leave empty to apply to every office the counselor works at
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office'
+  },
+  isUnavailable: {
+    type: Boolean,
+    default: true
+  },
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time must be in HH:mm format'],
+    validate: {
+      validator: validateTimeRange,
+      message: 'End time must be after start time'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, { _id: false });
+
+const counselorAvailabilitySchema = new mongoose.Schema({
+  counselor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor',
+    required: [true, 'Counselor is required'],
+    unique: true
+  },
+  slotMinutes: {
+    type: Number,
+    default: 30,
+    min: [15, 'Slots must be at least 15 minutes'],
+    max: [180, 'Slots cannot exceed 180 minutes']
+  },
+  weekly: {
+    type: [weeklySlotSchema],
+    default: []
+  },
+  exceptions: {
+    type: [exceptionSchema],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+counselorAvailabilitySchema.index({ 'weekly.office': 1 });
+
+module.exports = mongoose.model('CounselorAvailability', counselorAvailabilitySchema);
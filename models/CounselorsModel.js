@@ -30,6 +30,24 @@ const counselorSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Bio cannot exceed 1000 characters']
   },
+  // Login account of the counselor; students are assigned to counselors with a linked user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office'
+  },
+  acceptingStudents: {
+    type: Boolean,
+    default: true
+  },
+  lastAssignedAt: {
+    type: Date,
+    default: null
+  },
   certifications: {
     type: [String],
     required: [true, 'At least one certification is required'],
@@ -50,6 +68,28 @@ const counselorSchema = new mongoose.Schema({
 counselorSchema.index({ name: 1 });
 counselorSchema.index({ expertise: 1 });
 counselorSchema.index({ createdAt: -1 });
+counselorSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+counselorSchema.index({ office: 1, acceptingStudents: 1, lastAssignedAt: 1 });
+
+// Pick the next counselor for an office in round-robin order.
+// The least recently assigned counselor is claimed atomically so concurrent
+// registrations do not land on the same person.
+counselorSchema.statics.claimNextForOffice = function(office) {
+  return this.findOneAndUpdate(
+    {
+      office,
+      acceptingStudents: true,
+      user: { $ne: null }
+    },
+    { $set: { lastAssignedAt: new Date() } },
+    { sort: { lastAssignedAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+// Find the counselor profile linked to a login account
+counselorSchema.statics.findByUser = function(userId) {
+  return this.findOne({ user: userId });
+};
 
 
 
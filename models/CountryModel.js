@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const { DOCUMENT_KINDS } = require('./StudentDocumentModel');
+const { PROGRAM_LEVELS } = require('./ProgramModel');
+const { entryRequirementFields } = require('./EntryRequirementsSchema');
+
+// A document students heading to this country must provide
+const requiredDocumentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: DOCUMENT_KINDS
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  mandatory: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  }
+}, { _id: false });
+
+// Admission rule applied to every program of the country at a level, on top of the program's own
+const eligibilityRuleSchema = new mongoose.Schema({
+  // Program level the rule applies to; a rule without one applies to every level
+  level: {
+    type: String,
+    enum: PROGRAM_LEVELS
+  },
+  ...entryRequirementFields,
+  // Longest accepted break since the last qualification was completed
+  maxStudyGapYears: {
+    type: Number,
+    min: [0, 'Study gap cannot be negative']
+  }
+}, { _id: false });
 
 const CountrySchema = new mongoose.Schema({
   name: {
@@ -28,6 +69,28 @@ const CountrySchema = new mongoose.Schema({
     type: String,   
     required: true,  
   },
+  requiredDocuments: {
+    type: [requiredDocumentSchema],
+    default: []
+  },
+  eligibilityRules: {
+    type: [eligibilityRuleSchema],
+    default: []
+  },
+  // Yearly living expenses students must budget for on top of tuition
+  livingCost: {
+    amount: {
+      type: Number,
+      min: [0, 'Living cost cannot be negative']
+    },
+    // ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. AUD']
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -57,6 +120,10 @@ CountrySchema.pre('validate', function (next) {
     this.title = `Study at ${this.name}`;
   }
   
+  if (this.livingCost?.amount !== undefined && this.livingCost?.amount !== null && !this.livingCost.currency) {
+    this.invalidate('livingCost.currency', 'Living cost currency is required with an amount');
+  }
+
   this.updatedAt = Date.now();
   next();
 });
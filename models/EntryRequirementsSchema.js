@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { ACADEMIC_LEVELS, ENGLISH_TESTS, ENGLISH_TEST_RULES } = require('../utils/academics');
+
+// Admission requirements shared by programs and by the eligibility rules of a country
+
+// Minimum English test score accepted
+const englishRequirementSchema = new mongoose.Schema({
+  test: {
+    type: String,
+    required: [true, 'Test name is required'],
+    enum: ENGLISH_TESTS
+  },
+  overall: {
+    type: Number,
+    required: [true, 'Minimum overall score is required']
+  },
+  // Lowest score accepted in any single band, if one is set
+  minimumBand: Number
+}, { _id: false });
+
+englishRequirementSchema.pre('validate', function(next) {
+  const rules = ENGLISH_TEST_RULES[this.test];
+  if (!rules) return next();
+
+  const { min, max } = rules.overall;
+  if (this.overall < min || this.overall > max) {
+    this.invalidate('overall', `${this.test} overall score must be between ${min} and ${max}`);
+  }
+  if (this.minimumBand !== undefined && this.minimumBand !== null) {
+    if (!rules.band) {
+      this.invalidate('minimumBand', `${this.test} does not report band scores`);
+    } else if (this.minimumBand < rules.band.min || this.minimumBand > rules.band.max) {
+      this.invalidate('minimumBand', `${this.test} band score must be between ${rules.band.min} and ${rules.band.max}`);
+    }
+  }
+  next();
+});
+
+// Path definitions, spread into the schemas that use them
+const entryRequirementFields = {
+  // Qualification the student must have completed, e.g. plus_two for a bachelor
+  academicLevel: {
+    type: String,
+    enum: ACADEMIC_LEVELS
+  },
+  minimumGpa: {
+    type: Number,
+    min: [0, 'GPA must be between 0 and 4'],
+    max: [4, 'GPA must be between 0 and 4']
+  },
+  minimumPercentage: {
+    type: Number,
+    min: [0, 'Percentage must be between 0 and 100'],
+    max: [100, 'Percentage must be between 0 and 100']
+  },
+  // Any one of these tests is accepted
+  englishTests: {
+    type: [englishRequirementSchema],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Requirement notes cannot exceed 2000 characters']
+  }
+};
+
+module.exports = {
+  englishRequirementSchema,
+  entryRequirementFields
+};
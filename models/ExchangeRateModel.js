@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Costs are compared in this currency
+const BASE_CURRENCY = 'NPR';
+
+// How much one unit of a foreign currency costs in the base currency, kept up to date by staff
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 code
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. AUD']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than zero']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.currency === BASE_CURRENCY) {
+    this.invalidate('currency', `${BASE_CURRENCY} is the base currency and has no rate`);
+  }
+  next();
+});
+
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+
+// { NPR: 1, AUD: 88.4, ... } for converting amounts into the base currency
+exchangeRateSchema.statics.getRateTable = async function() {
+  const rates = await this.find().select('currency rate').lean();
+  return rates.reduce((table, { currency, rate }) => ({ ...table, [currency]: rate }), { [BASE_CURRENCY]: 1 });
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Days before an application deadline on which counselors are warned
+const DEADLINE_ALERT_DAYS = [30, 14, 3];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const intakeSchema = new mongoose.Schema({
+  university: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University',
+    required: [true, 'University is required']
+  },
+  // Empty for an intake that applies to every program of the university
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    default: null
+  },
+  // Copied from the university so the calendar can be filtered by country without a join
+  country: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Country',
+    required: [true, 'Country is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Intake start date is required']
+  },
+  applicationDeadline: {
+    type: Date,
+    required: [true, 'Application deadline is required']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Alert days (30, 14, 3) already sent for the current deadline
+  alertsSent: {
+    type: [Number],
+    default: [],
+    select: false
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// "September 2026"
+intakeSchema.virtual('term').get(function() {
+  if (!this.startsAt) return undefined;
+  const date = new Date(this.startsAt);
+  return `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+});
+
+intakeSchema.pre('validate', function(next) {
+  if (this.startsAt && this.applicationDeadline && this.applicationDeadline > this.startsAt) {
+    this.invalidate('applicationDeadline', 'Application deadline must be on or before the intake start date');
+  }
+  next();
+});
+
+intakeSchema.pre('save', function(next) {
+  // A new deadline starts the alerts over
+  if (!this.isNew && this.isModified('applicationDeadline')) {
+    this.alertsSent = [];
+  }
+  next();
+});
+
+intakeSchema.index({ university: 1, program: 1, startsAt: 1 }, { unique: true });
+intakeSchema.index({ isActive: 1, applicationDeadline: 1 });
+intakeSchema.index({ country: 1, startsAt: 1 });
+
+intakeSchema.statics.DEADLINE_ALERT_DAYS = DEADLINE_ALERT_DAYS;
+
+module.exports = mongoose.model('Intake', intakeSchema);
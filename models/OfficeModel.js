@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Opening hours of one weekday (0 = Sunday); a closed day has no times
+const openingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: 0,
+    max: 6
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  opensAt: {
+    type: String,
+    match: [TIME_PATTERN, 'Opening time must be HH:mm']
+  },
+  closesAt: {
+    type: String,
+    match: [TIME_PATTERN, 'Closing time must be HH:mm']
+  }
+}, { _id: false });
+
+openingHoursSchema.pre('validate', function(next) {
+  if (!this.closed) {
+    if (!this.opensAt || !this.closesAt) {
+      this.invalidate('opensAt', 'Opening and closing times are required unless the office is closed');
+    } else if (this.opensAt >= this.closesAt) {
+      this.invalidate('closesAt', 'Closing time must be after opening time');
+    }
+  }
+  next();
+});
+
+const officeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Office name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // URL-friendly name, also accepted wherever an office is given by name
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+    lowercase: true
+  },
+  address: {
+    street: { type: String, trim: true, default: '' },
+    city: { type: String, trim: true, required: [true, 'City is required'] },
+    district: { type: String, trim: true, default: '' },
+    country: { type: String, trim: true, default: 'Nepal' }
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^$|\S+@\S+\.\S+/, 'Please enter a valid email']
+  },
+  openingHours: {
+    type: [openingHoursSchema],
+    default: []
+  },
+  // GeoJSON point, coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: coordinates => coordinates.length === 2
+          && coordinates[0] >= -180 && coordinates[0] <= 180
+          && coordinates[1] >= -90 && coordinates[1] <= 90,
+        message: 'Coordinates must be [longitude, latitude]'
+      }
+    }
+  },
+  // Inactive offices are hidden from the public listing and cannot take new students
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+officeSchema.index({ location: '2dsphere' }, { sparse: true });
+
+officeSchema.pre('validate', function(next) {
+  if (this.name && (!this.slug || this.isModified('name'))) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .replace(/[^\w-]+/g, '');
+  }
+
+  const days = (this.openingHours || []).map(hours => hours.dayOfWeek);
+  if (new Set(days).size !== days.length) {
+    this.invalidate('openingHours', 'Each weekday can only appear once');
+  }
+
+  // Without coordinates there is no point to store
+  if (!this.location?.coordinates?.length) this.location = undefined;
+  next();
+});
+
+module.exports = mongoose.model('Office', officeSchema);
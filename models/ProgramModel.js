@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { entryRequirementFields } = require('./EntryRequirementsSchema');
+
+const PROGRAM_LEVELS = ['foundation', 'certificate', 'diploma', 'bachelor', 'master', 'doctorate'];
+const TUITION_PERIODS = ['year', 'semester', 'total'];
+
+const programSchema = new mongoose.Schema({
+  university: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University',
+    required: [true, 'University is required']
+  },
+  // Copied from the university so programs can be searched by country without a join
+  country: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Country',
+    required: [true, 'Country is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Program name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  level: {
+    type: String,
+    required: [true, 'Program level is required'],
+    enum: {
+      values: PROGRAM_LEVELS,
+      message: `Level must be one of: ${PROGRAM_LEVELS.join(', ')}`
+    }
+  },
+  // Field of study, e.g. "Information Technology", "Nursing"
+  field: {
+    type: String,
+    required: [true, 'Field of study is required'],
+    trim: true,
+    maxlength: [100, 'Field cannot exceed 100 characters']
+  },
+  durationMonths: {
+    type: Number,
+    min: [1, 'Duration must be at least one month'],
+    max: [120, 'Duration cannot exceed 120 months']
+  },
+  tuition: {
+    amount: {
+      type: Number,
+      min: [0, 'Tuition cannot be negative']
+    },
+    // ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. AUD']
+    },
+    period: {
+      type: String,
+      enum: TUITION_PERIODS,
+      default: 'year'
+    }
+  },
+  // Months the program starts in (1 = January)
+  intakeMonths: {
+    type: [{
+      type: Number,
+      min: [1, 'Intake month must be between 1 and 12'],
+      max: [12, 'Intake month must be between 1 and 12']
+    }],
+    default: []
+  },
+  entryRequirements: entryRequirementFields,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+programSchema.pre('validate', function(next) {
+  if (this.tuition?.amount !== undefined && this.tuition?.amount !== null && !this.tuition.currency) {
+    this.invalidate('tuition.currency', 'Tuition currency is required with an amount');
+  }
+  if (this.intakeMonths?.length) {
+    this.intakeMonths = [...new Set(this.intakeMonths)].sort((a, b) => a - b);
+  }
+  next();
+});
+
+programSchema.index({ university: 1, name: 1, level: 1 }, { unique: true });
+programSchema.index({ country: 1, level: 1, isActive: 1 });
+programSchema.index({ field: 1 });
+
+programSchema.statics.PROGRAM_LEVELS = PROGRAM_LEVELS;
+programSchema.statics.TUITION_PERIODS = TUITION_PERIODS;
+
+module.exports = mongoose.model('Program', programSchema);
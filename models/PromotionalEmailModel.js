@@ -33,11 +33,35 @@ const PromotionalEmailSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  progress: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
-    enum: ['sending', 'completed', 'failed'],
+    enum: ['sending', 'completed', 'failed', 'cancelled'],
     default: 'sending'
   },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  endTime: Date,
+  duration: Number,
+  averageSendTime: Number,
+  // One entry per recipient the campaign could not be sent to ('SYSTEM' for campaign-wide failures)
+  sendErrors: [{
+    email: { type: String, lowercase: true, trim: true },
+    message: String,
+    occurredAt: { type: Date, default: Date.now }
+  }],
+  performanceLog: [{
+    batch: Number,
+    sent: Number,
+    failed: Number,
+    averageTime: Number,
+    loggedAt: { type: Date, default: Date.now }
+  }],
   configUsed: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'EmailConfig',
@@ -47,4 +71,23 @@ const PromotionalEmailSchema = new mongoose.Schema({
   timestamps: true 
 });
 
+PromotionalEmailSchema.index({ 'sendErrors.email': 1 });
+
+// Batches send concurrently, so errors are pushed atomically instead of saving the document
+PromotionalEmailSchema.methods.addError = function(email, message) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $push: { sendErrors: { email, message } } }
+  );
+};
+
+PromotionalEmailSchema.methods.addPerformanceLog = function(batch, sent, failed, averageTime) {
+  this.performanceLog.push({ batch, sent, failed, averageTime });
+};
+
+// Persist counts, progress and the performance log after each batch
+PromotionalEmailSchema.methods.updateStats = function() {
+  return this.save();
+};
+
 module.exports = mongoose.model('PromotionalEmail', PromotionalEmailSchema);
\ No newline at end of file
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+// Why a consultation form submission was held back
+const SPAM_REASONS = [
+  'honeypot',
+  'token_missing',
+  'token_invalid',
+  'token_expired',
+  'token_reused',
+  'too_fast',
+  'pow_failed',
+  'ip_rate_limited',
+  'email_rate_limited'
+];
+const QUARANTINE_STATUSES = ['pending', 'released'];
+// Submissions nobody released by then are deleted
+const RETENTION_DAYS = 30;
+
+// A consultation form submission suspected to be spam, kept out of the student list until reviewed
+const quarantinedSubmissionSchema = new mongoose.Schema({
+  // The validated form body as JSON; cleared once the submission is released
+  payload: {
+    type: String,
+    select: false
+  },
+  // Copied out of the payload so staff can scan the queue
+  firstName: {
+    type: String,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office'
+  },
+  reasons: {
+    type: [{ type: String, enum: SPAM_REASONS }],
+    validate: {
+      validator: reasons => reasons.length > 0,
+      message: 'A quarantined submission needs at least one reason'
+    }
+  },
+  ipAddress: String,
+  userAgent: String,
+  status: {
+    type: String,
+    enum: QUARANTINE_STATUSES,
+    default: 'pending'
+  },
+  releasedStudent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    expires: 0
+  }
+}, {
+  timestamps: true
+});
+
+quarantinedSubmissionSchema.index({ status: 1, createdAt: -1 });
+quarantinedSubmissionSchema.index({ email: 1 });
+
+quarantinedSubmissionSchema.statics.SPAM_REASONS = SPAM_REASONS;
+quarantinedSubmissionSchema.statics.QUARANTINE_STATUSES = QUARANTINE_STATUSES;
+quarantinedSubmissionSchema.statics.RETENTION_DAYS = RETENTION_DAYS;
+
+// Hold a submission back with the reasons it looked like spam
+quarantinedSubmissionSchema.statics.quarantine = function(data, { reasons, ipAddress, userAgent }) {
+  return this.create({
+    payload: JSON.stringify(data),
+    firstName: data.firstName,
+    lastName: data.lastName,
+    email: data.email,
+    office: data.office,
+    reasons,
+    ipAddress,
+    userAgent
+  });
+};
+
+// The form body as it was submitted; the payload must have been selected
+quarantinedSubmissionSchema.methods.getPayload = function() {
+  return this.payload ? JSON.parse(this.payload) : null;
+};
+
+quarantinedSubmissionSchema.plugin(fieldEncryption, {
+  context: 'QuarantinedSubmission',
+  fields: ['payload']
+});
+
+module.exports = mongoose.model('QuarantinedSubmission', quarantinedSubmissionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A bulk report export rendered in the background into a ZIP file
+const reportJobSchema = new mongoose.Schema({
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requesting user is required'],
+    index: true
+  },
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    _id: false,
+    student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' },
+    message: String
+  }],
+  fileName: String,
+  // Absolute path inside the private report storage, never exposed to clients
+  filePath: {
+    type: String,
+    select: false
+  },
+  size: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  // The job and its archive are deleted after this date (completed and failed jobs alike)
+  expiresAt: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+reportJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+reportJobSchema.virtual('progress').get(function() {
+  return this.total > 0 ? Math.round((this.processed / this.total) * 100) : 0;
+});
+
+reportJobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ReportJob', reportJobSchema);
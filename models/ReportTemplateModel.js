@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Sections of the student report, in their default order
+const REPORT_SECTIONS = [
+  { key: 'student_information', title: 'Student Information' },
+  { key: 'consultation_details', title: 'Consultation Details' },
+  { key: 'academic_information', title: 'Academic Information' },
+  { key: 'additional_information', title: 'Additional Information' }
+];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const colorField = (defaultValue) => ({
+  type: String,
+  default: defaultValue,
+  trim: true,
+  match: [HEX_COLOR, 'Colours must be hex values like #1252a1']
+});
+
+const sectionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Section key is required'],
+    enum: REPORT_SECTIONS.map(section => section.key)
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Section title cannot exceed 80 characters']
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const reportTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  // Office whose reports use this template; null for the default template of all offices
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Public path of an uploaded PNG/JPEG logo; the built-in logo is used when empty
+  logo: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  header: {
+    title: {
+      type: String,
+      trim: true,
+      default: 'SHIRIJANGA EDUCATION CONSULTANCY',
+      maxlength: [80, 'Header title cannot exceed 80 characters']
+    },
+    subtitle: {
+      type: String,
+      trim: true,
+      default: 'Student Consultation Report',
+      maxlength: [120, 'Header subtitle cannot exceed 120 characters']
+    },
+    showLogo: {
+      type: Boolean,
+      default: true
+    },
+    showGeneratedDate: {
+      type: Boolean,
+      default: true
+    }
+  },
+  colors: {
+    primary: colorField('#1252a1'),
+    heading: colorField('#333333'),
+    subtitle: colorField('#555555'),
+    muted: colorField('#777777'),
+    divider: colorField('#eaeaea')
+  },
+  footer: {
+    text: {
+      type: String,
+      trim: true,
+      default: 'Confidential - For internal use only',
+      maxlength: [200, 'Footer text cannot exceed 200 characters']
+    },
+    showPageNumbers: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Sections drawn in this order; sections that are missing or disabled are left out
+  sections: {
+    type: [sectionSchema],
+    default: () => REPORT_SECTIONS.map(({ key, title }) => ({ key, title, enabled: true }))
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+reportTemplateSchema.pre('validate', function(next) {
+  const keys = this.sections.map(section => section.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('sections', 'Each section can only be listed once');
+  }
+  next();
+});
+
+// At most one active template per office, and one active default
+reportTemplateSchema.index(
+  { office: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+reportTemplateSchema.statics.REPORT_SECTIONS = REPORT_SECTIONS;
+
+module.exports = mongoose.model('ReportTemplate', reportTemplateSchema);
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { PROGRAM_LEVELS } = require('./ProgramModel');
+const { entryRequirementFields } = require('./EntryRequirementsSchema');
+
+const AWARD_KINDS = ['full_tuition', 'tuition_percentage', 'fixed_amount', 'other'];
+const AWARD_PERIODS = ['year', 'total', 'one_time'];
+
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+const deadlineSchema = new mongoose.Schema({
+  // e.g. "Semester 1 intake", "Early round"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Deadline label cannot exceed 100 characters']
+  },
+  date: {
+    type: Date,
+    required: [true, 'Deadline date is required']
+  }
+}, { _id: false });
+
+const linkSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Link label cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Link URL is required'],
+    trim: true,
+    match: [URL_PATTERN, 'Link must be a http(s) URL']
+  }
+}, { _id: false });
+
+const scholarshipSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scholarship name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  // Government, university or foundation offering it
+  provider: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Provider cannot exceed 150 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  countries: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Country' }],
+    validate: [countries => countries.length > 0, 'At least one country is required']
+  },
+  // Universities offering it; none means any university in the countries
+  universities: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'University' }],
+    default: []
+  },
+  // Program levels it can be used for; none means every level
+  levels: {
+    type: [{
+      type: String,
+      enum: {
+        values: PROGRAM_LEVELS,
+        message: `Level must be one of: ${PROGRAM_LEVELS.join(', ')}`
+      }
+    }],
+    default: []
+  },
+  // Fields of study it is limited to, e.g. "Engineering"; none means any field
+  fields: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Field cannot exceed 100 characters']
+    }],
+    default: []
+  },
+  award: {
+    kind: {
+      type: String,
+      required: [true, 'Award kind is required'],
+      enum: {
+        values: AWARD_KINDS,
+        message: `Award kind must be one of: ${AWARD_KINDS.join(', ')}`
+      }
+    },
+    // Share of the tuition waived, for tuition_percentage
+    percentage: {
+      type: Number,
+      min: [1, 'Percentage must be between 1 and 100'],
+      max: [100, 'Percentage must be between 1 and 100']
+    },
+    // For fixed_amount
+    amount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    // ISO 4217 code
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter code, e.g. AUD']
+    },
+    period: {
+      type: String,
+      enum: AWARD_PERIODS,
+      default: 'year'
+    },
+    // Stipends, travel grants and anything else that comes with it
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Award description cannot exceed 500 characters']
+    }
+  },
+  // What an applicant must have to be considered, checked by the student matching
+  eligibility: {
+    ...entryRequirementFields,
+    // Longest accepted break since the last qualification was completed
+    maxStudyGapYears: {
+      type: Number,
+      min: [0, 'Study gap cannot be negative']
+    }
+  },
+  // Application deadlines; a scholarship without any is open all year
+  deadlines: {
+    type: [deadlineSchema],
+    default: []
+  },
+  links: {
+    type: [linkSchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// First deadline still ahead, or null once all have passed (or there are none)
+scholarshipSchema.virtual('nextDeadline').get(function() {
+  const now = Date.now();
+  return (this.deadlines || []).find(deadline => deadline.date && deadline.date.getTime() >= now)?.date || null;
+});
+
+scholarshipSchema.pre('validate', function(next) {
+  if (this.name && !this.slug) {
+    this.slug = this.name
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .replace(/[^\w-]+/g, '');
+  }
+
+  const award = this.award || {};
+  if (award.kind === 'tuition_percentage' && (award.percentage === undefined || award.percentage === null)) {
+    this.invalidate('award.percentage', 'Percentage is required for a tuition percentage award');
+  }
+  if (award.kind === 'fixed_amount') {
+    if (award.amount === undefined || award.amount === null) {
+      this.invalidate('award.amount', 'Amount is required for a fixed amount award');
+    } else if (!award.currency) {
+      this.invalidate('award.currency', 'Award currency is required with an amount');
+    }
+  }
+
+  if (this.levels?.length) {
+    this.levels = [...new Set(this.levels)];
+  }
+  if (this.deadlines?.length > 1) {
+    this.deadlines = [...this.deadlines].sort((a, b) => a.date - b.date);
+  }
+  next();
+});
+
+scholarshipSchema.index({ countries: 1, isActive: 1 });
+scholarshipSchema.index({ universities: 1 });
+scholarshipSchema.index({ 'deadlines.date': 1 });
+
+scholarshipSchema.statics.AWARD_KINDS = AWARD_KINDS;
+scholarshipSchema.statics.AWARD_PERIODS = AWARD_PERIODS;
+
+module.exports = mongoose.model('Scholarship', scholarshipSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Entries staff log by hand
+const ACTIVITY_TYPES = ['call', 'meeting', 'note', 'email', 'whatsapp'];
+
+// Events recorded automatically (type 'system')
+const SYSTEM_EVENTS = [
+  'student_created',
+  'stage_changed',
+  'email_sent',
+  'report_generated',
+  'application_created',
+  'application_status_changed',
+  'visa_lodged',
+  'visa_decided'
+];
+
+const studentActivitySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Activity type is required'],
+    enum: {
+      values: [...ACTIVITY_TYPES, 'system'],
+      message: `Activity type must be one of: ${ACTIVITY_TYPES.join(', ')}`
+    }
+  },
+  event: {
+    type: String,
+    enum: SYSTEM_EVENTS,
+    required: [function() { return this.type === 'system'; }, 'System activities need an event']
+  },
+  // Calls, emails and WhatsApp conversations can go either way
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound']
+  },
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Activity text cannot exceed 5000 characters'],
+    required: [function() { return this.type !== 'system'; }, 'Activity text is required']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    max: [1440, 'Duration cannot exceed a day']
+  },
+  // When the call or meeting happened; defaults to when it was logged
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Staff member who logged the entry or triggered the event; empty for automatic events
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+studentActivitySchema.pre('validate', function(next) {
+  if (this.type !== 'system' && this.occurredAt && this.occurredAt > new Date(Date.now() + 5 * 60 * 1000)) {
+    this.invalidate('occurredAt', 'Activities cannot be logged in the future');
+  }
+  next();
+});
+
+// Timeline pages are read newest first
+studentActivitySchema.index({ student: 1, occurredAt: -1, _id: -1 });
+
+studentActivitySchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+studentActivitySchema.statics.SYSTEM_EVENTS = SYSTEM_EVENTS;
+
+module.exports = mongoose.model('StudentActivity', studentActivitySchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_KINDS = [
+  'passport',
+  'national_id',
+  'photo',
+  'academic_transcript',
+  'academic_certificate',
+  'character_certificate',
+  'english_test_result',
+  'bank_statement',
+  'bank_balance_certificate',
+  'sponsor_letter',
+  'income_source',
+  'offer_letter',
+  'recommendation_letter',
+  'statement_of_purpose',
+  'cv',
+  'work_experience',
+  'medical_report',
+  'police_report',
+  'other'
+];
+
+const REVIEW_STATUSES = ['pending', 'verified', 'rejected'];
+
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: String,
+  size: Number,
+  // Absolute path inside the private document storage, never exposed to clients
+  storagePath: {
+    type: String,
+    required: true,
+    select: false
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 'student' for files uploaded through the student portal (no staff user)
+  source: {
+    type: String,
+    enum: ['staff', 'student'],
+    default: 'staff'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
+const studentDocumentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  kind: {
+    type: String,
+    required: [true, 'Document kind is required'],
+    enum: DOCUMENT_KINDS
+  },
+  // Distinguishes several documents of the same kind, e.g. "+2 transcript" and "Bachelor transcript"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters'],
+    default: ''
+  },
+  versions: {
+    type: [versionSchema],
+    default: []
+  },
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
+  // Review status of the current version
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending',
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+studentDocumentSchema.index({ student: 1, kind: 1, label: 1 }, { unique: true });
+
+studentDocumentSchema.statics.DOCUMENT_KINDS = DOCUMENT_KINDS;
+studentDocumentSchema.statics.REVIEW_STATUSES = REVIEW_STATUSES;
+
+studentDocumentSchema.methods.getVersion = function(version) {
+  return this.versions.find(entry => entry.version === Number(version));
+};
+
+// Add a new file as the current version; it starts out pending review
+studentDocumentSchema.methods.addVersion = function(file, uploadedBy, source = 'staff') {
+  const version = this.currentVersion + 1;
+  this.versions.push({
+    version,
+    fileName: file.filename,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    storagePath: file.path,
+    uploadedBy,
+    source
+  });
+  this.currentVersion = version;
+  this.status = 'pending';
+  return this;
+};
+
+// Record a review decision for a version (the current one by default)
+studentDocumentSchema.methods.review = function({ status, reason, reviewedBy, version }) {
+  const target = this.getVersion(version || this.currentVersion);
+  if (!target) return null;
+
+  target.status = status;
+  target.rejectionReason = status === 'rejected' ? reason : undefined;
+  target.reviewedBy = reviewedBy;
+  target.reviewedAt = new Date();
+
+  if (target.version === this.currentVersion) {
+    this.status = status;
+  }
+  return target;
+};
+
+module.exports = mongoose.model('StudentDocument', studentDocumentSchema);
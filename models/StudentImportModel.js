@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+// A row that was not imported, with its original cells and the reasons
+const failedRowSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  // Cells in the order of the import's columns
+  cells: [String],
+  messages: [String]
+}, { _id: false });
+
+const studentImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Importing user is required']
+  },
+  // Column headers in file order, used to rebuild the error report
+  columns: [String],
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  insertedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  duplicateWarningCount: {
+    type: Number,
+    default: 0
+  },
+  insertedStudents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Rows that were not imported, as JSON for the error report; encrypted, as the cells
+  // hold the students' personal data. Read with getFailedRows()
+  failedRowData: {
+    type: String,
+    select: false
+  },
+  // Plaintext rows of imports made before failedRowData; the key rotation script moves them there
+  failedRows: {
+    type: [failedRowSchema],
+    select: false,
+    default: undefined
+  }
+}, {
+  timestamps: true
+});
+
+studentImportSchema.index({ importedBy: 1, createdAt: -1 });
+
+// Rows that were not imported; failedRowData and failedRows must have been selected
+studentImportSchema.methods.getFailedRows = function() {
+  if (this.failedRowData) return JSON.parse(this.failedRowData);
+  return (this.failedRows || []).map(failed => failed.toObject());
+};
+
+studentImportSchema.methods.setFailedRows = function(rows) {
+  this.failedRowData = JSON.stringify(rows);
+  this.failedRows = undefined;
+};
+
+// Raw update moving plaintext failedRows into failedRowData, or null when there are none (key rotation script)
+studentImportSchema.statics.buildFailedRowsUpdate = function(raw) {
+  if (!Array.isArray(raw.failedRows)) return null;
+  return {
+    $set: { failedRowData: this.encryptForStorage('failedRowData', JSON.stringify(raw.failedRows)) },
+    $unset: { failedRows: '' }
+  };
+};
+
+studentImportSchema.plugin(fieldEncryption, {
+  context: 'StudentImport',
+  fields: ['failedRowData']
+});
+
+module.exports = mongoose.model('StudentImport', studentImportSchema);
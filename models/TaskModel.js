@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const TASK_STATUSES = ['open', 'in_progress', 'done', 'cancelled'];
+// Statuses that still need someone to act
+const OPEN_STATUSES = ['open', 'in_progress'];
+
+const taskSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Copied from the student so an office's overdue tasks can be listed without a join
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Assignee is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+  priority: {
+    type: String,
+    enum: {
+      values: TASK_PRIORITIES,
+      message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`
+    },
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: {
+      values: TASK_STATUSES,
+      message: `Status must be one of: ${TASK_STATUSES.join(', ')}`
+    },
+    default: 'open'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by the reminder job so each task is reminded once a day and escalated once
+  lastRemindedAt: {
+    type: Date,
+    default: null
+  },
+  escalatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+taskSchema.virtual('isOverdue').get(function() {
+  return OPEN_STATUSES.includes(this.status) && this.dueAt < new Date();
+});
+
+taskSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    this.completedAt = this.status === 'done' ? new Date() : null;
+  }
+  // A new due date starts the reminders over
+  if (!this.isNew && this.isModified('dueAt')) {
+    this.lastRemindedAt = null;
+    this.escalatedAt = null;
+  }
+  next();
+});
+
+taskSchema.index({ assignee: 1, status: 1, dueAt: 1 });
+taskSchema.index({ office: 1, status: 1, dueAt: 1 });
+taskSchema.index({ student: 1, dueAt: -1 });
+taskSchema.index({ status: 1, dueAt: 1 });
+
+taskSchema.statics.TASK_PRIORITIES = TASK_PRIORITIES;
+taskSchema.statics.TASK_STATUSES = TASK_STATUSES;
+taskSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Country = require('./CountryModel');
+
+const universitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'University name is required'],
+    trim: true,
+    maxlength: [150, 'Name cannot exceed 150 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+  country: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Country',
+    required: [true, 'Country is required']
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City cannot exceed 100 characters']
+  },
+  website: {
+    type: String,
+    trim: true,
+    match: [/^$|^https?:\/\/\S+$/, 'Website must be a http(s) URL']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+  // National or world ranking shown on the website, lower is better
+  ranking: {
+    type: Number,
+    min: [1, 'Ranking must be at least 1']
+  },
+  // Universities we have an agreement with; the website lists these
+  isPartner: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/\s+/g, '-')
+  .replace(/[^\w-]+/g, '');
+
+// Slug from the name, e.g. "University of Sydney" -> "university-of-sydney", kept in step with
+// renames. Names are only unique per country, so a slug that is taken gets the country's slug
+// (and a number if needed), e.g. "university-of-sydney-australia"
+universitySchema.pre('validate', async function() {
+  if (!this.name || (this.slug && !this.isModified('name'))) return;
+
+  const taken = (slug) => this.constructor.exists({ slug, _id: { $ne: this._id } });
+  let slug = slugify(this.name);
+
+  if (await taken(slug)) {
+    const country = await Country.findById(this.country).select('slug');
+    const base = [slug, country?.slug].filter(Boolean).join('-');
+    slug = base;
+    for (let suffix = 2; await taken(slug); suffix++) slug = `${base}-${suffix}`;
+  }
+  this.slug = slug;
+});
+
+universitySchema.index({ country: 1, name: 1 }, { unique: true });
+universitySchema.index({ country: 1, isActive: 1, isPartner: 1 });
+
+module.exports = mongoose.model('University', universitySchema);
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+const VISA_TYPES = ['student', 'dependent', 'visitor', 'post_study_work', 'other'];
+const CASE_STATUSES = ['preparing', 'lodged', 'decided', 'withdrawn'];
+const OUTCOMES = ['approved', 'refused'];
+// Cases still being worked on; a student has at most one per destination
+const OPEN_STATUSES = ['preparing', 'lodged'];
+
+const visaCaseSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // Copied from the student so reports stay correct when students move office or counselor
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office is required']
+  },
+  counselor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor',
+    default: null
+  },
+  country: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Country',
+    required: [true, 'Destination country is required']
+  },
+  // The offer the visa is based on
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    default: null
+  },
+  visaType: {
+    type: String,
+    enum: {
+      values: VISA_TYPES,
+      message: `Visa type must be one of: ${VISA_TYPES.join(', ')}`
+    },
+    default: 'student'
+  },
+  // Subclass or category used by the destination, e.g. "500", "Tier 4", "F-1"
+  visaSubclass: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Visa subclass cannot exceed 50 characters']
+  },
+  // Passport the visa is lodged with; it can differ from the student's current one
+  passportNumber: {
+    type: String,
+    trim: true
+  },
+  // Transaction or file number issued by the immigration authority (TRN, GWF, ...)
+  referenceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference number cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: CASE_STATUSES,
+      message: `Status must be one of: ${CASE_STATUSES.join(', ')}`
+    },
+    default: 'preparing'
+  },
+  lodgedAt: {
+    type: Date,
+    default: null
+  },
+  biometricsAt: {
+    type: Date,
+    default: null
+  },
+  interviewAt: {
+    type: Date,
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  // Null until the case is decided
+  outcome: {
+    type: String,
+    enum: {
+      values: [...OUTCOMES, null],
+      message: `Outcome must be one of: ${OUTCOMES.join(', ')}`
+    },
+    default: null
+  },
+  // Last day of the granted visa
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  refusalReasons: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [300, 'Refusal reason cannot exceed 300 characters']
+    }],
+    default: []
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+visaCaseSchema.pre('validate', function(next) {
+  if (this.status === 'decided') {
+    if (!this.outcome) this.invalidate('outcome', 'A decided case needs an outcome');
+    if (!this.decidedAt) this.decidedAt = new Date();
+  } else if (this.outcome) {
+    this.invalidate('outcome', 'Only decided cases have an outcome');
+  }
+  if (this.outcome !== 'refused' && this.refusalReasons.length > 0) {
+    this.invalidate('refusalReasons', 'Refusal reasons only apply to refused cases');
+  }
+  if (this.status === 'lodged' && !this.lodgedAt) this.lodgedAt = new Date();
+  next();
+});
+
+// One open case per student and destination; decided and withdrawn cases drop out of the index
+visaCaseSchema.index(
+  { student: 1, country: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+visaCaseSchema.index({ student: 1, createdAt: -1 });
+visaCaseSchema.index({ country: 1, status: 1, decidedAt: -1 });
+visaCaseSchema.index({ counselor: 1, status: 1, decidedAt: -1 });
+visaCaseSchema.index({ office: 1, status: 1 });
+
+visaCaseSchema.statics.VISA_TYPES = VISA_TYPES;
+visaCaseSchema.statics.CASE_STATUSES = CASE_STATUSES;
+visaCaseSchema.statics.OUTCOMES = OUTCOMES;
+visaCaseSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+visaCaseSchema.plugin(fieldEncryption, {
+  context: 'VisaCase',
+  fields: ['passportNumber'],
+  blindIndexes: [
+    { field: 'passportNumber', path: 'passportNumberIndex', normalize: value => value.replace(/\s+/g, '').toUpperCase() }
+  ]
+});
+
+visaCaseSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passportNumberIndex;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('VisaCase', visaCaseSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const appointmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required'],
+    index: true
+  },
+  counselor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor',
+    required: [true, 'Counselor is required']
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office is required']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'cancelled', 'completed', 'no_show'],
+    default: 'booked',
+    index: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  bookedBy: {
+    type: String,
+    enum: ['student', 'staff'],
+    default: 'student'
+  },
+  // Hash of the token emailed to the student for cancelling/rescheduling
+  manageTokenHash: {
+    type: String,
+    select: false,
+    index: true
+  },
+  // Incremented on every change so calendar clients update the same event
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  rescheduleHistory: [{
+    _id: false,
+    startsAt: Date,
+    endsAt: Date,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Cancellation reason cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// A counselor can only hold one booked appointment per slot start.
+// Cancelled appointments drop out of the index, which frees the slot.
+appointmentSchema.index(
+  { counselor: 1, startsAt: 1 },
+  { unique: true, partialFilterExpression: { status: 'booked' } }
+);
+appointmentSchema.index({ office: 1, startsAt: 1 });
+
+// Generate a new manage token; only its hash is stored
+appointmentSchema.methods.createManageToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.manageTokenHash = appointmentSchema.statics.hashManageToken(token);
+  return token;
+};
+
+appointmentSchema.statics.hashManageToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+appointmentSchema.statics.isDuplicateSlotError = function(error) {
+  return error && error.code === 11000;
+};
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -43,7 +43,12 @@ const auditLogSchema = new Schema({
       'CONTENT_REJECTED',
       'MARK_SPAM',
       'UNMARK_SPAM',
-      'BULK_DELETE_SPAM'
+      'BULK_DELETE_SPAM',
+
+      // Student record events
+      'STUDENT_MERGED',
+      'STUDENT_DATA_EXPORTED',
+      'STUDENT_ERASED'
     ],
     index: true
   },
@@ -55,7 +60,7 @@ const auditLogSchema = new Schema({
   targetModel: {
     type: String,
     required: true,
-    enum: ['User', 'Comment', 'Blog', 'Moderation']
+    enum: ['User', 'Comment', 'Blog', 'Moderation', 'Student']
   },
   performedBy: {
     type: Schema.Types.ObjectId,
@@ -9,6 +9,25 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Student'
   },
+  // Staff member the notification is for; empty means all admins and moderators
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['general', 'task_due', 'task_overdue', 'task_escalated', 'intake_deadline'],
+    default: 'general'
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  intake: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Intake'
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -17,4 +36,6 @@ const notificationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
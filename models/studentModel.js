@@ -1,4 +1,130 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const {
+  ACADEMIC_LEVELS,
+  ENGLISH_TESTS,
+  validateAcademicRecord,
+  validateEnglishTest
+} = require('../utils/academics');
+const { DEFAULT_COUNTRY, parseMobile, isValidMobile, canonicalNumber } = require('../utils/phone');
+const fieldEncryption = require('../utils/fieldEncryption');
+const { LEAD_CHANNELS } = require('../utils/leadSource');
+
+// Pipeline stages in the order a lead normally moves through them
+const PIPELINE_STAGES = [
+  'new_inquiry',
+  'counselled',
+  'documents_pending',
+  'applied',
+  'visa_lodged',
+  'enrolled',
+  'lost'
+];
+
+// Allowed moves without an override: one step forward, one step back,
+// dropping out to 'lost' at any point, or reopening a lost lead
+const STAGE_TRANSITIONS = {
+  new_inquiry: ['counselled', 'lost'],
+  counselled: ['new_inquiry', 'documents_pending', 'lost'],
+  documents_pending: ['counselled', 'applied', 'lost'],
+  applied: ['documents_pending', 'visa_lodged', 'lost'],
+  visa_lodged: ['applied', 'enrolled', 'lost'],
+  enrolled: ['visa_lodged'],
+  lost: ['new_inquiry']
+};
+
+const stageChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: PIPELINE_STAGES
+  },
+  to: {
+    type: String,
+    enum: PIPELINE_STAGES,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Stage note cannot exceed 500 characters']
+  },
+  override: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const academicRecordSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    required: [true, 'Academic level is required'],
+    enum: ACADEMIC_LEVELS
+  },
+  // Board (NEB, CBSE, ...) or university
+  board: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Board or university cannot exceed 100 characters']
+  },
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Institution cannot exceed 150 characters']
+  },
+  stream: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Stream cannot exceed 100 characters']
+  },
+  gpa: Number,
+  percentage: Number,
+  passingYear: Number,
+  // Original free text of records migrated from the old slc/plusTwo/bachelor fields
+  legacyText: {
+    type: String,
+    trim: true
+  }
+});
+
+academicRecordSchema.pre('validate', function(next) {
+  validateAcademicRecord(this).forEach(({ field, message }) => this.invalidate(field, message));
+  next();
+});
+
+const englishTestSchema = new mongoose.Schema({
+  test: {
+    type: String,
+    required: [true, 'Test name is required'],
+    enum: ENGLISH_TESTS
+  },
+  overall: {
+    type: Number,
+    required: [true, 'Overall score is required']
+  },
+  listening: Number,
+  reading: Number,
+  writing: Number,
+  speaking: Number,
+  testDate: Date,
+  referenceNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Reference number cannot exceed 50 characters']
+  }
+});
+
+englishTestSchema.pre('validate', function(next) {
+  validateEnglishTest(this).forEach(({ field, message }) => this.invalidate(field, message));
+  next();
+});
 
 const studentSchema = new mongoose.Schema({
   firstName: {
@@ -20,18 +146,27 @@ const studentSchema = new mongoose.Schema({
   },
   mobile: {
     type: String,
-    required: [true, 'Mobile number is required'],
+    // Anonymized records keep no phone number
+    required: [function() { return !this.erasedAt; }, 'Mobile number is required'],
     validate: {
-      validator: function(v) {
-        return /^\+977\d{10}$/.test(v);
+      // Numbers stored before landlines were rejected stay valid until they are changed
+      validator: function(value) {
+        return isValidMobile(value) || (!this.isNew && !this.isModified('mobile'));
       },
-      message: 'Mobile number must be in format +977XXXXXXXXXX'
+      message: 'Mobile number must be a valid mobile number with country code, e.g. +9779841234567'
     }
   },
-  office: {
+  // ISO 3166-1 alpha-2 country of the mobile number
+  mobileCountry: {
     type: String,
-    required: [true, 'Office location is required'],
-    enum: ['Kathmandu', 'Pokhara']
+    uppercase: true,
+    trim: true,
+    default: DEFAULT_COUNTRY
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: [true, 'Office location is required']
   },
   topics: {
     type: String,
@@ -45,34 +180,232 @@ const studentSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  slc: {
-    type: String,
-    required: [true, 'SLC results are required'],
-    default: 'N/A'
+  academics: {
+    type: [academicRecordSchema],
+    default: []
   },
-  plusTwo: {
-    type: String,
-    required: [true, '+2 results are required'],
-    default: 'N/A'
-  },
-  bachelor: {
-    type: String,
-    default: 'N/A'
+  englishTests: {
+    type: [englishTestSchema],
+    default: []
   },
   healthIssues: {
     type: String,
     default: 'None'
   },
+  passport: {
+    number: {
+      type: String,
+      trim: true
+    },
+    // ISO 3166-1 alpha-2
+    issuingCountry: {
+      type: String,
+      uppercase: true,
+      trim: true
+    },
+    expiresAt: Date
+  },
   additionalInfo: {
     type: String,
     default: 'None'
   },
+  assignedCounselor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Counselor',
+    default: null,
+    index: true
+  },
+  assignedAt: {
+    type: Date,
+    default: null
+  },
+  stage: {
+    type: String,
+    enum: PIPELINE_STAGES,
+    default: 'new_inquiry',
+    index: true
+  },
+  stageUpdatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stageHistory: {
+    type: [stageChangeSchema],
+    default: () => [{ to: 'new_inquiry' }]
+  },
+  // Records flagged as likely the same person when this one was created
+  possibleDuplicates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Records an admin confirmed are a different person
+  notDuplicateOf: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Snapshots of duplicate records merged into this one
+  mergedFrom: [{
+    _id: false,
+    studentId: mongoose.Schema.Types.ObjectId,
+    firstName: String,
+    lastName: String,
+    email: String,
+    // Blind index of the merged record's mobile number; the number itself is not kept
+    mobileIndex: String,
+    createdAt: Date,
+    mergedAt: { type: Date, default: Date.now },
+    mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  // Hash of the one-time sign-in link emailed to the student for the self-service portal
+  portalTokenHash: {
+    type: String,
+    select: false,
+    index: true
+  },
+  portalTokenExpiresAt: {
+    type: Date,
+    select: false
+  },
+  // Where the inquiry came from, captured once when the record is created
+  leadSource: {
+    channel: {
+      type: String,
+      enum: LEAD_CHANNELS
+    },
+    utm: {
+      source: String,
+      medium: String,
+      campaign: String,
+      term: String,
+      content: String
+    },
+    referrer: String,
+    landingPage: String,
+    // Campaign and ad identifiers of the ad network (Meta, Google Ads, ...)
+    campaignId: String,
+    adId: String,
+    // Advertisement on our own website the visitor clicked
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Advertisement'
+    },
+    capturedAt: Date
+  },
+  // Set when the student's personal data was erased and only an anonymous record kept
+  erasedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
-studentSchema.index({ email: 1, mobile: 1 });
+studentSchema.index({ email: 1 });
+studentSchema.index({ stage: 1, stageUpdatedAt: -1 });
+studentSchema.index({ office: 1, createdAt: -1 });
+studentSchema.index({ createdAt: -1 });
+studentSchema.index({ 'leadSource.channel': 1, createdAt: -1 });
+studentSchema.index({ 'academics.level': 1, 'academics.gpa': -1 });
+studentSchema.index({ 'englishTests.test': 1, 'englishTests.overall': -1 });
+
+studentSchema.statics.PIPELINE_STAGES = PIPELINE_STAGES;
+studentSchema.statics.STAGE_TRANSITIONS = STAGE_TRANSITIONS;
+
+// Whether moving to the given stage is allowed without an override
+studentSchema.methods.canTransitionTo = function(stage) {
+  return (STAGE_TRANSITIONS[this.stage] || []).includes(stage);
+};
+
+// Move the student to a new stage and record who did it
+studentSchema.methods.moveToStage = function(stage, { changedBy, note, override = false } = {}) {
+  this.stageHistory.push({
+    from: this.stage,
+    to: stage,
+    changedBy,
+    note,
+    override
+  });
+  this.stage = stage;
+  this.stageUpdatedAt = new Date();
+  return this.save();
+};
+
+// Store mobile numbers in E.164 whichever way they were typed
+studentSchema.pre('validate', function(next) {
+  if (this.isModified('mobile')) {
+    const parsed = parseMobile(this.mobile, this.mobileCountry);
+    if (parsed) {
+      this.mobile = parsed.e164;
+      this.mobileCountry = parsed.country || this.mobileCountry;
+    }
+  }
+  next();
+});
+
+// Sensitive fields are stored encrypted; blind indexes keep exact lookups and duplicate checks working
+studentSchema.plugin(fieldEncryption, {
+  context: 'Student',
+  fields: ['mobile', 'healthIssues', 'passport.number'],
+  blindIndexes: [
+    { field: 'mobile', path: 'mobileIndex' },
+    // Same phone stored in different formats, compared in E.164 with its country code
+    { field: 'mobile', path: 'mobileNationalIndex', normalize: canonicalNumber },
+    { field: 'passport.number', path: 'passportNumberIndex', normalize: value => value.replace(/\s+/g, '').toUpperCase() }
+  ]
+});
+
+// Portal token fields and blind indexes never leave the server, even when a document was loaded with them
+studentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.portalTokenHash;
+    delete ret.portalTokenExpiresAt;
+    delete ret.mobileIndex;
+    delete ret.mobileNationalIndex;
+    delete ret.passportNumberIndex;
+    (ret.mergedFrom || []).forEach(entry => {
+      delete entry.mobileIndex;
+      // Plaintext kept by merges before numbers were hashed, until the rotation script replaces it
+      delete entry.mobile;
+    });
+    return ret;
+  }
+});
+
+// Copy of the record for the audit log, without the encrypted fields: the log is not encrypted
+studentSchema.methods.toAuditSnapshot = function() {
+  const snapshot = this.toJSON();
+  this.constructor.ENCRYPTED_FIELDS.forEach(field => {
+    const keys = field.split('.');
+    const parent = keys.slice(0, -1).reduce((value, key) => (value == null ? undefined : value[key]), snapshot);
+    if (parent != null) delete parent[keys[keys.length - 1]];
+  });
+  return snapshot;
+};
+
+// A merge snapshot with the plaintext mobile number older merges kept replaced by its blind index
+studentSchema.statics.hashMergedSnapshot = function({ mobile, ...entry }) {
+  return { ...entry, mobileIndex: entry.mobileIndex || this.blindIndex('mobileIndex', mobile) };
+};
+
+// Raw update hashing those numbers in a stored document, or null when it has none (key rotation script)
+studentSchema.statics.buildMergedFromUpdate = function(raw) {
+  const entries = raw.mergedFrom || [];
+  if (!entries.some(entry => entry.mobile !== undefined)) return null;
+  return { $set: { mergedFrom: entries.map(entry => this.hashMergedSnapshot(entry)) } };
+};
+
+// Generate a new portal sign-in token valid for `ttlHours`; only its hash is stored
+studentSchema.methods.createPortalToken = function(ttlHours = 24) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.portalTokenHash = studentSchema.statics.hashPortalToken(token);
+  this.portalTokenExpiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  return token;
+};
+
+studentSchema.statics.hashPortalToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
 
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
@@ -37,7 +37,7 @@ const UserSchema = new Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'moderator', 'admin'],
+      enum: ['user', 'counselor', 'moderator', 'admin'],
       default: 'user',
       index: true
     },
@@ -91,6 +91,13 @@ const UserSchema = new Schema(
     lastLogin: {
       type: Date,
       default: null
+    },
+
+    // Office a staff member works at; office admins receive that office's task escalations
+    office: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Office',
+      default: null
     }
     
     // ✅ REMOVED: Email verification fields - not required for login
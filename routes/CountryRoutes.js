@@ -7,6 +7,8 @@ const {
   getCountryById, // Add this
   updateCountry,
   toggleCountryStatus,
+  updateRequiredDocuments,
+  updateEligibilityRules,
   deleteCountry
 } = require('../controllers/CountryController');
 const {
@@ -47,6 +49,22 @@ router.patch(
   toggleCountryStatus
 );
 
+// Document checklist students heading to this country must complete
+router.put(
+  '/:id/required-documents',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  updateRequiredDocuments
+);
+
+// Admission rules per program level and living cost, used by the eligibility check
+router.put(
+  '/:id/eligibility',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  updateEligibilityRules
+);
+
 router.delete(
   '/:id',
   authMiddleware,
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const applicationController = require('../controllers/applicationController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { resolveOfficeQuery } = require('../middlewares/officeMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Staff only, counselors limited to their students; applications are created at /api/student/:id/applications
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// Applications across the agency with counts per status
+// (?status=submitted,conditional_offer&country=&office=&university=&intakeYear=&intakeMonth=&page=&limit=)
+router.get('/', resolveOfficeQuery, applicationController.getApplications);
+
+router.get('/:applicationId', applicationController.getApplication);
+
+// Update details, move the status, or replace the attached offer letters
+router.patch('/:applicationId', applicationController.updateApplication);
+
+router.delete('/:applicationId', authorizeRoles('admin', 'moderator'), applicationController.deleteApplication);
+
+module.exports = router;
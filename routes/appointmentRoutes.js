@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const appointmentController = require('../controllers/appointmentController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { resolveOfficeQuery } = require('../middlewares/officeMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Public routes
+router.get('/slots', resolveOfficeQuery, appointmentController.getAvailableSlots); // Free slots by counselor or office (id, name or slug)
+router.post('/book', appointmentController.bookAppointment);
+router.post('/manage/:token/cancel', appointmentController.cancelByToken); // Token from the confirmation email
+router.post('/manage/:token/reschedule', appointmentController.rescheduleByToken);
+
+// Protected staff routes (counselors only see and manage their own)
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+router.get('/', resolveOfficeQuery, appointmentController.getAppointments);
+router.get('/availability/:counselorId', appointmentController.getAvailability);
+router.put('/availability/:counselorId', appointmentController.updateAvailability);
+router.patch('/:id/cancel', appointmentController.cancelAppointment);
+router.patch('/:id/reschedule', appointmentController.rescheduleAppointment);
+router.patch('/:id/status', appointmentController.updateAppointmentStatus);
+
+module.exports = router;
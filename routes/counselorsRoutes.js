@@ -5,6 +5,7 @@ const {
   uploadCounselorImage,
   cleanupCounselorImage
 } = require('../middlewares/CounselorsMiddleware');
+const { resolveOfficeBody, resolveOfficeQuery } = require('../middlewares/officeMiddleware');
 const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
 
 /**
@@ -46,6 +47,11 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *         schema:
  *           type: string
  *         description: Search counselors by name or role
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *         description: Comma separated office ids, names or slugs
  *     responses:
  *       200:
  *         description: List of counselors retrieved successfully
@@ -66,7 +72,7 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *       500:
  *         description: Internal server error
  */
-router.get('/', counselorsController.getAllCounselors);
+router.get('/', resolveOfficeQuery, counselorsController.getAllCounselors);
 
 /**
  * @swagger
@@ -214,6 +220,7 @@ router.post(
   authorizeRoles('admin', 'moderator'),
   uploadCounselorImage,
   cleanupCounselorImage,
+  resolveOfficeBody(),
   counselorsController.createCounselor
 );
 
@@ -264,6 +271,12 @@ router.post(
  *                 type: string
  *                 example: "ICEF Certified,PIER Certified,ICEF Advanced"
  *                 description: Comma-separated list of certifications
+ *               office:
+ *                 type: string
+ *                 description: Office (id, name or slug) whose new students are assigned to this counselor
+ *               acceptingStudents:
+ *                 type: boolean
+ *                 description: Whether the counselor takes part in round-robin assignment
  *               image:
  *                 type: string
  *                 format: binary
@@ -302,9 +315,59 @@ router.patch(
   authorizeRoles('admin', 'moderator'),
   uploadCounselorImage,
   cleanupCounselorImage,
+  resolveOfficeBody({ allowNull: true }),
   counselorsController.updateCounselor
 );
 
+/**
+ * @swagger
+ * /api/counselors/{id}/user:
+ *   patch:
+ *     summary: Link a counselor profile to a user account (Admin only)
+ *     description: Linked counselors log in with the counselor role and receive student assignments. Users with the plain user role are promoted to counselor. Send a null userId to unlink.
+ *     tags: [Counselors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-fA-F0-9]{24}$'
+ *         description: Counselor ID (must be a valid MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "507f1f77bcf86cd799439011"
+ *     responses:
+ *       200:
+ *         description: Counselor link updated successfully
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Counselor or user not found
+ *       409:
+ *         description: User is already linked to another counselor
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  '/:id/user',
+  authMiddleware,
+  authorizeRoles('admin'),
+  counselorsController.linkCounselorUser
+);
+
 /**
  * @swagger
  * /api/counselors/{id}:
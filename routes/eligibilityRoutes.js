@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const eligibilityController = require('../controllers/eligibilityController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Staff only
+router.use(authMiddleware);
+
+// Ranked countries and programs for academic results, test scores, a yearly budget and a preferred field,
+// or for a stored student (?limit= caps the program list)
+router.post(
+  '/',
+  authorizeRoles('admin', 'moderator', 'counselor'),
+  scopeStudentsToCounselor,
+  eligibilityController.checkEligibility
+);
+
+// Exchange rates into NPR used for the budget check
+router.get('/exchange-rates', authorizeRoles('admin', 'moderator', 'counselor'), eligibilityController.getExchangeRates);
+router.put('/exchange-rates/:currency', authorizeRoles('admin', 'moderator'), eligibilityController.setExchangeRate);
+router.delete('/exchange-rates/:currency', authorizeRoles('admin', 'moderator'), eligibilityController.deleteExchangeRate);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const intakeController = require('../controllers/intakeController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Public list of upcoming intakes (?country=&university=&program=&months=12)
+router.get('/upcoming', intakeController.getUpcomingIntakes);
+
+// Deadline calendar for staff (?from=&to=&country=&university=&program=&includeInactive=true&page=&limit=)
+router.get('/', authMiddleware, authorizeRoles('admin', 'moderator', 'counselor'), intakeController.getIntakeCalendar);
+
+// Calendar changes (admin/moderator); university is an id or slug, program an id
+router.post('/', authMiddleware, authorizeRoles('admin', 'moderator'), intakeController.createIntake);
+router.patch('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), intakeController.updateIntake);
+router.delete('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), intakeController.deleteIntake);
+
+module.exports = router;
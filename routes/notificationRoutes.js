@@ -10,18 +10,18 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
 
 // Apply auth middleware to ALL notification routes
 router.use(authMiddleware);
-router.use(authorizeRoles('admin', 'moderator'));
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
 
-// Get all notifications (Admin, Moderator only)
+// Get all notifications (Admin, Moderator, Counselor)
 router.get('/', getNotifications);
 
-// Mark notification as read (Admin, Moderator only)
+// Mark notification as read (Admin, Moderator, Counselor)
 router.patch('/:id/read', markAsRead);
 
-// Mark all notifications as read (Admin, Moderator only)
+// Mark all notifications as read (Admin, Moderator, Counselor)
 router.patch('/read-all', markAllAsRead);
 
-// Get unread count (Admin, Moderator only)
+// Get unread count (Admin, Moderator, Counselor)
 router.get('/unread-count', getUnreadCount);
 
 module.exports = router;
\ No newline at end of file
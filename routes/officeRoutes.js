@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const officeController = require('../controllers/officeController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Public: active offices with address, contact details, opening hours and map location
+router.get('/', officeController.getOffices);
+
+// All offices including inactive ones, with student/counselor/staff counts (admin/moderator)
+router.get('/all', authMiddleware, authorizeRoles('admin', 'moderator'), officeController.getAllOffices);
+
+// Public: one active office by id or slug
+router.get('/:id', officeController.getOffice);
+
+// Office management (admin only); offices still in use can only be deactivated
+router.post('/', authMiddleware, authorizeRoles('admin'), officeController.createOffice);
+router.patch('/:id', authMiddleware, authorizeRoles('admin'), officeController.updateOffice);
+router.delete('/:id', authMiddleware, authorizeRoles('admin'), officeController.deleteOffice);
+
+module.exports = router;
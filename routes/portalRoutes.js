@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const portalController = require('../controllers/portalController');
+const { portalAuth } = require('../middlewares/portalMiddleware');
+const { uploadStudentDocument, cleanupStudentDocument } = require('../middlewares/studentDocumentMiddleware');
+
+// Sign-in links are emailed, so keep requests per IP low
+const linkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests, please try again later' }
+});
+
+const sessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many requests, please try again later' }
+});
+
+// Public routes
+router.post('/magic-link', linkLimiter, portalController.requestLink); // Emails a one-time sign-in link
+router.post('/session', sessionLimiter, portalController.createSession); // Link token -> portal session token
+
+// Student routes (portal session token only, staff tokens are not accepted)
+router.use(portalAuth);
+
+router.get('/me', portalController.getMyProfile);
+router.get('/appointments', portalController.getMyAppointments);
+router.get('/documents', portalController.getMyDocuments);
+router.post('/documents', uploadStudentDocument, cleanupStudentDocument, portalController.uploadMyDocument);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const programController = require('../controllers/programController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Public search (?country=&university=&level=bachelor,master&field=&search=&intakeMonth=&maxTuition=&currency=&page=&limit=)
+router.get('/', programController.searchPrograms);
+
+// Admin/moderator search including inactive programs
+router.get('/all', authMiddleware, authorizeRoles('admin', 'moderator'), programController.getAllPrograms);
+
+router.get('/:id', programController.getProgram);
+
+// Catalog changes (admin/moderator); university is an id or slug
+router.post('/', authMiddleware, authorizeRoles('admin', 'moderator'), programController.createProgram);
+router.patch('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), programController.updateProgram);
+router.delete('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), programController.deleteProgram);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const reportTemplateController = require('../controllers/reportTemplateController');
+const { uploadReportLogo, cleanupReportLogo } = require('../middlewares/reportTemplateMiddleware');
+const { resolveOfficeBody } = require('../middlewares/officeMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+router.use(authMiddleware);
+
+// Templates and previews (admin/moderator)
+router.get('/', authorizeRoles('admin', 'moderator'), reportTemplateController.getReportTemplates);
+router.post('/preview', authorizeRoles('admin', 'moderator'), resolveOfficeBody({ allowNull: true }), reportTemplateController.previewDraftTemplate); // Renders unsaved settings with a sample student
+router.get('/:id', authorizeRoles('admin', 'moderator'), reportTemplateController.getReportTemplate);
+router.get('/:id/preview', authorizeRoles('admin', 'moderator'), reportTemplateController.previewReportTemplate); // ?studentId= to use a real student
+
+// Branding changes (admin only); office is an id, name or slug, null for the default template
+router.post('/', authorizeRoles('admin'), resolveOfficeBody({ allowNull: true }), reportTemplateController.createReportTemplate);
+router.put('/:id', authorizeRoles('admin'), resolveOfficeBody({ allowNull: true }), reportTemplateController.updateReportTemplate);
+router.delete('/:id', authorizeRoles('admin'), reportTemplateController.deleteReportTemplate);
+router.put('/:id/logo', authorizeRoles('admin'), uploadReportLogo, cleanupReportLogo, reportTemplateController.uploadTemplateLogo); // multipart field "logo", PNG/JPEG
+router.delete('/:id/logo', authorizeRoles('admin'), reportTemplateController.removeTemplateLogo);
+
+module.exports = router;
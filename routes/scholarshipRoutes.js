@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const scholarshipController = require('../controllers/scholarshipController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Public catalog (?country=&university=&level=&field=&award=&open=true&search=&page=&limit=)
+router.get('/', scholarshipController.getScholarships);
+
+// Admin/moderator view with inactive scholarships
+router.get('/all', authMiddleware, authorizeRoles('admin', 'moderator'), scholarshipController.getAllScholarships);
+
+// One scholarship by id or slug
+router.get('/:id', scholarshipController.getScholarship);
+
+// Catalog changes (admin/moderator); countries by id, name or slug, universities by id or slug
+router.post('/', authMiddleware, authorizeRoles('admin', 'moderator'), scholarshipController.createScholarship);
+router.patch('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), scholarshipController.updateScholarship);
+router.delete('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), scholarshipController.deleteScholarship);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const studentActivityController = require('../controllers/studentActivityController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/:id/activities — staff only, counselors limited to their students
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// Timeline, newest first (?page=&limit=&type=call,meeting,note,email,whatsapp,system)
+router.get('/', studentActivityController.getStudentActivities);
+
+// Log a call, meeting, note, email or WhatsApp conversation
+router.post('/', studentActivityController.addStudentActivity);
+
+module.exports = router;
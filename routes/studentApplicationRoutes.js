@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const applicationController = require('../controllers/applicationController');
+const { resolveUploadStudent, uploadStudentDocument, cleanupStudentDocument } = require('../middlewares/studentDocumentMiddleware');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/:id/applications — staff only, counselors limited to their students
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// University applications of the student
+router.get('/', applicationController.getStudentApplications);
+
+// Start an application (country by id, name or slug; status defaults to draft)
+router.post('/', applicationController.createStudentApplication);
+
+// Upload an offer letter or CAS/COE into the document vault and attach it (multipart field "file", optional "label")
+router.post(
+  '/:applicationId/offer-letters',
+  resolveUploadStudent,
+  uploadStudentDocument,
+  cleanupStudentDocument,
+  applicationController.uploadOfferLetter
+);
+
+module.exports = router;
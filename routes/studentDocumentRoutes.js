@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const studentDocumentController = require('../controllers/studentDocumentController');
+const { resolveUploadStudent, uploadStudentDocument, cleanupStudentDocument } = require('../middlewares/studentDocumentMiddleware');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/:id/documents — staff only, counselors limited to their students
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// List documents with the destination checklist
+router.get('/', studentDocumentController.getStudentDocuments);
+
+// Upload a document (multipart field "file", plus "kind" and optional "label")
+router.post(
+  '/',
+  resolveUploadStudent,
+  uploadStudentDocument,
+  cleanupStudentDocument,
+  studentDocumentController.uploadDocument
+);
+
+// Download the current or a specific version
+router.get('/:documentId/download', studentDocumentController.downloadDocument);
+router.get('/:documentId/versions/:version/download', studentDocumentController.downloadDocument);
+
+// Verify or reject a version
+router.patch('/:documentId/review', studentDocumentController.reviewDocument);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const quarantineController = require('../controllers/studentQuarantineController');
+const { resolveOfficeQuery } = require('../middlewares/officeMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/quarantine — consultation form submissions held back as likely spam
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator'));
+
+// Submissions by status (pending by default), reason, office or name/email search
+router.get('/', resolveOfficeQuery, quarantineController.getQuarantinedSubmissions);
+
+// One submission with the full form body
+router.get('/:submissionId', quarantineController.getQuarantinedSubmission);
+
+// Release a false positive: the student is registered as if the form had been accepted
+router.post('/:submissionId/release', quarantineController.releaseSubmission);
+
+// Delete confirmed spam
+router.delete('/:submissionId', quarantineController.deleteQuarantinedSubmission);
+
+module.exports = router;
@@ -2,17 +2,40 @@ const express = require('express');
 const router = express.Router();
 const {
   createStudent,
+  getFormToken,
   getAllStudents,
+  exportStudents,
   getStudentById,
   updateStudent,
   deleteStudent,
-  generateStudentReport
+  generateStudentReport,
+  moveStudentStage,
+  getStudentPipeline,
+  getLeadSourceReport,
+  assignCounselor,
+  getDuplicateStudents,
+  mergeStudent,
+  markNotDuplicate
 } = require('../controllers/studentController');
 const {
   validateStudentData,
-  checkDuplicateStudent
+  screenForSpam,
+  checkDuplicateStudent,
+  scopeStudentsToCounselor
 } = require('../middlewares/studentMiddleware');
+const { resolveOfficeBody, resolveOfficeQuery } = require('../middlewares/officeMiddleware');
 const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+const { previewImport, commitImport, downloadErrorReport } = require('../controllers/studentImportController');
+const { uploadImportFile } = require('../middlewares/studentImportMiddleware');
+const { exportStudentReports, getReportJob, downloadReportJob } = require('../controllers/studentReportController');
+const { exportStudentData, eraseStudentData } = require('../controllers/studentPrivacyController');
+const studentDocumentRoutes = require('./studentDocumentRoutes');
+const studentActivityRoutes = require('./studentActivityRoutes');
+const studentTaskRoutes = require('./studentTaskRoutes');
+const studentApplicationRoutes = require('./studentApplicationRoutes');
+const studentVisaCaseRoutes = require('./studentVisaCaseRoutes');
+const studentScholarshipRoutes = require('./studentScholarshipRoutes');
+const studentQuarantineRoutes = require('./studentQuarantineRoutes');
 
 /**
  * @swagger
@@ -21,11 +44,54 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *   description: Student consultation and inquiry management endpoints
  */
 
+/**
+ * @swagger
+ * /api/student/form-token:
+ *   get:
+ *     summary: Get a token for the consultation form (Public)
+ *     description: |
+ *       Fetch when the form is shown and post it back as formToken. Before submitting, find a
+ *       powSolution (any string up to 64 characters) for which SHA-256 of "{token}:{powSolution}"
+ *       starts with `difficulty` zero bits. Each token can be submitted once. Submissions without
+ *       a valid token, sent sooner than minFillSeconds after it was issued, with the hidden
+ *       "website" field filled in, or over the per-IP or per-email limit are quarantined for staff
+ *       review instead of creating a student.
+ *     tags: [Students]
+ *     responses:
+ *       200:
+ *         description: Form token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     difficulty:
+ *                       type: integer
+ *                       example: 16
+ *                     minFillSeconds:
+ *                       type: integer
+ *                       example: 5
+ *                     expiresIn:
+ *                       type: integer
+ *                       example: 7200
+ *                       description: Seconds the token stays valid
+ */
+router.get('/form-token', getFormToken);
+
 /**
  * @swagger
  * /api/student:
  *   post:
  *     summary: Create a new student consultation entry (Public)
+ *     description: Submissions that look like spam are quarantined for staff review; the response is the same but without data.
  *     tags: [Students]
  *     requestBody:
  *       required: true
@@ -59,12 +125,16 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *               mobile:
  *                 type: string
  *                 example: "+9779841234567"
- *                 pattern: '^\+977\d{10}$'
- *                 description: Must be in format +977XXXXXXXXXX
+ *                 description: Mobile number, normalized to E.164. Numbers without a country code are read as mobileCountry (Nepal by default); spaces, dashes, 00 prefixes and a leading 0 are accepted.
+ *               mobileCountry:
+ *                 type: string
+ *                 example: "NP"
+ *                 default: "NP"
+ *                 description: ISO country code used for numbers typed without a country code
  *               office:
  *                 type: string
- *                 enum: [Kathmandu, Pokhara]
  *                 example: "Kathmandu"
+ *                 description: Office id, name or slug of an active office (see GET /api/offices)
  *               topics:
  *                 type: string
  *                 example: "University Admission, Visa Process, Scholarship"
@@ -79,18 +149,27 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *                 type: string
  *                 example: "Germany"
  *                 maxLength: 100
+ *               academics:
+ *                 type: array
+ *                 description: Structured academic records. When omitted, slc and plusTwo are required instead.
+ *                 items:
+ *                   $ref: '#/components/schemas/AcademicRecord'
+ *               englishTests:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/EnglishTest'
  *               slc:
  *                 type: string
  *                 example: "3.65 GPA"
- *                 default: "N/A"
+ *                 description: Legacy free-text SEE/SLC result, converted into an academic record
  *               plusTwo:
  *                 type: string
  *                 example: "3.45 GPA"
- *                 default: "N/A"
+ *                 description: Legacy free-text +2 result, converted into an academic record
  *               bachelor:
  *                 type: string
  *                 example: "3.8 CGPA"
- *                 default: "N/A"
+ *                 description: Legacy free-text bachelor result, converted into an academic record
  *               healthIssues:
  *                 type: string
  *                 example: "None"
@@ -99,6 +178,17 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *                 type: string
  *                 example: "Interested in Computer Science programs with scholarship opportunities"
  *                 maxLength: 1000
+ *               leadSource:
+ *                 $ref: '#/components/schemas/LeadSource'
+ *               formToken:
+ *                 type: string
+ *                 description: Token from GET /api/student/form-token
+ *               powSolution:
+ *                 type: string
+ *                 description: Solution of the proof-of-work challenge of the form token
+ *               website:
+ *                 type: string
+ *                 description: Honeypot; hidden from people and must be left empty
  *     responses:
  *       201:
  *         description: Student consultation created successfully
@@ -113,7 +203,7 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
  *                 data:
  *                   $ref: '#/components/schemas/Student'
  *       400:
- *         description: Validation error or duplicate student found
+ *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
@@ -124,59 +214,752 @@ const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddlewar
 router.post(
   '/',
   validateStudentData,
+  resolveOfficeBody({ activeOnly: true }),
+  screenForSpam,
   checkDuplicateStudent,
   createStudent
 );
 
 /**
  * @swagger
- * /api/student:
+ * /api/student:
+ *   get:
+ *     summary: Get students with filters, sorting and pagination (Admin/Moderator/Counselor only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of students per page
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *         description: Filter by office; comma separated office ids, names or slugs
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Free text matched against first name, last name and email (every word must match). Mobile numbers are stored encrypted and only match when a complete number is typed.
+ *       - in: query
+ *         name: destination
+ *         schema:
+ *           type: string
+ *         description: Filter by destination country (matches destinations and other destination)
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           example: "counselled,documents_pending"
+ *         description: Filter by one or more comma-separated pipeline stages
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           example: "paid_social,organic_social"
+ *         description: Filter by one or more comma-separated lead source channels
+ *       - in: query
+ *         name: utmSource
+ *         schema:
+ *           type: string
+ *           example: "facebook"
+ *         description: Filter by the UTM source of the lead
+ *       - in: query
+ *         name: utmCampaign
+ *         schema:
+ *           type: string
+ *         description: Filter by the UTM campaign of the lead
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only students created on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only students created on or before this date
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: "-createdAt"
+ *           example: "lastName,firstName"
+ *         description: Comma-separated sort fields, prefix with - for descending (createdAt, firstName, lastName, email, office, stage, stageUpdatedAt)
+ *       - in: query
+ *         name: academicLevel
+ *         schema:
+ *           type: string
+ *           example: "plus_two"
+ *         description: Academic level(s) the minGpa/minPercentage filters apply to (see_slc, plus_two, a_level, diploma, bachelor, master, other)
+ *       - in: query
+ *         name: minGpa
+ *         schema:
+ *           type: number
+ *           example: 3.2
+ *         description: Only students with an academic record of at least this GPA
+ *       - in: query
+ *         name: minPercentage
+ *         schema:
+ *           type: number
+ *           example: 65
+ *         description: Only students with an academic record of at least this percentage
+ *       - in: query
+ *         name: englishTest
+ *         schema:
+ *           type: string
+ *           enum: [IELTS, PTE, TOEFL, Duolingo]
+ *         description: Only students with a score for this English test
+ *       - in: query
+ *         name: minEnglishScore
+ *         schema:
+ *           type: number
+ *           example: 6.5
+ *         description: Minimum overall English test score
+ *       - in: query
+ *         name: minEnglishBand
+ *         schema:
+ *           type: number
+ *           example: 6
+ *         description: Minimum score in every band (listening, reading, writing, speaking)
+ *     responses:
+ *       200:
+ *         description: List of students retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 20
+ *                 total:
+ *                   type: integer
+ *                   example: 1450
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Student'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator/Counselor access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/', 
+  authMiddleware, 
+  authorizeRoles('admin', 'moderator', 'counselor'), 
+  scopeStudentsToCounselor,
+  resolveOfficeQuery,
+  getAllStudents
+);
+
+/**
+ * @swagger
+ * /api/student/export:
+ *   get:
+ *     summary: Export students as CSV or XLSX (Admin/Moderator/Counselor only)
+ *     description: Accepts the same filters and sort as the student list and exports every matching student.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *         description: File format
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or filter
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator/Counselor access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/export',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator', 'counselor'),
+  scopeStudentsToCounselor,
+  resolveOfficeQuery,
+  exportStudents
+);
+
+/**
+ * @swagger
+ * /api/student/import/preview:
+ *   post:
+ *     summary: Dry-run a CSV/XLSX student import (Admin/Moderator only)
+ *     description: |
+ *       Validates every row and checks for duplicates without saving anything.
+ *       Headers are matched loosely (e.g. "First Name", "firstName", "Phone"); the student export's headers are accepted.
+ *       Rows repeating an email or mobile of an earlier row are errors; matches with existing students are warnings.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file (max 5MB, 2000 rows)
+ *     responses:
+ *       200:
+ *         description: Per-row validation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/StudentImportReport'
+ *       400:
+ *         description: Missing, unreadable, empty or oversized file
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/import/preview',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  uploadImportFile,
+  previewImport
+);
+
+/**
+ * @swagger
+ * /api/student/import:
+ *   post:
+ *     summary: Import students from a CSV/XLSX file (Admin/Moderator only)
+ *     description: Inserts the valid rows (assigning counselors round-robin) and skips invalid ones. When rows fail, errorReportUrl points to a CSV of those rows with the reasons.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV or XLSX file (max 5MB, 2000 rows)
+ *     responses:
+ *       201:
+ *         description: Import finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/StudentImportReport'
+ *                     - type: object
+ *                       properties:
+ *                         importId:
+ *                           type: string
+ *                           example: "507f1f77bcf86cd799439020"
+ *                         insertedCount:
+ *                           type: integer
+ *                           example: 118
+ *                         failedCount:
+ *                           type: integer
+ *                           example: 2
+ *                         errorReportUrl:
+ *                           type: string
+ *                           nullable: true
+ *                           example: "/api/student/import/507f1f77bcf86cd799439020/errors"
+ *       400:
+ *         description: Missing, unreadable, empty or oversized file
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/import',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  uploadImportFile,
+  commitImport
+);
+
+/**
+ * @swagger
+ * /api/student/import/{importId}/errors:
+ *   get:
+ *     summary: Download the error report of an import as CSV (Admin/Moderator only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: importId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV with the original cells of every failed row and an Errors column
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       404:
+ *         description: Import not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/import/:importId/errors',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  downloadErrorReport
+);
+
+/**
+ * @swagger
+ * /api/student/reports/bulk:
+ *   post:
+ *     summary: Export the PDF reports of many students as one ZIP archive (Admin/Moderator only)
+ *     description: |
+ *       Select students either by `studentIds` or by `filter` (the same filters as the student list).
+ *       Up to 25 reports are zipped and streamed back directly. Larger selections (up to 2000)
+ *       are generated in the background: the response is 202 with a job whose progress can be
+ *       polled and whose archive can be downloaded for 24 hours once completed.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["507f1f77bcf86cd799439011", "507f1f77bcf86cd799439012"]
+ *               filter:
+ *                 type: object
+ *                 description: Student list filters (office, destination, stage, from, to, search, academicLevel, englishTest, ...)
+ *                 example: { office: "Kathmandu", stage: "applied" }
+ *     responses:
+ *       200:
+ *         description: ZIP archive with one PDF per student (and errors.txt when some reports failed)
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       202:
+ *         description: Background job queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "140 reports are being generated"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: "queued"
+ *                     total:
+ *                       type: integer
+ *                       example: 140
+ *                     statusUrl:
+ *                       type: string
+ *                       example: "/api/student/reports/jobs/507f1f77bcf86cd799439030"
+ *       400:
+ *         description: Missing selection, invalid IDs or filters, or too many students
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       404:
+ *         description: No students match the selection
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/reports/bulk',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  exportStudentReports
+);
+
+/**
+ * @swagger
+ * /api/student/reports/jobs/{jobId}:
+ *   get:
+ *     summary: Get the progress of a bulk report export (Admin/Moderator only)
+ *     description: Jobs are visible to the user who started them and to admins.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [queued, running, completed, failed]
+ *                     total:
+ *                       type: integer
+ *                       example: 140
+ *                     processed:
+ *                       type: integer
+ *                       example: 50
+ *                     progress:
+ *                       type: integer
+ *                       description: Percentage of students processed
+ *                       example: 36
+ *                     failures:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           student:
+ *                             type: string
+ *                           message:
+ *                             type: string
+ *                     size:
+ *                       type: integer
+ *                       description: Archive size in bytes
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     downloadUrl:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "/api/student/reports/jobs/507f1f77bcf86cd799439030/download"
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       404:
+ *         description: Report job not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/reports/jobs/:jobId',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  getReportJob
+);
+
+/**
+ * @swagger
+ * /api/student/reports/jobs/{jobId}/download:
+ *   get:
+ *     summary: Download the ZIP archive of a completed bulk report export (Admin/Moderator only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       404:
+ *         description: Job not found, not completed yet, or archive expired
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/reports/jobs/:jobId/download',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  downloadReportJob
+);
+
+/**
+ * @swagger
+ * /api/student/reports/lead-sources:
+ *   get:
+ *     summary: Lead source funnel report (Admin/Moderator only)
+ *     description: |
+ *       Counts leads per source and per month of arrival (Asia/Kathmandu), and how many of them
+ *       have since reached each pipeline stage. A lead that was lost later still counts for the
+ *       stages it reached before. Leads registered before attribution was captured are reported
+ *       under "unknown" or "(none)".
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [channel, utmSource, campaign]
+ *           default: channel
+ *         description: What a source is; campaign uses the UTM campaign, falling back to the ad network campaign ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only leads created on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only leads created on or before this date
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *         description: Filter by office; comma separated office ids, names or slugs
+ *     responses:
+ *       200:
+ *         description: Report built successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 groupBy:
+ *                   type: string
+ *                   example: "channel"
+ *                 stages:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [new_inquiry, counselled, documents_pending, applied, visa_lodged, enrolled]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bySource:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LeadSourceFunnelRow'
+ *                     byMonth:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/LeadSourceFunnelRow'
+ *                           - type: object
+ *                             properties:
+ *                               month:
+ *                                 type: string
+ *                                 example: "2026-09"
+ *       400:
+ *         description: Invalid groupBy or dates
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/reports/lead-sources',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  resolveOfficeQuery,
+  getLeadSourceReport
+);
+
+/**
+ * @swagger
+ * /api/student/pipeline:
+ *   get:
+ *     summary: Get students grouped by pipeline stage (Admin/Moderator/Counselor only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *         description: Filter by office; comma separated office ids, names or slugs
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Maximum number of students returned per stage
+ *     responses:
+ *       200:
+ *         description: Pipeline board retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       stage:
+ *                         type: string
+ *                         example: "counselled"
+ *                       count:
+ *                         type: integer
+ *                         example: 12
+ *                       students:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Student'
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator/Counselor access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/pipeline',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator', 'counselor'),
+  scopeStudentsToCounselor,
+  resolveOfficeQuery,
+  getStudentPipeline
+);
+
+// Consultation form submissions held back as likely spam
+router.use('/quarantine', studentQuarantineRoutes);
+
+/**
+ * @swagger
+ * /api/student/duplicates:
  *   get:
- *     summary: Get all students with pagination (Admin/Moderator/Counselor only)
+ *     summary: List likely duplicate student pairs (Admin only)
+ *     description: Pairs share an email, a normalized mobile number, or a closely matching name with the same phone number. Pairs marked as not duplicates are left out.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number
- *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Number of students per page
- *       - in: query
- *         name: office
- *         schema:
- *           type: string
- *           enum: [Kathmandu, Pokhara]
- *         description: Filter by office location
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by name or email
- *       - in: query
- *         name: destination
- *         schema:
- *           type: string
- *         description: Filter by destination countries
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, contacted, enrolled, rejected]
- *         description: Filter by consultation status
+ *           maximum: 200
+ *           default: 50
+ *         description: Maximum number of pairs returned
  *     responses:
  *       200:
- *         description: List of students retrieved successfully
+ *         description: Duplicate pairs retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -185,24 +968,39 @@ router.post(
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 count:
+ *                   type: integer
+ *                   example: 1
  *                 data:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Student'
- *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
+ *                     type: object
+ *                     properties:
+ *                       students:
+ *                         type: array
+ *                         description: The two records, oldest first
+ *                         items:
+ *                           $ref: '#/components/schemas/Student'
+ *                       reasons:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [email, mobile, name_and_phone]
+ *                       nameSimilarity:
+ *                         type: number
+ *                         example: 0.92
  *       401:
  *         description: Unauthorized - Authentication required
  *       403:
- *         description: Forbidden - Admin/Moderator/Counselor access required
+ *         description: Forbidden - Admin access required
  *       500:
  *         description: Internal server error
  */
 router.get(
-  '/', 
-  authMiddleware, 
-  authorizeRoles('admin', 'moderator', 'counselor'), 
-  getAllStudents
+  '/duplicates',
+  authMiddleware,
+  authorizeRoles('admin'),
+  getDuplicateStudents
 );
 
 /**
@@ -247,6 +1045,7 @@ router.get(
   '/:id', 
   authMiddleware, 
   authorizeRoles('admin', 'moderator', 'counselor'), 
+  scopeStudentsToCounselor,
   getStudentById
 );
 
@@ -289,12 +1088,15 @@ router.get(
  *                 example: "rajendra.sharma@example.com"
  *               mobile:
  *                 type: string
- *                 example: "+9779841234567"
- *                 pattern: '^\+977\d{10}$'
+ *                 example: "+61412345678"
+ *                 description: Normalized to E.164, see the create endpoint
+ *               mobileCountry:
+ *                 type: string
+ *                 example: "AU"
  *               office:
  *                 type: string
- *                 enum: [Kathmandu, Pokhara]
  *                 example: "Pokhara"
+ *                 description: Office id, name or slug
  *               topics:
  *                 type: string
  *                 example: "University Admission, Visa Process, Scholarship, Accommodation"
@@ -309,18 +1111,33 @@ router.get(
  *                 type: string
  *                 example: ""
  *                 maxLength: 100
- *               slc:
- *                 type: string
- *                 example: "3.70 GPA"
- *               plusTwo:
- *                 type: string
- *                 example: "3.50 GPA"
- *               bachelor:
- *                 type: string
- *                 example: "3.9 CGPA"
+ *               academics:
+ *                 type: array
+ *                 description: Replaces all academic records
+ *                 items:
+ *                   $ref: '#/components/schemas/AcademicRecord'
+ *               englishTests:
+ *                 type: array
+ *                 description: Replaces all English test scores
+ *                 items:
+ *                   $ref: '#/components/schemas/EnglishTest'
  *               healthIssues:
  *                 type: string
  *                 example: "Asthma"
+ *                 description: Stored encrypted
+ *               passport:
+ *                 type: object
+ *                 description: The passport number is stored encrypted
+ *                 properties:
+ *                   number:
+ *                     type: string
+ *                     example: "PA1234567"
+ *                   issuingCountry:
+ *                     type: string
+ *                     example: "NP"
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date
  *               additionalInfo:
  *                 type: string
  *                 example: "Updated additional information"
@@ -361,10 +1178,223 @@ router.put(
   '/:id', 
   authMiddleware, 
   authorizeRoles('admin', 'moderator', 'counselor'), 
+  scopeStudentsToCounselor,
   validateStudentData, 
+  resolveOfficeBody(),
   updateStudent
 );
 
+/**
+ * @swagger
+ * /api/student/{id}/stage:
+ *   patch:
+ *     summary: Move a student to another pipeline stage (Admin/Moderator/Counselor only)
+ *     description: >
+ *       Students can move one stage forward or back, drop out to "lost" from any stage,
+ *       or be reopened from "lost". Any other move requires an admin or moderator
+ *       override with a note.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-fA-F0-9]{24}$'
+ *         description: Student ID (must be a valid MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stage
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [new_inquiry, counselled, documents_pending, applied, visa_lodged, enrolled, lost]
+ *                 example: "documents_pending"
+ *               note:
+ *                 type: string
+ *                 example: "Passport and transcripts requested"
+ *                 maxLength: 500
+ *               override:
+ *                 type: boolean
+ *                 example: false
+ *                 description: Allow a transition that skips stages (Admin/Moderator only, note required)
+ *     responses:
+ *       200:
+ *         description: Student stage updated successfully
+ *       400:
+ *         description: Invalid stage or missing override note
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - insufficient role or override not permitted
+ *       404:
+ *         description: Student not found
+ *       422:
+ *         description: Transition not allowed without an override
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  '/:id/stage',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator', 'counselor'),
+  scopeStudentsToCounselor,
+  moveStudentStage
+);
+
+/**
+ * @swagger
+ * /api/student/{id}/assign:
+ *   patch:
+ *     summary: Assign a student to a counselor (Admin/Moderator only)
+ *     description: New students are assigned round-robin per office. This endpoint reassigns them manually; send a null counselorId to unassign.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-fA-F0-9]{24}$'
+ *         description: Student ID (must be a valid MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               counselorId:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "507f1f77bcf86cd799439013"
+ *     responses:
+ *       200:
+ *         description: Student assignment updated successfully
+ *       400:
+ *         description: Counselor is not linked to a user account
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin/Moderator access required
+ *       404:
+ *         description: Student or counselor not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  '/:id/assign',
+  authMiddleware,
+  authorizeRoles('admin', 'moderator'),
+  assignCounselor
+);
+
+/**
+ * @swagger
+ * /api/student/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate record into this student (Admin only)
+ *     description: Notes, interests, stage history, documents, notifications and appointments of the duplicate are moved to this student, the duplicate is deleted and the merge is recorded in the audit log.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-fA-F0-9]{24}$'
+ *         description: ID of the student record to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateId
+ *             properties:
+ *               duplicateId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439014"
+ *     responses:
+ *       200:
+ *         description: Students merged successfully
+ *       400:
+ *         description: Missing or invalid duplicateId
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Student not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/merge',
+  authMiddleware,
+  authorizeRoles('admin'),
+  mergeStudent
+);
+
+/**
+ * @swagger
+ * /api/student/{id}/not-duplicate:
+ *   patch:
+ *     summary: Mark two students as not duplicates (Admin only)
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[a-fA-F0-9]{24}$'
+ *         description: Student ID (must be a valid MongoDB ObjectId)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - otherId
+ *             properties:
+ *               otherId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439014"
+ *     responses:
+ *       200:
+ *         description: Pair dismissed
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Student not found
+ *       500:
+ *         description: Internal server error
+ */
+router.patch(
+  '/:id/not-duplicate',
+  authMiddleware,
+  authorizeRoles('admin'),
+  markNotDuplicate
+);
+
 /**
  * @swagger
  * /api/student/{id}:
@@ -414,6 +1444,109 @@ router.delete(
   deleteStudent
 );
 
+/**
+ * @swagger
+ * /api/student/{id}/data-export:
+ *   get:
+ *     summary: Export all personal data held about a student as a ZIP (Admin only)
+ *     description: |
+ *       For data-subject access requests. The archive contains data.json (student record,
+ *       documents, appointments, notifications, activity timeline, tasks, imports, campaign
+ *       delivery errors and audit entries), every uploaded document version and the report PDF.
+ *       The export is recorded in the audit log.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Student not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  '/:id/data-export',
+  authMiddleware,
+  authorizeRoles('admin'),
+  exportStudentData
+);
+
+/**
+ * @swagger
+ * /api/student/{id}/erase:
+ *   post:
+ *     summary: Erase a student's personal data across all records (Admin only)
+ *     description: |
+ *       Deletes the student's documents and files, notifications, activity timeline, tasks,
+ *       bulk report archives, import rows and campaign delivery errors, and redacts audit details.
+ *       `delete` removes the student record and appointments; `anonymize` keeps an anonymous
+ *       record (office, destinations, stage) for statistics. An audit entry is recorded.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - confirm
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [delete, anonymize]
+ *                 default: delete
+ *               reason:
+ *                 type: string
+ *                 example: "Erasure requested by the student by email on 2026-10-18"
+ *               confirm:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Personal data erased; the response lists how many records were changed per collection
+ *       400:
+ *         description: Invalid mode, missing reason or confirmation, or already erased
+ *       401:
+ *         description: Unauthorized - Authentication required
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Student not found
+ *       500:
+ *         description: Internal server error
+ */
+router.post(
+  '/:id/erase',
+  authMiddleware,
+  authorizeRoles('admin'),
+  eraseStudentData
+);
+
 /**
  * @swagger
  * /api/student/{id}/report:
@@ -482,4 +1615,22 @@ router.get(
   generateStudentReport
 );
 
+// Student document vault
+router.use('/:id/documents', studentDocumentRoutes);
+
+// Activity timeline: logged calls, meetings, notes and automatic events
+router.use('/:id/activities', studentActivityRoutes);
+
+// Follow-up tasks
+router.use('/:id/tasks', studentTaskRoutes);
+
+// University applications
+router.use('/:id/applications', studentApplicationRoutes);
+
+// Visa cases
+router.use('/:id/visa-cases', studentVisaCaseRoutes);
+
+// Scholarship matching
+router.use('/:id/scholarships', studentScholarshipRoutes);
+
 module.exports = router;
\ No newline at end of file
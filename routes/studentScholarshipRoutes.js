@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const scholarshipController = require('../controllers/scholarshipController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/:id/scholarships — staff only, counselors limited to their students
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// Open scholarships the student qualifies for on their academic record (?country=&level=&includeIneligible=true)
+router.get('/', scholarshipController.getStudentScholarships);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const taskController = require('../controllers/taskController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/:id/tasks — staff only, counselors limited to their students
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// Tasks of the student (?status=open,in_progress)
+router.get('/', taskController.getStudentTasks);
+
+// Create a follow-up task (assignee defaults to the student's counselor)
+router.post('/', taskController.createStudentTask);
+
+module.exports = router;
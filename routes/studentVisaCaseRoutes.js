@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const visaCaseController = require('../controllers/visaCaseController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Mounted at /api/student/:id/visa-cases — staff only, counselors limited to their students
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// Visa cases of the student, each with the destination's document checklist
+router.get('/', visaCaseController.getStudentVisaCases);
+
+// Open a case (country by id, name or slug, or taken from the linked application)
+router.post('/', visaCaseController.createStudentVisaCase);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const taskController = require('../controllers/taskController');
+const { resolveOfficeQuery } = require('../middlewares/officeMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Staff only; tasks are created on a student at /api/student/:id/tasks
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+
+// Tasks assigned to me (?status=open,in_progress&overdue=true&office=&page=&limit=)
+router.get('/mine', resolveOfficeQuery, taskController.getMyTasks);
+
+// Overdue tasks of offices (?office=Kathmandu,Pokhara by id, name or slug; defaults to my office)
+router.get('/overdue', authorizeRoles('admin', 'moderator'), resolveOfficeQuery, taskController.getOverdueTasks);
+
+// Update, reassign, complete or cancel a task
+router.patch('/:taskId', taskController.updateTask);
+
+module.exports = router;
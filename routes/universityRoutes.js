@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const universityController = require('../controllers/universityController');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Public catalog (?country=&search=&partner=true&page=&limit=)
+router.get('/', universityController.getUniversities);
+
+// Admin/moderator view with inactive universities
+router.get('/all', authMiddleware, authorizeRoles('admin', 'moderator'), universityController.getAllUniversities);
+
+// One university by id or slug, with its programs
+router.get('/:id', universityController.getUniversity);
+
+// Catalog changes (admin/moderator); country is an id, name or slug
+router.post('/', authMiddleware, authorizeRoles('admin', 'moderator'), universityController.createUniversity);
+router.patch('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), universityController.updateUniversity);
+router.delete('/:id', authMiddleware, authorizeRoles('admin', 'moderator'), universityController.deleteUniversity);
+
+module.exports = router;
@@ -15,13 +15,15 @@ const {
   validateForgotPassword,
   validateResetPassword,
   validateUserIdParam,
-  validateChangeUserRole
+  validateChangeUserRole,
+  validateChangeUserOffice
 } = require("../middlewares/userValidation");
 const {
   uploadProfileImage,
   processProfileImage,
   cleanupProfileImage
 } = require('../middlewares/userMiddleware.js');
+const { resolveOfficeBody, resolveOfficeQuery } = require('../middlewares/officeMiddleware');
 // Role protection middleware
 const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -967,6 +969,11 @@ router.get("/admin/audit-logs", authMiddleware, restrictTo("admin"), userControl
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *         description: Comma separated office ids, names or slugs
  *     responses:
  *       200:
  *         description: List of users with pagination
@@ -1000,7 +1007,7 @@ router.get("/admin/audit-logs", authMiddleware, restrictTo("admin"), userControl
  *       403:
  *         description: Insufficient permissions
  */
-router.get("/", authMiddleware, restrictTo("admin"), userController.getAllUsers);
+router.get("/", authMiddleware, restrictTo("admin"), resolveOfficeQuery, userController.getAllUsers);
 
 /**
  * @swagger
@@ -1079,6 +1086,50 @@ router.get("/:id", authMiddleware, restrictTo("admin"), validateUserIdParam, use
  */
 router.patch("/:id/role", authMiddleware, restrictTo("admin"), validateUserIdParam, validateChangeUserRole, userController.changeUserRole);
 
+/**
+ * @swagger
+ * /api/users/{id}/office:
+ *   patch:
+ *     summary: Set the office a staff member works at (Admin only)
+ *     description: Admins with an office receive escalations of that office's overdue tasks.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/sessionIdHeader'
+ *       - $ref: '#/components/parameters/userIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - office
+ *             properties:
+ *               office:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Office id, name or slug; null for staff not tied to one office
+ *                 example: "Pokhara"
+ *     responses:
+ *       200:
+ *         description: User office updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.patch("/:id/office", authMiddleware, restrictTo("admin"), validateUserIdParam, validateChangeUserOffice, resolveOfficeBody({ allowNull: true }), userController.changeUserOffice);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const visaCaseController = require('../controllers/visaCaseController');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const { resolveOfficeQuery } = require('../middlewares/officeMiddleware');
+const { authMiddleware, authorizeRoles } = require('../middlewares/authMiddleware');
+
+// Staff only, counselors limited to their students; cases are opened at /api/student/:id/visa-cases
+router.use(authMiddleware);
+router.use(authorizeRoles('admin', 'moderator', 'counselor'));
+router.use(scopeStudentsToCounselor);
+
+// Approval rates by country and by counselor (?from=&to=&office=&visaType=)
+router.get('/report', authorizeRoles('admin', 'moderator'), resolveOfficeQuery, visaCaseController.getVisaOutcomeReport);
+
+// Cases across the agency (?status=preparing,lodged&outcome=&country=&office=&counselor=&page=&limit=)
+router.get('/', resolveOfficeQuery, visaCaseController.getVisaCases);
+
+router.get('/:caseId', visaCaseController.getVisaCase);
+
+// Lodgement, biometrics and interview dates, decision, refusal reasons
+router.patch('/:caseId', visaCaseController.updateVisaCase);
+
+router.delete('/:caseId', authorizeRoles('admin', 'moderator'), visaCaseController.deleteVisaCase);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * Moves office names stored as text ("Kathmandu", "Pokhara") on students, counselors,
+ * staff, appointments, tasks, counselor availability and report templates to references
+ * to Office documents. Offices that do not exist yet are created with just a name and
+ * city; fill in their address and contact details afterwards. Safe to run more than once.
+ *
+ * Usage: npm run migrate:offices [-- --dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Office = require('../models/OfficeModel');
+const Student = require('../models/studentModel');
+const Counselor = require('../models/CounselorsModel');
+const User = require('../models/userModels');
+const Appointment = require('../models/appointmentModel');
+const Task = require('../models/TaskModel');
+const CounselorAvailability = require('../models/CounselorAvailabilityModel');
+const ReportTemplate = require('../models/ReportTemplateModel');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The offices of the old hard-coded list always exist after the migration
+const DEFAULT_OFFICES = ['Kathmandu', 'Pokhara'];
+
+// Paths holding an office; array paths are inside lists of subdocuments
+const OFFICE_PATHS = [
+  { Model: Student, path: 'office' },
+  { Model: Counselor, path: 'office' },
+  { Model: User, path: 'office' },
+  { Model: Appointment, path: 'office' },
+  { Model: Task, path: 'office' },
+  { Model: ReportTemplate, path: 'office' },
+  { Model: CounselorAvailability, path: 'weekly.office', array: 'weekly' },
+  { Model: CounselorAvailability, path: 'exceptions.office', array: 'exceptions' }
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const offices = new Map();
+
+const officeFor = async (name) => {
+  const key = name.trim().toLowerCase();
+  if (offices.has(key)) return offices.get(key);
+
+  let office = await Office.findOne({ name: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') });
+  if (!office) {
+    console.log(`${dryRun ? '[dry run] Would create' : 'Creating'} office "${name.trim()}"`);
+    office = dryRun
+      ? new Office({ name: name.trim(), address: { city: name.trim() } })
+      : await Office.create({ name: name.trim(), address: { city: name.trim() } });
+  }
+  offices.set(key, office);
+  return office;
+};
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not set in .env file');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  for (const name of DEFAULT_OFFICES) await officeFor(name);
+
+  // The office fields are references now, so read and write the raw documents
+  for (const { Model, path, array } of OFFICE_PATHS) {
+    const names = await Model.collection.distinct(path, { [path]: { $type: 'string' } });
+
+    for (const name of names.filter(value => typeof value === 'string')) {
+      if (!name.trim()) {
+        if (!dryRun) await Model.collection.updateMany({ [path]: name }, { $set: { [path]: null } });
+        continue;
+      }
+
+      const office = await officeFor(name);
+      const count = await Model.collection.countDocuments({ [path]: name });
+      console.log(`${dryRun ? '[dry run] ' : ''}${Model.modelName}.${path}: ${count} "${name}" -> ${office.name}`);
+      if (dryRun) continue;
+
+      if (array) {
+        await Model.collection.updateMany(
+          { [path]: name },
+          { $set: { [`${array}.$[entry].office`]: office._id } },
+          { arrayFilters: [{ 'entry.office': name }] }
+        );
+      } else {
+        await Model.collection.updateMany({ [path]: name }, { $set: { [path]: office._id } });
+      }
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Offices: ${[...offices.values()].map(office => office.name).join(', ')}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Office migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
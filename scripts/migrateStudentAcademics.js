@@ -0,0 +1,75 @@
+/**
+ * Moves the legacy free-text `slc`, `plusTwo` and `bachelor` fields of students
+ * into structured `academics` entries. The original text is kept in each entry's
+ * `legacyText`; placeholders such as "N/A" are dropped. Safe to run more than once.
+ *
+ * Usage: npm run migrate:academics [-- --dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Student = require('../models/studentModel');
+const { academicsFromLegacy } = require('../utils/academics');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not set in .env file');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // The legacy fields are no longer in the schema, so read the raw documents
+  const cursor = Student.collection.find(
+    { $or: [{ slc: { $exists: true } }, { plusTwo: { $exists: true } }, { bachelor: { $exists: true } }] },
+    { projection: { slc: 1, plusTwo: 1, bachelor: 1, academics: 1 } }
+  );
+
+  let scanned = 0;
+  let created = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await Student.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+    const existing = doc.academics || [];
+    const levels = new Set(existing.map(record => record.level));
+    const migrated = academicsFromLegacy(doc)
+      .filter(record => !levels.has(record.level))
+      .map(record => ({ _id: new mongoose.Types.ObjectId(), ...record }));
+
+    created += migrated.length;
+    if (dryRun && migrated.length > 0 && created <= 20) {
+      console.log(doc._id.toString(), JSON.stringify(migrated));
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: { academics: [...existing, ...migrated] },
+          $unset: { slc: '', plusTwo: '', bachelor: '' }
+        }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} students, created ${created} academic records`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Academic migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
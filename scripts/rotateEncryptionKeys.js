@@ -0,0 +1,111 @@
+/**
+ * Re-encrypts the encrypted fields of every student, visa case, quarantined form
+ * submission and student import with the current key (the first entry of ENCRYPTION_KEYS) and recomputes
+ * their blind indexes. Values saved before encryption was enabled are encrypted as
+ * well. Safe to run more than once. Also run it after changing how a blind index is
+ * normalized, so stored hashes match the new form.
+ *
+ * To rotate: put the new key first in ENCRYPTION_KEYS, keep the old ones after it,
+ * run this script, then remove the old keys once it reports nothing left to do.
+ * BLIND_INDEX_KEY is not rotated; when it is first set on an existing database, run
+ * this script once so the stored hashes are rebuilt with it. The same pass replaces
+ * plaintext mobile numbers left in student merge snapshots (mergedFrom) by their hash,
+ * and encrypts the failed rows of imports made before they were stored encrypted.
+ *
+ * Usage: npm run encryption:rotate [-- --dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Student = require('../models/studentModel');
+const VisaCase = require('../models/VisaCaseModel');
+const QuarantinedSubmission = require('../models/QuarantinedSubmissionModel');
+const StudentImport = require('../models/StudentImportModel');
+const { EncryptionService } = require('../utils/encryption');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const MODELS = [Student, VisaCase, QuarantinedSubmission, StudentImport];
+
+// Migrations applied on the same pass, with the raw paths they need
+const EXTRA_UPDATES = new Map([
+  [Student, { paths: ['mergedFrom'], build: (raw) => Student.buildMergedFromUpdate(raw) }],
+  [StudentImport, { paths: ['failedRows'], build: (raw) => StudentImport.buildFailedRowsUpdate(raw) }]
+]);
+
+// Combine raw updates ({ $set, $unset }) into one, or null when there is nothing to do
+const combineUpdates = (updates) => {
+  const combined = {};
+  updates.filter(Boolean).forEach(update => Object.entries(update).forEach(([operator, fields]) => {
+    combined[operator] = { ...combined[operator], ...fields };
+  }));
+  return Object.keys(combined).length > 0 ? combined : null;
+};
+
+const rotate = async (Model) => {
+  const extra = EXTRA_UPDATES.get(Model);
+  const projection = {};
+  [...Model.ENCRYPTED_FIELDS, ...Model.BLIND_INDEX_PATHS, ...(extra ? extra.paths : [])].forEach(path => { projection[path] = 1; });
+
+  // Read the raw documents so nothing is decrypted or re-validated on the way
+  const cursor = Model.collection.find({}, { projection });
+
+  let scanned = 0;
+  let updated = 0;
+  let failed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await Model.collection.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned++;
+    let update;
+    try {
+      update = combineUpdates([Model.buildReencryptUpdate(doc), extra && extra.build(doc)]);
+    } catch (error) {
+      failed++;
+      console.error(`${Model.modelName} ${doc._id}: ${error.message}`);
+      continue;
+    }
+    if (!update) continue;
+
+    updated++;
+    operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}${Model.modelName}: scanned ${scanned}, re-encrypted ${updated}, failed ${failed}`);
+  return failed;
+};
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not set in .env file');
+  }
+  EncryptionService.reloadKeys();
+  console.log(`Encrypting with key "${EncryptionService.currentKeyId()}"`);
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let failed = 0;
+  for (const Model of MODELS) {
+    failed += await rotate(Model);
+  }
+  if (failed > 0) {
+    throw new Error(`${failed} document(s) could not be decrypted; is a key missing from ENCRYPTION_KEYS?`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Key rotation failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -20,10 +20,25 @@ const errorHandler = require('./middlewares/error.middleware');
 
 // Import Email Cron Jobs
 const emailCron = require('./utils/emailCron');
+const { startReportJobs } = require('./utils/reportJobs');
+const taskCron = require('./utils/taskCron');
+const intakeCron = require('./utils/intakeCron');
+const { EncryptionService } = require('./utils/encryption');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy (nginx, a load balancer) req.ip is the proxy's address unless it is
+// trusted to pass on the client's: TRUST_PROXY=1 (number of proxies), true, or the proxy
+// addresses, e.g. "loopback" or "10.0.0.0/8". Per-IP limits such as the consultation form's rely on it.
+const parseTrustProxy = (value) => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
 // Create HTTP server
 const server = http.createServer(app);
 
@@ -107,6 +122,14 @@ if (!dbURI) {
   process.exit(1);
 }
 
+// Sensitive student fields cannot be read or written without the encryption keys
+try {
+  EncryptionService.getKeyring();
+} catch (err) {
+  logger.error(err.message);
+  process.exit(1);
+}
+
 mongoose.connect(dbURI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
@@ -115,7 +138,12 @@ mongoose.connect(dbURI, {
     maxPoolSize: 50,
     wtimeoutMS: 25000,
   })
-  .then(() => logger.info('MongoDB connected successfully'))
+  .then(() => {
+    logger.info('MongoDB connected successfully');
+    startReportJobs();
+    taskCron.initialize();
+    intakeCron.initialize();
+  })
   .catch((err) => {
     logger.error('MongoDB connection error:', err);
     process.exit(1);
@@ -206,6 +234,18 @@ app.use('/api/countries', require('./routes/CountryRoutes'));
 app.use('/api/email', require('./routes/emailRoutes'));
 app.use('/api/analytics', require('./routes/analyticsRoutes'));
 app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/appointments', require('./routes/appointmentRoutes'));
+app.use('/api/portal', require('./routes/portalRoutes'));
+app.use('/api/report-templates', require('./routes/reportTemplateRoutes'));
+app.use('/api/tasks', require('./routes/taskRoutes'));
+app.use('/api/offices', require('./routes/officeRoutes'));
+app.use('/api/applications', require('./routes/applicationRoutes'));
+app.use('/api/universities', require('./routes/universityRoutes'));
+app.use('/api/programs', require('./routes/programRoutes'));
+app.use('/api/intakes', require('./routes/intakeRoutes'));
+app.use('/api/visa-cases', require('./routes/visaCaseRoutes'));
+app.use('/api/eligibility', require('./routes/eligibilityRoutes'));
+app.use('/api/scholarships', require('./routes/scholarshipRoutes'));
 /**
  * @swagger
  * /health:
@@ -659,6 +659,85 @@ const options = {
           }
         },
 
+        Office: {
+          type: 'object',
+          required: ['name', 'address'],
+          properties: {
+            _id: {
+              type: 'string',
+              example: '65f1c2a9e4b0a1b2c3d4e5f6'
+            },
+            name: {
+              type: 'string',
+              example: 'Chitwan',
+              description: 'Office name (unique)'
+            },
+            slug: {
+              type: 'string',
+              example: 'chitwan',
+              description: 'Generated from the name; accepted wherever an office is given'
+            },
+            address: {
+              type: 'object',
+              properties: {
+                street: { type: 'string', example: 'Pulchowk Road' },
+                city: { type: 'string', example: 'Bharatpur' },
+                district: { type: 'string', example: 'Chitwan' },
+                country: { type: 'string', example: 'Nepal' }
+              }
+            },
+            phone: {
+              type: 'string',
+              example: '+97756123456'
+            },
+            email: {
+              type: 'string',
+              format: 'email',
+              example: 'chitwan@shirijanga.com'
+            },
+            openingHours: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  dayOfWeek: { type: 'integer', minimum: 0, maximum: 6, example: 0, description: '0 = Sunday' },
+                  closed: { type: 'boolean', example: false },
+                  opensAt: { type: 'string', example: '10:00' },
+                  closesAt: { type: 'string', example: '17:00' }
+                }
+              }
+            },
+            location: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['Point'] },
+                coordinates: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  example: [84.4333, 27.6833],
+                  description: '[longitude, latitude]'
+                }
+              }
+            },
+            isActive: {
+              type: 'boolean',
+              example: true
+            },
+            sortOrder: {
+              type: 'integer',
+              example: 0
+            }
+          }
+        },
+
+        OfficeSummary: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', example: '65f1c2a9e4b0a1b2c3d4e5f6' },
+            name: { type: 'string', example: 'Kathmandu' }
+          }
+        },
+
         Counselor: {
           type: 'object',
           required: ['name', 'role', 'expertise', 'image', 'bio', 'certifications'],
@@ -694,6 +773,23 @@ const options = {
               },
               example: ['ICEF Certified', 'PIER Certified']
             },
+            user: {
+              type: 'string',
+              nullable: true,
+              example: '507f1f77bcf86cd799439011',
+              description: 'Linked user account (counselor login)'
+            },
+            office: {
+              description: 'Office id, or the office when populated',
+              oneOf: [
+                { type: 'string', example: '65f1c2a9e4b0a1b2c3d4e5f6' },
+                { $ref: '#/components/schemas/OfficeSummary' }
+              ]
+            },
+            acceptingStudents: {
+              type: 'boolean',
+              example: true
+            },
             isActive: {
               type: 'boolean',
               example: true
@@ -734,10 +830,17 @@ const options = {
               type: 'string',
               example: '+9779841234567'
             },
-            office: {
+            mobileCountry: {
               type: 'string',
-              enum: ['Kathmandu', 'Pokhara'],
-              example: 'Kathmandu'
+              example: 'NP',
+              description: 'ISO country of the mobile number'
+            },
+            office: {
+              description: 'Office id, or the office when populated',
+              oneOf: [
+                { type: 'string', example: '65f1c2a9e4b0a1b2c3d4e5f6' },
+                { $ref: '#/components/schemas/OfficeSummary' }
+              ]
             },
             topics: {
               type: 'string',
@@ -751,17 +854,13 @@ const options = {
               type: 'string',
               example: 'Germany'
             },
-            slc: {
-              type: 'string',
-              example: '3.65 GPA'
-            },
-            plusTwo: {
-              type: 'string',
-              example: '3.45 GPA'
+            academics: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/AcademicRecord' }
             },
-            bachelor: {
-              type: 'string',
-              example: '3.8 CGPA'
+            englishTests: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/EnglishTest' }
             },
             healthIssues: {
               type: 'string',
@@ -771,6 +870,61 @@ const options = {
               type: 'string',
               example: 'Interested in Computer Science programs'
             },
+            assignedCounselor: {
+              type: 'string',
+              nullable: true,
+              example: '507f1f77bcf86cd799439013'
+            },
+            assignedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            stage: {
+              type: 'string',
+              enum: ['new_inquiry', 'counselled', 'documents_pending', 'applied', 'visa_lodged', 'enrolled', 'lost'],
+              example: 'counselled'
+            },
+            stageUpdatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            stageHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  from: { type: 'string', example: 'new_inquiry' },
+                  to: { type: 'string', example: 'counselled' },
+                  changedBy: { type: 'string', example: '507f1f77bcf86cd799439011' },
+                  changedAt: { type: 'string', format: 'date-time' },
+                  note: { type: 'string', example: 'First counselling session done' },
+                  override: { type: 'boolean', example: false }
+                }
+              }
+            },
+            possibleDuplicates: {
+              type: 'array',
+              description: 'Existing students flagged as likely duplicates when this record was created',
+              items: { type: 'string', example: '507f1f77bcf86cd799439014' }
+            },
+            mergedFrom: {
+              type: 'array',
+              description: 'Snapshots of duplicate records merged into this student',
+              items: {
+                type: 'object',
+                properties: {
+                  studentId: { type: 'string', example: '507f1f77bcf86cd799439014' },
+                  firstName: { type: 'string', example: 'Raj' },
+                  lastName: { type: 'string', example: 'Sharma' },
+                  email: { type: 'string', example: 'raj.sharma@example.com' },
+                  mergedAt: { type: 'string', format: 'date-time' },
+                  mergedBy: { type: 'string', example: '507f1f77bcf86cd799439011' }
+                }
+              }
+            },
+            leadSource: {
+              $ref: '#/components/schemas/LeadSource'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -778,6 +932,121 @@ const options = {
           }
         },
 
+        AcademicRecord: {
+          type: 'object',
+          required: ['level'],
+          description: 'Either gpa or percentage is required, except for records migrated from free text',
+          properties: {
+            level: { type: 'string', enum: ['see_slc', 'plus_two', 'a_level', 'diploma', 'bachelor', 'master', 'other'], example: 'plus_two' },
+            board: { type: 'string', example: 'NEB', description: 'Board or university' },
+            institution: { type: 'string', example: 'Budhanilkantha School' },
+            stream: { type: 'string', example: 'Science' },
+            gpa: { type: 'number', minimum: 0, maximum: 4, example: 3.45 },
+            percentage: { type: 'number', minimum: 0, maximum: 100 },
+            passingYear: { type: 'integer', example: 2022 },
+            legacyText: { type: 'string', readOnly: true, example: '3.45 GPA', description: 'Original free text of migrated records' }
+          }
+        },
+
+        EnglishTest: {
+          type: 'object',
+          required: ['test', 'overall'],
+          description: 'IELTS: 0-9 in 0.5 steps; PTE: 10-90; TOEFL: sections 0-30, overall 0-120; Duolingo: overall 10-160 in steps of 5, no band scores',
+          properties: {
+            test: { type: 'string', enum: ['IELTS', 'PTE', 'TOEFL', 'Duolingo'], example: 'IELTS' },
+            overall: { type: 'number', example: 6.5 },
+            listening: { type: 'number', example: 7 },
+            reading: { type: 'number', example: 6.5 },
+            writing: { type: 'number', example: 6 },
+            speaking: { type: 'number', example: 6.5 },
+            testDate: { type: 'string', format: 'date' },
+            referenceNumber: { type: 'string', example: '23NP001234ABCD001A' }
+          }
+        },
+
+        LeadSource: {
+          type: 'object',
+          description: 'Where the inquiry came from. Posted once with the consultation form; channel, ad and capturedAt are set by the server. UTM tags missing from the body are read from the landing page URL.',
+          properties: {
+            channel: {
+              type: 'string',
+              readOnly: true,
+              enum: ['paid_social', 'paid_search', 'organic_social', 'organic_search', 'blog', 'website_ad', 'email', 'event', 'referral', 'direct'],
+              example: 'paid_social'
+            },
+            utmSource: { type: 'string', writeOnly: true, example: 'facebook', description: 'Also accepted as utm_source; likewise for the other UTM tags' },
+            utmMedium: { type: 'string', writeOnly: true, example: 'cpc' },
+            utmCampaign: { type: 'string', writeOnly: true, example: 'australia-feb-intake' },
+            utmTerm: { type: 'string', writeOnly: true },
+            utmContent: { type: 'string', writeOnly: true },
+            utm: {
+              type: 'object',
+              readOnly: true,
+              properties: {
+                source: { type: 'string', example: 'facebook' },
+                medium: { type: 'string', example: 'cpc' },
+                campaign: { type: 'string', example: 'australia-feb-intake' },
+                term: { type: 'string' },
+                content: { type: 'string' }
+              }
+            },
+            referrer: { type: 'string', example: 'https://www.google.com/' },
+            landingPage: { type: 'string', example: 'https://example.com/study-in-australia?utm_source=facebook' },
+            campaignId: { type: 'string', example: '120210000000000000', description: 'Campaign ID of the ad network' },
+            adId: { type: 'string', example: '120210000000000001', description: 'Ad ID of the ad network' },
+            adClickId: { type: 'string', writeOnly: true, description: 'The ad_click parameter added to the landing page by /api/ads/click/{id}' },
+            ad: { type: 'string', readOnly: true, example: '507f1f77bcf86cd799439020', description: 'Advertisement on our website that brought the lead' },
+            capturedAt: { type: 'string', format: 'date-time', readOnly: true }
+          }
+        },
+
+        LeadSourceFunnelRow: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', example: 'paid_social' },
+            leads: { type: 'integer', example: 120 },
+            reached: {
+              type: 'object',
+              description: 'Leads that reached each pipeline stage',
+              additionalProperties: { type: 'integer' },
+              example: { new_inquiry: 120, counselled: 64, documents_pending: 30, applied: 21, visa_lodged: 12, enrolled: 9 }
+            },
+            lost: { type: 'integer', example: 40 },
+            enrolmentRate: { type: 'number', example: 7.5, description: 'Percentage of leads that enrolled' }
+          }
+        },
+
+        StudentImportReport: {
+          type: 'object',
+          properties: {
+            totalRows: { type: 'integer', example: 120 },
+            validRows: { type: 'integer', example: 118 },
+            invalidRows: { type: 'integer', example: 2 },
+            duplicateWarnings: { type: 'integer', example: 5 },
+            rows: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  row: { type: 'integer', example: 2 },
+                  status: { type: 'string', enum: ['valid', 'invalid'] },
+                  student: {
+                    type: 'object',
+                    properties: {
+                      firstName: { type: 'string', example: 'Raj' },
+                      lastName: { type: 'string', example: 'Sharma' },
+                      email: { type: 'string', example: 'raj.sharma@example.com' },
+                      mobile: { type: 'string', example: '+9779841234567' }
+                    }
+                  },
+                  errors: { type: 'array', items: { type: 'string' }, example: ['Please provide a valid email address'] },
+                  warnings: { type: 'array', items: { type: 'string' }, example: ['Possible duplicate of Raj Sharma <raj.sharma@example.com> (email)'] }
+                }
+              }
+            }
+          }
+        },
+
         Team: {
           type: 'object',
           required: ['name', 'role', 'image'],
@@ -0,0 +1,134 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateEnglishTest,
+  validateAcademicRecord,
+  parseLegacyAcademic,
+  formatAcademicRecord,
+  formatEnglishTest
+} = require('../utils/academics');
+const { validateStudentPayload } = require('../utils/studentValidation');
+
+const messages = (errors) => errors.map(error => error.message);
+
+describe('validateEnglishTest', () => {
+  it('accepts scores on the scale of the test', () => {
+    assert.deepEqual(validateEnglishTest({ test: 'IELTS', overall: 6.5, listening: 7, reading: 6.5, writing: 6, speaking: 6.5 }), []);
+    assert.deepEqual(validateEnglishTest({ test: 'PTE', overall: 58 }), []);
+    assert.deepEqual(validateEnglishTest({ test: 'Duolingo', overall: 115 }), []);
+  });
+
+  it('rejects scores off the scale or between steps', () => {
+    assert.deepEqual(messages(validateEnglishTest({ test: 'IELTS', overall: 6.3 })), ['IELTS overall score must be in steps of 0.5']);
+    assert.deepEqual(messages(validateEnglishTest({ test: 'TOEFL', overall: 100, reading: 31 })), ['TOEFL reading score must be between 0 and 30']);
+    assert.deepEqual(messages(validateEnglishTest({ test: 'Duolingo', overall: 110, writing: 100 })), ['Duolingo does not report a writing score']);
+    assert.equal(validateEnglishTest({ test: 'Cambridge', overall: 180 })[0].field, 'test');
+  });
+
+  it('checks the overall against all four bands', () => {
+    assert.deepEqual(
+      messages(validateEnglishTest({ test: 'IELTS', overall: 7, listening: 7, reading: 6.5, writing: 6, speaking: 6.5 })),
+      ['IELTS overall band does not match the band scores (expected 6.5)']
+    );
+    assert.deepEqual(
+      messages(validateEnglishTest({ test: 'TOEFL', overall: 95, listening: 25, reading: 25, writing: 22, speaking: 22 })),
+      ['TOEFL overall score must equal the sum of the sections (94)']
+    );
+  });
+});
+
+describe('validateAcademicRecord', () => {
+  it('needs a known level and either a GPA or a percentage', () => {
+    assert.deepEqual(validateAcademicRecord({ level: 'plus_two', gpa: 3.2, passingYear: 2021 }), []);
+    assert.deepEqual(messages(validateAcademicRecord({ level: 'plus_two', gpa: 3.2, percentage: 80 })), ['Provide either a GPA or a percentage, not both']);
+    assert.deepEqual(messages(validateAcademicRecord({ level: 'plus_two' })), ['A GPA or a percentage is required']);
+    assert.equal(validateAcademicRecord({ level: 'phd', percentage: 70 })[0].field, 'level');
+  });
+
+  it('rejects GPAs, percentages and years out of range', () => {
+    assert.deepEqual(
+      messages(validateAcademicRecord({ level: 'bachelor', gpa: 4.5, passingYear: 2079 })),
+      ['GPA must be between 0 and 4', 'Passing year must be a valid year (AD)']
+    );
+    assert.deepEqual(messages(validateAcademicRecord({ level: 'bachelor', percentage: 101 })), ['Percentage must be between 0 and 100']);
+  });
+
+  it('accepts entries migrated from free text without a score', () => {
+    assert.deepEqual(validateAcademicRecord({ level: 'see_slc', legacyText: 'Passed' }), []);
+  });
+});
+
+describe('parseLegacyAcademic', () => {
+  it('reads the score, board, stream and year of the old text fields', () => {
+    assert.deepEqual(parseLegacyAcademic('plus_two', '3.6 GPA NEB Science 2079'), {
+      level: 'plus_two',
+      legacyText: '3.6 GPA NEB Science 2079',
+      passingYear: 2022,
+      gpa: 3.6,
+      stream: 'Science',
+      board: 'NEB'
+    });
+    assert.deepEqual(parseLegacyAcademic('bachelor', '72% TU 2018'), {
+      level: 'bachelor',
+      legacyText: '72% TU 2018',
+      passingYear: 2018,
+      percentage: 72,
+      board: 'Tribhuvan University'
+    });
+  });
+
+  it('skips placeholders', () => {
+    assert.equal(parseLegacyAcademic('see_slc', 'N/A'), null);
+    assert.equal(parseLegacyAcademic('see_slc', ''), null);
+  });
+
+  it('formats entries for reports', () => {
+    assert.equal(formatAcademicRecord({ level: 'plus_two', gpa: 3.2, board: 'NEB', stream: 'Science', passingYear: 2021 }), '+2: GPA 3.2 (NEB, Science, 2021)');
+    assert.equal(formatEnglishTest({ test: 'IELTS', overall: 6.5, listening: 7, writing: 6 }), 'IELTS 6.5 (L 7, W 6)');
+  });
+});
+
+describe('student payload academics', () => {
+  const payload = {
+    firstName: 'Sita',
+    lastName: 'Sharma',
+    email: 'Sita@Example.com',
+    mobile: '9841234567',
+    office: 'kathmandu',
+    topics: 'Study abroad',
+    destinations: 'Australia'
+  };
+
+  it('turns the form results into academic entries', () => {
+    const { data, errors } = validateStudentPayload({ ...payload, slc: '3.4 GPA 2076', plusTwo: '78%' });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(data.academics.map(record => [record.level, record.gpa ?? record.percentage]), [['see_slc', 3.4], ['plus_two', 78]]);
+    assert.equal(data.slc, undefined);
+  });
+
+  it('requires the form results unless academics are given', () => {
+    assert.deepEqual(validateStudentPayload(payload).errors, ['Missing required fields: slc, plusTwo']);
+    assert.deepEqual(validateStudentPayload({ ...payload, academics: [] }).errors, []);
+  });
+
+  it('names the entry of each error', () => {
+    const { errors } = validateStudentPayload({
+      ...payload,
+      academics: [{ level: 'plus_two', gpa: 3 }, { level: 'bachelor', gpa: 5 }],
+      englishTests: [{ test: 'IELTS', overall: 10 }]
+    });
+
+    assert.deepEqual(errors, [
+      'academics[1].gpa: GPA must be between 0 and 4',
+      'englishTests[0].overall: IELTS overall score must be between 0 and 9'
+    ]);
+  });
+
+  it('rejects academics that are not a list', () => {
+    assert.ok(validateStudentPayload({ ...payload, academics: { level: 'plus_two' } }).errors.includes('academics must be an array'));
+  });
+});
@@ -0,0 +1,154 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const Application = require('../models/ApplicationModel');
+const Country = require('../models/CountryModel');
+// Populated on the returned applications
+require('../models/OfficeModel');
+require('../models/UniversityModel');
+require('../models/ProgramModel');
+require('../models/userModels');
+require('../models/StudentDocumentModel');
+const applicationController = require('../controllers/applicationController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+// memoryDb has no aggregation, so count the statuses of the matching applications here
+const countStatuses = async ([{ $match }]) => {
+  const applications = await Application.find($match).lean();
+  return Object.entries(applications.reduce((counts, { status }) => {
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+  }, {})).map(([status, count]) => ({ _id: status, count }));
+};
+
+describe('applications', () => {
+  let student;
+  let australia;
+  let japan;
+
+  const createApplication = async (body) => {
+    const res = response();
+    await applicationController.createStudentApplication({
+      params: { id: String(student._id) },
+      studentScope: {},
+      body: { country: 'australia', university: 'University of Sydney', program: 'Master of IT', intake: { month: 2, year: 2027 }, ...body },
+      user
+    }, res);
+    return res;
+  };
+
+  const updateApplication = async (applicationId, body) => {
+    const res = response();
+    await applicationController.updateApplication({ params: { id: String(student._id), applicationId: String(applicationId) }, studentScope: {}, body, user }, res);
+    return res;
+  };
+
+  const listApplications = async (t, query) => {
+    t.mock.method(Application, 'aggregate', countStatuses);
+    const res = response();
+    await applicationController.getApplications({ query, studentScope: {} }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    db.clear();
+    student = await Student.create({
+      firstName: 'Sita',
+      lastName: 'Sharma',
+      email: 'sita@example.com',
+      mobile: '+9779841234567',
+      office: new mongoose.Types.ObjectId(),
+      topics: 'Study abroad',
+      destinations: 'Australia'
+    });
+    ({ insertedId: australia } = await Country.collection.insertOne({ name: 'Australia', slug: 'australia', requiredDocuments: [] }));
+    ({ insertedId: japan } = await Country.collection.insertOne({ name: 'Japan', slug: 'japan', requiredDocuments: [] }));
+  });
+
+  it('starts as a draft and records every status change with its dates', async () => {
+    const created = await createApplication({});
+    assert.equal(created.statusCode, 201);
+    assert.equal(created.body.data.status, 'draft');
+
+    const id = created.body.data._id;
+    await updateApplication(id, { status: 'submitted' });
+    const res = await updateApplication(id, { status: 'conditional_offer', statusNote: 'Needs IELTS 6.5' });
+
+    assert.equal(res.statusCode, 200);
+    const application = await Application.findById(id);
+    assert.ok(application.office.equals(student.office));
+    assert.deepEqual(application.statusHistory.map(change => [change.from, change.to]), [
+      ['draft', 'draft'],
+      ['draft', 'submitted'],
+      ['submitted', 'conditional_offer']
+    ]);
+    assert.equal(application.statusHistory[2].note, 'Needs IELTS 6.5');
+    assert.ok(application.statusHistory.every(change => change.changedBy.equals(user.id)));
+    assert.ok(application.submittedAt && application.decidedAt);
+    assert.equal(application.casIssuedAt, null);
+
+    const events = db.raw('studentactivities').map(activity => activity.event);
+    assert.deepEqual(events, ['application_created', 'application_status_changed', 'application_status_changed']);
+  });
+
+  it('keeps the first submission date when the status comes back', async () => {
+    const { body } = await createApplication({ status: 'submitted' });
+    const { submittedAt } = await Application.findById(body.data._id);
+
+    await updateApplication(body.data._id, { status: 'draft' });
+    await updateApplication(body.data._id, { status: 'submitted' });
+
+    assert.deepEqual((await Application.findById(body.data._id)).submittedAt, submittedAt);
+  });
+
+  it('does not record a status that did not change', async () => {
+    const { body } = await createApplication({});
+
+    await updateApplication(body.data._id, { status: 'draft', notes: 'Waiting for transcripts' });
+
+    assert.equal((await Application.findById(body.data._id)).statusHistory.length, 1);
+  });
+
+  it('refuses unknown statuses and countries', async (t) => {
+    const created = await createApplication({ status: 'accepted' });
+    assert.equal(created.statusCode, 400);
+
+    assert.equal((await createApplication({ country: 'Atlantis' })).body.message, 'Unknown country "Atlantis"');
+
+    const listed = await listApplications(t, { status: 'submitted,accepted' });
+    assert.equal(listed.statusCode, 400);
+    assert.match(listed.body.message, /^Invalid status: accepted\. Allowed statuses: draft, submitted/);
+  });
+
+  it('filters the list and counts every status', async (t) => {
+    await createApplication({ status: 'submitted' });
+    await createApplication({ university: 'Monash University', status: 'rejected' });
+    await createApplication({ country: String(japan), university: 'Waseda University', status: 'submitted' });
+
+    const res = await listApplications(t, { country: 'Australia', university: 'sydney' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 1);
+    assert.equal(res.body.data[0].university, 'University of Sydney');
+    assert.deepEqual(res.body.byStatus, {
+      draft: 0,
+      submitted: 1,
+      conditional_offer: 0,
+      unconditional_offer: 0,
+      rejected: 0,
+      cas_coe_issued: 0
+    });
+
+    const submitted = await listApplications(t, { status: 'submitted' });
+    assert.deepEqual(submitted.body.data.map(application => String(application.country._id)).sort(), [String(australia), String(japan)].sort());
+  });
+});
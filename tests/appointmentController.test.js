@@ -0,0 +1,70 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Appointment = require('../models/appointmentModel');
+const appointmentController = require('../controllers/appointmentController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+describe('getAvailableSlots', () => {
+  beforeEach(() => db.clear());
+
+  it('rejects a counselorId that is not an id', async () => {
+    const res = response();
+    await appointmentController.getAvailableSlots({ query: { counselorId: 'not-an-id' } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid counselorId');
+  });
+
+  it('returns no slots for an unknown counselor', async () => {
+    const res = response();
+    await appointmentController.getAvailableSlots({ query: { counselorId: String(new mongoose.Types.ObjectId()) } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.data, []);
+  });
+});
+
+describe('bookAppointment', () => {
+  it('rejects ids that are not ids', async () => {
+    const res = response();
+    await appointmentController.bookAppointment({
+      body: {
+        studentId: '../x',
+        email: 'sita@example.com',
+        counselorId: String(new mongoose.Types.ObjectId()),
+        startsAt: new Date().toISOString()
+      }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe('getAppointments', () => {
+  beforeEach(() => db.clear());
+
+  it('rejects dates that cannot be read', async () => {
+    const res = response();
+    await appointmentController.getAppointments({ query: { from: '2026-10-01', to: 'next week' } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid to date');
+  });
+
+  it('includes the whole of the to day', async () => {
+    await Appointment.collection.insertOne({ startsAt: new Date('2026-10-02T15:00:00Z'), status: 'booked' });
+
+    const res = response();
+    await appointmentController.getAppointments({ query: { from: '2026-10-01', to: '2026-10-02' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.total, 1);
+  });
+});
@@ -0,0 +1,138 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const Counselor = require('../models/CounselorsModel');
+// Populated on the returned students
+require('../models/OfficeModel');
+const { scopeStudentsToCounselor } = require('../middlewares/studentMiddleware');
+const studentController = require('../controllers/studentController');
+const { registerStudent } = require('../utils/studentRegistration');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const office = new mongoose.Types.ObjectId();
+
+const addCounselor = async (name, fields = {}) => {
+  const { insertedId } = await Counselor.collection.insertOne({
+    name,
+    office,
+    user: new mongoose.Types.ObjectId(),
+    acceptingStudents: true,
+    lastAssignedAt: null,
+    createdAt: new Date(),
+    ...fields
+  });
+  return Counselor.findById(insertedId);
+};
+
+const addStudent = (email, assignedCounselor) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email,
+  mobile: '+9779841234567',
+  office,
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  assignedCounselor
+});
+
+// Run the middleware and report whether it let the request through
+const scope = async (user) => {
+  const req = { user };
+  const res = response();
+  let passed = false;
+  await scopeStudentsToCounselor(req, res, () => { passed = true; });
+  return { req, res, passed };
+};
+
+describe('counselor scoping', () => {
+  let counselor;
+  let own;
+  let other;
+
+  beforeEach(async () => {
+    db.clear();
+    counselor = await addCounselor('Ram');
+    const colleague = await addCounselor('Hari');
+    own = await addStudent('own@example.com', counselor._id);
+    other = await addStudent('other@example.com', colleague._id);
+  });
+
+  it('leaves staff unscoped', async () => {
+    const { req, passed } = await scope({ id: new mongoose.Types.ObjectId(), role: 'moderator' });
+
+    assert.ok(passed);
+    assert.deepEqual(req.studentScope, {});
+  });
+
+  it('refuses a counselor account without a profile', async () => {
+    const { res, passed } = await scope({ id: new mongoose.Types.ObjectId(), role: 'counselor' });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('only shows a counselor their own students', async () => {
+    const { req } = await scope({ id: counselor.user, role: 'counselor' });
+
+    const list = response();
+    await studentController.getAllStudents({ ...req, query: {} }, list);
+    assert.deepEqual(list.body.data.map(student => student.email), ['own@example.com']);
+
+    const found = response();
+    await studentController.getStudentById({ ...req, params: { id: String(own._id) } }, found);
+    assert.equal(found.statusCode, 200);
+
+    const hidden = response();
+    await studentController.getStudentById({ ...req, params: { id: String(other._id) } }, hidden);
+    assert.equal(hidden.statusCode, 404);
+  });
+});
+
+describe('round-robin assignment', () => {
+  beforeEach(() => db.clear());
+
+  const register = (email) => registerStudent({
+    firstName: 'Sita',
+    lastName: 'Sharma',
+    email,
+    mobile: '+9779841234567',
+    mobileCountry: 'NP',
+    office,
+    topics: 'Study abroad',
+    destinations: 'Australia'
+  });
+
+  it('takes turns between the counselors of the office who accept students', async () => {
+    const first = await addCounselor('Ram', { createdAt: new Date('2024-01-01') });
+    const second = await addCounselor('Hari', { createdAt: new Date('2024-02-01') });
+    await addCounselor('Gita', { acceptingStudents: false });
+    await addCounselor('Without login', { user: null });
+    await addCounselor('Other office', { office: new mongoose.Types.ObjectId() });
+
+    const students = [];
+    for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+      students.push(await register(email));
+    }
+
+    assert.deepEqual(
+      students.map(student => String(student.assignedCounselor)),
+      [first._id, second._id, first._id].map(String)
+    );
+    assert.ok(students.every(student => student.assignedAt instanceof Date));
+  });
+
+  it('leaves the student unassigned when nobody is available', async () => {
+    await addCounselor('Gita', { acceptingStudents: false });
+
+    const student = await register('a@example.com');
+
+    assert.equal(student.assignedCounselor, null);
+  });
+});
@@ -0,0 +1,238 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Country = require('../models/CountryModel');
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const ExchangeRate = require('../models/ExchangeRateModel');
+const eligibilityController = require('../controllers/eligibilityController');
+const {
+  evaluateRequirements,
+  countryRulesFor,
+  evaluateCountryRules,
+  evaluateProgram,
+  compareResults
+} = require('../utils/eligibility');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const statuses = (checks) => checks.map(item => [item.rule, item.status]);
+
+const profile = {
+  academics: [
+    { level: 'see_slc', gpa: 3.6, passingYear: 2019 },
+    { level: 'plus_two', gpa: 3.1, passingYear: 2021 }
+  ],
+  englishTests: [
+    { test: 'IELTS', overall: 6, listening: 6.5, reading: 6, writing: 5.5, speaking: 6 },
+    { test: 'IELTS', overall: 6.5 }
+  ]
+};
+
+describe('evaluateRequirements', () => {
+  it('judges the result at the required level', () => {
+    const checks = evaluateRequirements({ academicLevel: 'plus_two', minimumGpa: 3.2 }, profile, 'program');
+
+    assert.deepEqual(statuses(checks), [['academic_level', 'passed'], ['academic_score', 'failed']]);
+    assert.equal(checks[1].message, '+2 GPA 3.1 is below the minimum of 3.2');
+    assert.equal(checks[1].source, 'program');
+  });
+
+  it('needs a higher qualification than the student has', () => {
+    const [level] = evaluateRequirements({ academicLevel: 'bachelor' }, profile);
+
+    assert.equal(level.status, 'failed');
+    assert.equal(level.message, "Requires Bachelor's to be completed");
+  });
+
+  it('cannot compare a GPA with a percentage requirement', () => {
+    const [score] = evaluateRequirements({ minimumPercentage: 60 }, profile);
+
+    assert.equal(score.status, 'unknown');
+    assert.equal(score.message, '+2 result is a GPA, the requirement is 60%');
+  });
+
+  it('takes the best attempt of any accepted English test', () => {
+    const accepted = [{ test: 'PTE', overall: 58 }, { test: 'IELTS', overall: 6.5 }];
+
+    const [english] = evaluateRequirements({ englishTests: accepted }, profile);
+
+    assert.equal(english.status, 'passed');
+    assert.equal(english.message, 'IELTS 6.5 meets the required IELTS 6.5');
+  });
+
+  it('needs every band to check a minimum band', () => {
+    const [unknown] = evaluateRequirements({ englishTests: [{ test: 'IELTS', overall: 6.5, minimumBand: 6 }] }, profile);
+    assert.equal(unknown.status, 'unknown');
+
+    const [failed] = evaluateRequirements({ englishTests: [{ test: 'IELTS', overall: 6, minimumBand: 6 }] }, {
+      englishTests: [profile.englishTests[0]]
+    });
+    assert.equal(failed.status, 'failed');
+
+    const [missing] = evaluateRequirements({ englishTests: [{ test: 'PTE', overall: 50 }] }, profile);
+    assert.equal(missing.message, 'Requires PTE 50');
+  });
+});
+
+describe('country rules', () => {
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-19T06:00:00Z') });
+  });
+
+  it('apply at their level and check the study gap', () => {
+    const country = {
+      eligibilityRules: [
+        { maxStudyGapYears: 2 },
+        { level: 'bachelor', minimumGpa: 2.5 },
+        { level: 'master', minimumGpa: 3 }
+      ]
+    };
+
+    const rules = countryRulesFor(country, 'bachelor');
+    assert.equal(rules.length, 2);
+
+    const checks = evaluateCountryRules(rules, profile);
+    assert.deepEqual(statuses(checks), [['study_gap', 'failed'], ['academic_score', 'passed']]);
+    assert.equal(checks[0].message, 'Study gap of 5 years exceeds the 2 years accepted');
+    assert.ok(checks.every(item => item.source === 'country'));
+  });
+});
+
+describe('evaluateProgram', () => {
+  const options = { rates: { NPR: 1, AUD: 88, USD: 133 }, baseCurrency: 'NPR' };
+  const australia = { livingCost: { amount: 29710, currency: 'AUD' }, eligibilityRules: [] };
+  const program = (fields) => ({
+    name: 'Bachelor of IT',
+    field: 'Information Technology',
+    level: 'bachelor',
+    tuition: { amount: 30000, currency: 'AUD', period: 'year' },
+    entryRequirements: { academicLevel: 'plus_two', minimumGpa: 2.8 },
+    ...fields
+  });
+
+  it('adds the living cost to the yearly tuition and compares it with the budget', () => {
+    const result = evaluateProgram(program(), australia, { ...profile, budget: { amount: 4000000, currency: 'NPR' } }, options);
+
+    assert.equal(result.eligible, false);
+    assert.deepEqual(result.yearlyCost, { amount: 5254480, currency: 'NPR' });
+    const budget = result.checks.find(item => item.rule === 'budget');
+    assert.equal(budget.message, 'Yearly cost of about NPR 5,254,480 (tuition NPR 2,640,000 + living NPR 2,614,480) is over the budget of NPR 4,000,000');
+  });
+
+  it('spreads semester and whole-course fees over a year', () => {
+    const semester = evaluateProgram(program({ tuition: { amount: 15000, currency: 'AUD', period: 'semester' } }), {}, { budget: { amount: 1, currency: 'NPR' } }, options);
+    assert.equal(semester.yearlyCost.amount, 2640000);
+
+    const total = evaluateProgram(program({ tuition: { amount: 60000, currency: 'USD', period: 'total' }, durationMonths: 24 }), {}, { budget: { amount: 1, currency: 'NPR' } }, options);
+    assert.equal(total.yearlyCost.amount, 3990000);
+
+    const noRate = evaluateProgram(program({ tuition: { amount: 9000, currency: 'GBP' } }), {}, { budget: { amount: 1, currency: 'NPR' } }, options);
+    assert.equal(noRate.checks.find(item => item.rule === 'budget').status, 'unknown');
+  });
+
+  it('never rules a program out for the field alone', () => {
+    const result = evaluateProgram(program(), australia, { ...profile, fieldPattern: /nursing/i }, options);
+
+    assert.equal(result.fieldMatch, false);
+    assert.equal(result.eligible, true);
+    assert.equal(result.failed, 0);
+  });
+
+  it('ranks eligible programs in the preferred field and at the lower cost first', () => {
+    const results = [
+      { name: 'ineligible', eligible: false, fieldMatch: true, failed: 1, unknown: 0, yearlyCost: { amount: 1 } },
+      { name: 'expensive', eligible: true, fieldMatch: true, failed: 0, unknown: 0, yearlyCost: { amount: 300 } },
+      { name: 'other field', eligible: true, fieldMatch: false, failed: 0, unknown: 0, yearlyCost: { amount: 100 } },
+      { name: 'unknowns', eligible: true, fieldMatch: true, failed: 0, unknown: 2, yearlyCost: { amount: 100 } },
+      { name: 'cheap', eligible: true, fieldMatch: true, failed: 0, unknown: 0, yearlyCost: { amount: 200 } },
+      { name: 'no fee', eligible: true, fieldMatch: true, failed: 0, unknown: 0, yearlyCost: null }
+    ];
+
+    assert.deepEqual(results.sort(compareResults).map(result => result.name), [
+      'cheap', 'expensive', 'no fee', 'unknowns', 'other field', 'ineligible'
+    ]);
+  });
+});
+
+describe('checkEligibility', () => {
+  const check = async (body) => {
+    const res = response();
+    await eligibilityController.checkEligibility({ body, query: {}, studentScope: {} }, res);
+    return res;
+  };
+
+  const addProgram = (university, country, fields) => Program.collection.insertOne({
+    university,
+    country,
+    level: 'bachelor',
+    field: 'Information Technology',
+    isActive: true,
+    entryRequirements: { academicLevel: 'plus_two', minimumGpa: 2.8 },
+    ...fields
+  });
+
+  beforeEach(async () => {
+    db.clear();
+    await ExchangeRate.collection.insertMany([{ currency: 'AUD', rate: 88 }, { currency: 'JPY', rate: 0.9 }]);
+
+    const { insertedIds: [australia, japan, canada] } = await Country.collection.insertMany([
+      { name: 'Australia', slug: 'australia', isActive: true, eligibilityRules: [] },
+      { name: 'Japan', slug: 'japan', isActive: true, eligibilityRules: [{ englishTests: [{ test: 'IELTS', overall: 7 }] }] },
+      { name: 'Canada', slug: 'canada', isActive: true, eligibilityRules: [] }
+    ]);
+    const { insertedIds: [sydney, tokyo, closed] } = await University.collection.insertMany([
+      { name: 'University of Sydney', slug: 'university-of-sydney', country: australia, isActive: true },
+      { name: 'Tokyo University', slug: 'tokyo-university', country: japan, isActive: true },
+      { name: 'Closed College', slug: 'closed-college', country: australia, isActive: false }
+    ]);
+
+    await addProgram(sydney, australia, { name: 'Bachelor of IT', tuition: { amount: 30000, currency: 'AUD', period: 'year' } });
+    await addProgram(sydney, australia, { name: 'Bachelor of Nursing', field: 'Nursing', tuition: { amount: 25000, currency: 'AUD', period: 'year' } });
+    await addProgram(sydney, australia, { name: 'Master of IT', level: 'master', tuition: { amount: 35000, currency: 'AUD', period: 'year' } });
+    await addProgram(tokyo, japan, { name: 'Bachelor of Engineering', tuition: { amount: 800000, currency: 'JPY', period: 'year' } });
+    await addProgram(closed, australia, { name: 'Bachelor of Business' });
+    await addProgram(sydney, canada, { name: 'Inactive program', isActive: false });
+  });
+
+  it('ranks eligible destinations and programs in the preferred field first', async () => {
+    const res = await check({ ...profile, field: 'IT', budget: { amount: 3000000, currency: 'NPR' } });
+
+    assert.equal(res.statusCode, 200);
+    const { data } = res.body;
+    assert.deepEqual(data.programs.map(result => [result.program.name, result.eligible]), [
+      ['Bachelor of IT', true],
+      ['Bachelor of Nursing', true],
+      ['Master of IT', false],
+      ['Bachelor of Engineering', false]
+    ]);
+    assert.deepEqual(data.countries.map(result => [result.country.name, result.eligible]), [
+      ['Australia', true],
+      ['Canada', true],
+      ['Japan', false]
+    ]);
+    assert.deepEqual(data.countries[0].lowestYearlyCost, { amount: 2200000, currency: 'NPR' });
+    assert.equal(data.countries[1].programCount, 0);
+  });
+
+  it('limits the search to the requested levels and countries', async () => {
+    const res = await check({ ...profile, level: 'master', countries: 'australia,Japan' });
+
+    assert.deepEqual(res.body.data.programs.map(result => result.program.name), ['Master of IT']);
+    assert.deepEqual(res.body.data.countries.map(result => result.country.name).sort(), ['Australia', 'Japan']);
+  });
+
+  it('refuses budgets without an exchange rate and unknown filters', async () => {
+    assert.match((await check({ budget: { amount: 10000, currency: 'GBP' } })).body.message, /^No exchange rate for GBP/);
+    assert.equal((await check({ level: 'phd' })).body.message.split('.')[0], 'Invalid level: phd');
+    assert.equal((await check({ countries: 'Atlantis' })).body.message, 'Unknown country "Atlantis"');
+
+    const student = await check({ student: String(new mongoose.Types.ObjectId()) });
+    assert.equal(student.statusCode, 404);
+  });
+});
@@ -0,0 +1,197 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const AuditLog = require('../models/auditLogModel');
+const StudentImport = require('../models/StudentImportModel');
+const { EncryptionService } = require('../utils/encryption');
+const studentController = require('../controllers/studentController');
+const studentImportController = require('../controllers/studentImportController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const OLD_KEY = 'old-encryption-secret';
+const NEW_KEY = 'new-encryption-secret';
+
+const MOBILE = '+9779841234567';
+const HEALTH = 'Asthma';
+const PASSPORT = 'PA1234567';
+
+const createStudent = (overrides = {}) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: MOBILE,
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  healthIssues: HEALTH,
+  passport: { number: PASSPORT },
+  ...overrides
+});
+
+const useKeys = (keys) => {
+  process.env.ENCRYPTION_KEYS = keys;
+  EncryptionService.reloadKeys();
+};
+
+// Re-encrypt every stored student the way the key rotation script does
+const rotateStudents = async () => {
+  for (const raw of [...db.raw('students')]) {
+    const update = Student.buildReencryptUpdate(raw);
+    if (update) await Student.collection.updateOne({ _id: raw._id }, update);
+  }
+};
+
+const containsPlaintext = (value) => [MOBILE, HEALTH, PASSPORT].some(text => JSON.stringify(value).includes(text));
+
+describe('encryption keys', () => {
+  const { BLIND_INDEX_KEY } = process.env;
+
+  beforeEach(() => {
+    db.clear();
+    useKeys(`old:${OLD_KEY}`);
+  });
+
+  afterEach(() => {
+    process.env.BLIND_INDEX_KEY = BLIND_INDEX_KEY;
+    delete process.env.ENCRYPTION_KEYS;
+    EncryptionService.reloadKeys();
+  });
+
+  it('refuses to start without a blind index key', () => {
+    delete process.env.BLIND_INDEX_KEY;
+    assert.throws(() => EncryptionService.reloadKeys(), /BLIND_INDEX_KEY must be set/);
+  });
+
+  it('stores sensitive fields encrypted', async () => {
+    await createStudent();
+
+    const [raw] = db.raw('students');
+    assert.ok(!containsPlaintext(raw));
+    assert.ok(EncryptionService.isEncrypted(raw.mobile));
+    assert.equal(raw.mobileIndex, Student.blindIndex('mobileIndex', MOBILE));
+
+    const student = await Student.findOne({ mobile: MOBILE });
+    assert.equal(student.healthIssues, HEALTH);
+    assert.equal(student.passport.number, PASSPORT);
+  });
+
+  it('keeps lookups working once the old key is removed after a rotation', async () => {
+    const student = await createStudent();
+    const indexes = Student.BLIND_INDEX_PATHS.map(path => db.raw('students')[0][path]);
+
+    useKeys(`new:${NEW_KEY},old:${OLD_KEY}`);
+    await rotateStudents();
+    useKeys(`new:${NEW_KEY}`);
+
+    const [raw] = db.raw('students');
+    assert.equal(EncryptionService.keyIdOf(raw.mobile), 'new');
+    assert.deepEqual(Student.BLIND_INDEX_PATHS.map(path => raw[path]), indexes);
+
+    const found = await Student.findOne({ mobile: MOBILE });
+    assert.equal(String(found._id), String(student._id));
+    assert.equal(found.healthIssues, HEALTH);
+    assert.equal(String((await Student.findOne({ 'passport.number': PASSPORT }))._id), String(student._id));
+  });
+});
+
+describe('merging students', () => {
+  beforeEach(() => db.clear());
+
+  it('keeps no plaintext personal data in the audit log or the merge snapshot', async () => {
+    const primary = await createStudent({ mobile: '+9779800000000', healthIssues: 'None', passport: {} });
+    const duplicate = await createStudent({ email: 'sita.sharma@example.com' });
+    const res = response();
+
+    await studentController.mergeStudent({
+      params: { id: String(primary._id) },
+      body: { duplicateId: String(duplicate._id) },
+      user: { id: new mongoose.Types.ObjectId() },
+      ip: '127.0.0.1',
+      get: () => 'test'
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+
+    const [entry] = db.raw('auditlogs');
+    assert.equal(entry.action, 'STUDENT_MERGED');
+    assert.equal(entry.metadata.mergedStudent.email, 'sita.sharma@example.com');
+    assert.ok(!containsPlaintext(entry.metadata));
+
+    const [merged] = db.raw('students');
+    assert.equal(merged.mergedFrom[0].mobile, undefined);
+    assert.equal(merged.mergedFrom[0].mobileIndex, Student.blindIndex('mobileIndex', MOBILE));
+    // The duplicate's health note is combined into the kept record, which stores it encrypted
+    assert.ok(!containsPlaintext(merged));
+    assert.ok(!containsPlaintext(res.body.data.mergedFrom));
+    assert.equal(await AuditLog.countDocuments(), 1);
+  });
+
+  it('hashes plaintext numbers left in merge snapshots by older merges', async () => {
+    const student = await createStudent();
+    const legacy = { studentId: new mongoose.Types.ObjectId(), firstName: 'Sita', mobile: '+9779812345678' };
+    await Student.collection.updateOne({ _id: student._id }, { $set: { mergedFrom: [legacy] } });
+
+    const update = Student.buildMergedFromUpdate(db.raw('students')[0]);
+    await Student.collection.updateOne({ _id: student._id }, update);
+
+    const [raw] = db.raw('students');
+    assert.deepEqual(raw.mergedFrom, [{
+      studentId: legacy.studentId,
+      firstName: 'Sita',
+      mobileIndex: Student.blindIndex('mobileIndex', '+9779812345678')
+    }]);
+    assert.equal(Student.buildMergedFromUpdate(raw), null);
+    assert.equal((await Student.findById(student._id)).toJSON().mergedFrom[0].mobile, undefined);
+  });
+});
+
+describe('student imports', () => {
+  beforeEach(() => db.clear());
+
+  const failedRows = [{ row: 2, cells: ['Sita', 'Sharma', '', MOBILE, HEALTH, PASSPORT], messages: ['Email is required'] }];
+  const columns = ['First Name', 'Last Name', 'Email', 'Mobile', 'Health', 'Passport'];
+
+  const downloadErrorReport = async (importId) => {
+    const res = response();
+    await studentImportController.downloadErrorReport({ params: { importId: String(importId) } }, res);
+    return res.body;
+  };
+
+  it('stores the cells of failed rows encrypted', async () => {
+    const studentImport = await StudentImport.create({
+      fileName: 'leads.csv',
+      importedBy: new mongoose.Types.ObjectId(),
+      columns,
+      failedCount: 1,
+      failedRowData: JSON.stringify(failedRows)
+    });
+
+    const [raw] = db.raw('studentimports');
+    assert.ok(EncryptionService.isEncrypted(raw.failedRowData));
+    assert.equal(raw.failedRows, undefined);
+    assert.ok(!containsPlaintext(raw));
+
+    const report = await downloadErrorReport(studentImport._id);
+    assert.ok(report.includes(`2,Sita,Sharma,,${MOBILE},${HEALTH},${PASSPORT},Email is required`));
+  });
+
+  it('encrypts the plaintext rows of older imports', async () => {
+    const { insertedId } = await StudentImport.collection.insertOne({ fileName: 'leads.csv', columns, failedCount: 1, failedRows });
+    assert.ok((await downloadErrorReport(insertedId)).includes(PASSPORT));
+
+    await StudentImport.collection.updateOne({ _id: insertedId }, StudentImport.buildFailedRowsUpdate(db.raw('studentimports')[0]));
+
+    const [raw] = db.raw('studentimports');
+    assert.equal(raw.failedRows, undefined);
+    assert.ok(!containsPlaintext(raw));
+    assert.equal(StudentImport.buildFailedRowsUpdate(raw), null);
+    assert.deepEqual((await StudentImport.findById(insertedId).select('+failedRowData +failedRows')).getFailedRows(), failedRows);
+  });
+});
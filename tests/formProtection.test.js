@@ -0,0 +1,175 @@
+require('./helpers/env');
+
+process.env.FORM_POW_DIFFICULTY = '4';
+process.env.FORM_MIN_FILL_SECONDS = '5';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const { redis } = require('../config/redish');
+const QuarantinedSubmission = require('../models/QuarantinedSubmissionModel');
+const { EncryptionService } = require('../utils/encryption');
+const { issueFormToken, solvesChallenge, screenSubmission } = require('../utils/formProtection');
+const { screenForSpam } = require('../middlewares/studentMiddleware');
+const { logger } = require('../utils/logger.util');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+// Redis commands the form protection sends, kept in memory
+const useMemoryRedis = (t) => {
+  const store = new Map();
+  t.mock.method(redis, 'incr', async (key) => {
+    store.set(key, (store.get(key) || 0) + 1);
+    return store.get(key);
+  });
+  t.mock.method(redis, 'expire', async () => 1);
+  t.mock.method(redis, 'set', async (key, value, ...options) => {
+    if (options.includes('NX') && store.has(key)) return null;
+    store.set(key, value);
+    return 'OK';
+  });
+  return store;
+};
+
+const solve = (token, difficulty) => {
+  let solution = 0;
+  while (!solvesChallenge(token, solution, difficulty)) solution++;
+  return String(solution);
+};
+
+// A form token as the website would post it, the form filled in after `seconds`
+const filledForm = (t, { seconds = 10, ...fields } = {}) => {
+  const { token, difficulty } = issueFormToken();
+  const issuedAt = Date.now();
+  t.mock.method(Date, 'now', () => issuedAt + seconds * 1000);
+  return { formToken: token, powSolution: solve(token, difficulty), ...fields };
+};
+
+// A different email address each time, so the per-email limit only applies where tested
+let submissions = 0;
+const submission = (overrides = {}) => ({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: `student${++submissions}@example.com`,
+  mobile: '+9779841234567',
+  office: String(new mongoose.Types.ObjectId()),
+  ...overrides
+});
+
+describe('screenSubmission', () => {
+  it('lets a genuine submission through', async (t) => {
+    useMemoryRedis(t);
+    assert.deepEqual(await screenSubmission(submission(filledForm(t)), { ip: '203.0.113.1' }), []);
+  });
+
+  it('flags a filled in honeypot', async (t) => {
+    useMemoryRedis(t);
+    const body = submission(filledForm(t, { website: 'https://spam.example' }));
+    assert.deepEqual(await screenSubmission(body), ['honeypot']);
+  });
+
+  it('flags missing, forged and expired tokens', async (t) => {
+    useMemoryRedis(t);
+    const forged = jwt.sign({ issuedAt: 0, difficulty: 0 }, 'guessed-secret', { audience: 'consultation-form' });
+    const session = jwt.sign({ id: 'user' }, process.env.JWT_SECRET);
+
+    assert.deepEqual(await screenSubmission(submission()), ['token_missing']);
+    assert.deepEqual(await screenSubmission(submission({ formToken: forged })), ['token_invalid']);
+    assert.deepEqual(await screenSubmission(submission({ formToken: session })), ['token_invalid']);
+    assert.deepEqual(await screenSubmission(submission(filledForm(t, { seconds: 3 * 60 * 60 }))), ['token_expired']);
+  });
+
+  it('flags forms submitted too fast or without the proof of work', async (t) => {
+    useMemoryRedis(t);
+    assert.deepEqual(await screenSubmission(submission(filledForm(t, { seconds: 1 }))), ['too_fast']);
+
+    const body = filledForm(t);
+    const wrong = [...Array(64).keys()].map(String).find(value => !solvesChallenge(body.formToken, value, 4));
+    assert.deepEqual(await screenSubmission(submission({ ...body, powSolution: wrong })), ['pow_failed']);
+    assert.deepEqual(await screenSubmission(submission({ formToken: filledForm(t).formToken })), ['pow_failed']);
+  });
+
+  it('accepts a token only once', async (t) => {
+    useMemoryRedis(t);
+    const body = filledForm(t);
+
+    assert.deepEqual(await screenSubmission(submission(body)), []);
+    assert.deepEqual(await screenSubmission(submission(body)), ['token_reused']);
+  });
+
+  it('limits submissions per IP address and per email address', async (t) => {
+    const store = useMemoryRedis(t);
+
+    const ipReasons = [];
+    for (let i = 0; i < 6; i++) {
+      ipReasons.push(await screenSubmission(submission(filledForm(t)), { ip: '203.0.113.1' }));
+    }
+    assert.deepEqual(ipReasons.slice(0, 5), [[], [], [], [], []]);
+    assert.deepEqual(ipReasons[5], ['ip_rate_limited']);
+
+    const emailReasons = [];
+    for (const email of ['sita@example.com', 'Sita@Example.com', ' sita@example.com ', 'SITA@example.com']) {
+      emailReasons.push(await screenSubmission(submission({ ...filledForm(t), email })));
+    }
+    assert.deepEqual(emailReasons, [[], [], [], ['email_rate_limited']]);
+    assert.ok(![...store.keys()].some(key => key.includes('sita')));
+  });
+
+  it('lets submissions through when Redis fails', async (t) => {
+    const body = filledForm(t);
+    const failure = async () => { throw new Error('Connection is closed.'); };
+    t.mock.method(redis, 'incr', failure);
+    t.mock.method(redis, 'set', failure);
+    t.mock.method(logger, 'error', () => {});
+
+    assert.deepEqual(await screenSubmission(submission(body), { ip: '203.0.113.1' }), []);
+  });
+});
+
+describe('screenForSpam', () => {
+  beforeEach(() => db.clear());
+
+  const request = (body) => ({ body, ip: '203.0.113.1', get: () => 'test-agent' });
+
+  it('passes genuine submissions on without the protection fields', async (t) => {
+    useMemoryRedis(t);
+    const req = request(submission(filledForm(t, { website: '' })));
+    const fields = Object.keys(submission());
+    const next = t.mock.fn();
+
+    await screenForSpam(req, response(), next);
+
+    assert.equal(next.mock.callCount(), 1);
+    assert.deepEqual(Object.keys(req.body), fields);
+    assert.equal(db.raw('quarantinedsubmissions').length, 0);
+  });
+
+  it('quarantines suspected spam with the response of an accepted form', async (t) => {
+    useMemoryRedis(t);
+    t.mock.method(logger, 'warn', () => {});
+    const req = request(submission({ website: 'https://spam.example' }));
+    const res = response();
+    const next = t.mock.fn();
+
+    await screenForSpam(req, res, next);
+
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(res.body, { success: true, message: 'Student consultation created successfully' });
+
+    const [stored] = db.raw('quarantinedsubmissions');
+    assert.deepEqual(stored.reasons, ['honeypot', 'token_missing']);
+    assert.equal(stored.ipAddress, '203.0.113.1');
+    assert.ok(EncryptionService.isEncrypted(stored.payload));
+    assert.ok(!stored.payload.includes('+9779841234567'));
+    assert.equal(req.body.website, undefined);
+
+    const quarantined = await QuarantinedSubmission.findById(stored._id).select('+payload');
+    assert.deepEqual(quarantined.getPayload(), req.body);
+    assert.equal(quarantined.email, req.body.email);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Environment for the code under test. Require it first in every test file, before
+ * any application module reads its configuration: keys for encryption and tokens,
+ * throwaway storage directories, and no Redis connection left open at the end.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'shrijanga-test-'));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  ENCRYPTION_KEY: 'a'.repeat(64),
+  BLIND_INDEX_KEY: 'b'.repeat(64),
+  JWT_SECRET: 'test-jwt-secret',
+  DOCUMENT_STORAGE_DIR: path.join(storageRoot, 'documents'),
+  REPORT_STORAGE_DIR: path.join(storageRoot, 'reports')
+});
+delete process.env.ENCRYPTION_KEYS;
+delete process.env.FRONTEND_URL;
+
+after(() => {
+  fs.rmSync(storageRoot, { recursive: true, force: true });
+
+  // config/redish connects as soon as it is loaded
+  const redisModule = require.cache[require.resolve('../../config/redish')];
+  if (redisModule) redisModule.exports.redis.disconnect();
+});
+
+module.exports = { storageRoot };
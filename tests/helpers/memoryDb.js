@@ -0,0 +1,386 @@
+/**
+ * In-memory stand-in for the MongoDB driver, so tests run the real models (validation,
+ * hooks, the encryption plugin, select: false paths) without a database server.
+ *
+ * Every registered model's collection is pointed at a fake driver collection that
+ * stores raw documents, matches filters with sift (the matcher mongoose itself uses)
+ * and supports the operations the application code sends. The unique indexes of the
+ * schema are enforced, failing with a duplicate key error (code 11000). Require the
+ * code under test first, so its models are registered, then call useMemoryDb().
+ *
+ *   const db = useMemoryDb();
+ *   beforeEach(() => db.clear());
+ *   db.raw('students') // stored documents, as the database would see them
+ */
+const mongoose = require('mongoose');
+const { default: createMatcher, createEqualsOperation } = require('sift');
+const { isDeepStrictEqual } = require('util');
+
+// BSON type names accepted by $type, as used in filters and partial indexes ({ $type: 'objectId' })
+const BSON_TYPES = {
+  objectId: value => value instanceof mongoose.Types.ObjectId,
+  string: value => typeof value === 'string',
+  bool: value => typeof value === 'boolean',
+  date: value => value instanceof Date,
+  number: value => typeof value === 'number',
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+const sift = (filter) => createMatcher(filter, {
+  operations: {
+    $type: (type, ownerQuery, options) => {
+      if (!BSON_TYPES[type]) throw new Error(`memoryDb: $type ${type} is not supported`);
+      return createEqualsOperation(BSON_TYPES[type], ownerQuery, options);
+    }
+  }
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && !Array.isArray(value) && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+const clone = (value) => {
+  if (Array.isArray(value)) return Array.from(value, clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const sameValue = (a, b) => {
+  const [left, right] = [comparable(a), comparable(b)];
+  return typeof left === 'object' && left !== null ? isDeepStrictEqual(clone(left), clone(right)) : left === right;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, doc);
+  parent[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = getPath(doc, keys.slice(0, -1).join('.')) ?? (keys.length === 1 ? doc : undefined);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+// Remove a dotted path, looking inside arrays on the way ({ 'versions.storagePath': 0 })
+const excludePath = (target, keys) => {
+  if (Array.isArray(target)) return target.forEach(item => excludePath(item, keys));
+  if (!target || typeof target !== 'object') return;
+  if (keys.length === 1) {
+    delete target[keys[0]];
+  } else {
+    excludePath(target[keys[0]], keys.slice(1));
+  }
+};
+
+const includePath = (target, source, keys) => {
+  if (!source || typeof source !== 'object' || !(keys[0] in source)) return;
+  const [key, ...rest] = keys;
+  const value = source[key];
+  if (rest.length === 0) {
+    target[key] = clone(value);
+  } else if (Array.isArray(value)) {
+    target[key] = target[key] || value.map(() => ({}));
+    value.forEach((item, index) => includePath(target[key][index], item, rest));
+  } else if (value && typeof value === 'object') {
+    target[key] = target[key] || {};
+    includePath(target[key], value, rest);
+  }
+};
+
+const project = (doc, projection) => {
+  const entries = Object.entries(projection || {}).filter(([, flag]) => typeof flag !== 'object');
+  if (entries.length === 0) return clone(doc);
+
+  const included = entries.filter(([path, flag]) => path !== '_id' && flag);
+  if (included.length > 0 || entries.every(([path, flag]) => path === '_id' && flag)) {
+    const result = projection._id === 0 || projection._id === false ? {} : { _id: doc._id };
+    included.forEach(([path]) => includePath(result, doc, path.split('.')));
+    return result;
+  }
+
+  const result = clone(doc);
+  entries.forEach(([path]) => excludePath(result, path.split('.')));
+  return result;
+};
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys = sort instanceof Map ? [...sort.entries()] : (Array.isArray(sort) ? sort : Object.entries(sort));
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const [left, right] = [comparable(getPath(a, path)), comparable(getPath(b, path))];
+      if (left === right) continue;
+      if (left === undefined || left === null) return -direction;
+      if (right === undefined || right === null) return direction;
+      return (left < right ? -1 : 1) * (Number(direction) || 1);
+    }
+    return 0;
+  });
+};
+
+const matchesElement = (item, condition) => (isPlainObject(condition) ? sift(condition)(item) : sameValue(item, condition));
+
+// Replace a positional `$` with the index of the first array element the filter matched
+const resolvePositional = (doc, path, filter) => {
+  if (!path.includes('.$')) return path;
+  const [prefix, rest] = path.split(/\.\$(?=\.|$)/);
+  const conditions = Object.entries(filter || {}).filter(([key]) => key === prefix || key.startsWith(`${prefix}.`));
+  const index = (getPath(doc, prefix) || []).findIndex(item => conditions.length > 0 && conditions.every(([key, condition]) => (key === prefix
+    ? matchesElement(item, condition)
+    : sift({ [key.slice(prefix.length + 1)]: condition })(item))));
+  if (index < 0) throw new Error(`memoryDb: the filter does not match an element for ${path}`);
+  return `${prefix}.${index}${rest}`;
+};
+
+const applyUpdate = (doc, update, { isInsert = false, filter } = {}) => {
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields || {}).forEach(([positionalPath, value]) => {
+      const path = resolvePositional(doc, positionalPath, filter);
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$push':
+          setPath(doc, path, [...(current || []), ...clone(value && value.$each ? value.$each : [value])]);
+          break;
+        case '$addToSet': {
+          const list = [...(current || [])];
+          (value && value.$each ? value.$each : [value]).forEach(item => {
+            if (!list.some(existing => sameValue(existing, item))) list.push(clone(item));
+          });
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull':
+          if (Array.isArray(current)) setPath(doc, path, current.filter(item => !matchesElement(item, value)));
+          break;
+        case '$pullAll':
+          if (Array.isArray(current)) setPath(doc, path, current.filter(item => !value.some(other => sameValue(item, other))));
+          break;
+        default:
+          throw new Error(`memoryDb: update operator ${operator} is not supported`);
+      }
+    });
+  });
+  return doc;
+};
+
+// Unique indexes of a schema, partial ones with the filter deciding which documents they cover
+const uniqueIndexes = (schema) => schema.indexes()
+  .filter(([, options]) => options && options.unique)
+  .map(([fields, options]) => ({
+    paths: Object.keys(fields),
+    covers: options.partialFilterExpression ? sift(options.partialFilterExpression) : () => true
+  }));
+
+const duplicateKeyError = (collectionName, paths, key) => Object.assign(
+  new Error(`E11000 duplicate key error collection: ${collectionName} index: ${paths.join('_')} dup key`),
+  {
+    name: 'MongoServerError',
+    code: 11000,
+    keyPattern: Object.fromEntries(paths.map(path => [path, 1])),
+    keyValue: Object.fromEntries(paths.map((path, index) => [path, key[index]]))
+  }
+);
+
+// Equality conditions of a filter, used as the base of an upserted document
+const upsertBase = (filter) => Object.fromEntries(Object.entries(filter || {})
+  .filter(([key, value]) => !key.startsWith('$') && !isPlainObject(value)));
+
+class MemoryCollection {
+  constructor(name, indexes = []) {
+    this.collectionName = name;
+    this.indexes = indexes;
+    this.docs = [];
+  }
+
+  // Throw as MongoDB would when writing `candidates` (in place of `replaced`) breaks a unique index
+  assertUnique(candidates, replaced = []) {
+    const stored = this.docs.filter(doc => !replaced.includes(doc));
+    candidates.forEach(candidate => {
+      this.indexes.forEach(({ paths, covers }) => {
+        if (!covers(candidate)) return;
+        const key = paths.map(path => getPath(candidate, path) ?? null);
+        const clash = stored.some(doc => covers(doc)
+          && paths.every((path, index) => sameValue(getPath(doc, path) ?? null, key[index])));
+        if (clash) throw duplicateKeyError(this.collectionName, paths, key);
+      });
+      stored.push(candidate);
+    });
+  }
+
+  matching(filter) {
+    const test = sift(filter || {});
+    return this.docs.filter(doc => test(doc));
+  }
+
+  find(filter, options = {}) {
+    let docs = sortDocs(this.matching(filter), options.sort);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    const results = docs.map(doc => project(doc, options.projection));
+    return {
+      toArray: async () => results,
+      [Symbol.asyncIterator]: async function* iterate() { yield* results; }
+    };
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = sortDocs(this.matching(filter), options.sort);
+    return doc ? project(doc, options.projection) : null;
+  }
+
+  async countDocuments(filter) {
+    return this.matching(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.matching(filter).flatMap(doc => {
+      const value = getPath(doc, field);
+      return Array.isArray(value) ? value : [value];
+    }).filter(value => value !== undefined);
+    return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index);
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    this.assertUnique([stored]);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const ids = [];
+    for (const doc of docs) ids.push((await this.insertOne(doc)).insertedId);
+    return { acknowledged: true, insertedCount: ids.length, insertedIds: ids };
+  }
+
+  update(filter, update, options, many) {
+    const docs = many ? this.matching(filter) : this.matching(filter).slice(0, 1);
+    if (docs.length === 0 && options && options.upsert) {
+      const doc = applyUpdate(clone(upsertBase(filter)), update, { isInsert: true });
+      if (doc._id === undefined) doc._id = new mongoose.Types.ObjectId();
+      this.assertUnique([doc]);
+      this.docs.push(doc);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    // Updated copies replace the stored documents only once they pass the unique indexes
+    const updated = docs.map(doc => applyUpdate(clone(doc), update, { filter }));
+    this.assertUnique(updated, docs);
+    let modifiedCount = 0;
+    docs.forEach((doc, index) => {
+      if (!isDeepStrictEqual(clone(doc), clone(updated[index]))) modifiedCount++;
+      this.docs[this.docs.indexOf(doc)] = updated[index];
+    });
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateOne(filter, update, options) {
+    return this.update(filter, update, options, false);
+  }
+
+  async updateMany(filter, update, options) {
+    return this.update(filter, update, options, true);
+  }
+
+  async replaceOne(filter, replacement) {
+    const [doc] = this.matching(filter);
+    if (!doc) return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    const replaced = { ...clone(replacement), _id: doc._id };
+    this.assertUnique([replaced], [doc]);
+    this.docs[this.docs.indexOf(doc)] = replaced;
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = sortDocs(this.matching(filter), options.sort);
+    const before = doc ? clone(doc) : null;
+    if (!doc && !options.upsert) return { value: null, ok: 1 };
+
+    const result = this.update(doc ? { _id: doc._id } : filter, update, options, false);
+    const after = this.docs.find(stored => sameValue(stored._id, doc ? doc._id : result.upsertedId));
+    const value = options.returnDocument === 'after' ? after : before;
+    return { value: value ? project(value, options.projection) : null, ok: 1 };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = sortDocs(this.matching(filter), options.sort);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { value: doc ? project(doc, options.projection) : null, ok: 1 };
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.matching(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.matching(filter);
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async bulkWrite(operations) {
+    let modifiedCount = 0;
+    for (const operation of operations) {
+      if (!operation.updateOne) throw new Error('memoryDb: only updateOne bulk operations are supported');
+      const { filter, update } = operation.updateOne;
+      modifiedCount += this.update(filter, update, {}, false).modifiedCount;
+    }
+    return { acknowledged: true, modifiedCount };
+  }
+
+  aggregate() {
+    throw new Error('memoryDb: aggregate() is not supported');
+  }
+}
+
+const useMemoryDb = () => {
+  const collections = new Map();
+  const collectionFor = (name, indexes) => {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name, indexes));
+    return collections.get(name);
+  };
+
+  Object.values(mongoose.models).forEach(Model => {
+    Model.collection.collection = collectionFor(Model.collection.name, uniqueIndexes(Model.schema));
+    Model.collection.buffer = false;
+  });
+
+  return {
+    // Stored documents of a collection, exactly as written
+    raw: (name) => collectionFor(name).docs,
+    clear: () => collections.forEach(collection => { collection.docs = []; })
+  };
+};
+
+module.exports = { useMemoryDb };
@@ -0,0 +1,21 @@
+/**
+ * Stand-in for the Express response, for calling controllers directly. Records the
+ * status, the headers and whatever was sent with json() or send().
+ *
+ *   const res = response();
+ *   await controller.getStudent(req, res);
+ *   res.statusCode // 200
+ *   res.body       // the JSON body
+ */
+const response = () => ({
+  statusCode: 200,
+  headers: {},
+  status(code) { this.statusCode = code; return this; },
+  set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+  header(name, value) { return this.set(name, value); },
+  attachment(fileName) { this.attachmentName = fileName; return this; },
+  json(body) { this.body = body; return this; },
+  send(body) { this.body = body; return this; }
+});
+
+module.exports = { response };
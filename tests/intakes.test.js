@@ -0,0 +1,198 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const Application = require('../models/ApplicationModel');
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const Country = require('../models/CountryModel');
+const Intake = require('../models/IntakeModel');
+const Counselor = require('../models/CounselorsModel');
+// Populated on the returned applications
+require('../models/OfficeModel');
+require('../models/userModels');
+require('../models/StudentDocumentModel');
+const applicationController = require('../controllers/applicationController');
+const { findAffectedApplications } = require('../utils/intakes');
+const intakeCron = require('../utils/intakeCron');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+const DAY = 24 * 60 * 60 * 1000;
+// 11:45 in Kathmandu
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+describe('applications linked to the catalog', () => {
+  let student;
+  let country;
+  let university;
+  let program;
+
+  const createApplication = async (body) => {
+    const res = response();
+    await applicationController.createStudentApplication({
+      params: { id: String(student._id) },
+      studentScope: {},
+      body: { country: String(country), intake: { month: 2, year: 2027 }, ...body },
+      user
+    }, res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    db.clear();
+    student = await Student.create({
+      firstName: 'Sita',
+      lastName: 'Sharma',
+      email: 'sita@example.com',
+      mobile: '+9779841234567',
+      office: new mongoose.Types.ObjectId(),
+      topics: 'Study abroad',
+      destinations: 'Australia'
+    });
+    ({ insertedId: country } = await Country.collection.insertOne({ name: 'Australia', slug: 'australia', requiredDocuments: [] }));
+    ({ insertedId: university } = await University.collection.insertOne({ name: 'University of Sydney', slug: 'university-of-sydney', country, isActive: true }));
+    ({ insertedId: program } = await Program.collection.insertOne({ university, country, name: 'Master of IT', level: 'master', field: 'IT' }));
+  });
+
+  it('links the catalog entries and takes their names', async () => {
+    const res = await createApplication({ universityRef: 'university-of-sydney', programRef: String(program) });
+
+    assert.equal(res.statusCode, 201);
+    const application = await Application.findById(res.body.data._id);
+    assert.ok(application.universityRef.equals(university));
+    assert.ok(application.programRef.equals(program));
+    assert.equal(application.university, 'University of Sydney');
+    assert.equal(application.program, 'Master of IT');
+  });
+
+  it('refuses a program of another university', async () => {
+    const { insertedId: other } = await University.collection.insertOne({ name: 'Monash University', slug: 'monash-university', country, isActive: true });
+
+    const res = await createApplication({ universityRef: String(other), programRef: String(program) });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Program not found at this university');
+  });
+
+  it('drops the program when the university changes', async () => {
+    const created = await createApplication({ universityRef: String(university), programRef: String(program) });
+    const { insertedId: other } = await University.collection.insertOne({ name: 'Monash University', slug: 'monash-university', country, isActive: true });
+
+    const res = response();
+    await applicationController.updateApplication({
+      params: { applicationId: String(created.body.data._id) },
+      studentScope: {},
+      body: { universityRef: 'monash-university' },
+      user
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    const application = await Application.findById(created.body.data._id);
+    assert.ok(application.universityRef.equals(other));
+    assert.equal(application.programRef, null);
+    assert.equal(application.university, 'Monash University');
+  });
+
+  it('matches deadline alerts on the linked entries and falls back to the names', async () => {
+    const linked = await createApplication({ universityRef: String(university), programRef: String(program), university: 'Uni of Sydney', program: 'MIT' });
+    const named = await createApplication({ university: ' university of sydney ', program: 'master of it' });
+    const { insertedId: other } = await University.collection.insertOne({ name: 'Sydney University', slug: 'sydney-university', country, isActive: true });
+    await createApplication({ universityRef: String(other), university: 'University of Sydney', program: 'Master of IT' });
+    await createApplication({ university: 'University of Sydney', program: 'Master of IT', intake: { month: 7, year: 2027 } });
+
+    const applications = await findAffectedApplications({
+      university: { _id: university, name: 'University of Sydney' },
+      program: { _id: program, name: 'Master of IT' },
+      startsAt: new Date('2027-02-20T00:00:00Z')
+    });
+
+    assert.deepEqual(
+      applications.map(application => String(application._id)).sort(),
+      [linked.body.data._id, named.body.data._id].map(String).sort()
+    );
+  });
+});
+
+describe('intake deadline alerts', () => {
+  let university;
+  let intake;
+  let counselorUser;
+
+  const addApplication = async (assignedCounselor, fields = {}) => {
+    const { insertedId: student } = await Student.collection.insertOne({ firstName: 'Sita', lastName: 'Sharma', assignedCounselor });
+    await Application.collection.insertOne({
+      student,
+      university: 'University of Sydney',
+      program: 'Master of IT',
+      universityRef: null,
+      programRef: null,
+      intake: { month: 2, year: 2027 },
+      status: 'draft',
+      ...fields
+    });
+  };
+
+  beforeEach(async (t) => {
+    db.clear();
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    counselorUser = new mongoose.Types.ObjectId();
+    const { insertedId: counselor } = await Counselor.collection.insertOne({ name: 'Ram Thapa', user: counselorUser });
+    ({ insertedId: university } = await University.collection.insertOne({ name: 'University of Sydney', slug: 'university-of-sydney', isActive: true }));
+    ({ insertedId: intake } = await Intake.collection.insertOne({
+      university,
+      program: null,
+      country: new mongoose.Types.ObjectId(),
+      startsAt: new Date('2027-02-20T00:00:00Z'),
+      // 17:45 in Kathmandu, 14 days from now
+      applicationDeadline: new Date(NOW.getTime() + 14 * DAY + 6 * 60 * 60 * 1000),
+      isActive: true,
+      alertsSent: []
+    }));
+
+    await addApplication(counselor);
+    await addApplication(null);
+    await addApplication(counselor, { status: 'submitted' });
+  });
+
+  it('alerts the counselors of draft applications once per alert day', async (t) => {
+    assert.equal(await intakeCron.sendDeadlineAlerts(), 1);
+
+    const [notification] = db.raw('notifications');
+    assert.equal(String(notification.recipient), String(counselorUser));
+    assert.equal(notification.type, 'intake_deadline');
+    assert.match(notification.message, /^14 day\(s\) left for Sita Sharma: University of Sydney February 2027 closes on 2 Nov 2026/);
+    // The 30-day alert is not sent after the 14-day one
+    assert.deepEqual((await Intake.findById(intake).select('+alertsSent')).alertsSent, [30, 14]);
+
+    assert.equal(await intakeCron.sendDeadlineAlerts(), 0);
+
+    t.mock.timers.tick(11 * DAY);
+    assert.equal(await intakeCron.sendDeadlineAlerts(), 1);
+    assert.match(db.raw('notifications')[1].message, /^3 day\(s\) left/);
+  });
+
+  it('starts the alerts over when the deadline moves', async () => {
+    await intakeCron.sendDeadlineAlerts();
+
+    const moved = await Intake.findById(intake).select('+alertsSent');
+    moved.applicationDeadline = new Date(moved.applicationDeadline.getTime() + DAY);
+    await moved.save();
+
+    assert.equal(await intakeCron.sendDeadlineAlerts(), 1);
+  });
+
+  it('skips intakes of inactive universities', async () => {
+    await University.collection.updateOne({ _id: university }, { $set: { isActive: false } });
+
+    assert.equal(await intakeCron.sendDeadlineAlerts(), 0);
+  });
+});
@@ -0,0 +1,120 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Advertisement = require('../models/adsModel');
+const AdClick = require('../models/AdClickModel');
+const {
+  classifyChannel,
+  buildLeadSource,
+  adLandingUrl,
+  resolveLeadSource,
+  convertAdClick
+} = require('../utils/leadSource');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+describe('classifyChannel', () => {
+  afterEach(() => {
+    delete process.env.WEBSITE_HOSTS;
+  });
+
+  it('reads the channel from UTM tags first', () => {
+    assert.equal(classifyChannel({ utm: { source: 'facebook', medium: 'cpc' } }), 'paid_social');
+    assert.equal(classifyChannel({ utm: { source: 'google', medium: 'cpc' } }), 'paid_search');
+    assert.equal(classifyChannel({ utm: { source: 'newsletter' } }), 'email');
+    assert.equal(classifyChannel({ utm: { source: 'edufair', medium: 'qr' } }), 'event');
+    assert.equal(classifyChannel({ utm: { source: 'instagram', medium: 'bio' } }), 'organic_social');
+    assert.equal(classifyChannel({ utm: { source: 'google', medium: 'organic' } }), 'organic_search');
+    assert.equal(classifyChannel({ utm: { source: 'partner-agency' }, referrer: 'https://www.google.com/' }), 'referral');
+  });
+
+  it('falls back to the referrer, then the landing page', () => {
+    assert.equal(classifyChannel({ referrer: 'https://www.google.com.np/' }), 'organic_search');
+    assert.equal(classifyChannel({ referrer: 'https://m.facebook.com/' }), 'organic_social');
+    assert.equal(classifyChannel({ referrer: 'https://edusanjal.com/colleges' }), 'referral');
+    assert.equal(classifyChannel({ landingPage: 'https://shirijanga.com/blogs/ielts-tips' }), 'blog');
+    assert.equal(classifyChannel({ landingPage: 'https://shirijanga.com/contact' }), 'direct');
+  });
+
+  it('ignores referrers from our own website', () => {
+    process.env.WEBSITE_HOSTS = 'https://shirijanga.com';
+
+    assert.equal(classifyChannel({ referrer: 'https://www.shirijanga.com/study-in-australia' }), 'direct');
+  });
+
+  it('credits a website advertisement over everything else', () => {
+    assert.equal(classifyChannel({ utm: { source: 'google', medium: 'cpc' }, ad: { _id: new mongoose.Types.ObjectId() } }), 'website_ad');
+  });
+});
+
+describe('buildLeadSource', () => {
+  it('accepts camelCase and query-string names and reads missing tags from the landing page', () => {
+    const leadSource = buildLeadSource({
+      utmSource: ' Facebook ',
+      utm_medium: 'CPC',
+      landingPage: 'https://shirijanga.com/apply?utm_campaign=Australia-Feb&utm_source=ignored',
+      campaign_id: '120210',
+      channel: 'direct'
+    });
+
+    assert.equal(leadSource.channel, 'paid_social');
+    assert.deepEqual(leadSource.utm, { source: 'facebook', medium: 'cpc', campaign: 'Australia-Feb' });
+    assert.equal(leadSource.campaignId, '120210');
+  });
+
+  it('drops referrers and landing pages that are not web addresses', () => {
+    const leadSource = buildLeadSource({ referrer: 'javascript:alert(1)', landingPage: 'not a url' });
+
+    assert.equal(leadSource.referrer, undefined);
+    assert.equal(leadSource.landingPage, undefined);
+    assert.equal(leadSource.channel, 'direct');
+  });
+
+  it('treats a missing body as a direct lead', () => {
+    assert.equal(buildLeadSource(null).channel, 'direct');
+  });
+});
+
+describe('advertisement clicks', () => {
+  let ad;
+
+  beforeEach(async () => {
+    db.clear();
+    ({ insertedId: ad } = await Advertisement.collection.insertOne({ websiteLink: 'shirijanga.com/apply', position: 'sidebar', stats: { conversions: 0 } }));
+  });
+
+  it('tags the landing page unless the advertiser set their own UTM tags', () => {
+    const url = new URL(adLandingUrl({ _id: ad, websiteLink: 'shirijanga.com/apply', position: 'sidebar' }, 'tok1'));
+    assert.equal(url.origin, 'https://shirijanga.com');
+    assert.equal(url.searchParams.get('utm_medium'), 'website_ad');
+    assert.equal(url.searchParams.get('utm_content'), String(ad));
+    assert.equal(url.searchParams.get('ad_click'), 'tok1');
+
+    const tagged = new URL(adLandingUrl({ _id: ad, websiteLink: 'https://shirijanga.com/?utm_source=partner', position: 'sidebar' }, 'tok2'));
+    assert.equal(tagged.searchParams.get('utm_source'), 'partner');
+    assert.equal(tagged.searchParams.get('utm_medium'), null);
+  });
+
+  it('credits one lead to the advertisement that was clicked', async () => {
+    await AdClick.create({ ad, token: 'tok1' });
+
+    const { leadSource, click } = await resolveLeadSource({ ad_click: 'tok1', utm_source: 'google', utm_medium: 'cpc' });
+    assert.equal(leadSource.channel, 'website_ad');
+    assert.ok(leadSource.ad.equals(ad));
+
+    const student = new mongoose.Types.ObjectId();
+    await convertAdClick(click, student);
+    await convertAdClick(click, new mongoose.Types.ObjectId());
+
+    assert.ok((await AdClick.findById(click._id)).convertedStudent.equals(student));
+    assert.equal(db.raw('advertisements')[0].stats.conversions, 1);
+
+    const again = await resolveLeadSource({ ad_click: 'tok1' });
+    assert.equal(again.click, null);
+    assert.equal(again.leadSource.channel, 'direct');
+  });
+});
@@ -0,0 +1,122 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Office = require('../models/OfficeModel');
+const Student = require('../models/studentModel');
+const officeController = require('../controllers/officeController');
+const { resolveOfficeQuery, resolveOfficeBody } = require('../middlewares/officeMiddleware');
+const { loadOfficeLookup, resolveOfficeIds } = require('../utils/offices');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+// Run a middleware and report whether it let the request through
+const run = async (middleware, req) => {
+  const res = response();
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+  return { req, res, passed };
+};
+
+describe('offices', () => {
+  let kathmandu;
+  let pokhara;
+
+  beforeEach(async () => {
+    db.clear();
+    kathmandu = await Office.create({ name: 'Kathmandu', address: { city: 'Kathmandu' } });
+    pokhara = await Office.create({ name: 'Pokhara Lakeside', address: { city: 'Pokhara' }, isActive: false });
+  });
+
+  it('finds an office by id, slug or name', async () => {
+    const findOffice = await loadOfficeLookup();
+
+    assert.ok(findOffice(String(kathmandu._id))._id.equals(kathmandu._id));
+    assert.ok(findOffice(kathmandu._id)._id.equals(kathmandu._id));
+    assert.ok(findOffice(' KATHMANDU ')._id.equals(kathmandu._id));
+    assert.ok(findOffice('pokhara-lakeside')._id.equals(pokhara._id));
+    assert.equal(findOffice('Biratnagar'), null);
+    assert.equal((await loadOfficeLookup({ activeOnly: true }))('pokhara-lakeside'), null);
+
+    assert.deepEqual(await resolveOfficeIds('kathmandu, Biratnagar'), { ids: [kathmandu._id], unknown: ['Biratnagar'] });
+  });
+
+  it('turns ?office= names into ids and rejects unknown ones', async () => {
+    const resolved = await run(resolveOfficeQuery, { query: { office: 'kathmandu,Pokhara Lakeside' } });
+    assert.ok(resolved.passed);
+    assert.equal(resolved.req.query.office, `${kathmandu._id},${pokhara._id}`);
+
+    const unknown = await run(resolveOfficeQuery, { query: { office: 'Biratnagar' } });
+    assert.equal(unknown.passed, false);
+    assert.equal(unknown.res.statusCode, 400);
+    assert.equal(unknown.res.body.message, 'Unknown office "Biratnagar"');
+  });
+
+  it('only takes active offices in a body when asked to', async () => {
+    const inactive = await run(resolveOfficeBody({ activeOnly: true }), { body: { office: 'pokhara-lakeside' } });
+    assert.equal(inactive.res.statusCode, 400);
+    assert.equal(inactive.res.body.message, 'Unknown or inactive office "pokhara-lakeside"');
+
+    const active = await run(resolveOfficeBody({ activeOnly: true }), { body: { office: 'Kathmandu' } });
+    assert.ok(active.req.body.office.equals(kathmandu._id));
+
+    assert.equal((await run(resolveOfficeBody(), { body: { office: '' } })).res.statusCode, 400);
+    assert.equal((await run(resolveOfficeBody({ allowNull: true }), { body: { office: '' } })).req.body.office, null);
+  });
+
+  it('follows renames in the slug and refuses a name in use', async () => {
+    const res = response();
+    await officeController.updateOffice({ params: { id: 'kathmandu' }, body: { name: 'Kathmandu Putalisadak' }, user }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.slug, 'kathmandu-putalisadak');
+
+    const duplicate = response();
+    await officeController.createOffice({ body: { name: 'Kathmandu Putalisadak', address: { city: 'Kathmandu' } }, user }, duplicate);
+    assert.equal(duplicate.statusCode, 409);
+    assert.equal(duplicate.body.message, 'An office with this name already exists');
+  });
+
+  it('rejects a weekday listed twice and closing before opening', async () => {
+    const create = async (openingHours) => {
+      const res = response();
+      await officeController.createOffice({ body: { name: 'Biratnagar', address: { city: 'Biratnagar' }, openingHours }, user }, res);
+      return res;
+    };
+
+    const twice = await create([{ dayOfWeek: 0, opensAt: '10:00', closesAt: '17:00' }, { dayOfWeek: 0, closed: true }]);
+    assert.equal(twice.statusCode, 400);
+    assert.match(twice.body.message, /Each weekday can only appear once/);
+
+    const backwards = await create([{ dayOfWeek: 1, opensAt: '10:00', closesAt: '09:00' }]);
+    assert.equal(backwards.statusCode, 400);
+    assert.match(backwards.body.message, /Closing time must be after opening time/);
+  });
+
+  it('only deletes offices nothing refers to', async () => {
+    await Student.create({
+      firstName: 'Sita',
+      lastName: 'Sharma',
+      email: 'sita@example.com',
+      mobile: '+9779841234567',
+      office: kathmandu._id,
+      topics: 'Study abroad',
+      destinations: 'Australia'
+    });
+
+    const inUse = response();
+    await officeController.deleteOffice({ params: { id: 'kathmandu' }, user }, inUse);
+    assert.equal(inUse.statusCode, 409);
+    assert.equal(inUse.body.references.students, 1);
+
+    const unused = response();
+    await officeController.deleteOffice({ params: { id: 'pokhara-lakeside' }, user }, unused);
+    assert.equal(unused.statusCode, 200);
+    assert.equal(await Office.countDocuments(), 1);
+  });
+});
@@ -0,0 +1,109 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const { parseMobile, isValidMobile, canonicalNumber } = require('../utils/phone');
+const { compareStudents, findDuplicateCandidates } = require('../utils/studentDuplicates');
+const { buildStudentFilter } = require('../utils/studentQuery');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+const createStudent = (overrides = {}) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  ...overrides
+});
+
+describe('parseMobile', () => {
+  it('normalizes numbers typed in common forms to E.164', () => {
+    assert.deepEqual(parseMobile('9841234567'), { e164: '+9779841234567', country: 'NP' });
+    assert.deepEqual(parseMobile('00977-984-1234567'), { e164: '+9779841234567', country: 'NP' });
+    assert.deepEqual(parseMobile('+91 98412 34567'), { e164: '+919841234567', country: 'IN' });
+  });
+
+  it('rejects landlines', () => {
+    assert.equal(parseMobile('+97714412345'), null);
+    assert.equal(parseMobile('014412345'), null);
+    assert.equal(isValidMobile('+97714412345'), false);
+  });
+
+  it('accepts numbers that may be either, as in the US', () => {
+    assert.deepEqual(parseMobile('+1 202 555 0123'), { e164: '+12025550123', country: 'US' });
+  });
+});
+
+describe('canonicalNumber', () => {
+  it('keeps the country code, so the same digits in India and Nepal differ', () => {
+    assert.equal(canonicalNumber('+919841234567'), '+919841234567');
+    assert.notEqual(canonicalNumber('+919841234567'), canonicalNumber('+9779841234567'));
+  });
+
+  it('is empty for numbers that cannot be parsed', () => {
+    assert.equal(canonicalNumber(''), '');
+    assert.equal(canonicalNumber(undefined), '');
+    assert.equal(canonicalNumber('+97714412345'), '');
+  });
+});
+
+describe('phone matching of students', () => {
+  beforeEach(() => db.clear());
+
+  it('does not treat an Indian and a Nepali number with the same digits as one phone', async () => {
+    await createStudent({ mobile: '+919841234567', mobileCountry: 'IN' });
+
+    const matches = await findDuplicateCandidates({ firstName: 'Sita', lastName: 'Sharma', email: 'other@example.com', mobile: '+9779841234567' });
+
+    assert.deepEqual(matches, []);
+    assert.deepEqual(compareStudents(
+      { firstName: 'Sita', lastName: 'Sharma', mobile: '+919841234567' },
+      { firstName: 'Sita', lastName: 'Sharma', mobile: '+9779841234567' }
+    ).reasons, []);
+  });
+
+  it('does not match two students without a usable number', () => {
+    assert.deepEqual(compareStudents(
+      { firstName: 'Sita', lastName: 'Sharma', mobile: '' },
+      { firstName: 'Sita', lastName: 'Sharma' }
+    ).reasons, []);
+  });
+
+  it('finds a student by number typed in another format', async () => {
+    const student = await createStudent();
+    const { filter } = buildStudentFilter({ search: '984-1234567' });
+
+    const found = await Student.find(filter);
+
+    assert.deepEqual(found.map(entry => String(entry._id)), [String(student._id)]);
+  });
+
+  it('rejects a landline on a new student but keeps one stored earlier', async () => {
+    await assert.rejects(createStudent({ mobile: '+97714412345' }), /valid mobile number/);
+
+    const student = await createStudent();
+    await Student.collection.updateOne({ _id: student._id }, { $set: { mobile: '+97714412345' } });
+
+    const stored = await Student.findById(student._id);
+    await stored.moveToStage('counselled');
+    assert.equal((await Student.findById(student._id)).stage, 'counselled');
+  });
+
+  it('drops the phone index of stored numbers that are no longer accepted', async () => {
+    await createStudent();
+    const [raw] = db.raw('students');
+    raw.mobile = '+97714412345';
+
+    const update = Student.buildReencryptUpdate(raw);
+
+    assert.deepEqual(update.$unset, { mobileNationalIndex: '' });
+    assert.equal(update.$set.mobileIndex, Student.blindIndex('mobileIndex', '+97714412345'));
+  });
+});
@@ -0,0 +1,164 @@
+require('./helpers/env');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const express = require('express');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+// Populated on the signed-in student
+const Counselor = require('../models/CounselorsModel');
+const Office = require('../models/OfficeModel');
+const portalRoutes = require('../routes/portalRoutes');
+const { DOCUMENT_STORAGE_DIR } = require('../config/document.multer.config');
+const { signPortalSession } = require('../utils/studentPortal');
+const { eraseStudent } = require('../utils/studentPrivacy');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+const app = express().use(express.json()).use('/api/portal', portalRoutes);
+
+const createStudent = (fields = {}) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  ...fields
+});
+
+describe('student portal', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    db.clear();
+    fs.rmSync(DOCUMENT_STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  const call = async (pathname, token, options = {}) => {
+    const response = await fetch(`${baseUrl}/api/portal${pathname}`, {
+      ...options,
+      headers: { ...(token && { Authorization: `Bearer ${token}` }), ...options.headers }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const uploadPassport = (token) => {
+    const form = new FormData();
+    form.append('kind', 'passport');
+    form.append('file', new Blob(['%PDF-1.4 test'], { type: 'application/pdf' }), 'passport.pdf');
+    return call('/documents', token, { method: 'POST', body: form });
+  };
+
+  it('refuses sessions issued before the student was erased', async () => {
+    const student = await createStudent();
+    const token = signPortalSession(student);
+    assert.equal((await call('/me', token)).status, 200);
+
+    await eraseStudent(student, { mode: 'anonymize' });
+
+    const profile = await call('/me', token);
+    assert.equal(profile.status, 401);
+    assert.equal(profile.body.message, 'Invalid portal session');
+    assert.equal((await uploadPassport(token)).status, 401);
+    assert.equal(await StudentDocument.countDocuments(), 0);
+    assert.ok(!fs.existsSync(DOCUMENT_STORAGE_DIR) || fs.readdirSync(DOCUMENT_STORAGE_DIR).length === 0);
+  });
+
+  it('refuses sessions of deleted students', async () => {
+    const student = await createStudent();
+    const token = signPortalSession(student);
+
+    await eraseStudent(student, { mode: 'delete' });
+
+    assert.equal((await call('/me', token)).status, 401);
+  });
+
+  it('signs in once with a link token', async () => {
+    const student = await createStudent();
+    const linkToken = student.createPortalToken();
+    await student.save();
+
+    const exchange = () => call('/session', null, {
+      method: 'POST',
+      body: JSON.stringify({ token: linkToken }),
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const session = await exchange();
+    assert.equal(session.status, 200);
+    assert.equal((await call('/me', session.body.data.token)).status, 200);
+    assert.equal((await exchange()).status, 401);
+  });
+
+  it('refuses staff tokens', async () => {
+    const student = await createStudent();
+    const staffToken = jwt.sign({ id: String(student._id), sub: String(student._id) }, process.env.JWT_SECRET);
+
+    assert.equal((await call('/me', staffToken)).status, 401);
+  });
+
+  it('shows the student only what is meant for them', async () => {
+    const { insertedId: office } = await Office.collection.insertOne({ name: 'Kathmandu', slug: 'kathmandu', address: 'Putalisadak', phone: '01-4444444' });
+    const { insertedId: counselor } = await Counselor.collection.insertOne({ name: 'Ram', user: new mongoose.Types.ObjectId(), bio: 'Internal bio' });
+    const student = await createStudent({
+      office,
+      assignedCounselor: counselor,
+      stage: 'documents_pending',
+      healthIssues: 'Asthma',
+      additionalInfo: 'Prefers evening calls',
+      passport: { number: 'PA1234567', issuingCountry: 'NP' },
+      academics: [{ level: 'plus_two', gpa: 3.2, legacyText: '3.2 GPA' }]
+    });
+
+    const { status, body } = await call('/me', signPortalSession(student));
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.data).sort(), [
+      'academics', 'counselor', 'createdAt', 'destinations', 'email', 'englishTests', 'firstName',
+      'lastName', 'mobile', 'mobileCountry', 'office', 'otherDestination', 'stage', 'topics'
+    ]);
+    assert.equal(body.data.stage.label, 'Collecting documents');
+    assert.deepEqual(body.data.counselor, { name: 'Ram' });
+    assert.deepEqual(body.data.office, { name: 'Kathmandu', address: 'Putalisadak', phone: '01-4444444', openingHours: [] });
+    assert.equal(body.data.academics[0].legacyText, undefined);
+    assert.ok(!JSON.stringify(body).includes('PA1234567'));
+    assert.ok(!JSON.stringify(body).includes('Asthma'));
+  });
+
+  it('lists only the student\'s own documents, without review details', async () => {
+    const student = await createStudent();
+    const other = await createStudent({ email: 'other@example.com' });
+    const reviewer = new mongoose.Types.ObjectId();
+    const file = { filename: 'stored.pdf', originalname: 'passport.pdf', mimetype: 'application/pdf', size: 10, path: '/private/stored.pdf' };
+
+    const own = new StudentDocument({ student: student._id, kind: 'passport', label: '' }).addVersion(file, reviewer);
+    own.review({ status: 'rejected', reason: 'Photo page is cut off', reviewedBy: reviewer });
+    await own.save();
+    await new StudentDocument({ student: other._id, kind: 'passport', label: '' }).addVersion(file, reviewer).save();
+
+    const { status, body } = await call('/documents', signPortalSession(student));
+
+    assert.equal(status, 200);
+    assert.equal(body.data.documents.length, 1);
+    assert.equal(body.data.documents[0].rejectionReason, 'Photo page is cut off');
+    assert.equal(body.data.documents[0].fileName, 'passport.pdf');
+    assert.ok(!JSON.stringify(body).includes('/private/stored.pdf'));
+    assert.ok(!JSON.stringify(body).includes(String(reviewer)));
+  });
+});
@@ -0,0 +1,91 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const ReportJob = require('../models/ReportJobModel');
+const { REPORT_STORAGE_DIR, processQueuedJobs } = require('../utils/reportJobs');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+const HOUR = 60 * 60 * 1000;
+
+const archiveOf = (job) => path.join(REPORT_STORAGE_DIR, `${job._id}.zip`);
+
+const writeArchive = (job) => {
+  fs.mkdirSync(REPORT_STORAGE_DIR, { recursive: true });
+  fs.writeFileSync(archiveOf(job), 'partial zip');
+};
+
+const createJob = (fields = {}) => ReportJob.create({
+  requestedBy: new mongoose.Types.ObjectId(),
+  students: [new mongoose.Types.ObjectId()],
+  total: 1,
+  ...fields
+});
+
+describe('report jobs', () => {
+  beforeEach(() => {
+    db.clear();
+    fs.rmSync(REPORT_STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  it('gives a failed job an expiry and removes its partial archive', async (t) => {
+    const job = await createJob();
+    t.mock.method(ReportJob, 'updateOne', async () => {
+      throw new Error('Progress could not be saved');
+    });
+
+    await processQueuedJobs();
+
+    const failed = await ReportJob.findById(job._id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Progress could not be saved');
+    assert.ok(failed.expiresAt > new Date(Date.now() + 23 * HOUR));
+    assert.ok(!fs.existsSync(archiveOf(job)));
+  });
+
+  it('fails interrupted jobs with an expiry and removes their partial archive', async () => {
+    const job = await createJob({ status: 'running', startedAt: new Date(Date.now() - 2 * HOUR) });
+    writeArchive(job);
+
+    await processQueuedJobs();
+
+    const interrupted = await ReportJob.findById(job._id);
+    assert.equal(interrupted.status, 'failed');
+    assert.equal(interrupted.error, 'Interrupted by a server restart');
+    assert.ok(interrupted.expiresAt > new Date());
+    assert.ok(!fs.existsSync(archiveOf(job)));
+  });
+
+  it('leaves jobs that are still running alone', async () => {
+    const job = await createJob({ status: 'running', startedAt: new Date() });
+    writeArchive(job);
+
+    await processQueuedJobs();
+
+    assert.equal((await ReportJob.findById(job._id)).status, 'running');
+    assert.ok(fs.existsSync(archiveOf(job)));
+  });
+
+  it('deletes expired jobs and their archives, failed ones included', async () => {
+    const completed = await createJob({ status: 'completed', expiresAt: new Date(Date.now() - HOUR) });
+    const failed = await createJob({ status: 'failed', completedAt: new Date(Date.now() - 2 * HOUR), expiresAt: new Date(Date.now() - HOUR) });
+    // Failed before failed jobs had an expiry
+    const legacy = await createJob({ status: 'failed', completedAt: new Date(Date.now() - 48 * HOUR) });
+    const recent = await createJob({ status: 'failed', completedAt: new Date(), expiresAt: new Date(Date.now() + HOUR) });
+    [completed, failed, legacy, recent].forEach(writeArchive);
+    completed.filePath = archiveOf(completed);
+    await completed.save();
+
+    await processQueuedJobs();
+
+    const remaining = await ReportJob.find();
+    assert.deepEqual(remaining.map(job => String(job._id)), [String(recent._id)]);
+    assert.deepEqual(fs.readdirSync(REPORT_STORAGE_DIR), [`${recent._id}.zip`]);
+  });
+});
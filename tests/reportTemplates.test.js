@@ -0,0 +1,91 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const ReportTemplate = require('../models/ReportTemplateModel');
+const reportTemplateController = require('../controllers/reportTemplateController');
+const { loadReportTemplate, createReportDocument, drawStudentReport, sampleStudent } = require('../utils/studentReport');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+// Text drawn on a report rendered with the template
+const drawnText = (t, template) => {
+  const doc = createReportDocument();
+  t.mock.method(doc, 'text');
+  drawStudentReport(doc, sampleStudent({ name: 'Kathmandu' }), template);
+  doc.end();
+  return doc.text.mock.calls.map(call => call.arguments[0]);
+};
+
+describe('report templates', () => {
+  const office = new mongoose.Types.ObjectId();
+
+  beforeEach(() => db.clear());
+
+  it("uses the office's template, then the default, then the built-in layout", async () => {
+    assert.equal((await loadReportTemplate(office)).name, 'Built-in');
+
+    await ReportTemplate.create({ name: 'Default' });
+    await ReportTemplate.create({ name: 'Old Kathmandu', office, isActive: false });
+    assert.equal((await loadReportTemplate(office)).name, 'Default');
+
+    await ReportTemplate.create({ name: 'Kathmandu', office });
+    assert.equal((await loadReportTemplate({ _id: office, name: 'Kathmandu' })).name, 'Kathmandu');
+    assert.equal((await loadReportTemplate(new mongoose.Types.ObjectId())).name, 'Default');
+    assert.equal((await loadReportTemplate(null)).name, 'Default');
+  });
+
+  it('allows one active template per office', async () => {
+    const create = async (body) => {
+      const res = response();
+      await reportTemplateController.createReportTemplate({ body, user }, res);
+      return res;
+    };
+
+    assert.equal((await create({ name: 'Kathmandu', office })).statusCode, 201);
+    assert.equal((await create({ name: 'Draft', office, isActive: false })).statusCode, 201);
+
+    const res = await create({ name: 'Kathmandu 2', office });
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, 'An active template already exists for this office');
+  });
+
+  it('rejects repeated sections and colours that are not hex values', async () => {
+    const template = new ReportTemplate({
+      name: 'Broken',
+      colors: { primary: 'blue' },
+      sections: [{ key: 'student_information' }, { key: 'student_information' }]
+    });
+
+    const error = await template.validate().catch(validationError => validationError);
+    assert.equal(error.errors['colors.primary'].message, 'Colours must be hex values like #1252a1');
+    assert.equal(error.errors.sections.message, 'Each section can only be listed once');
+  });
+
+  it('draws the enabled sections in order with their titles and branding', (t) => {
+    const template = new ReportTemplate({
+      name: 'Pokhara',
+      header: { title: 'SHIRIJANGA POKHARA', subtitle: '', showLogo: false },
+      footer: { text: 'Pokhara branch', showPageNumbers: false },
+      sections: [
+        { key: 'academic_information', title: 'Results' },
+        { key: 'student_information' },
+        { key: 'additional_information', enabled: false }
+      ]
+    });
+
+    const text = drawnText(t, template);
+
+    assert.ok(text.includes('SHIRIJANGA POKHARA'));
+    assert.deepEqual(text.filter(line => /^\d+\. /.test(line)), ['1. Results', '2. Student Information']);
+    assert.ok(text.includes('Pokhara branch'));
+    assert.ok(!text.some(line => /^Page \d+$/.test(line)));
+    assert.ok(!text.includes('Student Consultation Report'));
+  });
+});
@@ -0,0 +1,149 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const Country = require('../models/CountryModel');
+const University = require('../models/UniversityModel');
+const Scholarship = require('../models/ScholarshipModel');
+const scholarshipController = require('../controllers/scholarshipController');
+const { evaluateScholarship } = require('../utils/eligibility');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+const academics = [
+  { level: 'see_slc', gpa: 3.6, passingYear: 2021 },
+  { level: 'plus_two', gpa: 3.3, passingYear: 2024 }
+];
+
+describe('evaluateScholarship', () => {
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  });
+
+  it('checks the next study level, the criteria and the study gap', () => {
+    const result = evaluateScholarship({
+      levels: ['bachelor'],
+      eligibility: { academicLevel: 'plus_two', minimumGpa: 3.2, maxStudyGapYears: 2 }
+    }, { academics });
+
+    assert.equal(result.eligible, true);
+    assert.deepEqual(result.checks.map(item => [item.rule, item.status]), [
+      ['study_level', 'passed'],
+      ['academic_level', 'passed'],
+      ['academic_score', 'passed'],
+      ['study_gap', 'passed']
+    ]);
+    assert.ok(result.checks.every(item => item.source === 'scholarship'));
+  });
+
+  it('refuses students who cannot study at its levels yet', () => {
+    const result = evaluateScholarship({ levels: ['master'] }, { academics });
+
+    assert.equal(result.eligible, false);
+    assert.equal(result.checks[0].message, '+2 graduates cannot go on to master study');
+  });
+
+  it('cannot tell without academic results', () => {
+    const result = evaluateScholarship({ levels: ['bachelor'], eligibility: { maxStudyGapYears: 1 } }, {});
+
+    assert.equal(result.eligible, true);
+    assert.equal(result.unknown, 2);
+  });
+
+  it('is open to everyone without levels or criteria', () => {
+    assert.deepEqual(evaluateScholarship({}, { academics }), { eligible: true, passed: 0, failed: 0, unknown: 0, checks: [] });
+  });
+});
+
+describe('scholarships', () => {
+  let australia;
+  let japan;
+  let sydney;
+
+  beforeEach(async (t) => {
+    db.clear();
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    ({ insertedIds: [australia, japan] } = await Country.collection.insertMany([
+      { name: 'Australia', slug: 'australia', isActive: true },
+      { name: 'Japan', slug: 'japan', isActive: true }
+    ]));
+    ({ insertedId: sydney } = await University.collection.insertOne({ name: 'University of Sydney', slug: 'university-of-sydney', country: australia, isActive: true }));
+  });
+
+  it('takes the countries from the universities and refuses universities outside them', async () => {
+    const created = response();
+    await scholarshipController.createScholarship({
+      body: { name: 'Sydney Scholars', universities: ['university-of-sydney'], award: { kind: 'full_tuition' } },
+      user
+    }, created);
+
+    assert.equal(created.statusCode, 201);
+    assert.deepEqual(db.raw('scholarships')[0].countries.map(String), [String(australia)]);
+
+    const outside = response();
+    await scholarshipController.createScholarship({
+      body: { name: 'MEXT', countries: 'japan', universities: String(sydney), award: { kind: 'full_tuition' } },
+      user
+    }, outside);
+
+    assert.equal(outside.statusCode, 400);
+    assert.equal(outside.body.message, "University of Sydney is not in any of the scholarship's countries");
+  });
+
+  it("matches open scholarships to the student's results, destinations first", async () => {
+    const student = await Student.create({
+      firstName: 'Sita',
+      lastName: 'Sharma',
+      email: 'sita@example.com',
+      mobile: '+9779841234567',
+      office: new mongoose.Types.ObjectId(),
+      topics: 'Study abroad',
+      destinations: 'Australia',
+      academics
+    });
+
+    const addScholarship = (name, fields) => Scholarship.create({
+      name,
+      countries: [australia],
+      award: { kind: 'full_tuition' },
+      levels: ['bachelor'],
+      ...fields
+    });
+    await addScholarship('Sydney Scholars', { deadlines: [{ date: new Date(NOW.getTime() + 60 * DAY) }] });
+    await addScholarship('MEXT', { countries: [japan], deadlines: [{ date: new Date(NOW.getTime() + 10 * DAY) }] });
+    await addScholarship('Destination Australia', {});
+    await addScholarship('Research Training', { levels: ['master'] });
+    await addScholarship('Closed round', { deadlines: [{ date: new Date(NOW.getTime() - DAY) }] });
+    await addScholarship('Paused', { isActive: false });
+
+    const match = async (query = {}) => {
+      const res = response();
+      await scholarshipController.getStudentScholarships({ params: { id: String(student._id) }, studentScope: {}, query }, res);
+      return res;
+    };
+
+    const res = await match();
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.evaluated, 4);
+    assert.deepEqual(res.body.data.map(result => result.scholarship.name), ['Sydney Scholars', 'Destination Australia', 'MEXT']);
+    assert.deepEqual(res.body.data.map(result => result.inDestination), [true, true, false]);
+
+    const all = await match({ includeIneligible: 'true', country: 'australia' });
+    assert.deepEqual(all.body.data.map(result => [result.scholarship.name, result.eligible]), [
+      ['Sydney Scholars', true],
+      ['Destination Australia', true],
+      ['Research Training', false]
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const StudentActivity = require('../models/StudentActivityModel');
+// Populated on the returned activities
+require('../models/userModels');
+const studentActivityController = require('../controllers/studentActivityController');
+const { recordSystemEvent, recordEmailSent } = require('../utils/studentActivity');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+const createStudent = (fields = {}) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  ...fields
+});
+
+const addActivity = async (student, body) => {
+  const res = response();
+  await studentActivityController.addStudentActivity({ params: { id: String(student._id) }, studentScope: {}, body, user }, res);
+  return res;
+};
+
+const getActivities = async (id, query = {}, studentScope = {}) => {
+  const res = response();
+  await studentActivityController.getStudentActivities({ params: { id: String(id) }, query, studentScope, user }, res);
+  return res;
+};
+
+describe('student timeline', () => {
+  let student;
+
+  beforeEach(async () => {
+    db.clear();
+    student = await createStudent();
+  });
+
+  it('logs entries by hand, keeping only the fields of their type', async () => {
+    const res = await addActivity(student, { type: 'note', body: 'Wants a February intake', direction: 'inbound', durationMinutes: 10 });
+
+    assert.equal(res.statusCode, 201);
+    const [stored] = db.raw('studentactivities');
+    assert.equal(stored.type, 'note');
+    assert.equal(stored.direction, undefined);
+    assert.equal(stored.durationMinutes, undefined);
+    assert.equal(String(stored.author), String(user.id));
+  });
+
+  it('refuses system entries, entries without text and entries in the future', async () => {
+    assert.equal((await addActivity(student, { type: 'system', event: 'stage_changed', body: 'x' })).statusCode, 400);
+    assert.equal((await addActivity(student, { type: 'call' })).statusCode, 400);
+    assert.equal((await addActivity(student, { type: 'call', body: 'x', occurredAt: new Date(Date.now() + 60 * 60 * 1000) })).statusCode, 400);
+    assert.equal(await StudentActivity.countDocuments(), 0);
+  });
+
+  it('lists the timeline newest first and filters by type', async () => {
+    await addActivity(student, { type: 'call', body: 'First call', occurredAt: new Date('2026-01-01') });
+    await addActivity(student, { type: 'note', body: 'A note', occurredAt: new Date('2026-01-02') });
+    await recordSystemEvent(student._id, 'stage_changed', { subject: 'Moved to counselled' });
+
+    const all = await getActivities(student._id);
+    assert.deepEqual(all.body.data.map(activity => activity.type), ['system', 'note', 'call']);
+
+    const filtered = await getActivities(student._id, { type: 'call,system' });
+    assert.deepEqual(filtered.body.data.map(activity => activity.type), ['system', 'call']);
+
+    assert.equal((await getActivities(student._id, { type: 'fax' })).statusCode, 400);
+  });
+
+  it('answers 404 for students out of scope and malformed ids', async () => {
+    const scope = { assignedCounselor: new mongoose.Types.ObjectId() };
+
+    assert.equal((await getActivities(student._id, {}, scope)).statusCode, 404);
+    assert.equal((await getActivities('not-an-id')).statusCode, 404);
+  });
+
+  it('puts sent emails on the timeline of every student they went to', async () => {
+    const other = await createStudent({ email: 'hari@example.com' });
+
+    await recordEmailSent('Sita Sharma <SITA@example.com>, hari@example.com, unknown@example.com', 'Your visa checklist', { messageId: 'm-1' });
+
+    const activities = db.raw('studentactivities');
+    assert.deepEqual(activities.map(activity => String(activity.student)).sort(), [student._id, other._id].map(String).sort());
+    assert.ok(activities.every(activity => activity.event === 'email_sent' && activity.subject === 'Your visa checklist'));
+  });
+
+  it('never lets a failed timeline entry break the action that caused it', async (t) => {
+    t.mock.method(StudentActivity, 'insertMany', async () => {
+      throw new Error('Database unavailable');
+    });
+
+    await assert.doesNotReject(recordSystemEvent(student._id, 'stage_changed'));
+  });
+});
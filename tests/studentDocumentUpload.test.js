@@ -0,0 +1,115 @@
+require('./helpers/env');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const Counselor = require('../models/CounselorsModel');
+const { DOCUMENT_STORAGE_DIR } = require('../config/document.multer.config');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+// Signed-in staff member; authentication itself is not under test here
+const auth = require('../middlewares/authMiddleware');
+let currentUser;
+auth.authMiddleware = (req, res, next) => {
+  req.user = currentUser;
+  next();
+};
+auth.authorizeRoles = () => (req, res, next) => next();
+
+const studentDocumentRoutes = require('../routes/studentDocumentRoutes');
+
+const db = useMemoryDb();
+
+const app = express().use(express.json()).use('/api/student/:id/documents', studentDocumentRoutes);
+
+const upload = async (baseUrl, id) => {
+  const form = new FormData();
+  form.append('kind', 'passport');
+  form.append('file', new Blob(['%PDF-1.4 test'], { type: 'application/pdf' }), 'passport.pdf');
+  const response = await fetch(`${baseUrl}/api/student/${id}/documents`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+};
+
+const listStorage = () => (fs.existsSync(DOCUMENT_STORAGE_DIR) ? fs.readdirSync(DOCUMENT_STORAGE_DIR) : []);
+
+describe('student document upload', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    db.clear();
+    currentUser = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+    fs.rmSync(DOCUMENT_STORAGE_DIR, { recursive: true, force: true });
+  });
+
+  const createStudent = () => Student.create({
+    firstName: 'Sita',
+    lastName: 'Sharma',
+    email: 'sita@example.com',
+    mobile: '+9779841234567',
+    office: new mongoose.Types.ObjectId(),
+    topics: 'Study abroad',
+    destinations: 'Australia'
+  });
+
+  it('stores the file under the student directory', async () => {
+    const student = await createStudent();
+
+    const { status } = await upload(baseUrl, student._id);
+
+    assert.equal(status, 201);
+    const [document] = await StudentDocument.find({ student: student._id }).select('+versions.storagePath');
+    const { storagePath } = document.versions[0];
+    assert.equal(path.dirname(path.resolve(DOCUMENT_STORAGE_DIR, storagePath)), path.join(DOCUMENT_STORAGE_DIR, String(student._id)));
+    assert.ok(fs.existsSync(path.resolve(DOCUMENT_STORAGE_DIR, storagePath)));
+  });
+
+  it('rejects ids that are not ids before anything is written', async () => {
+    const { status } = await upload(baseUrl, '..%2F..%2Fescaped');
+
+    assert.equal(status, 404);
+    assert.deepEqual(listStorage(), []);
+    assert.ok(!fs.existsSync(path.join(DOCUMENT_STORAGE_DIR, '..', '..', 'escaped')));
+  });
+
+  it('writes nothing for unknown students or students outside the counselor scope', async () => {
+    const student = await createStudent();
+    const unknown = await upload(baseUrl, new mongoose.Types.ObjectId());
+    currentUser = { id: new mongoose.Types.ObjectId(), role: 'counselor', email: 'counselor@example.com' };
+    await Counselor.collection.insertOne({ name: 'Ram', user: currentUser.id });
+    const outOfScope = await upload(baseUrl, student._id);
+
+    assert.equal(unknown.status, 404);
+    assert.equal(outOfScope.status, 404);
+    assert.deepEqual(listStorage(), []);
+    assert.equal(await StudentDocument.countDocuments(), 0);
+  });
+
+  it('answers malformed student and document ids with 404', async () => {
+    const student = await createStudent();
+    const request = async (pathname, options) => (await fetch(`${baseUrl}/api/student/${pathname}`, options)).status;
+
+    assert.equal(await request('not-an-id/documents'), 404);
+    assert.equal(await request(`${student._id}/documents/not-an-id/download`), 404);
+    assert.equal(await request(`${student._id}/documents/not-an-id/versions/1/download`), 404);
+    assert.equal(await request(`${student._id}/documents/not-an-id/review`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status: 'verified' })
+    }), 404);
+  });
+});
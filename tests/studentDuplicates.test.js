@@ -0,0 +1,166 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const Application = require('../models/ApplicationModel');
+const Appointment = require('../models/appointmentModel');
+const Notification = require('../models/notificationModel');
+const StudentActivity = require('../models/StudentActivityModel');
+const Task = require('../models/TaskModel');
+const VisaCase = require('../models/VisaCaseModel');
+const AdClick = require('../models/AdClickModel');
+const { compareStudents, findDuplicateCandidates, mergeStudents } = require('../utils/studentDuplicates');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+const createStudent = (overrides = {}) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  ...overrides
+});
+
+const version = (name, uploadedAt) => ({
+  version: 1,
+  fileName: name,
+  originalName: name,
+  storagePath: `/storage/${name}`,
+  uploadedAt
+});
+
+describe('compareStudents', () => {
+  it('matches on email or mobile alone', () => {
+    assert.deepEqual(compareStudents(
+      { firstName: 'A', lastName: 'B', email: 'x@example.com', mobile: '+9779841234567' },
+      { firstName: 'C', lastName: 'D', email: 'x@example.com', mobile: '+9779800000000' }
+    ).reasons, ['email']);
+    assert.deepEqual(compareStudents(
+      { firstName: 'A', lastName: 'B', email: 'x@example.com', mobile: '+9779841234567' },
+      { firstName: 'C', lastName: 'D', email: 'y@example.com', mobile: '+9779841234567' }
+    ).reasons, ['mobile']);
+  });
+
+  it('does not match different people', () => {
+    const { reasons } = compareStudents(
+      { firstName: 'Sita', lastName: 'Sharma', email: 'sita@example.com', mobile: '+9779841234567' },
+      { firstName: 'Ram', lastName: 'Thapa', email: 'ram@example.com', mobile: '+9779812345678' }
+    );
+    assert.deepEqual(reasons, []);
+  });
+});
+
+describe('findDuplicateCandidates', () => {
+  beforeEach(() => db.clear());
+
+  it('finds an existing student by encrypted mobile number', async () => {
+    const existing = await createStudent({ email: 'old@example.com' });
+
+    const matches = await findDuplicateCandidates({ firstName: 'Sita', lastName: 'Sharma', email: 'new@example.com', mobile: '+9779841234567' });
+
+    assert.deepEqual(matches.map(match => String(match.student._id)), [String(existing._id)]);
+    assert.ok(matches[0].reasons.includes('mobile'));
+  });
+});
+
+describe('mergeStudents', () => {
+  beforeEach(() => db.clear());
+
+  it('combines the records and deletes the duplicate', async () => {
+    const counselor = new mongoose.Types.ObjectId();
+    const primary = await createStudent({
+      topics: 'Study abroad',
+      healthIssues: 'None',
+      academics: [{ level: 'see_slc', gpa: 3.2 }]
+    });
+    const secondary = await createStudent({
+      email: 'sita.sharma@example.com',
+      topics: 'Visa, study abroad',
+      destinations: 'Canada',
+      healthIssues: 'Asthma',
+      academics: [{ level: 'see_slc', gpa: 2.0 }, { level: 'plus_two', gpa: 3.0 }],
+      englishTests: [{ test: 'IELTS', overall: 6.5, testDate: new Date('2025-01-10') }],
+      assignedCounselor: counselor,
+      assignedAt: new Date()
+    });
+    const other = await createStudent({ email: 'other@example.com', possibleDuplicates: [secondary._id] });
+
+    await mergeStudents(primary, secondary, { mergedBy: new mongoose.Types.ObjectId() });
+
+    const merged = await Student.findById(primary._id);
+    assert.equal(merged.topics, 'Study abroad, Visa');
+    assert.equal(merged.destinations, 'Australia, Canada');
+    assert.equal(merged.healthIssues, 'Asthma');
+    assert.deepEqual(merged.academics.map(record => [record.level, record.gpa]), [['see_slc', 3.2], ['plus_two', 3]]);
+    assert.deepEqual(merged.englishTests.map(test => test.test), ['IELTS']);
+    assert.equal(String(merged.assignedCounselor), String(counselor));
+    assert.equal(merged.mergedFrom.length, 1);
+    assert.equal(String(merged.mergedFrom[0].studentId), String(secondary._id));
+    assert.equal(merged.mergedFrom[0].email, 'sita.sharma@example.com');
+
+    assert.equal(await Student.findById(secondary._id), null);
+    assert.deepEqual((await Student.findById(other._id)).possibleDuplicates, []);
+  });
+
+  it('re-points related records and folds same-kind documents into one history', async () => {
+    const primary = await createStudent();
+    const secondary = await createStudent({ email: 'sita.sharma@example.com' });
+
+    const kept = await StudentDocument.create({
+      student: primary._id,
+      kind: 'passport',
+      versions: [version('old-passport.pdf', new Date('2024-01-01'))],
+      currentVersion: 1
+    });
+    const folded = await StudentDocument.create({
+      student: secondary._id,
+      kind: 'passport',
+      versions: [{ ...version('new-passport.pdf', new Date('2025-01-01')), status: 'verified' }],
+      currentVersion: 1
+    });
+    const moved = await StudentDocument.create({
+      student: secondary._id,
+      kind: 'cv',
+      versions: [version('cv.pdf', new Date('2025-02-01'))],
+      currentVersion: 1
+    });
+
+    const related = { student: secondary._id };
+    const { insertedId: applicationId } = await Application.collection.insertOne({ ...related, offerLetters: [folded._id] });
+    const { insertedId: appointmentId } = await Appointment.collection.insertOne(related);
+    const { insertedId: activityId } = await StudentActivity.collection.insertOne(related);
+    const { insertedId: taskId } = await Task.collection.insertOne(related);
+    const { insertedId: visaCaseId } = await VisaCase.collection.insertOne(related);
+    const { insertedId: notificationId } = await Notification.collection.insertOne({ studentId: secondary._id });
+    const { insertedId: clickId } = await AdClick.collection.insertOne({ convertedStudent: secondary._id });
+
+    await mergeStudents(primary, secondary);
+
+    const passport = await StudentDocument.findById(kept._id).select('+versions.storagePath');
+    assert.deepEqual(passport.versions.map(entry => [entry.version, entry.fileName]), [[1, 'old-passport.pdf'], [2, 'new-passport.pdf']]);
+    assert.equal(passport.currentVersion, 2);
+    assert.equal(passport.status, 'verified');
+    assert.equal(passport.versions[1].storagePath, '/storage/new-passport.pdf');
+    assert.equal(await StudentDocument.findById(folded._id), null);
+    assert.equal(String((await StudentDocument.findById(moved._id)).student), String(primary._id));
+
+    const application = await Application.collection.findOne({ _id: applicationId });
+    assert.equal(String(application.student), String(primary._id));
+    assert.equal(String(application.office), String(primary.office));
+    assert.deepEqual(application.offerLetters.map(String), [String(kept._id)]);
+
+    for (const [Model, id] of [[Appointment, appointmentId], [StudentActivity, activityId], [Task, taskId], [VisaCase, visaCaseId]]) {
+      assert.equal(String((await Model.collection.findOne({ _id: id })).student), String(primary._id), Model.modelName);
+    }
+    assert.equal(String((await Notification.collection.findOne({ _id: notificationId })).studentId), String(primary._id));
+    assert.equal(String((await AdClick.collection.findOne({ _id: clickId })).convertedStudent), String(primary._id));
+  });
+});
@@ -0,0 +1,102 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const StudentImport = require('../models/StudentImportModel');
+const Office = require('../models/OfficeModel');
+const studentImportController = require('../controllers/studentImportController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+const CSV = [
+  'First Name,Last Name,Email,Mobile,Office,Topics,Destinations',
+  'Sita,Sharma,sita@example.com,9841234567,Kathmandu,Study abroad,Australia',
+  'Ram,Thapa,,9841234568,Kathmandu,Study abroad,Japan',
+  'Hari,Karki,sita@example.com,9841234569,kathmandu,IELTS,UK',
+  'Gita,Rai,gita@example.com,9841234570,Pokhara,Study abroad,Canada',
+  '',
+  'Maya,Gurung,maya@example.com,9841000000,Kathmandu,Study abroad,Australia'
+].join('\n');
+
+const upload = (controller, text = CSV) => {
+  const res = response();
+  return controller({ file: { originalname: 'leads.csv', buffer: Buffer.from(text) }, user }, res).then(() => res);
+};
+
+describe('student import', () => {
+  beforeEach(async () => {
+    db.clear();
+    await Office.collection.insertMany([
+      { name: 'Kathmandu', slug: 'kathmandu', isActive: true },
+      { name: 'Pokhara', slug: 'pokhara', isActive: false }
+    ]);
+    await Student.create({
+      firstName: 'Maya',
+      lastName: 'Gurung',
+      email: 'maya@example.com',
+      mobile: '+9779841999999',
+      office: new mongoose.Types.ObjectId(),
+      topics: 'Study abroad',
+      destinations: 'Australia'
+    });
+  });
+
+  it('reports every row on a dry run without saving anything', async () => {
+    const res = await upload(studentImportController.previewImport);
+
+    assert.equal(res.statusCode, 200);
+    const { data } = res.body;
+    assert.equal(data.totalRows, 5);
+    assert.equal(data.validRows, 2);
+    assert.equal(data.invalidRows, 3);
+    assert.equal(data.duplicateWarnings, 1);
+
+    const byRow = Object.fromEntries(data.rows.map(row => [row.row, row]));
+    assert.equal(byRow[2].status, 'valid');
+    assert.match(byRow[3].errors.join(), /email/i);
+    assert.deepEqual(byRow[4].errors, ['Same email as row 2']);
+    assert.deepEqual(byRow[5].errors, ['Unknown or inactive office "Pokhara"']);
+    assert.equal(byRow[7].status, 'valid');
+    assert.match(byRow[7].warnings[0], /^Possible duplicate of Maya Gurung <maya@example.com>/);
+
+    assert.equal(db.raw('students').length, 1);
+    assert.equal(db.raw('studentimports').length, 0);
+  });
+
+  it('imports the valid rows and keeps the others for the error report', async () => {
+    const res = await upload(studentImportController.commitImport);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.data.insertedCount, 2);
+    assert.equal(res.body.data.failedCount, 3);
+
+    const imported = await Student.find({ email: { $in: ['sita@example.com', 'maya@example.com'] } }).sort({ createdAt: 1 });
+    assert.equal(imported.length, 3);
+    const [office] = db.raw('offices');
+    assert.ok(imported.slice(1).every(student => student.office.equals(office._id)));
+    assert.equal(imported[2].possibleDuplicates.length, 1);
+
+    const studentImport = await StudentImport.findById(res.body.data.importId);
+    assert.equal(studentImport.insertedStudents.length, 2);
+
+    const report = response();
+    await studentImportController.downloadErrorReport({ params: { importId: String(studentImport._id) } }, report);
+    const lines = report.body.trim().split(/\r?\n/);
+    assert.equal(lines[0], 'Row,First Name,Last Name,Email,Mobile,Office,Topics,Destinations,Errors');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',')[0]), ['3', '4', '5']);
+  });
+
+  it('refuses a file without student rows', async () => {
+    const res = await upload(studentImportController.commitImport, 'First Name,Last Name\n\n');
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'The file has no student rows');
+  });
+});
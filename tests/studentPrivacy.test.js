@@ -0,0 +1,165 @@
+const { storageRoot } = require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const StudentImport = require('../models/StudentImportModel');
+const { DOCUMENT_STORAGE_DIR } = require('../config/document.multer.config');
+const { appendStudentDataExport, eraseStudent } = require('../utils/studentPrivacy');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+const createStudent = (overrides = {}) => Student.create({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  healthIssues: 'Asthma',
+  ...overrides
+});
+
+// Store a file in a student's folder, as the upload does
+const storeFile = (folderId, name, content) => {
+  const filePath = path.join(DOCUMENT_STORAGE_DIR, String(folderId), name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+const createDocument = (student, kind, files) => StudentDocument.create({
+  student: student._id,
+  kind,
+  versions: files.map(([originalName, storagePath], index) => ({
+    version: index + 1,
+    fileName: path.basename(storagePath),
+    originalName,
+    storagePath
+  })),
+  currentVersion: files.length
+});
+
+const exportToZip = async (student) => {
+  const zipPath = path.join(storageRoot, `export-${student._id}.zip`);
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver('zip');
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const missingFiles = await appendStudentDataExport(archive, student);
+  await archive.finalize();
+  await written;
+  return { zip: new AdmZip(zipPath), missingFiles };
+};
+
+describe('student data export and erasure', () => {
+  let student;
+  let ownFile;
+  let mergedFile;
+  let otherStudentFile;
+
+  beforeEach(async () => {
+    db.clear();
+    fs.rmSync(DOCUMENT_STORAGE_DIR, { recursive: true, force: true });
+
+    student = await createStudent();
+    const other = await createStudent({ email: 'other@example.com' });
+
+    ownFile = storeFile(student._id, 'doc-1.pdf', 'passport scan');
+    // Moved over from a merged duplicate, so still in that record's folder
+    mergedFile = storeFile(other._id, 'doc-2.pdf', 'old transcript');
+    otherStudentFile = storeFile(other._id, 'doc-3.pdf', 'not hers');
+
+    await createDocument(student, 'passport', [['passport.pdf', ownFile]]);
+    await createDocument(student, 'academic_transcript', [['transcript.pdf', mergedFile]]);
+  });
+
+  it('puts every stored document file in the export', async () => {
+    const { zip, missingFiles } = await exportToZip(student);
+
+    assert.deepEqual(missingFiles, []);
+    assert.equal(zip.readAsText('documents/passport/v1-passport.pdf'), 'passport scan');
+    assert.equal(zip.readAsText('documents/academic_transcript/v1-transcript.pdf'), 'old transcript');
+    assert.ok(zip.getEntry('report.pdf'));
+
+    const data = JSON.parse(zip.readAsText('data.json'));
+    assert.equal(data.student.mobile, '+9779841234567');
+    assert.equal(data.documents.length, 2);
+    assert.ok(!JSON.stringify(data).includes(DOCUMENT_STORAGE_DIR), 'storage paths stay internal');
+  });
+
+  it('lists files that are gone from storage as missing', async () => {
+    fs.rmSync(ownFile);
+
+    const { zip, missingFiles } = await exportToZip(student);
+
+    assert.deepEqual(missingFiles, ['documents/passport/v1-passport.pdf']);
+    assert.deepEqual(JSON.parse(zip.readAsText('data.json')).missingFiles, missingFiles);
+  });
+
+  it('removes the student and every document file from disk', async () => {
+    const result = await eraseStudent(student, { mode: 'delete' });
+
+    assert.equal(result.documents, 2);
+    assert.ok(!fs.existsSync(ownFile));
+    assert.ok(!fs.existsSync(mergedFile));
+    assert.ok(!fs.existsSync(path.join(DOCUMENT_STORAGE_DIR, String(student._id))));
+    assert.ok(fs.existsSync(otherStudentFile));
+    assert.equal(await Student.findById(student._id), null);
+    assert.equal(await StudentDocument.countDocuments({ student: student._id }), 0);
+  });
+
+  it('keeps an anonymous record without personal data when anonymizing', async () => {
+    await eraseStudent(student, { mode: 'anonymize' });
+
+    assert.ok(!fs.existsSync(ownFile));
+    assert.ok(!fs.existsSync(mergedFile));
+
+    const raw = db.raw('students').find(entry => String(entry._id) === String(student._id));
+    assert.equal(raw.firstName, 'Erased');
+    assert.equal(raw.mobile, undefined);
+    assert.equal(raw.mobileIndex, undefined);
+    assert.equal(raw.healthIssues, undefined);
+    assert.ok(raw.erasedAt instanceof Date);
+    assert.equal(String(raw.office), String(student.office));
+  });
+
+  it('drops failed import rows holding the student\'s email, mobile number or name', async () => {
+    const fields = { importedBy: new mongoose.Types.ObjectId(), columns: ['First Name', 'Last Name', 'Email', 'Mobile', 'Health'] };
+    const inserted = await StudentImport.create({ ...fields, fileName: 'fair.csv', insertedStudents: [student._id] });
+    const failed = await StudentImport.create({
+      ...fields,
+      fileName: 'leads.xlsx',
+      failedCount: 5,
+      failedRowData: JSON.stringify([
+        { row: 2, cells: ['Sita', 'Sharma', '', '9841234567', 'Asthma'], messages: ['Email is required'] },
+        { row: 3, cells: ['S.', 'Sharma', 'sita-at-example.com', '+977 984-123-4567', ''], messages: ['Invalid email'] },
+        { row: 4, cells: [' sita ', 'SHARMA', 'sita@', '', 'Asthma'], messages: ['Invalid email'] },
+        { row: 5, cells: ['Gita', 'Thapa', 'gita@example.com', '9812345678', ''], messages: ['Unknown office'] },
+        { row: 6, cells: ['', '', ' SITA@example.com ', '', ''], messages: ['First name is required'] }
+      ])
+    });
+
+    const result = await eraseStudent(student, { mode: 'anonymize' });
+
+    assert.equal(result.imports, 2);
+    assert.deepEqual((await StudentImport.findById(inserted._id)).insertedStudents, []);
+    const kept = await StudentImport.findById(failed._id).select('+failedRowData +failedRows');
+    assert.deepEqual(kept.getFailedRows().map(row => row.row), [5]);
+    const raw = db.raw('studentimports').find(entry => String(entry._id) === String(failed._id));
+    assert.ok(!raw.failedRowData.includes('Gita'));
+  });
+});
@@ -0,0 +1,81 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const Notification = require('../models/notificationModel');
+const QuarantinedSubmission = require('../models/QuarantinedSubmissionModel');
+const { releaseSubmission } = require('../controllers/studentQuarantineController');
+const { logger } = require('../utils/logger.util');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const quarantine = (overrides = {}) => QuarantinedSubmission.quarantine({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  ...overrides
+}, { reasons: ['too_fast'], ipAddress: '203.0.113.1' });
+
+const release = async (submission) => {
+  const res = response();
+  await releaseSubmission({ params: { submissionId: String(submission._id) }, user: { id: new mongoose.Types.ObjectId() } }, res);
+  return res;
+};
+
+describe('releaseSubmission', () => {
+  beforeEach(() => db.clear());
+
+  it('registers the student and drops the stored copy of the form', async () => {
+    const submission = await quarantine();
+
+    const res = await release(submission);
+
+    assert.equal(res.statusCode, 201);
+    const [stored] = db.raw('quarantinedsubmissions');
+    assert.equal(stored.status, 'released');
+    assert.equal(String(stored.releasedStudent), String(res.body.data._id));
+    assert.equal(stored.payload, undefined);
+    assert.equal(await Student.countDocuments(), 1);
+  });
+
+  it('stays released when a step after creating the student fails', async (t) => {
+    const submission = await quarantine();
+    t.mock.method(Notification, 'create', async () => { throw new Error('Notification store unavailable'); });
+    t.mock.method(logger, 'error', () => {});
+
+    const failed = await release(submission);
+
+    assert.equal(failed.statusCode, 500);
+    const [student] = db.raw('students');
+    const [stored] = db.raw('quarantinedsubmissions');
+    assert.equal(stored.status, 'released');
+    assert.equal(String(stored.releasedStudent), String(student._id));
+    assert.equal(stored.payload, undefined);
+
+    const retried = await release(submission);
+    assert.equal(retried.statusCode, 409);
+    assert.equal(await Student.countDocuments(), 1);
+  });
+
+  it('goes back to the queue when the student could not be created', async () => {
+    const submission = await quarantine({ firstName: '' });
+
+    const res = await release(submission);
+
+    assert.equal(res.statusCode, 400);
+    const [stored] = db.raw('quarantinedsubmissions');
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.releasedBy, null);
+    assert.ok(stored.payload);
+    assert.equal(await Student.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,124 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const { registerStudent } = require('../utils/studentRegistration');
+const studentController = require('../controllers/studentController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const formData = (overrides = {}) => ({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita@example.com',
+  mobile: '+9779841234567',
+  mobileCountry: 'NP',
+  office: new mongoose.Types.ObjectId(),
+  topics: 'Study abroad',
+  destinations: 'Australia',
+  ...overrides
+});
+
+describe('registerStudent', () => {
+  beforeEach(() => db.clear());
+
+  it('stores the form fields', async () => {
+    const student = await registerStudent(formData({ healthIssues: 'Asthma' }));
+
+    const stored = await Student.findById(student._id);
+    assert.equal(stored.firstName, 'Sita');
+    assert.equal(stored.mobile, '+9779841234567');
+    assert.equal(stored.healthIssues, 'Asthma');
+    assert.equal(stored.stage, 'new_inquiry');
+  });
+
+  it('ignores pipeline, assignment, merge, erasure and portal fields in the body', async () => {
+    const counselor = new mongoose.Types.ObjectId();
+    const student = await registerStudent(formData({
+      stage: 'enrolled',
+      stageHistory: [{ to: 'enrolled' }],
+      assignedCounselor: counselor,
+      assignedAt: new Date(),
+      mergedFrom: [{ studentId: new mongoose.Types.ObjectId(), firstName: 'Other' }],
+      notDuplicateOf: [new mongoose.Types.ObjectId()],
+      erasedAt: new Date(),
+      portalTokenHash: Student.hashPortalToken('known-token'),
+      createdAt: new Date('2001-01-01')
+    }));
+
+    const [stored] = db.raw('students');
+    assert.equal(String(stored._id), String(student._id));
+    assert.equal(stored.stage, 'new_inquiry');
+    assert.deepEqual(stored.stageHistory.map(change => change.to), ['new_inquiry']);
+    assert.equal(stored.assignedCounselor, null);
+    assert.deepEqual(stored.mergedFrom, []);
+    assert.deepEqual(stored.notDuplicateOf, []);
+    assert.equal(stored.erasedAt, null);
+    assert.equal(stored.portalTokenHash, undefined);
+    assert.notEqual(stored.createdAt.getFullYear(), 2001);
+  });
+
+  it('derives the lead source and duplicates itself, whatever the body says', async () => {
+    const match = await registerStudent(formData({ email: 'other@example.com' }));
+    const student = await registerStudent(formData({
+      leadSource: {
+        utmSource: 'newsletter',
+        channel: 'paid_search',
+        ad: new mongoose.Types.ObjectId(),
+        capturedAt: '2001-01-01'
+      },
+      'leadSource.channel': 'paid_social',
+      possibleDuplicates: [new mongoose.Types.ObjectId()]
+    }), { duplicates: [{ student: match }] });
+
+    const stored = db.raw('students').find(doc => String(doc._id) === String(student._id));
+    assert.equal(stored.leadSource.channel, 'email');
+    assert.equal(stored.leadSource.utm.source, 'newsletter');
+    assert.equal(stored.leadSource.ad, undefined);
+    assert.notEqual(stored.leadSource.capturedAt.getFullYear(), 2001);
+    assert.deepEqual(stored.possibleDuplicates.map(String), [String(match._id)]);
+  });
+});
+
+describe('updateStudent', () => {
+  beforeEach(() => db.clear());
+
+  it('only changes the editable fields', async () => {
+    const student = await registerStudent(formData());
+    const req = {
+      params: { id: String(student._id) },
+      studentScope: {},
+      body: {
+        ...formData({ firstName: 'Gita' }),
+        passport: { number: 'PA1234567' },
+        stage: 'enrolled',
+        assignedCounselor: new mongoose.Types.ObjectId(),
+        possibleDuplicates: [new mongoose.Types.ObjectId()],
+        leadSource: { channel: 'paid_search', ad: new mongoose.Types.ObjectId() },
+        'leadSource.channel': 'paid_social',
+        erasedAt: new Date(),
+        portalTokenHash: Student.hashPortalToken('known-token')
+      }
+    };
+    const res = response();
+
+    await studentController.updateStudent(req, res);
+
+    assert.equal(res.statusCode, 200);
+    const [stored] = db.raw('students');
+    assert.equal(stored.firstName, 'Gita');
+    assert.equal(stored.stage, 'new_inquiry');
+    assert.equal(stored.assignedCounselor, null);
+    assert.deepEqual(stored.possibleDuplicates, []);
+    assert.equal(stored.leadSource.channel, 'direct');
+    assert.equal(stored.leadSource.ad, undefined);
+    assert.equal(stored.erasedAt, null);
+    assert.equal(stored.portalTokenHash, undefined);
+    assert.equal((await Student.findById(student._id)).passport.number, 'PA1234567');
+  });
+});
@@ -0,0 +1,88 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Task = require('../models/TaskModel');
+const User = require('../models/userModels');
+const Notification = require('../models/notificationModel');
+// Populated on the reminded tasks
+require('../models/studentModel');
+const taskCron = require('../utils/taskCron');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const db = useMemoryDb();
+
+const HOUR = 60 * 60 * 1000;
+// 11:45 in Kathmandu
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+const office = new mongoose.Types.ObjectId();
+const assignee = new mongoose.Types.ObjectId();
+
+const createTask = (title, dueAt, fields = {}) => Task.create({
+  student: new mongoose.Types.ObjectId(),
+  office,
+  title,
+  assignee,
+  dueAt,
+  ...fields
+});
+
+const addAdmin = async (username, fields = {}) => {
+  const { insertedId } = await User.collection.insertOne({ username, email: `${username}@example.com`, role: 'admin', active: true, office: null, ...fields });
+  return insertedId;
+};
+
+describe('task reminders', () => {
+  beforeEach((t) => {
+    db.clear();
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  });
+
+  it('reminds assignees of tasks due today or overdue, once a day', async (t) => {
+    await createTask('Call back', new Date(NOW.getTime() - 2 * HOUR));
+    await createTask('Send offer letter', new Date(NOW.getTime() + 6 * HOUR));
+    await createTask('Book IELTS', new Date(NOW.getTime() + 13 * HOUR));
+    await createTask('Done already', new Date(NOW.getTime() - 2 * HOUR), { status: 'done' });
+
+    assert.equal(await taskCron.sendDueReminders(), 2);
+
+    const notifications = db.raw('notifications');
+    assert.deepEqual(notifications.map(notification => notification.type).sort(), ['task_due', 'task_overdue']);
+    assert.ok(notifications.every(notification => String(notification.recipient) === String(assignee)));
+    assert.match(notifications.find(notification => notification.type === 'task_overdue').message, /^Overdue task for a deleted student: "Call back"/);
+
+    t.mock.timers.tick(3 * HOUR);
+    assert.equal(await taskCron.sendDueReminders(), 0);
+
+    // The next morning in Kathmandu
+    t.mock.timers.tick(18 * HOUR);
+    assert.equal(await taskCron.sendDueReminders(), 3);
+  });
+
+  it('escalates tasks more than two days overdue to the admins of their office, once', async () => {
+    const officeAdmin = await addAdmin('office-admin', { office });
+    await addAdmin('head-office-admin');
+    await addAdmin('other-office-admin', { office: new mongoose.Types.ObjectId() });
+    await createTask('Collect transcripts', new Date(NOW.getTime() - 50 * HOUR));
+    await createTask('Recent', new Date(NOW.getTime() - 10 * HOUR));
+
+    assert.equal(await taskCron.escalateOverdueTasks(), 1);
+    assert.deepEqual(db.raw('notifications').map(notification => String(notification.recipient)), [String(officeAdmin)]);
+
+    assert.equal(await taskCron.escalateOverdueTasks(), 0);
+    assert.equal(await Notification.countDocuments(), 1);
+  });
+
+  it('escalates to the admins without an office when the office has none', async () => {
+    const headOfficeAdmin = await addAdmin('head-office-admin');
+    await addAdmin('inactive-admin', { active: false });
+    await createTask('Collect transcripts', new Date(NOW.getTime() - 50 * HOUR));
+
+    await taskCron.escalateOverdueTasks();
+
+    assert.deepEqual(db.raw('notifications').map(notification => String(notification.recipient)), [String(headOfficeAdmin)]);
+  });
+});
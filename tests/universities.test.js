@@ -0,0 +1,62 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Country = require('../models/CountryModel');
+const University = require('../models/UniversityModel');
+const universityController = require('../controllers/universityController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { role: 'admin', email: 'admin@example.com' };
+
+const createUniversity = async (body) => {
+  const res = response();
+  await universityController.createUniversity({ body, user }, res);
+  return res;
+};
+
+describe('university slugs', () => {
+  beforeEach(async () => {
+    db.clear();
+    await Country.collection.insertMany([
+      { name: 'Australia', slug: 'australia', requiredDocuments: [] },
+      { name: 'United Kingdom', slug: 'uk', requiredDocuments: [] }
+    ]);
+  });
+
+  it('adds the country when another country has a university of the same name', async () => {
+    const first = await createUniversity({ name: 'University of Wollongong', country: 'australia' });
+    const second = await createUniversity({ name: 'University of Wollongong', country: 'uk' });
+
+    assert.equal(first.statusCode, 201);
+    assert.equal(second.statusCode, 201);
+    assert.equal(first.body.data.slug, 'university-of-wollongong');
+    assert.equal(second.body.data.slug, 'university-of-wollongong-uk');
+  });
+
+  it('refuses the same name twice in one country', async () => {
+    await createUniversity({ name: 'Monash University', country: 'australia' });
+    const res = await createUniversity({ name: 'Monash University', country: 'australia' });
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, 'A university with this name already exists in this country');
+  });
+
+  it('follows a rename', async () => {
+    const created = await createUniversity({ name: 'Sydney Uni', country: 'australia' });
+
+    const res = response();
+    await universityController.updateUniversity({
+      params: { id: created.body.data.slug },
+      body: { name: 'University of Sydney' },
+      user
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal((await University.findById(created.body.data._id)).slug, 'university-of-sydney');
+  });
+});
@@ -0,0 +1,159 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Student = require('../models/studentModel');
+const Country = require('../models/CountryModel');
+const VisaCase = require('../models/VisaCaseModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+// Populated on the returned cases
+require('../models/OfficeModel');
+require('../models/userModels');
+const visaCaseController = require('../controllers/visaCaseController');
+const { useMemoryDb } = require('./helpers/memoryDb');
+const { response } = require('./helpers/response');
+
+const db = useMemoryDb();
+
+const user = { id: new mongoose.Types.ObjectId(), role: 'admin', email: 'admin@example.com' };
+
+const createCase = async (student, country) => {
+  const res = response();
+  await visaCaseController.createStudentVisaCase({
+    params: { id: String(student._id) },
+    studentScope: {},
+    body: { country: String(country) },
+    user
+  }, res);
+  return res;
+};
+
+const updateCase = async (caseId, body) => {
+  const res = response();
+  await visaCaseController.updateVisaCase({ params: { caseId: String(caseId) }, studentScope: {}, body, user }, res);
+  return res;
+};
+
+describe('visa cases', () => {
+  let student;
+  let country;
+
+  beforeEach(async () => {
+    db.clear();
+    student = await Student.create({
+      firstName: 'Sita',
+      lastName: 'Sharma',
+      email: 'sita@example.com',
+      mobile: '+9779841234567',
+      office: new mongoose.Types.ObjectId(),
+      topics: 'Study abroad',
+      destinations: 'Australia'
+    });
+    ({ insertedId: country } = await Country.collection.insertOne({ name: 'Australia', slug: 'australia', requiredDocuments: [] }));
+  });
+
+  it('allows one open case per student and destination', async () => {
+    const first = await createCase(student, country);
+    assert.equal(first.statusCode, 201);
+
+    const second = await createCase(student, country);
+    assert.equal(second.statusCode, 409);
+
+    await updateCase(first.body.data._id, { status: 'decided', outcome: 'refused' });
+    assert.equal((await createCase(student, country)).statusCode, 201);
+  });
+
+  it('refuses to reopen a case while another one is open', async () => {
+    const first = await createCase(student, country);
+    await updateCase(first.body.data._id, { status: 'withdrawn' });
+    await createCase(student, country);
+
+    const reopened = await updateCase(first.body.data._id, { status: 'lodged' });
+
+    assert.equal(reopened.statusCode, 409);
+    assert.equal(reopened.body.message, 'The student already has an open visa case for this country');
+    assert.equal((await VisaCase.findById(first.body.data._id)).status, 'withdrawn');
+  });
+
+  it('opens only one case when two requests race', async () => {
+    const results = await Promise.all([createCase(student, country), createCase(student, country)]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+    assert.equal(await VisaCase.countDocuments({ student: student._id }), 1);
+  });
+
+  it("checks the destination's documents against the student's vault", async () => {
+    await Country.collection.updateOne({ _id: country }, {
+      $set: {
+        requiredDocuments: [
+          { kind: 'passport', mandatory: true },
+          { kind: 'academic_transcript', label: '+2 transcript', mandatory: true },
+          { kind: 'photo', mandatory: false }
+        ]
+      }
+    });
+    await StudentDocument.collection.insertMany([
+      { student: student._id, kind: 'passport', label: '', status: 'verified' },
+      { student: student._id, kind: 'academic_transcript', label: '+2 transcript', status: 'rejected' },
+      { student: new mongoose.Types.ObjectId(), kind: 'photo', label: '', status: 'verified' }
+    ]);
+
+    const { body } = await createCase(student, country);
+
+    const { checklist } = body.data;
+    assert.deepEqual(checklist.items.map(item => [item.kind, item.status]), [
+      ['passport', 'verified'],
+      ['academic_transcript', 'rejected'],
+      ['photo', 'missing']
+    ]);
+    assert.deepEqual(checklist.missing.map(item => item.label), ['+2 transcript']);
+    assert.equal(checklist.complete, false);
+  });
+
+  it('puts lodgements and decisions on the timeline and clears the decision when reopened', async () => {
+    const { body } = await createCase(student, country);
+
+    const lodged = await updateCase(body.data._id, { status: 'lodged' });
+    assert.ok(lodged.body.data.lodgedAt);
+
+    const decided = await updateCase(body.data._id, { status: 'decided', outcome: 'refused', refusalReasons: ['Genuine student requirement not met'] });
+    assert.equal(decided.statusCode, 200);
+    assert.ok(decided.body.data.decidedAt);
+
+    const events = db.raw('studentactivities');
+    assert.deepEqual(events.map(activity => activity.event), ['visa_lodged', 'visa_decided']);
+    assert.equal(events[1].subject, 'Australia student visa refused');
+    assert.equal(events[1].body, 'Genuine student requirement not met');
+
+    await updateCase(body.data._id, { status: 'preparing' });
+    const reopened = await VisaCase.findById(body.data._id);
+    assert.equal(reopened.outcome, null);
+    assert.equal(reopened.decidedAt, null);
+    assert.deepEqual(reopened.refusalReasons, []);
+  });
+
+  it('only takes outcomes and refusal reasons on matching decisions', async () => {
+    const { body } = await createCase(student, country);
+
+    const noOutcome = await updateCase(body.data._id, { status: 'decided' });
+    assert.equal(noOutcome.statusCode, 400);
+    assert.match(noOutcome.body.message, /A decided case needs an outcome/);
+
+    const approved = await updateCase(body.data._id, { status: 'decided', outcome: 'approved', refusalReasons: ['Funds'] });
+    assert.equal(approved.statusCode, 400);
+    assert.match(approved.body.message, /Refusal reasons only apply to refused cases/);
+
+    const early = await updateCase(body.data._id, { outcome: 'approved' });
+    assert.match(early.body.message, /Only decided cases have an outcome/);
+  });
+
+  it('refuses unknown statuses and outcomes in the list filters', async () => {
+    const res = response();
+    await visaCaseController.getVisaCases({ query: { status: 'lodged', outcome: 'pending' }, studentScope: {} }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Invalid outcome: pending. Allowed values: approved, refused');
+  });
+});
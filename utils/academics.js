@@ -0,0 +1,206 @@
+const ACADEMIC_LEVELS = ['see_slc', 'plus_two', 'a_level', 'diploma', 'bachelor', 'master', 'other'];
+
+const ACADEMIC_LEVEL_LABELS = {
+  see_slc: 'SEE/SLC',
+  plus_two: '+2',
+  a_level: 'A Level',
+  diploma: 'Diploma',
+  bachelor: "Bachelor's",
+  master: "Master's",
+  other: 'Other'
+};
+
+const ENGLISH_TESTS = ['IELTS', 'PTE', 'TOEFL', 'Duolingo'];
+const ENGLISH_TEST_BANDS = ['listening', 'reading', 'writing', 'speaking'];
+
+// Score rules per test: range and step for the overall score and for each band.
+// Duolingo reports subscores that do not map onto the four bands, so only the overall is kept.
+const ENGLISH_TEST_RULES = {
+  IELTS: { overall: { min: 0, max: 9, step: 0.5 }, band: { min: 0, max: 9, step: 0.5 } },
+  PTE: { overall: { min: 10, max: 90, step: 1 }, band: { min: 10, max: 90, step: 1 } },
+  TOEFL: { overall: { min: 0, max: 120, step: 1 }, band: { min: 0, max: 30, step: 1 } },
+  Duolingo: { overall: { min: 10, max: 160, step: 5 }, band: null }
+};
+
+const isOnStep = (value, step) => Math.abs(value / step - Math.round(value / step)) < 1e-9;
+
+const checkScore = (label, value, rule) => {
+  if (value < rule.min || value > rule.max) {
+    return `${label} must be between ${rule.min} and ${rule.max}`;
+  }
+  if (!isOnStep(value, rule.step)) {
+    return `${label} must be in steps of ${rule.step}`;
+  }
+  return null;
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Validate an English test entry against the rules of its test.
+ * Returns a list of { field, message }; empty when valid.
+ */
+const validateEnglishTest = (test) => {
+  const rules = ENGLISH_TEST_RULES[test.test];
+  if (!rules) {
+    return [{ field: 'test', message: `Test must be one of: ${ENGLISH_TESTS.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (!hasValue(test.overall)) {
+    errors.push({ field: 'overall', message: `${test.test} overall score is required` });
+  } else {
+    const message = checkScore(`${test.test} overall score`, Number(test.overall), rules.overall);
+    if (message) errors.push({ field: 'overall', message });
+  }
+
+  const bands = ENGLISH_TEST_BANDS.filter(band => hasValue(test[band]));
+  if (!rules.band) {
+    bands.forEach(band => errors.push({ field: band, message: `${test.test} does not report a ${band} score` }));
+    return errors;
+  }
+
+  bands.forEach(band => {
+    const message = checkScore(`${test.test} ${band} score`, Number(test[band]), rules.band);
+    if (message) errors.push({ field: band, message });
+  });
+
+  // With all four bands present the overall must agree with them
+  if (errors.length === 0 && bands.length === ENGLISH_TEST_BANDS.length) {
+    const scores = ENGLISH_TEST_BANDS.map(band => Number(test[band]));
+    const sum = scores.reduce((total, score) => total + score, 0);
+
+    if (test.test === 'TOEFL' && sum !== Number(test.overall)) {
+      errors.push({ field: 'overall', message: `TOEFL overall score must equal the sum of the sections (${sum})` });
+    }
+    // IELTS rounds the band average to the nearest half band (x.25 up to x.5, x.75 up to x+1)
+    if (test.test === 'IELTS' && Math.round((sum / 4) * 2) / 2 !== Number(test.overall)) {
+      errors.push({ field: 'overall', message: `IELTS overall band does not match the band scores (expected ${Math.round((sum / 4) * 2) / 2})` });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate an academic entry: known level, a GPA (0-4) or a percentage (0-100) but not both,
+ * and a plausible passing year. Entries migrated from free text may have no score at all.
+ */
+const validateAcademicRecord = (record) => {
+  const errors = [];
+  if (!ACADEMIC_LEVELS.includes(record.level)) {
+    errors.push({ field: 'level', message: `Level must be one of: ${ACADEMIC_LEVELS.join(', ')}` });
+  }
+  if (hasValue(record.gpa) && hasValue(record.percentage)) {
+    errors.push({ field: 'gpa', message: 'Provide either a GPA or a percentage, not both' });
+  }
+  if (hasValue(record.gpa) && !(Number(record.gpa) >= 0 && Number(record.gpa) <= 4)) {
+    errors.push({ field: 'gpa', message: 'GPA must be between 0 and 4' });
+  }
+  if (hasValue(record.percentage) && !(Number(record.percentage) >= 0 && Number(record.percentage) <= 100)) {
+    errors.push({ field: 'percentage', message: 'Percentage must be between 0 and 100' });
+  }
+  if (hasValue(record.passingYear)) {
+    const year = Number(record.passingYear);
+    if (!Number.isInteger(year) || year < 1950 || year > new Date().getFullYear() + 1) {
+      errors.push({ field: 'passingYear', message: 'Passing year must be a valid year (AD)' });
+    }
+  }
+  if (!hasValue(record.gpa) && !hasValue(record.percentage) && !hasValue(record.legacyText)) {
+    errors.push({ field: 'gpa', message: 'A GPA or a percentage is required' });
+  }
+  return errors;
+};
+
+const LEGACY_PLACEHOLDERS = ['', 'n/a', 'na', 'none', '-', 'nil'];
+
+const STREAMS = ['Science', 'Management', 'Humanities', 'Education', 'Law', 'Commerce', 'Arts', 'Engineering', 'Nursing'];
+
+const BOARDS = [
+  [/\bNEB\b/i, 'NEB'],
+  [/\bHSEB\b/i, 'HSEB'],
+  [/\bCBSE\b/i, 'CBSE'],
+  [/cambridge/i, 'Cambridge'],
+  [/\bTU\b|tribhuvan/i, 'Tribhuvan University'],
+  [/\bKU\b|kathmandu university/i, 'Kathmandu University'],
+  [/\bPU\b|pokhara university/i, 'Pokhara University'],
+  [/purbanchal/i, 'Purbanchal University']
+];
+
+/**
+ * Best-effort conversion of the old free-text result fields ("3.6 GPA NEB 2079",
+ * "72% Science 2018") into an academic entry. The original text is always kept in
+ * legacyText. Returns null for empty placeholders like "N/A".
+ */
+const parseLegacyAcademic = (level, text) => {
+  const original = String(text || '').trim();
+  if (LEGACY_PLACEHOLDERS.includes(original.toLowerCase())) return null;
+
+  const record = { level, legacyText: original };
+  let rest = original;
+
+  const yearMatch = rest.match(/\b(19[5-9]\d|20\d\d)\b/);
+  if (yearMatch) {
+    let year = Number(yearMatch[1]);
+    // Nepali results are often dated in Bikram Sambat, about 57 years ahead of AD
+    if (year > new Date().getFullYear() + 1) year -= 57;
+    if (year >= 1950 && year <= new Date().getFullYear() + 1) record.passingYear = year;
+    rest = rest.replace(yearMatch[0], ' ');
+  }
+
+  const percentMatch = rest.match(/(\d{1,3}(?:\.\d+)?)\s*(%|percent)/i);
+  const numberMatch = rest.match(/\d+(?:\.\d+)?/);
+  if (percentMatch && Number(percentMatch[1]) <= 100) {
+    record.percentage = Number(percentMatch[1]);
+  } else if (numberMatch) {
+    const value = Number(numberMatch[0]);
+    if (value <= 4) record.gpa = value;
+    else if (value <= 100) record.percentage = value;
+  }
+
+  const stream = STREAMS.find(name => new RegExp(`\\b${name}\\b`, 'i').test(rest));
+  if (stream) record.stream = stream;
+
+  const board = BOARDS.find(([pattern]) => pattern.test(rest));
+  if (board) record.board = board[1];
+
+  return record;
+};
+
+// Academic entries for the legacy slc / plusTwo / bachelor text fields
+const academicsFromLegacy = ({ slc, plusTwo, bachelor }) => [
+  parseLegacyAcademic('see_slc', slc),
+  parseLegacyAcademic('plus_two', plusTwo),
+  parseLegacyAcademic('bachelor', bachelor)
+].filter(Boolean);
+
+// Short human readable summary, e.g. "+2: GPA 3.2 (NEB, Science, 2021)"
+const formatAcademicRecord = (record) => {
+  const score = hasValue(record.gpa)
+    ? `GPA ${record.gpa}`
+    : hasValue(record.percentage) ? `${record.percentage}%` : record.legacyText || '';
+  const details = [record.board, record.stream, record.passingYear].filter(Boolean).join(', ');
+  return `${ACADEMIC_LEVEL_LABELS[record.level] || record.level}: ${score}${details ? ` (${details})` : ''}`;
+};
+
+// e.g. "IELTS 6.5 (L 7, R 6.5, W 6, S 6.5)"
+const formatEnglishTest = (test) => {
+  const bands = ENGLISH_TEST_BANDS
+    .filter(band => hasValue(test[band]))
+    .map(band => `${band[0].toUpperCase()} ${test[band]}`);
+  return `${test.test} ${test.overall}${bands.length ? ` (${bands.join(', ')})` : ''}`;
+};
+
+module.exports = {
+  ACADEMIC_LEVELS,
+  ACADEMIC_LEVEL_LABELS,
+  ENGLISH_TESTS,
+  ENGLISH_TEST_BANDS,
+  ENGLISH_TEST_RULES,
+  validateEnglishTest,
+  validateAcademicRecord,
+  parseLegacyAcademic,
+  academicsFromLegacy,
+  formatAcademicRecord,
+  formatEnglishTest
+};
@@ -0,0 +1,127 @@
+// Slot calculation for counselor appointments.
+// Availability is published in office local time; all offices are in Nepal (UTC+05:45, no DST).
+// Offices are ObjectIds (or id strings from a query), so they are compared as strings.
+const OFFICE_UTC_OFFSET_MINUTES = 5 * 60 + 45;
+const MAX_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameOffice = (a, b) => String(a) === String(b);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Local calendar date (YYYY-MM-DD) and weekday of a UTC instant
+const toLocalDate = (date) => {
+  const local = new Date(date.getTime() + OFFICE_UTC_OFFSET_MINUTES * 60 * 1000);
+  return {
+    date: local.toISOString().slice(0, 10),
+    dayOfWeek: local.getUTCDay()
+  };
+};
+
+// UTC instant for a local date and minutes past local midnight
+const fromLocal = (localDate, minutes) => {
+  const midnightUtc = Date.parse(`${localDate}T00:00:00.000Z`);
+  return new Date(midnightUtc + (minutes - OFFICE_UTC_OFFSET_MINUTES) * 60 * 1000);
+};
+
+// Working hours for one local date, with exceptions applied
+const getHoursForDate = (availability, localDate, dayOfWeek, office) => {
+  const exceptions = (availability.exceptions || []).filter(exception =>
+    exception.date === localDate && (!exception.office || !office || sameOffice(exception.office, office))
+  );
+
+  // A replacement-hours exception overrides the weekly pattern for its office
+  const replacements = exceptions.filter(exception =>
+    !exception.isUnavailable && exception.startTime && exception.endTime
+  );
+  const closedOffices = new Set(
+    exceptions.filter(exception => exception.isUnavailable).map(exception => (exception.office ? String(exception.office) : '*'))
+  );
+
+  const weekly = (availability.weekly || []).filter(block =>
+    block.dayOfWeek === dayOfWeek && (!office || sameOffice(block.office, office))
+  );
+
+  const blocks = [];
+  for (const block of weekly) {
+    if (closedOffices.has('*') || closedOffices.has(String(block.office))) continue;
+    if (replacements.some(exception => !exception.office || sameOffice(exception.office, block.office))) continue;
+    blocks.push(block);
+  }
+
+  for (const exception of replacements) {
+    const exceptionOffices = exception.office
+      ? [exception.office]
+      : [...new Map((availability.weekly || []).map(block => [String(block.office), block.office])).values()];
+
+    for (const exceptionOffice of exceptionOffices) {
+      if (office && !sameOffice(exceptionOffice, office)) continue;
+      blocks.push({ office: exceptionOffice, startTime: exception.startTime, endTime: exception.endTime });
+    }
+  }
+
+  return blocks;
+};
+
+/**
+ * Generate all published slots for a counselor between two instants.
+ * Returns [{ startsAt, endsAt, office }] sorted by start time.
+ */
+const generateSlots = (availability, { from, to, office } = {}) => {
+  const slotMs = availability.slotMinutes * 60 * 1000;
+  const rangeEnd = new Date(Math.min(to.getTime(), from.getTime() + MAX_RANGE_DAYS * DAY_MS));
+  const slots = [];
+
+  for (let cursor = from.getTime(); cursor <= rangeEnd.getTime() + DAY_MS; cursor += DAY_MS) {
+    const { date, dayOfWeek } = toLocalDate(new Date(cursor));
+
+    for (const block of getHoursForDate(availability, date, dayOfWeek, office)) {
+      const blockStart = fromLocal(date, toMinutes(block.startTime)).getTime();
+      const blockEnd = fromLocal(date, toMinutes(block.endTime)).getTime();
+
+      for (let start = blockStart; start + slotMs <= blockEnd; start += slotMs) {
+        if (start < from.getTime() || start >= rangeEnd.getTime()) continue;
+        slots.push({
+          startsAt: new Date(start),
+          endsAt: new Date(start + slotMs),
+          office: block.office
+        });
+      }
+    }
+  }
+
+  // Adjacent days can yield the same slot when the range crosses local midnight
+  const unique = new Map(slots.map(slot => [`${slot.startsAt.getTime()}:${slot.office}`, slot]));
+  return [...unique.values()].sort((a, b) => a.startsAt - b.startsAt);
+};
+
+// The published slot starting exactly at `startsAt`, or null if there is none
+const findSlot = (availability, startsAt, office) => {
+  const start = new Date(startsAt);
+  if (Number.isNaN(start.getTime())) return null;
+
+  const slots = generateSlots(availability, {
+    from: new Date(start.getTime() - DAY_MS),
+    to: new Date(start.getTime() + DAY_MS),
+    office
+  });
+
+  return slots.find(slot => slot.startsAt.getTime() === start.getTime()) || null;
+};
+
+// Remove slots that are in the past or already booked
+const removeTakenSlots = (slots, bookedStarts, now = new Date()) => {
+  const taken = new Set(bookedStarts.map(date => new Date(date).getTime()));
+  return slots.filter(slot => slot.startsAt > now && !taken.has(slot.startsAt.getTime()));
+};
+
+module.exports = {
+  OFFICE_UTC_OFFSET_MINUTES,
+  MAX_RANGE_DAYS,
+  generateSlots,
+  findSlot,
+  removeTakenSlots
+};
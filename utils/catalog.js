@@ -0,0 +1,43 @@
+const University = require('../models/UniversityModel');
+const Program = require('../models/ProgramModel');
+const { isObjectId, escapeRegex } = require('./requestHelpers');
+
+// A university by id or slug, or null
+const findUniversity = (value) => {
+  if (!value) return Promise.resolve(null);
+  return isObjectId(value)
+    ? University.findById(value)
+    : University.findOne({ slug: String(value).trim().toLowerCase() });
+};
+
+// Case-insensitive "contains" match for search boxes
+const containsPattern = (text) => new RegExp(escapeRegex(String(text).trim()), 'i');
+
+/**
+ * Active partner universities of a country with their active programs,
+ * for the public study-abroad pages.
+ */
+const getCountryCatalog = async (countryId) => {
+  const universities = await University.find({ country: countryId, isActive: true, isPartner: true })
+    .sort({ ranking: 1, name: 1 })
+    .select('name slug city website ranking')
+    .lean();
+
+  const programs = await Program.find({ university: { $in: universities.map(university => university._id) }, isActive: true })
+    .sort({ level: 1, name: 1 })
+    .select('university name level field durationMonths tuition intakeMonths')
+    .lean();
+
+  return universities.map(university => ({
+    ...university,
+    programs: programs
+      .filter(program => program.university.equals(university._id))
+      .map(({ university: _university, ...program }) => program)
+  }));
+};
+
+module.exports = {
+  findUniversity,
+  containsPattern,
+  getCountryCatalog
+};
@@ -0,0 +1,18 @@
+const Country = require('../models/CountryModel');
+const { isObjectId, escapeRegex } = require('./requestHelpers');
+
+// A country by id, slug or name (case-insensitive), or null
+const findCountry = (value) => {
+  if (!value) return Promise.resolve(null);
+  if (isObjectId(value)) return Country.findById(value);
+  return Country.findOne({
+    $or: [
+      { slug: String(value).trim().toLowerCase() },
+      { name: new RegExp(`^${escapeRegex(String(value).trim())}$`, 'i') }
+    ]
+  });
+};
+
+module.exports = {
+  findCountry
+};
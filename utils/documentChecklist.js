@@ -0,0 +1,87 @@
+const Country = require('../models/CountryModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const { escapeRegex } = require('./requestHelpers');
+
+// Split the free-text destinations of a student into country names
+const getDestinationNames = (student) => [student.destinations, student.otherDestination]
+  .filter(Boolean)
+  .join(',')
+  .split(/[,/;&]|\band\b/i)
+  .map(name => name.trim())
+  .filter(Boolean);
+
+// Countries in the catalog matching the student's destinations (by name or slug)
+const findDestinationCountries = (student) => {
+  const names = getDestinationNames(student);
+  if (names.length === 0) return [];
+
+  return Country.find({
+    $or: names.flatMap(name => [
+      { name: new RegExp(`^${escapeRegex(name)}$`, 'i') },
+      { slug: name.toLowerCase().replace(/\s+/g, '-') }
+    ])
+  }).select('name slug requiredDocuments');
+};
+
+/**
+ * Check a student's documents against the requirements of the given countries.
+ * Requirements of all countries are merged by kind and label; an item is mandatory
+ * if any country requires it. Each item reports the review status of the matching
+ * document, or 'missing' when nothing usable has been uploaded.
+ */
+const checklistFor = (countries, docs) => {
+  const items = new Map();
+  for (const country of countries) {
+    for (const requirement of country.requiredDocuments || []) {
+      const key = `${requirement.kind}:${requirement.label || ''}`;
+      const item = items.get(key) || {
+        kind: requirement.kind,
+        label: requirement.label || '',
+        mandatory: false,
+        notes: [],
+        countries: []
+      };
+      item.mandatory = item.mandatory || requirement.mandatory;
+      if (requirement.notes) item.notes.push(requirement.notes);
+      item.countries.push(country.name);
+      items.set(key, item);
+    }
+  }
+
+  const checklist = [...items.values()].map(item => {
+    // A labelled requirement needs that exact document; an unlabelled one accepts any of the kind
+    const candidates = docs.filter(doc =>
+      doc.kind === item.kind && (!item.label || doc.label === item.label)
+    );
+    const best = candidates.find(doc => doc.status === 'verified')
+      || candidates.find(doc => doc.status === 'pending')
+      || candidates[0];
+
+    return {
+      ...item,
+      status: best ? best.status : 'missing',
+      document: best ? best._id : null
+    };
+  });
+
+  return {
+    countries: countries.map(country => ({ _id: country._id, name: country.name, slug: country.slug })),
+    items: checklist,
+    missing: checklist.filter(item => item.mandatory && ['missing', 'rejected'].includes(item.status)),
+    complete: checklist.every(item => !item.mandatory || item.status === 'verified')
+  };
+};
+
+// Document checklist for all of the student's destinations
+const buildChecklist = async (student, documents) => {
+  const countries = await findDestinationCountries(student);
+  const docs = documents || await StudentDocument.find({ student: student._id });
+  return checklistFor(countries, docs);
+};
+
+module.exports = {
+  getDestinationNames,
+  findDestinationCountries,
+  checklistFor,
+  buildChecklist
+};
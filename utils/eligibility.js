@@ -0,0 +1,274 @@
+const { ACADEMIC_LEVEL_LABELS, ENGLISH_TEST_BANDS } = require('./academics');
+
+// Rough order of qualifications; a higher one satisfies a lower requirement
+const ACADEMIC_RANK = { see_slc: 1, plus_two: 2, a_level: 2, diploma: 3, bachelor: 4, master: 5 };
+
+// Program levels a student can move on to from their highest completed qualification
+const NEXT_LEVELS = {
+  see_slc: ['foundation', 'certificate', 'diploma'],
+  plus_two: ['foundation', 'certificate', 'diploma', 'bachelor'],
+  a_level: ['foundation', 'certificate', 'diploma', 'bachelor'],
+  diploma: ['diploma', 'bachelor'],
+  bachelor: ['master'],
+  master: ['master', 'doctorate']
+};
+
+// Checks that only rank results and never make a student ineligible
+const SOFT_RULES = ['field'];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const check = (rule, passed, message, source) => ({
+  rule,
+  status: passed === null ? 'unknown' : (passed ? 'passed' : 'failed'),
+  message,
+  source
+});
+
+const formatMoney = (amount, currency) => `${currency} ${Math.round(amount).toLocaleString('en-US')}`;
+
+// The result a requirement is judged on: the one at the required level, else the highest one
+const pickAcademicRecord = (academics, level) => {
+  const scored = academics.filter(record => hasValue(record.gpa) || hasValue(record.percentage));
+  if (level) {
+    const exact = scored.find(record => record.level === level);
+    if (exact) return exact;
+  }
+  return [...scored].sort((a, b) =>
+    (ACADEMIC_RANK[b.level] || 0) - (ACADEMIC_RANK[a.level] || 0) || (b.passingYear || 0) - (a.passingYear || 0)
+  )[0] || null;
+};
+
+const describeEnglishRequirement = (requirement) =>
+  `${requirement.test} ${requirement.overall}${hasValue(requirement.minimumBand) ? ` with no band below ${requirement.minimumBand}` : ''}`;
+
+// Judge one accepted test against the student's best score in it: true, false or null (bands unknown)
+const meetsEnglishRequirement = (requirement, taken) => {
+  if (taken.overall < requirement.overall) return false;
+  if (!hasValue(requirement.minimumBand)) return true;
+  const bands = ENGLISH_TEST_BANDS.map(band => taken[band]).filter(hasValue);
+  if (bands.some(score => score < requirement.minimumBand)) return false;
+  return bands.length === ENGLISH_TEST_BANDS.length ? true : null;
+};
+
+// Any one of the accepted tests is enough
+const checkEnglish = (accepted, tests, source) => {
+  const outcomes = accepted
+    .map(requirement => {
+      const taken = tests
+        .filter(test => test.test === requirement.test)
+        .sort((a, b) => b.overall - a.overall)[0];
+      return taken ? { requirement, taken, result: meetsEnglishRequirement(requirement, taken) } : null;
+    })
+    .filter(Boolean);
+
+  const passed = outcomes.find(outcome => outcome.result === true);
+  if (passed) {
+    return check('english', true, `${passed.taken.test} ${passed.taken.overall} meets the required ${describeEnglishRequirement(passed.requirement)}`, source);
+  }
+  const unknown = outcomes.find(outcome => outcome.result === null);
+  if (unknown) {
+    return check('english', null, `${unknown.taken.test} ${unknown.taken.overall} meets the overall score; all band scores are needed to check the minimum band of ${unknown.requirement.minimumBand}`, source);
+  }
+  if (outcomes.length > 0) {
+    const { requirement, taken } = outcomes[0];
+    return check('english', false, `${taken.test} ${taken.overall} does not meet the required ${describeEnglishRequirement(requirement)}`, source);
+  }
+  return check('english', false, `Requires ${accepted.map(describeEnglishRequirement).join(' or ')}`, source);
+};
+
+/**
+ * Check a student profile ({ academics, englishTests }) against entry requirements of a
+ * program or a country rule. Returns a list of { rule, status, message, source } where
+ * status is passed, failed or unknown (not enough information to tell).
+ */
+const evaluateRequirements = (requirements = {}, profile, source) => {
+  const checks = [];
+  const academics = profile.academics || [];
+  const { academicLevel, minimumGpa, minimumPercentage } = requirements;
+
+  if (academicLevel) {
+    const highest = Math.max(0, ...academics.map(record => ACADEMIC_RANK[record.level] || 0));
+    const label = ACADEMIC_LEVEL_LABELS[academicLevel];
+    checks.push(highest >= (ACADEMIC_RANK[academicLevel] || 0)
+      ? check('academic_level', true, `Has completed ${label} or higher`, source)
+      : check('academic_level', false, `Requires ${label} to be completed`, source));
+  }
+
+  if (hasValue(minimumGpa) || hasValue(minimumPercentage)) {
+    const record = pickAcademicRecord(academics, academicLevel);
+    const label = record && ACADEMIC_LEVEL_LABELS[record.level];
+
+    if (!record) {
+      checks.push(check('academic_score', false, 'No academic result given', source));
+    } else if (hasValue(record.gpa) && hasValue(minimumGpa)) {
+      const passed = record.gpa >= minimumGpa;
+      checks.push(check('academic_score', passed, `${label} GPA ${record.gpa} ${passed ? 'meets' : 'is below'} the minimum of ${minimumGpa}`, source));
+    } else if (hasValue(record.percentage) && hasValue(minimumPercentage)) {
+      const passed = record.percentage >= minimumPercentage;
+      checks.push(check('academic_score', passed, `${label} result of ${record.percentage}% ${passed ? 'meets' : 'is below'} the minimum of ${minimumPercentage}%`, source));
+    } else {
+      const required = hasValue(minimumGpa) ? `a GPA of ${minimumGpa}` : `${minimumPercentage}%`;
+      checks.push(check('academic_score', null, `${label} result is ${hasValue(record.gpa) ? 'a GPA' : 'a percentage'}, the requirement is ${required}`, source));
+    }
+  }
+
+  if (requirements.englishTests?.length > 0) {
+    checks.push(checkEnglish(requirements.englishTests, profile.englishTests || [], source));
+  }
+
+  return checks;
+};
+
+const checkStudyGap = (maxYears, academics, source) => {
+  const years = academics.map(record => record.passingYear).filter(hasValue);
+  if (years.length === 0) {
+    return check('study_gap', null, `Passing year not given; the longest accepted study gap is ${maxYears} years`, source);
+  }
+  const gap = new Date().getFullYear() - Math.max(...years);
+  return check('study_gap', gap <= maxYears, `Study gap of ${gap} year${gap === 1 ? '' : 's'} ${gap <= maxYears ? 'is within' : 'exceeds'} the ${maxYears} years accepted`, source);
+};
+
+// Whether the student could study at one of the given program levels next
+const checkStudyLevel = (levels, academics, source) => {
+  const highest = [...academics]
+    .filter(record => ACADEMIC_RANK[record.level])
+    .sort((a, b) => ACADEMIC_RANK[b.level] - ACADEMIC_RANK[a.level])[0];
+  if (!highest) {
+    return check('study_level', null, `Academic level not given; open to ${levels.join(', ')} students`, source);
+  }
+  const next = NEXT_LEVELS[highest.level];
+  const passed = levels.some(level => next.includes(level));
+  return check('study_level', passed, `${ACADEMIC_LEVEL_LABELS[highest.level]} graduates ${passed ? 'can' : 'cannot'} go on to ${levels.join(' or ')} study`, source);
+};
+
+// Rules of a country that apply at a program level; rules without a level apply to every level
+const countryRulesFor = (country, level) =>
+  (country.eligibilityRules || []).filter(rule => !rule.level || rule.level === level);
+
+const evaluateCountryRules = (rules, profile) => rules.flatMap(rule => [
+  ...evaluateRequirements(rule, profile, 'country'),
+  ...(hasValue(rule.maxStudyGapYears) ? [checkStudyGap(rule.maxStudyGapYears, profile.academics || [], 'country')] : [])
+]);
+
+// Amount in the base currency, or null without a rate
+const toBase = (money, rates) => (rates[money.currency] ? money.amount * rates[money.currency] : null);
+
+const yearlyTuition = (program) => {
+  const { amount, currency, period } = program.tuition || {};
+  if (!hasValue(amount) || !currency) return null;
+  if (period === 'semester') return { amount: amount * 2, currency };
+  if (period === 'total') return program.durationMonths ? { amount: (amount * 12) / program.durationMonths, currency } : null;
+  return { amount, currency };
+};
+
+/**
+ * Yearly tuition plus the country's living cost against a yearly budget, all converted
+ * into the base currency with the given rate table ({ NPR: 1, AUD: 88.4, ... }).
+ * Returns { check, yearlyCost } where yearlyCost is null when it cannot be worked out.
+ */
+const checkBudget = (program, country, budget, rates, baseCurrency) => {
+  const tuition = yearlyTuition(program);
+  if (!tuition) {
+    return { check: check('budget', null, 'Tuition fee is not in the catalog', 'program'), yearlyCost: null };
+  }
+  const tuitionCost = toBase(tuition, rates);
+  if (tuitionCost === null) {
+    return { check: check('budget', null, `No exchange rate for ${tuition.currency} to compare the tuition with the budget`, 'program'), yearlyCost: null };
+  }
+
+  const living = country?.livingCost;
+  const livingCost = hasValue(living?.amount) && living.currency ? toBase(living, rates) : null;
+  const yearlyCost = tuitionCost + (livingCost || 0);
+  const budgetAmount = toBase(budget, rates);
+  const withinBudget = yearlyCost <= budgetAmount;
+
+  const breakdown = livingCost === null
+    ? 'tuition only, living costs not known'
+    : `tuition ${formatMoney(tuitionCost, baseCurrency)} + living ${formatMoney(livingCost, baseCurrency)}`;
+
+  return {
+    check: check('budget', withinBudget, `Yearly cost of about ${formatMoney(yearlyCost, baseCurrency)} (${breakdown}) is ${withinBudget ? 'within' : 'over'} the budget of ${formatMoney(budgetAmount, baseCurrency)}`, 'program'),
+    yearlyCost
+  };
+};
+
+const summarize = (checks) => {
+  const hard = checks.filter(item => !SOFT_RULES.includes(item.rule));
+  return {
+    eligible: !hard.some(item => item.status === 'failed'),
+    passed: hard.filter(item => item.status === 'passed').length,
+    failed: hard.filter(item => item.status === 'failed').length,
+    unknown: hard.filter(item => item.status === 'unknown').length
+  };
+};
+
+/**
+ * Evaluate one program for a profile: the country rules for the program's level,
+ * the program's own entry requirements, the budget and the preferred field.
+ *
+ *   profile: { academics, englishTests, budget: { amount, currency }, fieldPattern }
+ *   options: { rates, baseCurrency }
+ */
+const evaluateProgram = (program, country, profile, { rates, baseCurrency }) => {
+  const checks = [
+    ...evaluateCountryRules(countryRulesFor(country, program.level), profile),
+    ...evaluateRequirements(program.entryRequirements, profile, 'program')
+  ];
+
+  let yearlyCost = null;
+  if (profile.budget) {
+    const budget = checkBudget(program, country, profile.budget, rates, baseCurrency);
+    checks.push(budget.check);
+    yearlyCost = budget.yearlyCost;
+  }
+
+  let fieldMatch = null;
+  if (profile.fieldPattern) {
+    fieldMatch = profile.fieldPattern.test(program.field) || profile.fieldPattern.test(program.name);
+    checks.push(check('field', fieldMatch, `${program.field} ${fieldMatch ? 'matches' : 'is not'} the preferred field`, 'program'));
+  }
+
+  return {
+    ...summarize(checks),
+    fieldMatch,
+    yearlyCost: yearlyCost === null ? null : { amount: Math.round(yearlyCost), currency: baseCurrency },
+    checks
+  };
+};
+
+/**
+ * Evaluate a scholarship for a profile ({ academics, englishTests }): the program levels
+ * it is open to, its eligibility criteria and the longest study gap it accepts.
+ */
+const evaluateScholarship = (scholarship, profile) => {
+  const academics = profile.academics || [];
+  const eligibility = scholarship.eligibility || {};
+  const checks = [
+    ...(scholarship.levels?.length > 0 ? [checkStudyLevel(scholarship.levels, academics, 'scholarship')] : []),
+    ...evaluateRequirements(eligibility, profile, 'scholarship'),
+    ...(hasValue(eligibility.maxStudyGapYears) ? [checkStudyGap(eligibility.maxStudyGapYears, academics, 'scholarship')] : [])
+  ];
+
+  return { ...summarize(checks), checks };
+};
+
+// Eligible first, then the preferred field, fewer failed and unknown checks, and the lower cost
+const compareResults = (a, b) =>
+  (b.eligible - a.eligible)
+  || ((b.fieldMatch === true) - (a.fieldMatch === true))
+  || (a.failed - b.failed)
+  || (a.unknown - b.unknown)
+  || ((a.yearlyCost?.amount ?? Infinity) - (b.yearlyCost?.amount ?? Infinity));
+
+module.exports = {
+  SOFT_RULES,
+  evaluateRequirements,
+  evaluateCountryRules,
+  countryRulesFor,
+  evaluateProgram,
+  evaluateScholarship,
+  summarize,
+  compareResults,
+  formatMoney
+};
@@ -2,6 +2,7 @@ const nodemailer = require('nodemailer');
 const EmailConfig = require('../models/EmailConfigModel');
 const EmailAnalytics = require('../models/EmailAnalyticsModel');
 const { logger } = require('./logger.util');
+const { recordEmailSent } = require('./studentActivity');
 
 class EmailService {
   constructor() {
@@ -59,8 +60,9 @@ class EmailService {
     }
   }
 
-  // Send single email with performance tracking
-  async sendEmail(to, subject, html, ipAddress = 'unknown') {
+  // Send single email with performance tracking.
+  // `options` is passed through to nodemailer (e.g. attachments, icalEvent).
+  async sendEmail(to, subject, html, ipAddress = 'unknown', options = {}) {
     const startTime = Date.now();
     
     if (!this.transporter) {
@@ -72,7 +74,8 @@ class EmailService {
         from: `"${this.currentConfig.fromName}" <${this.currentConfig.email}>`,
         to: to,
         subject: subject,
-        html: html
+        html: html,
+        ...options
       });
 
       const sendTime = Date.now() - startTime;
@@ -85,6 +88,10 @@ class EmailService {
       await this.currentConfig.recordSuccessfulSend(sendTime);
 
       logger.info(`✅ Email sent to: ${to} (${sendTime}ms)`);
+
+      // Shows up on the activity timeline of any student the email went to
+      recordEmailSent(to, subject, { messageId: result.messageId });
+
       return { 
         success: true, 
         messageId: result.messageId,
@@ -1,63 +1,135 @@
-import crypto from 'crypto';
+const crypto = require('crypto');
 
-export class EncryptionService {
+// Stored values look like enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64 parts),
+// so encrypted and legacy plaintext values can be told apart and rotated by key.
+const PREFIX = 'enc';
+
+/**
+ * Keys come from ENCRYPTION_KEYS="2026b:<secret>,2026a:<secret>": the first key encrypts,
+ * every listed key can still decrypt. A single ENCRYPTION_KEY is used as key "1".
+ * BLIND_INDEX_KEY keys the blind indexes; it is separate so that removing old encryption
+ * keys after a rotation leaves every stored hash valid, and it must never change.
+ * Secrets that are base64 for 32 bytes are used as-is, anything else is stretched with scrypt.
+ */
+const parseKey = (secret) => {
+  const raw = Buffer.from(secret, 'base64');
+  return raw.length === 32 ? raw : crypto.scryptSync(secret, 'shirijanga-field-encryption', 32);
+};
+
+class EncryptionService {
   static algorithm = 'aes-256-gcm';
-  
-  static deriveKey(secret) {
-    return crypto.scryptSync(secret, 'salt', 32);
-  }
-  
-  static encrypt(text, documentId) {
-    const key = this.deriveKey(process.env.ENCRYPTION_KEY);
-    const iv = crypto.randomBytes(16);
-    
-    const cipher = crypto.createCipher(this.algorithm, key);
-    cipher.setAAD(Buffer.from(documentId));
-    
-    let encrypted = cipher.update(text, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    const authTag = cipher.getAuthTag();
-    
+
+  static keyring = null;
+
+  static loadKeys() {
+    const keys = new Map();
+    const list = process.env.ENCRYPTION_KEYS
+      ? process.env.ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean)
+      : (process.env.ENCRYPTION_KEY ? [`1:${process.env.ENCRYPTION_KEY}`] : []);
+
+    list.forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator < 1) throw new Error('ENCRYPTION_KEYS entries must look like <keyId>:<secret>');
+      keys.set(entry.slice(0, separator), parseKey(entry.slice(separator + 1)));
+    });
+
+    if (keys.size === 0) {
+      throw new Error('ENCRYPTION_KEYS or ENCRYPTION_KEY must be set to store sensitive fields');
+    }
+
+    if (!process.env.BLIND_INDEX_KEY) {
+      throw new Error('BLIND_INDEX_KEY must be set to look up and de-duplicate encrypted fields');
+    }
+    const blindIndexKey = parseKey(process.env.BLIND_INDEX_KEY);
+
+    this.keyring = { currentKeyId: keys.keys().next().value, keys, blindIndexKey };
+    return this.keyring;
+  }
+
+  // Re-read the keys from the environment (used by the key rotation script)
+  static reloadKeys() {
+    this.keyring = null;
+    return this.loadKeys();
+  }
+
+  static getKeyring() {
+    return this.keyring || this.loadKeys();
+  }
+
+  static currentKeyId() {
+    return this.getKeyring().currentKeyId;
+  }
+
+  static isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+  }
+
+  static keyIdOf(value) {
+    return this.isEncrypted(value) ? value.split(':')[1] : null;
+  }
+
+  /**
+   * Encrypt text with the current key. `context` (e.g. "Student.mobile") is bound
+   * as additional authenticated data, so a value cannot be moved to another field.
+   */
+  static encrypt(text, context = '') {
+    const { currentKeyId, keys } = this.getKeyring();
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv(this.algorithm, keys.get(currentKeyId), iv);
+    cipher.setAAD(Buffer.from(context));
+
+    const content = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
     return {
-      iv: iv.toString('hex'),
-      content: encrypted,
-      authTag: authTag.toString('hex')
+      keyId: currentKeyId,
+      iv: iv.toString('base64'),
+      content: content.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
     };
   }
-  
-  static decrypt(encryptedData, documentId) {
+
+  static decrypt(encryptedData, context = '') {
     try {
-      const key = this.deriveKey(process.env.ENCRYPTION_KEY);
-      const decipher = crypto.createDecipher(this.algorithm, key);
-      
-      decipher.setAAD(Buffer.from(documentId));
-      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-      
-      let decrypted = decipher.update(encryptedData.content, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
+      const key = this.getKeyring().keys.get(encryptedData.keyId);
+      if (!key) throw new Error(`unknown key "${encryptedData.keyId}"`);
+
+      const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(encryptedData.iv, 'base64'));
+      decipher.setAAD(Buffer.from(context));
+      decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'base64'));
+
+      return Buffer.concat([
+        decipher.update(Buffer.from(encryptedData.content, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
     } catch (error) {
       throw new Error(`Decryption failed: ${error.message}`);
     }
   }
-  
-  static encryptForStorage(text, documentId) {
-    const encrypted = this.encrypt(text, documentId);
-    return `${encrypted.iv}:${encrypted.content}:${encrypted.authTag}`;
+
+  static encryptForStorage(text, context) {
+    const encrypted = this.encrypt(text, context);
+    return [PREFIX, encrypted.keyId, encrypted.iv, encrypted.authTag, encrypted.content].join(':');
   }
-  
-  static decryptFromStorage(encryptedText, documentId) {
-    const parts = encryptedText.split(':');
-    if (parts.length !== 3) {
-      throw new Error('Invalid encrypted text format');
-    }
-    
-    return this.decrypt({
-      iv: parts[0],
-      content: parts[1],
-      authTag: parts[2]
-    }, documentId);
-  }
-}
\ No newline at end of file
+
+  // Values written before encryption was enabled are returned unchanged
+  static decryptFromStorage(storedText, context) {
+    if (!this.isEncrypted(storedText)) return storedText;
+
+    const [, keyId, iv, authTag, content] = storedText.split(':');
+    return this.decrypt({ keyId, iv, authTag, content }, context);
+  }
+
+  /**
+   * Deterministic keyed hash of a value, stored next to the ciphertext so exact-match
+   * lookups and duplicate checks work without decrypting.
+   */
+  static blindIndex(value, context = '') {
+    return crypto
+      .createHmac('sha256', this.getKeyring().blindIndexKey)
+      .update(`${context}\u0000${value}`)
+      .digest('hex');
+  }
+}
+
+module.exports = { EncryptionService };
@@ -0,0 +1,297 @@
+/**
+ * Mongoose plugin for field-level encryption of sensitive values.
+ *
+ * Fields are encrypted just before they are written (after validation, so validators
+ * see plaintext) and decrypted when documents are loaded, so application code only
+ * ever deals with plaintext. Encrypted values cannot be searched, so each blind
+ * index stores a keyed hash of a field next to it; equality filters on an indexed
+ * field ({ mobile: x }, $eq, $in) are rewritten to match the hash instead.
+ *
+ *   studentSchema.plugin(fieldEncryption, {
+ *     context: 'Student',
+ *     fields: ['mobile', 'healthIssues'],
+ *     blindIndexes: [{ field: 'mobile', path: 'mobileIndex' }]
+ *   });
+ *
+ * Aggregation results are not decrypted automatically; use Model.decryptFields().
+ * insertMany and bulkWrite bypass the encryption and are rejected or unsupported.
+ */
+const mongoose = require('mongoose');
+const { EncryptionService } = require('./encryption');
+const { logger } = require('./logger.util');
+
+const QUERY_HOOKS = [
+  'find', 'findOne', 'countDocuments',
+  'findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace',
+  'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+const LOGICAL_OPERATORS = ['$or', '$and', '$nor'];
+
+const hasValue = (value) => typeof value === 'string' && value !== '';
+
+// Read a dotted path from a plain object, accepting both { 'a.b': x } and { a: { b: x } }
+const readPath = (obj, path) => {
+  if (!obj) return undefined;
+  if (Object.prototype.hasOwnProperty.call(obj, path)) return obj[path];
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+};
+
+const writePath = (obj, path, value) => {
+  if (Object.prototype.hasOwnProperty.call(obj, path)) {
+    obj[path] = value;
+    return;
+  }
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  if (parent != null) parent[keys[keys.length - 1]] = value;
+};
+
+module.exports = function fieldEncryption(schema, { context, fields, blindIndexes = [] }) {
+  const indexes = blindIndexes.map(index => ({ normalize: value => value, ...index }));
+
+  // Hashes are only ever compared, never returned
+  indexes.forEach(index => {
+    schema.add({ [index.path]: { type: String, select: false, index: true } });
+  });
+
+  const fieldContext = (field) => `${context}.${field}`;
+  const hashFor = (index, value) => {
+    if (!hasValue(value)) return undefined;
+    const normalized = index.normalize(value);
+    return hasValue(normalized) ? EncryptionService.blindIndex(normalized, `${context}.${index.path}`) : undefined;
+  };
+
+  const encryptValue = (field, value) => (
+    hasValue(value) && !EncryptionService.isEncrypted(value)
+      ? EncryptionService.encryptForStorage(value, fieldContext(field))
+      : value
+  );
+
+  const decryptValue = (field, value) => {
+    if (!EncryptionService.isEncrypted(value)) return value;
+    try {
+      return EncryptionService.decryptFromStorage(value, fieldContext(field));
+    } catch (error) {
+      logger.error(`Could not decrypt ${fieldContext(field)}: ${error.message}`);
+      return value;
+    }
+  };
+
+  // Decrypt a plain object (lean result or aggregation output) in place
+  const decryptObject = (obj) => {
+    if (!obj || typeof obj !== 'object' || obj instanceof mongoose.Document) return obj;
+    fields.forEach(field => {
+      const value = readPath(obj, field);
+      if (EncryptionService.isEncrypted(value)) writePath(obj, field, decryptValue(field, value));
+    });
+    return obj;
+  };
+
+  const restorePlaintext = (doc) => {
+    const plaintext = doc.$locals.encryptedFieldPlaintext;
+    if (!plaintext) return;
+    Object.entries(plaintext).forEach(([field, value]) => {
+      doc.set(field, value);
+      doc.unmarkModified(field);
+    });
+    delete doc.$locals.encryptedFieldPlaintext;
+  };
+
+  // Runs after the built-in validation step of save()
+  schema.pre('save', function(next) {
+    try {
+      const plaintext = {};
+      fields.forEach(field => {
+        const fieldIndexes = indexes.filter(index => index.field === field);
+        // A blind index set directly is recomputed from the field
+        if (!this.isNew && !this.isModified(field) && !fieldIndexes.some(index => this.isModified(index.path))) return;
+        const value = this.get(field);
+
+        fieldIndexes.forEach(index => {
+          this.set(index.path, hasValue(value) ? hashFor(index, value) : undefined);
+        });
+
+        if (hasValue(value) && !EncryptionService.isEncrypted(value)) {
+          plaintext[field] = value;
+          this.set(field, encryptValue(field, value));
+        }
+      });
+      this.$locals.encryptedFieldPlaintext = plaintext;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post('save', function(doc) {
+    restorePlaintext(doc);
+  });
+
+  schema.post('save', function(error, doc, next) {
+    restorePlaintext(this);
+    next(error);
+  });
+
+  schema.post('init', function(doc) {
+    fields.forEach(field => {
+      const value = doc.get(field);
+      if (!EncryptionService.isEncrypted(value)) return;
+      doc.set(field, decryptValue(field, value));
+      doc.unmarkModified(field);
+    });
+  });
+
+  schema.pre('insertMany', function(next) {
+    next(new Error(`${context} has encrypted fields; create documents with create() or save() instead of insertMany()`));
+  });
+
+  // Rewrite equality conditions on encrypted fields to their blind index
+  const rewriteFilter = (filter) => {
+    if (!filter || typeof filter !== 'object') return filter;
+
+    return Object.entries(filter).reduce((result, [key, condition]) => {
+      if (LOGICAL_OPERATORS.includes(key) && Array.isArray(condition)) {
+        result[key] = condition.map(rewriteFilter);
+        return result;
+      }
+      if (!fields.includes(key) || condition === null || (condition && typeof condition === 'object' && '$exists' in condition)) {
+        result[key] = condition;
+        return result;
+      }
+
+      const index = indexes.find(candidate => candidate.field === key);
+      const isPlainValue = typeof condition === 'string';
+      const isOperator = condition && typeof condition === 'object' && !(condition instanceof RegExp)
+        && Object.keys(condition).every(operator => ['$eq', '$in'].includes(operator));
+
+      if (!index || !(isPlainValue || isOperator)) {
+        throw new Error(`${fieldContext(key)} is encrypted and can only be matched exactly${index ? '' : ' (no blind index)'}`);
+      }
+
+      if (isPlainValue) {
+        result[index.path] = hashFor(index, condition) ?? null;
+      } else {
+        result[index.path] = {};
+        if ('$eq' in condition) result[index.path].$eq = hashFor(index, condition.$eq) ?? null;
+        if ('$in' in condition) result[index.path].$in = condition.$in.map(value => hashFor(index, value) ?? null);
+      }
+      return result;
+    }, {});
+  };
+
+  schema.pre(QUERY_HOOKS, function(next) {
+    try {
+      this.setQuery(rewriteFilter(this.getFilter()));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Encrypt values written through update queries and keep blind indexes in step
+  schema.pre(UPDATE_HOOKS, function(next) {
+    try {
+      const update = this.getUpdate();
+      if (!update) return next();
+
+      const $set = update.$set || {};
+      const $unset = update.$unset || {};
+
+      fields.forEach(field => {
+        const fieldIndexes = indexes.filter(index => index.field === field);
+
+        if (readPath($unset, field) !== undefined) {
+          fieldIndexes.forEach(index => { $unset[index.path] = ''; });
+          return;
+        }
+
+        const target = readPath(update, field) !== undefined ? update : $set;
+        const value = readPath(target, field);
+        if (value === undefined) return;
+
+        fieldIndexes.forEach(index => {
+          if (hasValue(value)) {
+            $set[index.path] = hashFor(index, value);
+          } else {
+            $unset[index.path] = '';
+          }
+        });
+        writePath(target, field, encryptValue(field, value));
+      });
+
+      if (Object.keys($set).length > 0) update.$set = $set;
+      if (Object.keys($unset).length > 0) update.$unset = $unset;
+      this.setUpdate(update);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function(result) {
+    if (Array.isArray(result)) {
+      result.forEach(decryptObject);
+    } else {
+      decryptObject(result);
+    }
+  });
+
+  schema.statics.ENCRYPTED_FIELDS = fields;
+  schema.statics.BLIND_INDEX_PATHS = indexes.map(index => index.path);
+
+  // Decrypt plain objects, e.g. documents pushed by an aggregation
+  schema.statics.decryptFields = function(objects) {
+    if (Array.isArray(objects)) objects.forEach(decryptObject);
+    else decryptObject(objects);
+    return objects;
+  };
+
+  // Stored form of a plaintext value of `field`, for raw updates
+  schema.statics.encryptForStorage = function(field, value) {
+    if (!fields.includes(field)) throw new Error(`${context}.${field} is not encrypted`);
+    return encryptValue(field, value);
+  };
+
+  // Hash of a plaintext value for the blind index stored at `path`
+  schema.statics.blindIndex = function(path, value) {
+    const index = indexes.find(candidate => candidate.path === path);
+    if (!index) throw new Error(`${context} has no blind index ${path}`);
+    return hasValue(value) ? hashFor(index, value) : undefined;
+  };
+
+  /**
+   * Raw update that re-encrypts a stored document with the current key and
+   * recomputes its blind indexes, or null when it is already up to date.
+   * Plaintext values saved before encryption was enabled are encrypted too.
+   */
+  schema.statics.buildReencryptUpdate = function(raw) {
+    const $set = {};
+    const $unset = {};
+    const currentKeyId = EncryptionService.currentKeyId();
+
+    fields.forEach(field => {
+      const stored = readPath(raw, field);
+      if (!hasValue(stored)) return;
+
+      const plaintext = EncryptionService.decryptFromStorage(stored, fieldContext(field));
+      if (EncryptionService.keyIdOf(stored) !== currentKeyId) {
+        $set[field] = EncryptionService.encryptForStorage(plaintext, fieldContext(field));
+      }
+
+      // Values the normalization no longer accepts lose their stale hash
+      indexes.filter(index => index.field === field).forEach(index => {
+        const hash = hashFor(index, plaintext);
+        if (hash && raw[index.path] !== hash) $set[index.path] = hash;
+        if (!hash && raw[index.path] !== undefined) $unset[index.path] = '';
+      });
+    });
+
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    return Object.keys(update).length > 0 ? update : null;
+  };
+};
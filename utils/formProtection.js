@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { redis } = require('../config/redish');
+const { logger } = require('./logger.util');
+
+// Form tokens carry their own audience so they can never pass as session tokens (and vice versa)
+const FORM_AUDIENCE = 'consultation-form';
+const FORM_TOKEN_TTL_SECONDS = 2 * 60 * 60;
+// Nobody fills in the form faster than this
+const MIN_FILL_SECONDS = parseInt(process.env.FORM_MIN_FILL_SECONDS) || 5;
+// Leading zero bits the proof-of-work hash needs; 16 takes a browser well under a second
+const POW_DIFFICULTY = parseInt(process.env.FORM_POW_DIFFICULTY) || 16;
+// Hidden from people by the website, so only bots fill it in
+const HONEYPOT_FIELD = 'website';
+const PROTECTION_FIELDS = [HONEYPOT_FIELD, 'formToken', 'powSolution'];
+
+const RATE_LIMITS = {
+  ip: { max: parseInt(process.env.FORM_IP_LIMIT) || 5, windowSeconds: 60 * 60 },
+  email: { max: parseInt(process.env.FORM_EMAIL_LIMIT) || 3, windowSeconds: 24 * 60 * 60 }
+};
+
+const formSecret = () => process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Token the website fetches when it shows the form. It records when the form was
+ * shown and carries the proof-of-work challenge: find a solution for which
+ * sha256(`${token}:${solution}`) starts with `difficulty` zero bits.
+ */
+const issueFormToken = () => ({
+  token: jwt.sign(
+    { issuedAt: Date.now(), difficulty: POW_DIFFICULTY },
+    formSecret(),
+    {
+      expiresIn: FORM_TOKEN_TTL_SECONDS,
+      audience: FORM_AUDIENCE,
+      jwtid: crypto.randomBytes(12).toString('hex'),
+      algorithm: 'HS256'
+    }
+  ),
+  difficulty: POW_DIFFICULTY,
+  minFillSeconds: MIN_FILL_SECONDS,
+  expiresIn: FORM_TOKEN_TTL_SECONDS
+});
+
+const leadingZeroBits = (buffer) => {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+const solvesChallenge = (token, solution, difficulty) => {
+  if (solution === undefined || solution === null || String(solution).length > 64) return false;
+  return leadingZeroBits(sha256(`${token}:${solution}`)) >= difficulty;
+};
+
+// Redis errors let the submission through rather than blocking genuine students
+const exceedsLimit = async (key, { max, windowSeconds }) => {
+  try {
+    const count = await redis.incr(key);
+    if (count === 1) await redis.expire(key, windowSeconds);
+    return count > max;
+  } catch (error) {
+    logger.error('Consultation form rate limit check failed:', error);
+    return false;
+  }
+};
+
+// A token can be submitted once; false when it was used before
+const claimToken = async (claims) => {
+  try {
+    const ttl = Math.max(claims.exp - Math.floor(Date.now() / 1000), 1);
+    return (await redis.set(`form:token:${claims.jti}`, '1', 'EX', ttl, 'NX')) === 'OK';
+  } catch (error) {
+    logger.error('Consultation form token check failed:', error);
+    return true;
+  }
+};
+
+const checkFormToken = async (token, solution) => {
+  if (!token) return ['token_missing'];
+
+  let claims;
+  try {
+    claims = jwt.verify(String(token), formSecret(), { audience: FORM_AUDIENCE, algorithms: ['HS256'] });
+  } catch (error) {
+    return [error.name === 'TokenExpiredError' ? 'token_expired' : 'token_invalid'];
+  }
+
+  const reasons = [];
+  if (Date.now() - claims.issuedAt < MIN_FILL_SECONDS * 1000) reasons.push('too_fast');
+  if (!solvesChallenge(token, solution, claims.difficulty)) reasons.push('pow_failed');
+  if (!(await claimToken(claims))) reasons.push('token_reused');
+  return reasons;
+};
+
+/**
+ * Reasons to suspect a consultation form submission is spam; empty when it looks genuine.
+ * Every submission counts towards the per-IP and per-email limits, suspected or not.
+ */
+const screenSubmission = async (body, { ip } = {}) => {
+  const reasons = [];
+
+  if (body[HONEYPOT_FIELD]) reasons.push('honeypot');
+  reasons.push(...await checkFormToken(body.formToken, body.powSolution));
+
+  // The client's address only when TRUST_PROXY is set behind a reverse proxy (see server.js);
+  // otherwise every visitor shares the proxy's address and its limit
+  if (ip && await exceedsLimit(`form:ip:${ip}`, RATE_LIMITS.ip)) {
+    reasons.push('ip_rate_limited');
+  }
+  // Hashed so the email address is not kept in Redis
+  const email = String(body.email || '').trim().toLowerCase();
+  if (email && await exceedsLimit(`form:email:${sha256(email).toString('hex')}`, RATE_LIMITS.email)) {
+    reasons.push('email_rate_limited');
+  }
+
+  return reasons;
+};
+
+// Remove the protection fields so they are not stored with the student
+const stripProtectionFields = (body) => {
+  PROTECTION_FIELDS.forEach(field => { delete body[field]; });
+  return body;
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  issueFormToken,
+  solvesChallenge,
+  screenSubmission,
+  stripProtectionFields
+};
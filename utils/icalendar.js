@@ -0,0 +1,73 @@
+// Minimal iCalendar (RFC 5545) builder for appointment invites
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines longer than 75 octets must be folded
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest, 'utf8') > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut), 'utf8') > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+/**
+ * Build a VCALENDAR with a single event.
+ * method: 'REQUEST' for new/updated events, 'CANCEL' to remove them from calendars.
+ */
+const buildEvent = ({
+  uid,
+  sequence = 0,
+  method = 'REQUEST',
+  startsAt,
+  endsAt,
+  summary,
+  description,
+  location,
+  organizer,
+  attendees = []
+}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Shirijanga Education Consultancy//Appointments//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(startsAt)}`,
+    `DTEND:${formatDate(endsAt)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (organizer) {
+    lines.push(`ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`);
+  }
+  attendees.forEach(attendee => {
+    lines.push(`ATTENDEE;CN=${escapeText(attendee.name)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  });
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  buildEvent
+};
@@ -0,0 +1,114 @@
+const cron = require('node-cron');
+const Intake = require('../models/IntakeModel');
+const Notification = require('../models/notificationModel');
+const { findAffectedApplications } = require('./intakes');
+const { logger } = require('./logger.util');
+
+// Nepal has no daylight saving, so "today" is a fixed offset from UTC
+const KATHMANDU_OFFSET_MS = (5 * 60 + 45) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight in Kathmandu at the start of the current day
+const startOfToday = () => {
+  const local = new Date(Date.now() + KATHMANDU_OFFSET_MS);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() - KATHMANDU_OFFSET_MS);
+};
+
+const formatDate = (date) => date.toLocaleDateString('en-GB', {
+  timeZone: 'Asia/Kathmandu',
+  dateStyle: 'medium'
+});
+
+// Whole Kathmandu days from today until the deadline; 0 when the deadline is today
+const daysUntil = (deadline) => Math.floor((deadline.getTime() - startOfToday().getTime()) / DAY_MS);
+
+class IntakeCronJobs {
+  constructor() {
+    this.jobs = [];
+  }
+
+  initialize() {
+    this.setupDeadlineAlerts();
+    logger.info('Intake cron jobs initialized');
+  }
+
+  /**
+   * Warn counselors about application deadlines 30, 14 and 3 days ahead, once per
+   * alert day and student. An intake added late only gets the nearest alert.
+   */
+  async sendDeadlineAlerts() {
+    const longest = Math.max(...Intake.DEADLINE_ALERT_DAYS);
+    const todayStart = startOfToday();
+
+    const intakes = await Intake.find({
+      isActive: true,
+      applicationDeadline: { $gte: todayStart, $lt: new Date(todayStart.getTime() + (longest + 1) * DAY_MS) }
+    })
+      .select('+alertsSent')
+      .populate('university', 'name isActive')
+      .populate('program', 'name');
+
+    let sent = 0;
+
+    for (const intake of intakes) {
+      const daysLeft = daysUntil(intake.applicationDeadline);
+      const due = Intake.DEADLINE_ALERT_DAYS.filter(days => days >= daysLeft && !intake.alertsSent.includes(days));
+      if (due.length === 0 || !intake.university?.isActive) continue;
+
+      const applications = await findAffectedApplications(intake);
+      const course = intake.program ? `${intake.program.name} at ${intake.university.name}` : intake.university.name;
+
+      const notifications = applications
+        .filter(application => application.student?.assignedCounselor?.user)
+        .map(application => ({
+          recipient: application.student.assignedCounselor.user,
+          type: 'intake_deadline',
+          intake: intake._id,
+          studentId: application.student._id,
+          message: `${daysLeft === 0 ? 'Application deadline today' : `${daysLeft} day(s) left`} for ${application.student.firstName} ${application.student.lastName}: ${course} ${intake.term} closes on ${formatDate(intake.applicationDeadline)} and the application is still a draft`
+        }));
+
+      const unassigned = applications.length - notifications.length;
+      if (unassigned > 0) {
+        logger.warn(`${unassigned} draft application(s) for intake ${intake._id} have no counselor to alert`);
+      }
+
+      if (notifications.length > 0) {
+        await Notification.insertMany(notifications);
+        sent += notifications.length;
+      }
+      await Intake.updateOne({ _id: intake._id }, { $addToSet: { alertsSent: { $each: due } } });
+    }
+
+    return sent;
+  }
+
+  // Check deadlines every morning
+  setupDeadlineAlerts() {
+    const job = cron.schedule('0 8 * * *', async () => {
+      try {
+        const sent = await this.sendDeadlineAlerts();
+        if (sent > 0) {
+          logger.info(`Intake deadline alerts: ${sent} sent`);
+        }
+      } catch (error) {
+        logger.error('Intake deadline cron job failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kathmandu"
+    });
+
+    this.jobs.push(job);
+    logger.info('Intake deadline cron job scheduled');
+  }
+
+  // Stop all cron jobs
+  stopAll() {
+    this.jobs.forEach(job => job.stop());
+    logger.info('All intake cron jobs stopped');
+  }
+}
+
+module.exports = new IntakeCronJobs();
@@ -0,0 +1,42 @@
+const Application = require('../models/ApplicationModel');
+const { escapeRegex } = require('./requestHelpers');
+
+const exactName = (name) => new RegExp(`^\\s*${escapeRegex(String(name).trim())}\\s*$`, 'i');
+
+// Linked to the catalog entry, or unlinked and named like it
+const catalogMatch = (refPath, namePath, entry) => ({
+  $or: [
+    { [refPath]: entry._id },
+    { [refPath]: null, [namePath]: exactName(entry.name) }
+  ]
+});
+
+/**
+ * Draft applications an intake deadline applies to: same university and start
+ * month, and the same program when the intake is for one program only.
+ * Applications linked to catalog entries are matched on those; older ones that
+ * only name the university and program are matched by name. `intake` must have
+ * university (and program) populated.
+ */
+const findAffectedApplications = (intake) => {
+  if (!intake.university?.name) return Promise.resolve([]);
+
+  const startsAt = new Date(intake.startsAt);
+  return Application.find({
+    status: 'draft',
+    'intake.month': startsAt.getUTCMonth() + 1,
+    'intake.year': startsAt.getUTCFullYear(),
+    $and: [
+      catalogMatch('universityRef', 'university', intake.university),
+      ...(intake.program?.name ? [catalogMatch('programRef', 'program', intake.program)] : [])
+    ]
+  }).populate({
+    path: 'student',
+    select: 'firstName lastName assignedCounselor',
+    populate: { path: 'assignedCounselor', select: 'user name' }
+  });
+};
+
+module.exports = {
+  findAffectedApplications
+};
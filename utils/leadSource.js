@@ -0,0 +1,185 @@
+const Advertisement = require('../models/adsModel');
+const AdClick = require('../models/AdClickModel');
+
+const LEAD_CHANNELS = [
+  'paid_social',
+  'paid_search',
+  'organic_social',
+  'organic_search',
+  'blog',
+  'website_ad',
+  'email',
+  'event',
+  'referral',
+  'direct'
+];
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const PAID_MEDIUMS = ['cpc', 'ppc', 'paid', 'paidsocial', 'paid_social', 'paid-social', 'display', 'cpm', 'ads'];
+const EVENT_MEDIUMS = ['event', 'fair', 'expo', 'offline', 'education_fair', 'print', 'qr'];
+const SOCIAL_SOURCES = ['facebook', 'fb', 'instagram', 'ig', 'messenger', 'tiktok', 'linkedin', 'youtube', 'twitter', 'x'];
+const SOCIAL_HOSTS = /(^|\.)(facebook|fb|instagram|tiktok|linkedin|youtube|twitter|x)\.com$|^t\.co$|^lnkd\.in$/;
+const SEARCH_HOSTS = /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex)\.[a-z.]+$/;
+
+const MAX_LENGTH = 300;
+
+const clean = (value, maxLength = MAX_LENGTH) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim().slice(0, maxLength);
+  return text || undefined;
+};
+
+const parseUrl = (value) => {
+  const text = clean(value, 2000);
+  if (!text) return null;
+  try {
+    const url = new URL(text);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Referrers from our own website (the form page itself) say nothing about the origin
+const isOwnHost = (host) => (process.env.WEBSITE_HOSTS || process.env.FRONTEND_URL || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .some(entry => {
+    const ownHost = parseUrl(entry)?.hostname || entry;
+    return host === ownHost || host === `www.${ownHost}` || `www.${host}` === ownHost;
+  });
+
+/**
+ * Work out the marketing channel from UTM tags, the referrer and the landing page.
+ * UTM tags win over the referrer, which wins over the landing page.
+ */
+const classifyChannel = ({ utm = {}, referrer, landingPage, ad }) => {
+  if (ad) return 'website_ad';
+
+  const source = (utm.source || '').toLowerCase();
+  const medium = (utm.medium || '').toLowerCase();
+
+  if (source || medium) {
+    if (PAID_MEDIUMS.includes(medium)) return SOCIAL_SOURCES.includes(source) ? 'paid_social' : 'paid_search';
+    if (medium === 'email' || source === 'newsletter') return 'email';
+    if (EVENT_MEDIUMS.includes(medium) || EVENT_MEDIUMS.includes(source)) return 'event';
+    if (SOCIAL_SOURCES.includes(source) || medium === 'social') return 'organic_social';
+    if (medium === 'website_ad') return 'website_ad';
+    if (source === 'blog' || medium === 'blog') return 'blog';
+    if (medium === 'organic') return 'organic_search';
+    return 'referral';
+  }
+
+  const referrerHost = parseUrl(referrer)?.hostname.toLowerCase();
+  if (referrerHost && !isOwnHost(referrerHost)) {
+    if (SEARCH_HOSTS.test(referrerHost)) return 'organic_search';
+    if (SOCIAL_HOSTS.test(referrerHost)) return 'organic_social';
+    return 'referral';
+  }
+
+  const landingPath = parseUrl(landingPage)?.pathname || '';
+  if (/^\/blogs?(\/|$)/i.test(landingPath)) return 'blog';
+
+  return 'direct';
+};
+
+/**
+ * Normalize the attribution posted with the consultation form. Accepts camelCase
+ * (utmSource) or raw query-string names (utm_source), plus referrer, landingPage,
+ * campaignId and adId. UTM tags missing from the body are read from the landing page URL.
+ * The channel is always derived here, never taken from the client.
+ */
+const buildLeadSource = (input = {}, { ad } = {}) => {
+  const body = input && typeof input === 'object' ? input : {};
+  const landingUrl = parseUrl(body.landingPage);
+
+  const utm = {};
+  UTM_FIELDS.forEach(field => {
+    const camel = `utm${field[0].toUpperCase()}${field.slice(1)}`;
+    const value = clean(body[camel] ?? body[`utm_${field}`] ?? body.utm?.[field] ?? landingUrl?.searchParams.get(`utm_${field}`), 150);
+    if (value) utm[field] = field === 'source' || field === 'medium' ? value.toLowerCase() : value;
+  });
+
+  const referrer = parseUrl(body.referrer)?.toString();
+  const landingPage = landingUrl?.toString();
+
+  return {
+    channel: classifyChannel({ utm, referrer, landingPage, ad }),
+    utm,
+    referrer,
+    landingPage,
+    campaignId: clean(body.campaignId ?? body.campaign_id, 100),
+    adId: clean(body.adId ?? body.ad_id, 100),
+    ad: ad ? ad._id : undefined,
+    capturedAt: new Date()
+  };
+};
+
+/**
+ * Landing page of an advertisement with the parameters the website passes back
+ * with the inquiry: the click token, plus UTM tags unless the advertiser set their own.
+ */
+const adLandingUrl = (advertisement, token) => {
+  const link = advertisement.websiteLink;
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(link) ? link : `https://${link}`);
+  } catch (error) {
+    return link;
+  }
+
+  if (!url.searchParams.has('utm_source')) {
+    url.searchParams.set('utm_source', 'website');
+    url.searchParams.set('utm_medium', 'website_ad');
+    url.searchParams.set('utm_campaign', advertisement.position);
+    url.searchParams.set('utm_content', String(advertisement._id));
+  }
+  url.searchParams.set('ad_click', token);
+  return url.toString();
+};
+
+// Token of the advertisement click that brought the visitor, passed on by the website
+const getAdClickToken = (input) => {
+  if (!input || typeof input !== 'object') return undefined;
+  return clean(input.adClickId ?? input.ad_click, 100);
+};
+
+/**
+ * Build the lead source of a new inquiry. When it carries the token of an
+ * advertisement click that has not converted yet, the lead is credited to that
+ * advertisement and the returned click is to be closed with convertAdClick().
+ */
+const resolveLeadSource = async (input) => {
+  const token = getAdClickToken(input);
+  const click = token
+    ? await AdClick.findOne({ token, convertedAt: null }).populate('ad', '_id')
+    : null;
+  const ad = click?.ad || null;
+
+  return {
+    leadSource: buildLeadSource(input, { ad }),
+    click: ad ? click : null
+  };
+};
+
+// Link the click to the student and count the conversion on the advertisement
+const convertAdClick = async (click, studentId) => {
+  const claimed = await AdClick.updateOne(
+    { _id: click._id, convertedAt: null },
+    { convertedStudent: studentId, convertedAt: new Date() }
+  );
+  if (claimed.modifiedCount > 0) {
+    await Advertisement.updateOne({ _id: click.ad._id }, { $inc: { 'stats.conversions': 1 } });
+  }
+};
+
+module.exports = {
+  LEAD_CHANNELS,
+  classifyChannel,
+  buildLeadSource,
+  adLandingUrl,
+  resolveLeadSource,
+  convertAdClick
+};
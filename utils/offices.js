@@ -0,0 +1,45 @@
+const Office = require('../models/OfficeModel');
+const { toList } = require('./requestHelpers');
+
+/**
+ * Load the offices once and return a function that finds one by id, slug or
+ * name ("Kathmandu", "kathmandu"), for forms, query strings and imported rows.
+ * The function returns null when nothing matches.
+ */
+const loadOfficeLookup = async ({ activeOnly = false } = {}) => {
+  const offices = await Office.find(activeOnly ? { isActive: true } : {});
+  const byKey = new Map();
+  offices.forEach(office => {
+    [String(office._id), office.slug, office.name.toLowerCase()].forEach(key => byKey.set(key, office));
+  });
+
+  return (value) => {
+    if (value === undefined || value === null) return null;
+    return byKey.get(String(value._id || value).trim().toLowerCase()) || null;
+  };
+};
+
+/**
+ * Resolve a list of offices (array or comma separated) to their ids.
+ * `unknown` lists the values that match no office.
+ */
+const resolveOfficeIds = async (values, options) => {
+  const findOffice = await loadOfficeLookup(options);
+  const ids = [];
+  const unknown = [];
+  toList(values).forEach(value => {
+    const office = findOffice(value);
+    if (office) ids.push(office._id);
+    else unknown.push(value);
+  });
+  return { ids, unknown };
+};
+
+// Name of a populated office, or '' when the office was not populated
+const officeName = (office) => (office && office.name) || '';
+
+module.exports = {
+  loadOfficeLookup,
+  resolveOfficeIds,
+  officeName
+};
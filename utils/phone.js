@@ -0,0 +1,62 @@
+// Mobile number normalization for student records.
+// Numbers are stored in E.164 (+<country code><number>) with the ISO country alongside.
+// Nepal is assumed when a number is typed without a country code.
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+const DEFAULT_COUNTRY = 'NP';
+
+// Records saved before international numbers were supported: +977 and 10 digits
+const LEGACY_NEPAL_FORMAT = /^\+977\d{10}$/;
+
+// Numbers a student can be reached on; FIXED_LINE_OR_MOBILE covers countries (US, Canada)
+// where the two cannot be told apart
+const MOBILE_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE'];
+
+const clean = (raw) => {
+  let value = String(raw).trim().replace(/[\s\-().]/g, '');
+  if (value.startsWith('00')) value = `+${value.slice(2)}`;
+  // "9779841234567" typed without the plus
+  if (/^977\d{10}$/.test(value)) value = `+${value}`;
+  return value;
+};
+
+/**
+ * Parse a number typed in any common form ("9841234567", "+977-984-1234567",
+ * "00971 50 123 4567", or a national number with `defaultCountry`).
+ * Returns { e164, country } for valid mobile numbers, otherwise null (landlines included).
+ */
+const parseMobile = (raw, defaultCountry = DEFAULT_COUNTRY) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const phone = parsePhoneNumberFromString(clean(raw), String(defaultCountry || DEFAULT_COUNTRY).toUpperCase());
+  if (!phone || !phone.isValid() || !MOBILE_TYPES.includes(phone.getType())) return null;
+
+  return { e164: phone.number, country: phone.country || null };
+};
+
+// E.164 form of a number, or the cleaned input unchanged when it cannot be parsed
+const normalizeMobile = (raw, defaultCountry = DEFAULT_COUNTRY) => {
+  if (raw === undefined || raw === null) return raw;
+  const parsed = parseMobile(raw, defaultCountry);
+  return parsed ? parsed.e164 : clean(raw);
+};
+
+// Valid E.164 number, or a Nepali number in the old stored format
+const isValidMobile = (value) => {
+  if (typeof value !== 'string') return false;
+  if (LEGACY_NEPAL_FORMAT.test(value)) return true;
+  return /^\+[1-9]\d{6,14}$/.test(value) && parseMobile(value) !== null;
+};
+
+// E.164 form of a stored or typed number, or '' when it is not a valid mobile number.
+// Used to spot the same phone stored in different formats; the country code is part of
+// it, so an Indian and a Nepali number with the same 10 digits never match.
+const canonicalNumber = (mobile) => parseMobile(mobile)?.e164 || '';
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  parseMobile,
+  normalizeMobile,
+  isValidMobile,
+  canonicalNumber
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const cron = require('node-cron');
+const Student = require('../models/studentModel');
+const ReportJob = require('../models/ReportJobModel');
+const { loadReportTemplate, renderStudentReport, reportFileName } = require('./studentReport');
+const { recordSystemEvent } = require('./studentActivity');
+const { logger } = require('./logger.util');
+
+// Finished archives are private: kept outside the public uploads folder and served only to staff
+const REPORT_STORAGE_DIR = process.env.REPORT_STORAGE_DIR || path.join(__dirname, '../storage/reports');
+
+// Up to this many reports are zipped straight into the response; larger batches become a job
+const SYNC_REPORT_LIMIT = 25;
+const MAX_REPORTS_PER_EXPORT = 2000;
+const RESULT_TTL_HOURS = 24;
+const STALE_JOB_MINUTES = 60;
+const BATCH_SIZE = 50;
+
+// Archive of a job, complete or partial
+const archivePath = (job) => path.join(REPORT_STORAGE_DIR, `${job._id}.zip`);
+
+// Finished jobs, failed ones included, are kept this long so staff can see the outcome
+const resultExpiry = () => new Date(Date.now() + RESULT_TTL_HOURS * 60 * 60 * 1000);
+
+const removeArchive = (filePath) => fs.promises.rm(filePath, { force: true })
+  .catch(error => logger.error(`Could not delete report archive ${filePath}:`, error));
+
+// Unique entry name, as students often share names
+const entryName = (student) => reportFileName(student).replace(/\.pdf$/, `_${student._id.toString().slice(-6)}.pdf`);
+
+/**
+ * Render the reports of the given students into an archiver ZIP, in batches.
+ * Students that no longer exist or fail to render are reported back instead of
+ * aborting the archive. `onProgress(processed)` is called after every batch, and
+ * each rendered report is put on the student's timeline as done by `requestedBy`.
+ */
+const appendStudentReports = async (archive, studentIds, { onProgress, requestedBy = null } = {}) => {
+  const failures = [];
+  const templates = new Map();
+  let processed = 0;
+
+  // Each office's template is looked up once per archive
+  const templateFor = async (office) => {
+    const key = String(office?._id || office);
+    if (!templates.has(key)) templates.set(key, await loadReportTemplate(office));
+    return templates.get(key);
+  };
+
+  for (let i = 0; i < studentIds.length; i += BATCH_SIZE) {
+    const ids = studentIds.slice(i, i + BATCH_SIZE);
+    const students = await Student.find({ _id: { $in: ids } }).populate('office', 'name');
+    const found = new Set(students.map(student => student._id.toString()));
+
+    ids.filter(id => !found.has(id.toString()))
+      .forEach(id => failures.push({ student: id, message: 'Student not found' }));
+
+    const rendered = [];
+    for (const student of students) {
+      try {
+        const report = await renderStudentReport(student, await templateFor(student.office));
+        archive.append(report, { name: entryName(student) });
+        rendered.push(student._id);
+      } catch (error) {
+        failures.push({ student: student._id, message: error.message });
+      }
+    }
+
+    await recordSystemEvent(rendered, 'report_generated', {
+      subject: 'Student report generated (bulk export)',
+      author: requestedBy,
+      metadata: { bulk: true }
+    });
+
+    processed += ids.length;
+    if (onProgress) await onProgress(processed);
+  }
+
+  if (failures.length > 0) {
+    archive.append(
+      failures.map(failure => `${failure.student}: ${failure.message}`).join('\n'),
+      { name: 'errors.txt' }
+    );
+  }
+
+  return failures;
+};
+
+const zipFileName = () => `student-reports-${new Date().toISOString().slice(0, 10)}.zip`;
+
+// Render one job into a ZIP file and record the outcome on the job
+const runJob = async (job) => {
+  fs.mkdirSync(REPORT_STORAGE_DIR, { recursive: true });
+  const filePath = archivePath(job);
+  let output;
+
+  try {
+    output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const written = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+    });
+    written.catch(() => {}); // Awaited below; avoids an unhandled rejection while rendering
+    archive.pipe(output);
+
+    const failures = await appendStudentReports(archive, job.students, {
+      onProgress: (processed) => ReportJob.updateOne({ _id: job._id }, { processed }),
+      requestedBy: job.requestedBy
+    });
+
+    await archive.finalize();
+    await written;
+
+    job.status = 'completed';
+    job.processed = job.total;
+    job.failures = failures;
+    job.fileName = zipFileName();
+    job.filePath = filePath;
+    job.size = fs.statSync(filePath).size;
+    job.completedAt = new Date();
+    job.expiresAt = resultExpiry();
+    await job.save();
+
+    logger.info(`Report job ${job._id} completed: ${job.total} students, ${failures.length} failed`);
+  } catch (error) {
+    logger.error(`Report job ${job._id} failed:`, error);
+    // Stop writing before the partial archive is removed
+    if (output) output.destroy();
+    await removeArchive(filePath);
+    job.status = 'failed';
+    job.error = error.message;
+    job.completedAt = new Date();
+    job.expiresAt = resultExpiry();
+    await job.save();
+  }
+};
+
+// Delete expired jobs with their archives, and fail jobs left running by a previous
+// server process, removing the partial archive they left behind
+const cleanupReportJobs = async () => {
+  const now = new Date();
+  const expired = await ReportJob.find({
+    $or: [
+      { expiresAt: { $lte: now } },
+      // Failed before failed jobs were given an expiry
+      { status: 'failed', expiresAt: null, completedAt: { $lte: new Date(now.getTime() - RESULT_TTL_HOURS * 60 * 60 * 1000) } }
+    ]
+  }).select('+filePath');
+  for (const job of expired) {
+    await removeArchive(job.filePath || archivePath(job));
+    await job.deleteOne();
+  }
+
+  const interrupted = await ReportJob.find({
+    status: 'running',
+    startedAt: { $lte: new Date(now.getTime() - STALE_JOB_MINUTES * 60 * 1000) }
+  }).select('_id');
+  for (const job of interrupted) {
+    await removeArchive(archivePath(job));
+  }
+  if (interrupted.length > 0) {
+    await ReportJob.updateMany(
+      { _id: { $in: interrupted.map(job => job._id) }, status: 'running' },
+      { status: 'failed', error: 'Interrupted by a server restart', completedAt: now, expiresAt: resultExpiry() }
+    );
+  }
+};
+
+let processing = false;
+
+// Work through queued jobs one at a time; safe to call whenever a job is queued
+const processQueuedJobs = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await cleanupReportJobs();
+
+    let job;
+    while ((job = await ReportJob.findOneAndUpdate(
+      { status: 'queued' },
+      { status: 'running', startedAt: new Date() },
+      { sort: { createdAt: 1 }, new: true }
+    ))) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error('Report job processing error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+// Resume jobs queued before a restart and clean up expired archives every hour
+const startReportJobs = () => {
+  processQueuedJobs();
+  cron.schedule('15 * * * *', processQueuedJobs, { timezone: 'Asia/Kathmandu' });
+};
+
+module.exports = {
+  REPORT_STORAGE_DIR,
+  SYNC_REPORT_LIMIT,
+  MAX_REPORTS_PER_EXPORT,
+  appendStudentReports,
+  zipFileName,
+  processQueuedJobs,
+  startReportJobs
+};
@@ -0,0 +1,65 @@
+// Helpers shared by the controllers for reading requests and shaping responses
+const { logger } = require('./logger.util');
+
+const MAX_PAGE_SIZE = 100;
+
+// A 24-character hex string; Mongo throws a CastError for anything else used as an _id
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(String(value));
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A comma-separated query value (or repeated parameter) as a list of trimmed, non-empty strings
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// ?page=&limit= with a default of 20 and at most MAX_PAGE_SIZE per page
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// The `pagination` block of list responses
+const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  totalPages: Math.ceil(total / limit),
+  hasNext: page < Math.ceil(total / limit),
+  hasPrev: page > 1
+});
+
+/**
+ * Answer a failed request: 400 for validation and cast errors, 409 with
+ * `conflictMessage` for a duplicate key when one is given, and a logged 500
+ * with `fallbackMessage` otherwise.
+ */
+const sendError = (res, error, fallbackMessage, conflictMessage) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (conflictMessage && error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: conflictMessage
+    });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+module.exports = {
+  isObjectId,
+  escapeRegex,
+  toList,
+  getPagination,
+  paginationMeta,
+  sendError
+};
@@ -0,0 +1,54 @@
+const Student = require('../models/studentModel');
+const StudentActivity = require('../models/StudentActivityModel');
+const { logger } = require('./logger.util');
+
+/**
+ * Record a system event on one or more students' timelines.
+ * The timeline is secondary to the action that caused the event, so errors
+ * are logged and never thrown.
+ */
+const recordSystemEvent = async (studentIds, event, { subject, body, author = null, metadata } = {}) => {
+  const ids = [].concat(studentIds).filter(Boolean);
+  if (ids.length === 0) return;
+
+  try {
+    await StudentActivity.insertMany(ids.map(student => ({
+      student,
+      type: 'system',
+      event,
+      subject,
+      body,
+      author,
+      metadata
+    })));
+  } catch (error) {
+    logger.error(`Failed to record ${event} activity:`, error);
+  }
+};
+
+// "a@x.com, B <b@y.com>" or an array of either -> lowercase addresses
+const parseAddresses = (to) => [].concat(to || [])
+  .flatMap(value => String(value).split(','))
+  .map(value => (value.match(/<([^>]+)>/)?.[1] || value).trim().toLowerCase())
+  .filter(value => value.includes('@'));
+
+// Put an email sent through EmailService on the timeline of every student it went to
+const recordEmailSent = async (to, subject, { messageId } = {}) => {
+  try {
+    const addresses = parseAddresses(to);
+    if (addresses.length === 0) return;
+
+    const students = await Student.find({ email: { $in: addresses } }).select('_id');
+    await recordSystemEvent(students.map(student => student._id), 'email_sent', {
+      subject,
+      metadata: { messageId }
+    });
+  } catch (error) {
+    logger.error('Failed to record email activity:', error);
+  }
+};
+
+module.exports = {
+  recordSystemEvent,
+  recordEmailSent
+};
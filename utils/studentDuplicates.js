@@ -0,0 +1,270 @@
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const Notification = require('../models/notificationModel');
+const Appointment = require('../models/appointmentModel');
+const StudentActivity = require('../models/StudentActivityModel');
+const Task = require('../models/TaskModel');
+const Application = require('../models/ApplicationModel');
+const VisaCase = require('../models/VisaCaseModel');
+const AdClick = require('../models/AdClickModel');
+const { canonicalNumber } = require('./phone');
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+const normalizeName = (student) => `${student.firstName || ''} ${student.lastName || ''}`
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// 1 for identical names, 0 for completely different ones
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+/**
+ * Why two student records look like the same person.
+ * Same email or same normalized mobile is enough on its own; a close name match
+ * only counts together with the same phone number, whatever format it was stored in.
+ */
+const compareStudents = (a, b) => {
+  const reasons = [];
+  if (a.email && a.email === b.email) reasons.push('email');
+  if (a.mobile && a.mobile === b.mobile) reasons.push('mobile');
+
+  const similarity = nameSimilarity(a, b);
+  const phone = canonicalNumber(a.mobile);
+  if (similarity >= NAME_SIMILARITY_THRESHOLD && phone && phone === canonicalNumber(b.mobile)) {
+    reasons.push('name_and_phone');
+  }
+
+  return { reasons, nameSimilarity: Number(similarity.toFixed(2)) };
+};
+
+// Existing students that look like the given (not yet saved) student
+const findDuplicateCandidates = async (student, { excludeId } = {}) => {
+  const national = student.mobile && Student.blindIndex('mobileNationalIndex', student.mobile);
+  const or = [];
+  if (student.email) or.push({ email: String(student.email).toLowerCase().trim() });
+  // Mobile numbers are encrypted, so both checks go through their blind indexes
+  if (student.mobile) or.push({ mobile: student.mobile });
+  if (national) or.push({ mobileNationalIndex: national });
+  if (or.length === 0) return [];
+
+  const filter = { $or: or };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const existing = await Student.find(filter)
+    .select('firstName lastName email mobile office createdAt')
+    .limit(20);
+
+  return existing
+    .map(candidate => ({ student: candidate, ...compareStudents(student, candidate) }))
+    .filter(match => match.reasons.length > 0);
+};
+
+// Likely duplicate pairs across the whole collection, strongest matches first
+const findDuplicatePairs = async ({ limit = 50 } = {}) => {
+  const groupStage = (key) => [
+    { $group: { _id: key, students: { $push: '$$ROOT' }, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ''] }, count: { $gt: 1 } } },
+    { $limit: limit * 4 }
+  ];
+
+  const [groups] = await Student.aggregate([
+    {
+      $project: {
+        firstName: 1,
+        lastName: 1,
+        email: 1,
+        mobile: 1,
+        office: 1,
+        stage: 1,
+        createdAt: 1,
+        notDuplicateOf: 1,
+        national: '$mobileNationalIndex'
+      }
+    },
+    {
+      $facet: {
+        byEmail: groupStage('$email'),
+        byPhone: groupStage('$national')
+      }
+    }
+  ]);
+
+  const pairs = new Map();
+  for (const group of [...groups.byEmail, ...groups.byPhone]) {
+    const members = Student.decryptFields(group.students);
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]].sort((x, y) => x.createdAt - y.createdAt);
+        const key = `${a._id}:${b._id}`;
+        if (pairs.has(key)) continue;
+
+        const dismissed = (a.notDuplicateOf || []).some(id => id.equals(b._id))
+          || (b.notDuplicateOf || []).some(id => id.equals(a._id));
+        if (dismissed) continue;
+
+        const comparison = compareStudents(a, b);
+        if (comparison.reasons.length === 0) continue;
+
+        const strip = ({ national, notDuplicateOf, ...rest }) => rest;
+        pairs.set(key, { students: [strip(a), strip(b)], ...comparison });
+      }
+    }
+  }
+
+  return [...pairs.values()]
+    .sort((x, y) => y.reasons.length - x.reasons.length || y.nameSimilarity - x.nameSimilarity)
+    .slice(0, limit);
+};
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const unionList = (a, b) => {
+  const seen = new Map();
+  [...splitList(a), ...splitList(b)].forEach(item => {
+    if (!seen.has(item.toLowerCase())) seen.set(item.toLowerCase(), item);
+  });
+  return [...seen.values()].join(', ');
+};
+
+const PLACEHOLDERS = ['', 'N/A', 'None'];
+const isBlank = (value) => value === undefined || value === null || PLACEHOLDERS.includes(String(value).trim());
+
+// Combine free-text notes, keeping both when they differ
+const combineText = (primary, secondary) => {
+  if (isBlank(secondary) || primary === secondary) return primary;
+  if (isBlank(primary)) return secondary;
+  return `${primary}\n\n[Merged] ${secondary}`;
+};
+
+// Move the secondary student's documents over, folding same-kind documents into one version history
+const mergeDocuments = async (primaryId, secondaryId) => {
+  const secondaryDocs = await StudentDocument.find({ student: secondaryId }).select('+versions.storagePath');
+
+  for (const doc of secondaryDocs) {
+    const target = await StudentDocument.findOne({ student: primaryId, kind: doc.kind, label: doc.label })
+      .select('+versions.storagePath');
+
+    if (!target) {
+      doc.student = primaryId;
+      await doc.save();
+      continue;
+    }
+
+    const versions = [...target.versions, ...doc.versions]
+      .map(version => version.toObject())
+      .sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt))
+      .map((version, index) => ({ ...version, version: index + 1 }));
+
+    target.versions = versions;
+    target.currentVersion = versions.length;
+    target.status = versions[versions.length - 1].status;
+    await target.save();
+    await Application.updateMany({ offerLetters: doc._id }, { $set: { 'offerLetters.$': target._id } });
+    await doc.deleteOne();
+  }
+};
+
+/**
+ * Merge `secondary` into `primary` and delete `secondary`.
+ * Notes and interests are combined, empty fields are filled in, and the secondary
+ * record's documents, notifications and appointments are re-pointed to the primary.
+ */
+const mergeStudents = async (primary, secondary, { mergedBy } = {}) => {
+  primary.topics = unionList(primary.topics, secondary.topics);
+  primary.destinations = unionList(primary.destinations, secondary.destinations);
+  primary.otherDestination = unionList(primary.otherDestination, secondary.otherDestination);
+  primary.additionalInfo = combineText(primary.additionalInfo, secondary.additionalInfo);
+  primary.healthIssues = combineText(primary.healthIssues, secondary.healthIssues);
+
+  // Academic levels and test sittings the primary record does not have yet
+  const levels = new Set(primary.academics.map(record => record.level));
+  secondary.academics
+    .filter(record => !levels.has(record.level))
+    .forEach(record => primary.academics.push(record.toObject()));
+
+  const sittingKey = (test) => `${test.test}:${test.testDate ? new Date(test.testDate).toISOString() : test.overall}`;
+  const sittings = new Set(primary.englishTests.map(sittingKey));
+  secondary.englishTests
+    .filter(test => !sittings.has(sittingKey(test)))
+    .forEach(test => primary.englishTests.push(test.toObject()));
+
+  if (!primary.assignedCounselor && secondary.assignedCounselor) {
+    primary.assignedCounselor = secondary.assignedCounselor;
+    primary.assignedAt = secondary.assignedAt;
+  }
+
+  primary.stageHistory = [...primary.stageHistory, ...secondary.stageHistory.map(entry => ({
+    ...entry.toObject(),
+    note: entry.note ? `[Merged record] ${entry.note}` : '[Merged record]'
+  }))].sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+  primary.mergedFrom.push(
+    ...secondary.mergedFrom.map(entry => Student.hashMergedSnapshot(entry.toObject())),
+    {
+      studentId: secondary._id,
+      firstName: secondary.firstName,
+      lastName: secondary.lastName,
+      email: secondary.email,
+      mobileIndex: Student.blindIndex('mobileIndex', secondary.mobile),
+      createdAt: secondary.createdAt,
+      mergedBy
+    }
+  );
+
+  primary.possibleDuplicates = primary.possibleDuplicates.filter(id => !id.equals(secondary._id));
+
+  await primary.save();
+
+  await mergeDocuments(primary._id, secondary._id);
+  await Notification.updateMany({ studentId: secondary._id }, { studentId: primary._id });
+  await Appointment.updateMany({ student: secondary._id }, { student: primary._id });
+  await StudentActivity.updateMany({ student: secondary._id }, { student: primary._id });
+  await Task.updateMany({ student: secondary._id }, { student: primary._id, office: primary.office });
+  await Application.updateMany({ student: secondary._id }, { student: primary._id, office: primary.office });
+  await VisaCase.updateMany({ student: secondary._id }, { student: primary._id });
+  await AdClick.updateMany({ convertedStudent: secondary._id }, { convertedStudent: primary._id });
+  await Student.updateMany(
+    { $or: [{ possibleDuplicates: secondary._id }, { notDuplicateOf: secondary._id }] },
+    { $pull: { possibleDuplicates: secondary._id, notDuplicateOf: secondary._id } }
+  );
+
+  await secondary.deleteOne();
+
+  return primary;
+};
+
+module.exports = {
+  nameSimilarity,
+  compareStudents,
+  findDuplicateCandidates,
+  findDuplicatePairs,
+  mergeStudents
+};
@@ -0,0 +1,211 @@
+const path = require('path');
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+const Student = require('../models/studentModel');
+const { validateStudentPayload } = require('./studentValidation');
+const { findDuplicateCandidates } = require('./studentDuplicates');
+const { loadOfficeLookup } = require('./offices');
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Normalized header -> student field. Also accepts the headers of the student export.
+const HEADER_ALIASES = {
+  firstname: 'firstName',
+  first: 'firstName',
+  lastname: 'lastName',
+  surname: 'lastName',
+  email: 'email',
+  emailaddress: 'email',
+  mobile: 'mobile',
+  mobilenumber: 'mobile',
+  phone: 'mobile',
+  phonenumber: 'mobile',
+  mobilecountry: 'mobileCountry',
+  phonecountry: 'mobileCountry',
+  countrycode: 'mobileCountry',
+  office: 'office',
+  topics: 'topics',
+  topic: 'topics',
+  destinations: 'destinations',
+  destination: 'destinations',
+  otherdestination: 'otherDestination',
+  slc: 'slc',
+  see: 'slc',
+  slcsee: 'slc',
+  plustwo: 'plusTwo',
+  '2': 'plusTwo', // "+2"
+  bachelor: 'bachelor',
+  healthissues: 'healthIssues',
+  additionalinfo: 'additionalInfo',
+  notes: 'additionalInfo'
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain text of an ExcelJS cell value (rich text, hyperlinks, formulas, dates)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+const isBlankRow = (cells) => cells.every(cell => cellText(cell) === '');
+
+/**
+ * Read the first sheet of an uploaded CSV or XLSX file.
+ * Returns { columns, rows } where every row keeps its spreadsheet row number,
+ * its cells in column order and the same cells keyed by column header.
+ */
+const readSpreadsheet = async (file) => {
+  let table = [];
+
+  if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (sheet) {
+      sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        // row.values is 1-based
+        table[rowNumber - 1] = row.values.slice(1).map(cellText);
+      });
+      table = Array.from(table, cells => cells || []);
+    }
+  } else {
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    table = Papa.parse(text, { skipEmptyLines: false }).data;
+  }
+
+  const headerIndex = table.findIndex(cells => !isBlankRow(cells));
+  if (headerIndex === -1) return { columns: [], rows: [] };
+
+  const columns = table[headerIndex].map(cellText);
+  const rows = [];
+  for (let i = headerIndex + 1; i < table.length; i++) {
+    if (isBlankRow(table[i])) continue;
+    const cells = columns.map((column, index) => cellText(table[i][index]));
+    const values = {};
+    columns.forEach((column, index) => {
+      if (column) values[column] = cells[index];
+    });
+    rows.push({ row: i + 1, cells, values });
+  }
+
+  return { columns, rows };
+};
+
+const toStudentData = (values) => {
+  const data = {};
+  Object.entries(values).forEach(([column, value]) => {
+    const field = HEADER_ALIASES[normalizeHeader(column)];
+    if (field && value !== '' && data[field] === undefined) data[field] = value;
+  });
+
+  // Fair lead lists rarely carry results, so rows without them are still accepted
+  data.slc = data.slc || 'N/A';
+  data.plusTwo = data.plusTwo || 'N/A';
+  return data;
+};
+
+/**
+ * Validate every row and look for duplicates, without writing anything.
+ * Errors make a row invalid; duplicate matches against existing students are only warnings.
+ * A row repeating the email or mobile of an earlier row in the same file is an error.
+ */
+const analyzeRows = async (rows) => {
+  const seenEmails = new Map();
+  const seenMobiles = new Map();
+  const results = [];
+  const findOffice = await loadOfficeLookup({ activeOnly: true });
+
+  for (const { row, cells, values } of rows) {
+    const { data, errors } = validateStudentPayload(toStudentData(values));
+
+    // The office column holds an office name (or slug)
+    if (data.office) {
+      const office = findOffice(data.office);
+      if (office) data.office = office._id;
+      else errors.push(`Unknown or inactive office "${data.office}"`);
+    }
+
+    if (errors.length === 0) {
+      const schemaError = new Student(data).validateSync();
+      if (schemaError) {
+        errors.push(...Object.values(schemaError.errors).map(error => error.message));
+      }
+    }
+
+    if (data.email && seenEmails.has(data.email)) {
+      errors.push(`Same email as row ${seenEmails.get(data.email)}`);
+    }
+    if (data.mobile && seenMobiles.has(data.mobile)) {
+      errors.push(`Same mobile number as row ${seenMobiles.get(data.mobile)}`);
+    }
+    if (data.email && !seenEmails.has(data.email)) seenEmails.set(data.email, row);
+    if (data.mobile && !seenMobiles.has(data.mobile)) seenMobiles.set(data.mobile, row);
+
+    let duplicates = [];
+    if (errors.length === 0) {
+      duplicates = await findDuplicateCandidates(data);
+    }
+
+    results.push({
+      row,
+      cells,
+      data,
+      valid: errors.length === 0,
+      errors,
+      warnings: duplicates.map(match =>
+        `Possible duplicate of ${match.student.firstName} ${match.student.lastName} <${match.student.email}> (${match.reasons.join(', ')})`
+      ),
+      duplicates: duplicates.map(match => match.student._id)
+    });
+  }
+
+  return results;
+};
+
+// Per-row report returned to the client
+const summarize = (results) => ({
+  totalRows: results.length,
+  validRows: results.filter(result => result.valid).length,
+  invalidRows: results.filter(result => !result.valid).length,
+  duplicateWarnings: results.filter(result => result.warnings.length > 0).length,
+  rows: results.map(result => ({
+    row: result.row,
+    status: result.valid ? 'valid' : 'invalid',
+    student: {
+      firstName: result.data.firstName || '',
+      lastName: result.data.lastName || '',
+      email: result.data.email || '',
+      mobile: result.data.mobile || ''
+    },
+    errors: result.errors,
+    warnings: result.warnings
+  }))
+});
+
+// CSV of the rows that were not imported, with their original cells and the reasons
+const buildErrorReport = (columns, failedRows) => Papa.unparse({
+  fields: ['Row', ...columns, 'Errors'],
+  data: failedRows.map(failed => [
+    failed.row,
+    ...columns.map((column, index) => failed.cells[index] ?? ''),
+    failed.messages.join('; ')
+  ])
+}, {
+  escapeFormulae: /^[=@\t\r]|^[+-](?!\d)/
+});
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readSpreadsheet,
+  analyzeRows,
+  summarize,
+  buildErrorReport
+};
@@ -0,0 +1,139 @@
+const jwt = require('jsonwebtoken');
+const EmailService = require('./email.util');
+const { logger } = require('./logger.util');
+
+const PORTAL_LINK_TTL_HOURS = 24;
+const PORTAL_SESSION_TTL = '7d';
+// Portal sessions carry their own audience so they can never pass as staff tokens (and vice versa)
+const PORTAL_AUDIENCE = 'student-portal';
+
+const portalSecret = () => process.env.PORTAL_JWT_SECRET || process.env.JWT_SECRET;
+
+// What students see instead of the internal stage names
+const STAGE_LABELS = {
+  new_inquiry: 'Inquiry received',
+  counselled: 'Counselling completed',
+  documents_pending: 'Collecting documents',
+  applied: 'Applied to universities',
+  visa_lodged: 'Visa application lodged',
+  enrolled: 'Enrolled',
+  lost: 'Closed'
+};
+
+// Email a one-time sign-in link; errors are logged, never thrown
+const sendPortalLink = async (student, { welcome = false } = {}) => {
+  try {
+    if (!process.env.FRONTEND_URL) {
+      logger.warn('FRONTEND_URL is not set, student portal link not sent');
+      return false;
+    }
+
+    const token = student.createPortalToken(PORTAL_LINK_TTL_HOURS);
+    await student.save({ validateBeforeSave: false });
+
+    const link = `${process.env.FRONTEND_URL}/portal/login?token=${token}`;
+    const intro = welcome
+      ? '<p>Thank you for contacting Shirijanga Education Consultancy. You can follow the progress of your application online.</p>'
+      : '<p>Here is your sign-in link for the Shirijanga student portal.</p>';
+
+    await EmailService.sendEmail(
+      student.email,
+      'Your Shirijanga student portal link',
+      `<p>Dear ${student.firstName} ${student.lastName},</p>${intro}<p><a href="${link}">Open my student portal</a></p><p>The link can be used once and expires in ${PORTAL_LINK_TTL_HOURS} hours. If you did not request it, you can ignore this email.</p>`,
+      'system'
+    );
+    return true;
+  } catch (error) {
+    logger.error(`Failed to send portal link to student ${student._id}:`, error);
+    return false;
+  }
+};
+
+const signPortalSession = (student) => jwt.sign(
+  { sub: student._id.toString() },
+  portalSecret(),
+  { expiresIn: PORTAL_SESSION_TTL, audience: PORTAL_AUDIENCE, algorithm: 'HS256' }
+);
+
+// Returns the student id of a valid portal session token; throws otherwise
+const verifyPortalSession = (token) => jwt.verify(token, portalSecret(), {
+  audience: PORTAL_AUDIENCE,
+  algorithms: ['HS256']
+}).sub;
+
+// Whitelisted views: only what the student may see about their own record
+
+// Contact details of a populated office
+const serializeOffice = (office) => (office?.name
+  ? {
+    name: office.name,
+    address: office.address,
+    phone: office.phone,
+    email: office.email,
+    openingHours: office.openingHours
+  }
+  : null);
+
+const serializeStudent = (student) => ({
+  firstName: student.firstName,
+  lastName: student.lastName,
+  email: student.email,
+  mobile: student.mobile,
+  mobileCountry: student.mobileCountry,
+  office: serializeOffice(student.office),
+  topics: student.topics,
+  destinations: student.destinations,
+  otherDestination: student.otherDestination,
+  academics: (student.academics || []).map(({ level, board, institution, stream, gpa, percentage, passingYear }) =>
+    ({ level, board, institution, stream, gpa, percentage, passingYear })),
+  englishTests: (student.englishTests || []).map(({ test, overall, listening, reading, writing, speaking, testDate }) =>
+    ({ test, overall, listening, reading, writing, speaking, testDate })),
+  stage: {
+    key: student.stage || 'new_inquiry',
+    label: STAGE_LABELS[student.stage || 'new_inquiry'],
+    updatedAt: student.stageUpdatedAt
+  },
+  counselor: student.assignedCounselor?.name ? { name: student.assignedCounselor.name } : null,
+  createdAt: student.createdAt
+});
+
+const serializeAppointment = (appointment) => ({
+  _id: appointment._id,
+  startsAt: appointment.startsAt,
+  endsAt: appointment.endsAt,
+  office: serializeOffice(appointment.office),
+  status: appointment.status,
+  counselor: appointment.counselor?.name ? { name: appointment.counselor.name } : null
+});
+
+const serializeDocument = (document) => {
+  const current = document.getVersion(document.currentVersion);
+  return {
+    _id: document._id,
+    kind: document.kind,
+    label: document.label,
+    status: document.status,
+    currentVersion: document.currentVersion,
+    uploadedAt: current?.uploadedAt,
+    fileName: current?.originalName,
+    rejectionReason: document.status === 'rejected' ? current?.rejectionReason : undefined
+  };
+};
+
+const serializeChecklist = (checklist) => ({
+  countries: checklist.countries.map(country => country.name),
+  complete: checklist.complete,
+  items: checklist.items.map(({ kind, label, mandatory, notes, status }) => ({ kind, label, mandatory, notes, status }))
+});
+
+module.exports = {
+  PORTAL_LINK_TTL_HOURS,
+  STAGE_LABELS,
+  sendPortalLink,
+  signPortalSession,
+  verifyPortalSession,
+  serializeStudent,
+  serializeAppointment,
+  serializeDocument,
+  serializeChecklist
+};
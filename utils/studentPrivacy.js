@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const Student = require('../models/studentModel');
+const StudentDocument = require('../models/StudentDocumentModel');
+const StudentActivity = require('../models/StudentActivityModel');
+const StudentImport = require('../models/StudentImportModel');
+const Notification = require('../models/notificationModel');
+const Appointment = require('../models/appointmentModel');
+const Task = require('../models/TaskModel');
+const Application = require('../models/ApplicationModel');
+const VisaCase = require('../models/VisaCaseModel');
+const AdClick = require('../models/AdClickModel');
+const QuarantinedSubmission = require('../models/QuarantinedSubmissionModel');
+const ReportJob = require('../models/ReportJobModel');
+const PromotionalEmail = require('../models/PromotionalEmailModel');
+const AuditLog = require('../models/auditLogModel');
+const { DOCUMENT_STORAGE_DIR } = require('../config/document.multer.config');
+const { loadReportTemplate, renderStudentReport } = require('./studentReport');
+const { parseMobile, canonicalNumber } = require('./phone');
+const { logger } = require('./logger.util');
+
+const ERASURE_MODES = ['delete', 'anonymize'];
+
+// Fields an anonymized record keeps so office and pipeline statistics stay correct
+const ANONYMIZED_KEPT_FIELDS = [
+  'office', 'topics', 'destinations', 'otherDestination',
+  'stage', 'stageUpdatedAt', 'assignedCounselor', 'assignedAt', 'createdAt'
+];
+
+const safeFileName = (value) => String(value || 'file').replace(/[^\w.-]+/g, '_');
+
+/**
+ * Everything stored about a student, as plain objects.
+ * Internal storage paths and token hashes are left out.
+ */
+const collectStudentData = async (student) => {
+  const [documents, appointments, notifications, activities, tasks, applications, visaCases, quarantined, imports, campaigns, auditEntries] = await Promise.all([
+    StudentDocument.find({ student: student._id }).sort({ createdAt: 1 }),
+    Appointment.find({ student: student._id }).sort({ startsAt: 1 }).populate('counselor', 'name office'),
+    Notification.find({ studentId: student._id }).sort({ createdAt: 1 }),
+    StudentActivity.find({ student: student._id }).sort({ occurredAt: 1 }).populate('author', 'username'),
+    Task.find({ student: student._id }).sort({ dueAt: 1 }).populate('assignee', 'username'),
+    Application.find({ student: student._id }).sort({ createdAt: 1 }).populate('country', 'name'),
+    VisaCase.find({ student: student._id }).sort({ createdAt: 1 }).populate('country', 'name'),
+    QuarantinedSubmission.find({ email: student.email }).select('+payload').sort({ createdAt: 1 }),
+    StudentImport.find({ insertedStudents: student._id }).select('fileName createdAt'),
+    PromotionalEmail.find({ 'sendErrors.email': student.email }).select('title createdAt sendErrors'),
+    AuditLog.find({ targetModel: 'Student', targetId: student._id }).select('action metadata createdAt').sort({ createdAt: 1 })
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    student: student.toJSON(),
+    documents: documents.map(document => {
+      const data = document.toObject();
+      data.versions = data.versions.map(({ storagePath, ...version }) => version);
+      return data;
+    }),
+    appointments: appointments.map(appointment => {
+      const { manageTokenHash, ...data } = appointment.toObject();
+      return data;
+    }),
+    notifications: notifications.map(notification => notification.toObject()),
+    activities: activities.map(activity => activity.toObject()),
+    tasks: tasks.map(task => task.toObject()),
+    applications: applications.map(application => application.toObject()),
+    visaCases: visaCases.map(visaCase => visaCase.toJSON()),
+    quarantinedSubmissions: quarantined.map(submission => ({ ...submission.toObject(), payload: submission.getPayload() })),
+    imports: imports.map(({ _id, fileName, createdAt }) => ({ _id, fileName, createdAt })),
+    campaignDeliveryErrors: campaigns.flatMap(campaign => campaign.sendErrors
+      .filter(entry => entry.email === student.email)
+      .map(entry => ({ campaign: campaign.title, sentAt: campaign.createdAt, message: entry.message, occurredAt: entry.occurredAt }))),
+    auditEntries: auditEntries.map(entry => entry.toObject())
+  };
+};
+
+/**
+ * Add a data-subject export to an archiver ZIP: data.json with every record,
+ * the uploaded files and the student report. Returns the files that could not be found.
+ */
+const appendStudentDataExport = async (archive, student) => {
+  const data = await collectStudentData(student);
+  const documents = await StudentDocument.find({ student: student._id }).select('+versions.storagePath');
+  const missingFiles = [];
+
+  documents.forEach(document => {
+    const folder = safeFileName(document.label ? `${document.kind}-${document.label}` : document.kind);
+    document.versions.forEach(version => {
+      const name = `documents/${folder}/v${version.version}-${safeFileName(version.originalName)}`;
+      if (version.storagePath && fs.existsSync(version.storagePath)) {
+        archive.file(version.storagePath, { name });
+      } else {
+        missingFiles.push(name);
+      }
+    });
+  });
+
+  const report = await renderStudentReport(student, await loadReportTemplate(student.office));
+  archive.append(report, { name: 'report.pdf' });
+
+  archive.append(JSON.stringify({ ...data, missingFiles }, null, 2), { name: 'data.json' });
+  archive.append([
+    `Personal data held by Shirijanga Education Consultancy about ${student.firstName} ${student.lastName}`,
+    `Exported: ${data.exportedAt.toISOString()}`,
+    '',
+    'data.json     Student record, documents, appointments, notifications, activity timeline,',
+    '              tasks, university applications, visa cases, form submissions held as possible spam,',
+    '              imports, campaign delivery errors and audit entries',
+    'documents/    Every uploaded version of every document',
+    'report.pdf    Consultation report',
+    ...(missingFiles.length > 0 ? ['', `${missingFiles.length} document file(s) were no longer in storage and are listed in data.json`] : [])
+  ].join('\n'), { name: 'README.txt' });
+
+  return missingFiles;
+};
+
+const removeFile = async (filePath, options = {}) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.rm(filePath, { force: true, ...options });
+  } catch (err) {
+    logger.error(`Failed to delete ${filePath}:`, err);
+  }
+};
+
+// Cell text compared without case or extra spaces
+const cellKey = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Whether a failed import row holds the student's data: their email address, their
+ * mobile number in any format, or their first and last name. Rows often failed because
+ * one of these was missing or malformed, so any one of them is enough.
+ */
+const isStudentRow = (cells, student) => {
+  const values = cells.map(cellKey);
+  const [firstName, lastName] = [cellKey(student.firstName), cellKey(student.lastName)];
+  const mobile = canonicalNumber(student.mobile);
+
+  return values.includes(cellKey(student.email))
+    || (mobile !== '' && cells.some(cell => parseMobile(cell, student.mobileCountry)?.e164 === mobile))
+    || (firstName !== '' && lastName !== '' && values.includes(firstName) && values.includes(lastName))
+    || values.includes(`${firstName} ${lastName}`);
+};
+
+// Unlink the student from the imports that inserted them and drop the failed rows holding their data
+const eraseImportRows = async (student) => {
+  const imports = await StudentImport.find({ $or: [{ insertedStudents: student._id }, { failedCount: { $gt: 0 } }] })
+    .select('+failedRowData +failedRows');
+
+  let modified = 0;
+  for (const studentImport of imports) {
+    const rows = studentImport.getFailedRows();
+    const kept = rows.filter(failed => !isStudentRow(failed.cells, student));
+    const linked = studentImport.insertedStudents.some(id => id.equals(student._id));
+    if (!linked && kept.length === rows.length) continue;
+
+    studentImport.insertedStudents.pull(student._id);
+    if (kept.length < rows.length) studentImport.setFailedRows(kept);
+    await studentImport.save();
+    modified++;
+  }
+  return modified;
+};
+
+/**
+ * Remove a student's personal data from every collection and from disk.
+ * `delete` removes the student record; `anonymize` keeps a record without
+ * personal data (office, destinations and pipeline stage only).
+ * Returns how many records were removed or changed per collection.
+ */
+const eraseStudent = async (student, { mode = 'delete' } = {}) => {
+  const id = student._id;
+
+  // Files can live outside the student's own folder, e.g. after a merge, so each version is removed by its path
+  const documents = await StudentDocument.find({ student: id }).select('+versions.storagePath');
+  await Promise.all(documents.flatMap(document => document.versions.map(version => removeFile(version.storagePath))));
+  await removeFile(path.join(DOCUMENT_STORAGE_DIR, String(id)), { recursive: true });
+
+  // Finished bulk exports may contain the student's report
+  const reportJobs = await ReportJob.find({ students: id }).select('+filePath');
+  await Promise.all(reportJobs.map(job => removeFile(job.filePath)));
+
+  const result = {
+    documents: (await StudentDocument.deleteMany({ student: id })).deletedCount,
+    notifications: (await Notification.deleteMany({ studentId: id })).deletedCount,
+    activities: (await StudentActivity.deleteMany({ student: id })).deletedCount,
+    tasks: (await Task.deleteMany({ student: id })).deletedCount,
+    // Anonymized records keep their applications for admission statistics, without notes or files
+    applications: mode === 'delete'
+      ? (await Application.deleteMany({ student: id })).deletedCount
+      : (await Application.updateMany({ student: id }, { $unset: { notes: 1, reference: 1 }, $set: { offerLetters: [] } })).modifiedCount,
+    // Anonymized records keep visa outcomes for the approval-rate report
+    visaCases: mode === 'delete'
+      ? (await VisaCase.deleteMany({ student: id })).deletedCount
+      : (await VisaCase.updateMany({ student: id }, { $unset: { passportNumber: 1, referenceNumber: 1, notes: 1 } })).modifiedCount,
+    appointments: mode === 'delete'
+      ? (await Appointment.deleteMany({ student: id })).deletedCount
+      : (await Appointment.updateMany({ student: id }, { $unset: { notes: 1, cancellationReason: 1, manageTokenHash: 1 } })).modifiedCount,
+    quarantinedSubmissions: (await QuarantinedSubmission.deleteMany({ email: student.email })).deletedCount,
+    // The click still counts as a conversion of the advertisement, but stops pointing at the record
+    adClicks: mode === 'delete'
+      ? (await AdClick.updateMany({ convertedStudent: id }, { convertedStudent: null })).modifiedCount
+      : 0,
+    reportJobs: (await ReportJob.deleteMany({ _id: { $in: reportJobs.map(job => job._id) } })).deletedCount,
+    imports: await eraseImportRows(student),
+    campaignErrors: (await PromotionalEmail.updateMany(
+      { 'sendErrors.email': student.email },
+      { $pull: { sendErrors: { email: student.email } } }
+    )).modifiedCount,
+    duplicateLinks: (await Student.updateMany(
+      { $or: [{ possibleDuplicates: id }, { notDuplicateOf: id }] },
+      { $pull: { possibleDuplicates: id, notDuplicateOf: id } }
+    )).modifiedCount,
+    // Merge snapshots and other audit details can hold personal data; the entries themselves stay
+    auditEntries: (await AuditLog.updateMany(
+      { targetModel: 'Student', targetId: id },
+      { $set: { metadata: { redacted: true } } }
+    )).modifiedCount
+  };
+
+  if (mode === 'delete') {
+    await Student.deleteOne({ _id: id });
+  } else {
+    const anonymized = {
+      _id: id,
+      firstName: 'Erased',
+      lastName: 'Student',
+      email: `erased-${id}@erased.invalid`,
+      erasedAt: new Date(),
+      stageHistory: student.stageHistory.map(({ from, to, changedAt, override }) => ({ from, to, changedAt, override }))
+    };
+    ANONYMIZED_KEPT_FIELDS.forEach(field => {
+      if (student.get(field) !== undefined) anonymized[field] = student.get(field);
+    });
+    // The source stays for the lead source report, without the URLs that can carry visitor identifiers
+    const { referrer, landingPage, ...leadSource } = student.toObject().leadSource || {};
+    if (leadSource.channel) anonymized.leadSource = leadSource;
+    // Replaces the whole document, so every other field is gone
+    await Student.collection.replaceOne({ _id: id }, anonymized);
+  }
+
+  return result;
+};
+
+module.exports = {
+  ERASURE_MODES,
+  collectStudentData,
+  appendStudentDataExport,
+  eraseStudent
+};
@@ -0,0 +1,163 @@
+const Student = require('../models/studentModel');
+const { ENGLISH_TESTS, ENGLISH_TEST_BANDS } = require('./academics');
+const { parseMobile } = require('./phone');
+const { LEAD_CHANNELS } = require('./leadSource');
+const { escapeRegex, toList } = require('./requestHelpers');
+
+const SORTABLE_FIELDS = ['createdAt', 'firstName', 'lastName', 'email', 'office', 'stage', 'stageUpdatedAt'];
+
+// `from`/`to` accept a date (YYYY-MM-DD) or a full timestamp; a bare `to` date includes that whole day
+const parseDate = (value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Translate list/export query parameters into a Mongo filter.
+ * Supported: office, destination, stage (comma separated), from, to, search,
+ * academicLevel, minGpa, minPercentage, englishTest, minEnglishScore, minEnglishBand,
+ * channel (comma separated), utmSource, utmCampaign.
+ * Returns { filter } or { error } with a message suitable for a 400 response.
+ */
+const buildStudentFilter = (query, scope = {}) => {
+  const conditions = [];
+
+  if (query.office) {
+    conditions.push({ office: { $in: toList(query.office) } });
+  }
+
+  if (query.destination) {
+    const pattern = new RegExp(escapeRegex(String(query.destination).trim()), 'i');
+    conditions.push({ $or: [{ destinations: pattern }, { otherDestination: pattern }] });
+  }
+
+  if (query.stage) {
+    const stages = toList(query.stage);
+    const invalid = stages.filter(stage => !Student.PIPELINE_STAGES.includes(stage));
+    if (invalid.length > 0) {
+      return { error: `Invalid stage: ${invalid.join(', ')}` };
+    }
+    // Leads created before the pipeline existed have no stage stored and count as new inquiries
+    conditions.push({ stage: { $in: stages.includes('new_inquiry') ? [...stages, null] : stages } });
+  }
+
+  if (query.from || query.to) {
+    const createdAt = {};
+    if (query.from) {
+      createdAt.$gte = parseDate(query.from, false);
+      if (!createdAt.$gte) return { error: 'Invalid from date' };
+    }
+    if (query.to) {
+      createdAt.$lte = parseDate(query.to, true);
+      if (!createdAt.$lte) return { error: 'Invalid to date' };
+    }
+    conditions.push({ createdAt });
+  }
+
+  if (query.channel) {
+    const channels = toList(query.channel);
+    const invalid = channels.filter(channel => !LEAD_CHANNELS.includes(channel));
+    if (invalid.length > 0) {
+      return { error: `Invalid channel: ${invalid.join(', ')}` };
+    }
+    conditions.push({ 'leadSource.channel': { $in: channels } });
+  }
+
+  if (query.utmSource) {
+    conditions.push({ 'leadSource.utm.source': String(query.utmSource).trim().toLowerCase() });
+  }
+
+  if (query.utmCampaign) {
+    conditions.push({ 'leadSource.utm.campaign': String(query.utmCampaign).trim() });
+  }
+
+  if (query.academicLevel || query.minGpa || query.minPercentage) {
+    const record = {};
+    if (query.academicLevel) record.level = { $in: toList(query.academicLevel) };
+    if (query.minGpa) {
+      const minGpa = Number(query.minGpa);
+      if (Number.isNaN(minGpa)) return { error: 'Invalid minGpa' };
+      record.gpa = { $gte: minGpa };
+    }
+    if (query.minPercentage) {
+      const minPercentage = Number(query.minPercentage);
+      if (Number.isNaN(minPercentage)) return { error: 'Invalid minPercentage' };
+      record.percentage = { $gte: minPercentage };
+    }
+    conditions.push({ academics: { $elemMatch: record } });
+  }
+
+  // e.g. englishTest=IELTS&minEnglishScore=6.5&minEnglishBand=6
+  if (query.englishTest || query.minEnglishScore || query.minEnglishBand) {
+    const test = {};
+    if (query.englishTest) {
+      const tests = toList(query.englishTest);
+      const invalid = tests.filter(name => !ENGLISH_TESTS.includes(name));
+      if (invalid.length > 0) return { error: `Invalid englishTest: ${invalid.join(', ')}` };
+      test.test = { $in: tests };
+    }
+    if (query.minEnglishScore) {
+      const minScore = Number(query.minEnglishScore);
+      if (Number.isNaN(minScore)) return { error: 'Invalid minEnglishScore' };
+      test.overall = { $gte: minScore };
+    }
+    if (query.minEnglishBand) {
+      const minBand = Number(query.minEnglishBand);
+      if (Number.isNaN(minBand)) return { error: 'Invalid minEnglishBand' };
+      ENGLISH_TEST_BANDS.forEach(band => { test[band] = { $gte: minBand }; });
+    }
+    conditions.push({ englishTests: { $elemMatch: test } });
+  }
+
+  // Every search word must match the name, email or mobile, so "ram shrestha" finds Ram Shrestha.
+  // Mobile numbers are encrypted, so only a complete number matches (through its blind index).
+  if (query.search) {
+    String(query.search).trim().split(/\s+/).filter(Boolean).forEach(word => {
+      const pattern = new RegExp(escapeRegex(word), 'i');
+      const or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern }
+      ];
+
+      if (/^\+?[\d\-().]+$/.test(word)) {
+        const parsed = parseMobile(word);
+        if (parsed) {
+          or.push({ mobile: parsed.e164 });
+          or.push({ mobileNationalIndex: Student.blindIndex('mobileNationalIndex', parsed.e164) });
+        }
+      }
+
+      conditions.push({ $or: or });
+    });
+  }
+
+  const filter = { ...scope };
+  if (conditions.length > 0) filter.$and = conditions;
+  return { filter };
+};
+
+// `sort=-createdAt` or `sort=lastName,firstName`; newest first by default
+const buildStudentSort = (value) => {
+  const sort = {};
+  toList(value || '-createdAt').forEach(field => {
+    const direction = field.startsWith('-') ? -1 : 1;
+    const name = field.replace(/^[-+]/, '');
+    if (SORTABLE_FIELDS.includes(name)) sort[name] = direction;
+  });
+  if (Object.keys(sort).length === 0) sort.createdAt = -1;
+  // Tie-breaker keeps pages stable when many students share the sort value
+  if (!sort._id) sort._id = sort[Object.keys(sort)[0]];
+  return sort;
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  parseDate,
+  buildStudentFilter,
+  buildStudentSort
+};
@@ -0,0 +1,77 @@
+const Student = require('../models/studentModel');
+const Notification = require('../models/notificationModel');
+const Counselor = require('../models/CounselorsModel');
+const { sendPortalLink } = require('./studentPortal');
+const { recordSystemEvent } = require('./studentActivity');
+const { resolveLeadSource, convertAdClick } = require('./leadSource');
+const { pickStudentFields } = require('./studentValidation');
+const { logger } = require('./logger.util');
+
+/**
+ * Register a student from a validated consultation form: store the record with its
+ * lead source, put it on the timeline, assign a counselor, notify staff and send the
+ * portal link. Used by the public form and when staff release a quarantined submission.
+ * Only the form fields and the attribution are read from `data`. `onCreated` is awaited
+ * as soon as the record exists, before the steps after it that can still fail.
+ *
+ *   registerStudent(req.body, { duplicates, author, event: { subject, metadata }, onCreated })
+ */
+const registerStudent = async (data, { duplicates = [], author = null, event = {}, onCreated } = {}) => {
+  // Attribution posted by the website: UTM tags, referrer, landing page and ad identifiers
+  const { leadSource, click } = await resolveLeadSource(data.leadSource);
+
+  const student = await Student.create({
+    ...pickStudentFields(data),
+    leadSource,
+    possibleDuplicates: duplicates.map(match => match.student._id)
+  });
+
+  if (onCreated) {
+    await onCreated(student);
+  }
+
+  if (click) {
+    await convertAdClick(click, student._id);
+  }
+
+  await recordSystemEvent(student._id, 'student_created', {
+    subject: event.subject || 'Registered through the consultation form',
+    author,
+    metadata: {
+      source: 'form',
+      channel: leadSource.channel,
+      utmSource: leadSource.utm.source,
+      utmCampaign: leadSource.utm.campaign,
+      possibleDuplicates: duplicates.length,
+      ...event.metadata
+    }
+  });
+
+  // Round-robin assignment to a counselor at the student's office
+  try {
+    const counselor = await Counselor.claimNextForOffice(student.office);
+    if (counselor) {
+      student.assignedCounselor = counselor._id;
+      student.assignedAt = new Date();
+      await student.save();
+    }
+  } catch (assignError) {
+    logger.error('Counselor assignment failed:', assignError);
+  }
+
+  await Notification.create({
+    message: duplicates.length > 0
+      ? `${student.firstName} ${student.lastName} has registered as a new student (possible duplicate of ${duplicates.length} existing record${duplicates.length > 1 ? 's' : ''})`
+      : `${student.firstName} ${student.lastName} has registered as a new student`,
+    studentId: student._id
+  });
+
+  // Lets the student follow their application in the self-service portal
+  await sendPortalLink(student, { welcome: true });
+
+  return student;
+};
+
+module.exports = {
+  registerStudent
+};
@@ -0,0 +1,218 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const ReportTemplate = require('../models/ReportTemplateModel');
+const Student = require('../models/studentModel');
+const { formatAcademicRecord, formatEnglishTest } = require('./academics');
+const { officeName } = require('./offices');
+const { logger } = require('./logger.util');
+
+const DEFAULT_LOGO = path.join(__dirname, '../public/images/logo.png');
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const PAGE_LEFT = 50;
+const PAGE_RIGHT = 550;
+const CONTENT_BOTTOM = 720;
+const FOOTER_Y = 750;
+
+/**
+ * Active template for an office (id or populated office): the office's own template,
+ * else the default template, else the built-in layout (an unsaved template with schema defaults).
+ */
+const loadReportTemplate = async (office) => {
+  const officeId = office?._id || office || null;
+  const templates = await ReportTemplate.find({ isActive: true, office: { $in: [officeId, null] } });
+  return templates.find(template => officeId && template.office?.equals(officeId))
+    || templates.find(template => template.office === null)
+    || new ReportTemplate({ name: 'Built-in' });
+};
+
+// Uploaded logos live under /uploads; anything else falls back to the built-in logo
+const logoPath = (template) => {
+  if (!template.logo) return DEFAULT_LOGO;
+  const resolved = path.join(__dirname, '..', template.logo);
+  return resolved.startsWith(UPLOADS_DIR + path.sep) ? resolved : DEFAULT_LOGO;
+};
+
+// PDFKit document for a report; pages are buffered so the footer can go on every page
+const createReportDocument = () => new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+
+// "Label: value" lines; returns the y position below the last one
+const drawFields = (doc, fields, y) => {
+  doc.fontSize(10);
+  fields.forEach(([label, value]) => {
+    doc.font('Helvetica')
+       .text(`${label}:`, PAGE_LEFT, y, { continued: true })
+       .font('Helvetica-Bold')
+       .text(` ${value}`);
+    y = Math.max(y + 15, doc.y + 3);
+  });
+  return y;
+};
+
+const SECTION_RENDERERS = {
+  student_information: (doc, student, y) => drawFields(doc, [
+    ['Name', `${student.firstName} ${student.lastName}`],
+    ['Email', student.email],
+    ['Phone', student.mobile],
+    // Callers populate the office name
+    ['Nearest Office', officeName(student.office) || 'Not specified']
+  ], y),
+
+  consultation_details: (doc, student, y) => drawFields(doc, [
+    ['Topics of Interest', student.topics],
+    ['Preferred Destination', student.destinations],
+    ...(student.otherDestination ? [['Other Destination', student.otherDestination]] : [])
+  ], y),
+
+  // One line per academic record and English test
+  academic_information: (doc, student, y) => {
+    const lines = [
+      ...student.academics.map(record => {
+        const [label, ...value] = formatAcademicRecord(record).split(': ');
+        return [label, value.join(': ')];
+      }),
+      ...student.englishTests.map(test => ['English Test', formatEnglishTest(test)])
+    ];
+    if (lines.length === 0) lines.push(['Academic Records', 'Not provided']);
+    return drawFields(doc, lines, y);
+  },
+
+  additional_information: (doc, student, y) => {
+    y = drawFields(doc, [['Health Issues', student.healthIssues || 'None']], y);
+    doc.font('Helvetica')
+       .text('Additional Notes:', PAGE_LEFT, y + 10)
+       .moveDown(0.5)
+       .text(`${student.additionalInfo || 'None'}`, { width: PAGE_RIGHT - PAGE_LEFT, align: 'justify' });
+    return doc.y + 10;
+  }
+};
+
+const drawHeader = (doc, template) => {
+  const { header, colors } = template;
+  const logoY = 40;
+  let titleX = PAGE_LEFT;
+
+  if (header.showLogo) {
+    try {
+      doc.image(logoPath(template), PAGE_LEFT, logoY, { width: 80, height: 40 });
+      titleX = PAGE_LEFT + 95;
+    } catch (imageError) {
+      logger.warn(`Report logo could not be loaded, using text-only header: ${imageError.message}`);
+    }
+  }
+
+  doc.fillColor(colors.primary)
+     .fontSize(18)
+     .font('Helvetica-Bold')
+     .text(header.title, titleX, logoY + 10, { width: PAGE_RIGHT - titleX });
+
+  doc.font('Helvetica');
+  if (header.subtitle) {
+    doc.fillColor(colors.subtitle)
+       .fontSize(10)
+       .text(header.subtitle, PAGE_LEFT, 90);
+  }
+  if (header.showGeneratedDate) {
+    doc.fillColor(colors.muted)
+       .fontSize(9)
+       .text(`Generated: ${new Date().toLocaleString()}`, PAGE_LEFT, 100, { align: 'right' });
+  }
+
+  const headerBottomY = 115;
+  doc.moveTo(PAGE_LEFT, headerBottomY)
+     .lineTo(PAGE_RIGHT, headerBottomY)
+     .lineWidth(1)
+     .strokeColor(colors.divider)
+     .stroke();
+
+  return headerBottomY + 25;
+};
+
+// Footer text and page numbers on every buffered page
+const drawFooter = (doc, template) => {
+  const { footer, colors } = template;
+  const range = doc.bufferedPageRange();
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    doc.font('Helvetica').fontSize(8).fillColor(colors.muted);
+    if (footer.text) {
+      doc.text(footer.text, PAGE_LEFT, FOOTER_Y, { align: 'center', lineBreak: false });
+    }
+    if (footer.showPageNumbers) {
+      doc.text(`Page ${i + 1}`, PAGE_LEFT, FOOTER_Y, { align: 'right', lineBreak: false });
+    }
+  }
+};
+
+/**
+ * Draw the consultation report of one student onto a document from
+ * createReportDocument(), using the template's branding and sections.
+ * The caller pipes the document somewhere and ends it.
+ */
+const drawStudentReport = (doc, student, template = new ReportTemplate({ name: 'Built-in' })) => {
+  let y = drawHeader(doc, template);
+
+  template.sections
+    .filter(section => section.enabled)
+    .forEach((section, index) => {
+      if (y > CONTENT_BOTTOM) {
+        doc.addPage();
+        y = 50;
+      }
+
+      const title = section.title || ReportTemplate.REPORT_SECTIONS.find(({ key }) => key === section.key).title;
+      doc.fillColor(template.colors.heading)
+         .font('Helvetica')
+         .fontSize(16)
+         .text(`${index + 1}. ${title}`, PAGE_LEFT, y);
+
+      y = SECTION_RENDERERS[section.key](doc, student, y + 25) + 15;
+    });
+
+  drawFooter(doc, template);
+};
+
+const reportFileName = (student) =>
+  `Student_Report_${student.firstName}_${student.lastName}`.replace(/[^\w.-]+/g, '_') + '.pdf';
+
+// Render a student's report to a Buffer (used when many reports are zipped together)
+const renderStudentReport = (student, template) => new Promise((resolve, reject) => {
+  const doc = createReportDocument();
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  drawStudentReport(doc, student, template);
+  doc.end();
+});
+
+// Fictional student used to preview templates, at the given (populated) office
+const sampleStudent = (office) => new Student({
+  firstName: 'Sita',
+  lastName: 'Sharma',
+  email: 'sita.sharma@example.com',
+  mobile: '+9779841234567',
+  office,
+  topics: 'Study abroad counselling, IELTS preparation',
+  destinations: 'Australia',
+  otherDestination: 'New Zealand',
+  academics: [
+    { level: 'see_slc', board: 'NEB', institution: 'Shree Janapriya Secondary School', gpa: 3.6, passingYear: 2018 },
+    { level: 'plus_two', board: 'NEB', institution: 'Pokhara Model College', stream: 'Management', gpa: 3.3, passingYear: 2020 }
+  ],
+  englishTests: [
+    { test: 'IELTS', overall: 7, listening: 7.5, reading: 6.5, writing: 6.5, speaking: 7, testDate: new Date('2024-03-02') }
+  ],
+  healthIssues: 'None',
+  additionalInfo: 'Interested in a Bachelor of Business in Sydney or Melbourne for the February intake. Prefers universities with paid internship options.'
+});
+
+module.exports = {
+  loadReportTemplate,
+  createReportDocument,
+  drawStudentReport,
+  reportFileName,
+  renderStudentReport,
+  sampleStudent
+};
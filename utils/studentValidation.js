@@ -0,0 +1,122 @@
+const { DEFAULT_COUNTRY, parseMobile } = require('./phone');
+const {
+  academicsFromLegacy,
+  validateAcademicRecord,
+  validateEnglishTest
+} = require('./academics');
+
+const REQUIRED_FIELDS = [
+  'firstName', 'lastName', 'email', 'mobile',
+  'office', 'topics', 'destinations'
+];
+
+// Free-text results still sent by the public consultation form
+const LEGACY_ACADEMIC_FIELDS = ['slc', 'plusTwo', 'bachelor'];
+
+// What the consultation form can set. Stage, assignment, duplicate, portal and
+// attribution fields are only ever written by their own endpoints.
+const FORM_FIELDS = [
+  'firstName', 'lastName', 'email', 'mobile', 'mobileCountry',
+  'office', 'topics', 'destinations', 'otherDestination',
+  'academics', 'englishTests', 'healthIssues', 'additionalInfo'
+];
+
+// Staff editing a student can also record passport details
+const EDITABLE_FIELDS = [...FORM_FIELDS, 'passport'];
+
+const pickStudentFields = (data, fields = FORM_FIELDS) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) picked[field] = data[field];
+  return picked;
+}, {});
+
+/**
+ * Turn legacy slc/plusTwo/bachelor text into academic entries (unless structured
+ * academics were sent) and validate academics and English tests.
+ * Mutates `data` and returns a list of error messages.
+ */
+const validateAcademicFields = (data) => {
+  const errors = [];
+
+  const legacy = LEGACY_ACADEMIC_FIELDS.filter(field => data[field] !== undefined);
+  if (legacy.length > 0 && data.academics === undefined) {
+    data.academics = academicsFromLegacy(data);
+  }
+  LEGACY_ACADEMIC_FIELDS.forEach(field => delete data[field]);
+
+  ['academics', 'englishTests'].forEach(field => {
+    if (data[field] !== undefined && !Array.isArray(data[field])) {
+      errors.push(`${field} must be an array`);
+    }
+  });
+  if (errors.length > 0) return errors;
+
+  (data.academics || []).forEach((record, index) => {
+    validateAcademicRecord(record).forEach(({ field, message }) => {
+      errors.push(`academics[${index}].${field}: ${message}`);
+    });
+  });
+  (data.englishTests || []).forEach((test, index) => {
+    validateEnglishTest(test).forEach(({ field, message }) => {
+      errors.push(`englishTests[${index}].${field}: ${message}`);
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Normalize `mobile` to E.164 and set `mobileCountry`. A national number is read
+ * as belonging to `mobileCountry` (Nepal by default). Mutates `data` and returns
+ * a list of error messages.
+ */
+const normalizeMobileFields = (data) => {
+  const parsed = parseMobile(data.mobile, data.mobileCountry || DEFAULT_COUNTRY);
+  if (!parsed) {
+    return ['Please provide a valid mobile number with country code, e.g. +9779841234567'];
+  }
+  data.mobile = parsed.e164;
+  data.mobileCountry = parsed.country || String(data.mobileCountry || DEFAULT_COUNTRY).toUpperCase();
+  return [];
+};
+
+/**
+ * Check the fields a new student needs and normalize email, mobile and academics.
+ * Returns the normalized copy and a list of error messages (empty when valid).
+ */
+const validateStudentPayload = (payload) => {
+  const data = { ...payload };
+  const errors = [];
+
+  // Without structured academics the form's SLC and +2 results are still required
+  const required = Array.isArray(data.academics) ? REQUIRED_FIELDS : [...REQUIRED_FIELDS, 'slc', 'plusTwo'];
+  const missingFields = required.filter(field => !data[field]);
+  if (missingFields.length > 0) {
+    errors.push(`Missing required fields: ${missingFields.join(', ')}`);
+  }
+
+  if (data.email) {
+    data.email = String(data.email).toLowerCase().trim();
+    if (!/\S+@\S+\.\S+/.test(data.email)) {
+      errors.push('Please provide a valid email address');
+    }
+  }
+
+  if (data.mobile) {
+    errors.push(...normalizeMobileFields(data));
+  }
+
+  errors.push(...validateAcademicFields(data));
+
+  return { data, errors };
+};
+
+module.exports = {
+  REQUIRED_FIELDS,
+  FORM_FIELDS,
+  EDITABLE_FIELDS,
+  LEGACY_ACADEMIC_FIELDS,
+  pickStudentFields,
+  normalizeMobileFields,
+  validateAcademicFields,
+  validateStudentPayload
+};
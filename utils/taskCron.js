@@ -0,0 +1,137 @@
+const cron = require('node-cron');
+const Task = require('../models/TaskModel');
+const User = require('../models/userModels');
+const Notification = require('../models/notificationModel');
+const { logger } = require('./logger.util');
+
+const ESCALATE_AFTER_HOURS = 48;
+// Nepal has no daylight saving, so "today" is a fixed offset from UTC
+const KATHMANDU_OFFSET_MS = (5 * 60 + 45) * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight in Kathmandu at the start of the current day
+const startOfToday = () => {
+  const local = new Date(Date.now() + KATHMANDU_OFFSET_MS);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() - KATHMANDU_OFFSET_MS);
+};
+
+const formatDue = (date) => date.toLocaleString('en-GB', {
+  timeZone: 'Asia/Kathmandu',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const studentName = (task) => task.student ? `${task.student.firstName} ${task.student.lastName}` : 'a deleted student';
+
+// Admins of the task's office; admins without an office when the office has none
+const escalationRecipients = async (office) => {
+  const admins = await User.find({ role: 'admin', active: true, office: { $in: [office, null] } }).select('_id office');
+  const officeAdmins = admins.filter(admin => admin.office && admin.office.equals(office));
+  return officeAdmins.length > 0 ? officeAdmins : admins;
+};
+
+class TaskCronJobs {
+  constructor() {
+    this.jobs = [];
+  }
+
+  initialize() {
+    this.setupTaskReminders();
+    logger.info('Task cron jobs initialized');
+  }
+
+  // Remind assignees of open tasks due today or overdue, once per day per task
+  async sendDueReminders() {
+    const now = new Date();
+    const todayStart = startOfToday();
+
+    const tasks = await Task.find({
+      status: { $in: Task.OPEN_STATUSES },
+      dueAt: { $lt: new Date(todayStart.getTime() + DAY_MS) },
+      $or: [{ lastRemindedAt: null }, { lastRemindedAt: { $lt: todayStart } }]
+    }).populate('student', 'firstName lastName');
+
+    for (const task of tasks) {
+      const overdue = task.dueAt < now;
+      await Notification.create({
+        recipient: task.assignee,
+        type: overdue ? 'task_overdue' : 'task_due',
+        task: task._id,
+        studentId: task.student?._id,
+        message: overdue
+          ? `Overdue task for ${studentName(task)}: "${task.title}" was due ${formatDue(task.dueAt)}`
+          : `Task due today for ${studentName(task)}: "${task.title}" (${formatDue(task.dueAt)})`
+      });
+      await Task.updateOne({ _id: task._id }, { lastRemindedAt: now });
+    }
+
+    return tasks.length;
+  }
+
+  // Tell the office admin about tasks more than 48 hours overdue, once per task
+  async escalateOverdueTasks() {
+    const tasks = await Task.find({
+      status: { $in: Task.OPEN_STATUSES },
+      dueAt: { $lt: new Date(Date.now() - ESCALATE_AFTER_HOURS * 60 * 60 * 1000) },
+      escalatedAt: null
+    })
+      .populate('student', 'firstName lastName')
+      .populate('assignee', 'username');
+
+    const recipientsByOffice = new Map();
+
+    for (const task of tasks) {
+      const officeKey = String(task.office);
+      if (!recipientsByOffice.has(officeKey)) {
+        recipientsByOffice.set(officeKey, await escalationRecipients(task.office));
+      }
+      const recipients = recipientsByOffice.get(officeKey);
+
+      if (recipients.length === 0) {
+        logger.warn(`No admin to escalate overdue task ${task._id} to (${task.office})`);
+      } else {
+        await Notification.insertMany(recipients.map(admin => ({
+          recipient: admin._id,
+          type: 'task_escalated',
+          task: task._id,
+          studentId: task.student?._id,
+          message: `Task for ${studentName(task)} assigned to ${task.assignee?.username || 'a former staff member'} is more than ${ESCALATE_AFTER_HOURS} hours overdue: "${task.title}" (due ${formatDue(task.dueAt)})`
+        })));
+      }
+
+      await Task.updateOne({ _id: task._id }, { escalatedAt: new Date() });
+    }
+
+    return tasks.length;
+  }
+
+  // Check due and overdue tasks every hour, so tasks created during the day are picked up too
+  setupTaskReminders() {
+    const job = cron.schedule('0 * * * *', async () => {
+      try {
+        const reminded = await this.sendDueReminders();
+        const escalated = await this.escalateOverdueTasks();
+        if (reminded > 0 || escalated > 0) {
+          logger.info(`Task reminders: ${reminded} reminded, ${escalated} escalated`);
+        }
+      } catch (error) {
+        logger.error('Task reminder cron job failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: "Asia/Kathmandu"
+    });
+
+    this.jobs.push(job);
+    logger.info('Task reminder cron job scheduled');
+  }
+
+  // Stop all cron jobs
+  stopAll() {
+    this.jobs.forEach(job => job.stop());
+    logger.info('All task cron jobs stopped');
+  }
+}
+
+module.exports = new TaskCronJobs();